@@ -0,0 +1,211 @@
+"""Game rules: starting cash, portfolio limits and how a game ends.
+
+A host edits rule sets in the ``game_rules`` table; each player follows the
+set named by ``users.rules_id`` (``default`` unless a host assigns another).
+``frontend/game-rules.js`` applies the same checks in the browser, so keep the
+two in step. Refusal reasons are shown to players as-is.
+
+Once a game starts the invested and position limits hold all the time, not
+just when buying: ``compliance_issues`` lists what is out of line, and after
+``compliance_grace_minutes`` the rule set's ``compliance_action`` applies -
+``warn`` only, a ``penalty`` of ``compliance_penalty_pct`` points off the
+player's leaderboard return, or a ``rebalance`` (``rebalance_trades``).
+"""
+
+import math
+from dataclasses import asdict, dataclass
+from datetime import datetime, timezone
+
+
+@dataclass(frozen=True)
+class GameRules:
+    id: str = "default"
+    name: str = "Classic"
+    starting_cash: float = 10000
+    min_holdings: int = 4
+    max_holdings: int = 10
+    min_invested_pct: float = 97
+    max_position_pct: float = 25
+    # End conditions: bust at or below this value, win at this return, or stop at a deadline
+    game_over_value: float = 20
+    target_return_pct: float | None = None
+    ends_at: str | None = None
+    # What happens when a started game breaks the invested or position limit
+    compliance_grace_minutes: int = 60
+    compliance_action: str = "penalty"
+    compliance_penalty_pct: float = 1
+
+    @classmethod
+    def from_row(cls, row: dict | None) -> "GameRules":
+        """Rules from a ``game_rules`` row, with defaults for anything unset."""
+        if not row:
+            return cls()
+        fields = {name: row[name] for name in cls.__dataclass_fields__ if row.get(name) is not None}
+        for name in (
+            "starting_cash", "min_invested_pct", "max_position_pct", "game_over_value", "target_return_pct",
+            "compliance_penalty_pct",
+        ):
+            if name in fields:
+                fields[name] = float(fields[name])
+        return cls(**fields)
+
+    def to_api(self) -> dict:
+        """camelCase, as the frontends' ``GameRules.fromApi`` expects."""
+        return {_camel(key): value for key, value in asdict(self).items()}
+
+
+def _camel(name: str) -> str:
+    first, *rest = name.split("_")
+    return first + "".join(word.title() for word in rest)
+
+
+DEFAULT_RULES = GameRules()
+
+
+def check_buy(
+    rules: GameRules,
+    symbol: str,
+    shares: int,
+    price: float,
+    cash: float,
+    shares_by_symbol: dict[str, int],
+    prices: dict[str, float],
+) -> str | None:
+    """Apply the ``canBuyStock`` rules; return the reason a buy is refused, if any."""
+    cost = price * shares
+    if cost > cash:
+        return "💰 Not enough cash!"
+
+    owned = shares_by_symbol.get(symbol, 0)
+    if not owned and len(shares_by_symbol) >= rules.max_holdings:
+        return f"📦 Maximum {rules.max_holdings} stocks allowed"
+
+    total_value = cash + sum(n * prices[sym] for sym, n in shares_by_symbol.items())
+    existing_value = owned * price
+    new_position_pct = (existing_value + cost) / total_value * 100
+    if new_position_pct > rules.max_position_pct:
+        return f"⚠️ Would exceed {rules.max_position_pct:g}% position limit ({new_position_pct:.1f}%)"
+
+    if owned:
+        current_pct = existing_value / total_value * 100
+        if current_pct > rules.max_position_pct:
+            return (
+                f"🔒 Position is {current_pct:.1f}% (max {rules.max_position_pct:g}%)"
+                " - sell first to add more"
+            )
+    return None
+
+
+def entry_cash(cash: float, rules: GameRules, entry_rules: GameRules) -> float:
+    """The cash of a player who set up under *rules* as they start under *entry_rules*.
+
+    A competition can start players with more or less than their own rule set,
+    so the difference is added or taken away: whatever they bought, they play
+    with the competition's money. Below zero, they spent more than it gives.
+    """
+    return round(cash + entry_rules.starting_cash - rules.starting_cash, 2)
+
+
+def check_start(rules: GameRules, holdings: int, cash: float = 0) -> str | None:
+    """The reason a portfolio of *holdings* stocks and *cash* (see ``entry_cash``) can't start the game, if any."""
+    if holdings < rules.min_holdings:
+        return f"📦 You need at least {rules.min_holdings} stocks to start!"
+    if holdings > rules.max_holdings:
+        return f"📦 You can't have more than {rules.max_holdings} stocks!"
+    if cash < 0:
+        return f"💰 {rules.name} starts you with ${rules.starting_cash:,.0f} - sell some stocks to start!"
+    return None
+
+
+def game_over(
+    rules: GameRules, total_value: float | None, start_value: float, now: datetime | None = None
+) -> dict | None:
+    """How a started game has ended, if it has: ``{"reason", "message"}``.
+
+    ``reason`` is ``bust`` (value fell to ``game_over_value``), ``target`` (the
+    return reached ``target_return_pct``) or ``time`` (``ends_at`` passed). A
+    *total_value* of None (some holding has no price) only checks the deadline.
+    """
+    if total_value is not None and total_value <= rules.game_over_value:
+        return {"reason": "bust", "message": f"Your portfolio dropped below ${rules.game_over_value:,.0f}"}
+    if total_value is not None and rules.target_return_pct is not None and start_value:
+        return_pct = (total_value - start_value) / start_value * 100
+        if return_pct >= rules.target_return_pct:
+            return {"reason": "target", "message": f"You hit the {rules.target_return_pct:g}% target!"}
+    if rules.ends_at:
+        ends_at = datetime.fromisoformat(rules.ends_at.replace("Z", "+00:00"))
+        if (now or datetime.now(timezone.utc)) >= ends_at:
+            return {"reason": "time", "message": "Time's up - the game has ended"}
+    return None
+
+
+def compliance_issues(
+    rules: GameRules, cash: float, shares_by_symbol: dict[str, int], prices: dict[str, float]
+) -> list[dict]:
+    """The limits a portfolio is breaking right now, each with a player-facing message.
+
+    Every issue has ``rule`` (``min_invested`` or ``max_position``), ``symbol``
+    (None for ``min_invested``) and ``pct``, the invested or position share.
+    """
+    total_value = cash + sum(n * prices[sym] for sym, n in shares_by_symbol.items())
+    if total_value <= 0:
+        return []
+    issues = []
+    invested_pct = (total_value - cash) / total_value * 100
+    if invested_pct < rules.min_invested_pct:
+        issues.append({
+            "rule": "min_invested",
+            "symbol": None,
+            "pct": round(invested_pct, 1),
+            "message": f"💼 Only {invested_pct:.1f}% invested (keep at least {rules.min_invested_pct:g}%)",
+        })
+    for sym, n in sorted(shares_by_symbol.items()):
+        position_pct = n * prices[sym] / total_value * 100
+        if position_pct > rules.max_position_pct:
+            issues.append({
+                "rule": "max_position",
+                "symbol": sym,
+                "pct": round(position_pct, 1),
+                "message": f"⚠️ {sym} is {position_pct:.1f}% of your portfolio (max {rules.max_position_pct:g}%)",
+            })
+    return issues
+
+
+def rebalance_trades(
+    rules: GameRules, cash: float, shares_by_symbol: dict[str, int], prices: dict[str, float]
+) -> list[tuple[str, str, int]]:
+    """Trades that bring a portfolio back inside the limits: ``(side, symbol, shares)``.
+
+    Oversized positions are trimmed to the cap first; then spare cash buys whole
+    shares of the other holdings, smallest position first, without pushing any
+    of them over the cap. Sells come before buys so the cash is there.
+    """
+    shares = dict(shares_by_symbol)
+    total_value = cash + sum(n * prices[sym] for sym, n in shares.items())
+    cap = total_value * rules.max_position_pct / 100
+    trades: list[tuple[str, str, int]] = []
+
+    for sym in sorted(shares):
+        excess = shares[sym] * prices[sym] - cap
+        if excess > 0:
+            n = min(shares[sym], math.ceil(excess / prices[sym]))
+            trades.append(("sell", sym, n))
+            shares[sym] -= n
+            cash += n * prices[sym]
+
+    trimmed = {sym for _, sym, _ in trades}
+    spare_cash = total_value * (100 - rules.min_invested_pct) / 100
+    buys: dict[str, int] = {}
+    while cash > spare_cash:
+        candidates = [
+            sym for sym, n in shares.items()
+            if n > 0 and sym not in trimmed and prices[sym] <= cash and (n + 1) * prices[sym] <= cap
+        ]
+        if not candidates:
+            break
+        sym = min(candidates, key=lambda s: shares[s] * prices[s])
+        buys[sym] = buys.get(sym, 0) + 1
+        shares[sym] += 1
+        cash -= prices[sym]
+    trades.extend(("buy", sym, n) for sym, n in sorted(buys.items()))
+    return trades
@@ -0,0 +1,291 @@
+"""KT score: how the game rates a stock from 0 to 100.
+
+KT = Sentiment (40%) + Technicals (35%) + Leadership (25%). Each sub-score is
+computed from real inputs and comes with a plain-words ``summary`` and the
+numbers behind it, so players can see why a stock ranks where it does.
+
+* Technicals - momentum and trend from daily price history, minus a penalty
+  for high volatility.
+* Leadership - company size and quality from the provider's ``info``.
+* Sentiment - from a pluggable source chosen by ``SENTIMENT_SOURCE``.
+
+``personalize`` then tilts a score toward a player's registration profile
+(favorite sector, risk tolerance, return goal) and says why.
+"""
+
+import logging
+import math
+import os
+
+logger = logging.getLogger(__name__)
+
+WEIGHTS = {"sentiment": 0.40, "technical": 0.35, "leadership": 0.25}
+
+# Daily bars needed for the 3-month momentum and 50-day average
+TRADING_DAYS_1M = 21
+TRADING_DAYS_3M = 63
+SMA_DAYS = 50
+# Annualized volatility above this starts costing technical points
+CALM_VOLATILITY = 0.25
+
+
+def _clamp(value: float, low: float = 0, high: float = 100) -> float:
+    return max(low, min(high, value))
+
+
+def _pct(value: float) -> str:
+    return f"{value * 100:+.1f}%"
+
+
+def _weighted(parts: list[tuple[float, float]]) -> float:
+    """Weighted mean of ``(score, weight)`` pairs, over the parts that exist."""
+    total = sum(weight for _, weight in parts)
+    return sum(score * weight for score, weight in parts) / total
+
+
+# ---------------------------------------------------------------------------
+# Technicals
+# ---------------------------------------------------------------------------
+def technical_score(bars: list[dict]) -> dict:
+    """Score momentum, trend and volatility from daily *bars* (oldest first)."""
+    closes = [bar["close"] for bar in bars if bar.get("close")]
+    if len(closes) < TRADING_DAYS_1M + 1:
+        return {"score": 50.0, "summary": "Not enough price history yet, so this is a neutral score."}
+
+    last = closes[-1]
+    change_1m = last / closes[-1 - TRADING_DAYS_1M] - 1
+    change_3m = last / closes[-1 - min(TRADING_DAYS_3M, len(closes) - 1)] - 1
+    sma = sum(closes[-SMA_DAYS:]) / len(closes[-SMA_DAYS:])
+    daily = [math.log(b / a) for a, b in zip(closes, closes[1:]) if a > 0 and b > 0]
+    mean = sum(daily) / len(daily)
+    volatility = math.sqrt(sum((r - mean) ** 2 for r in daily) / max(len(daily) - 1, 1)) * math.sqrt(252)
+
+    # +/-20% of blended momentum spans the whole scale
+    momentum_points = _clamp(50 + (0.6 * change_1m + 0.4 * change_3m) * 250)
+    trend_points = 10 if last >= sma else -10
+    volatility_penalty = _clamp((volatility - CALM_VOLATILITY) * 40, 0, 20)
+    score = _clamp(momentum_points + trend_points - volatility_penalty)
+
+    summary = (
+        f"{_pct(change_1m)} over a month and {_pct(change_3m)} over three months; "
+        f"trading {'above' if last >= sma else 'below'} its {SMA_DAYS}-day average; "
+        f"swings about {volatility * 100:.0f}% a year"
+        + (" (a bumpy ride, so a few points off)." if volatility_penalty else ".")
+    )
+    return {
+        "score": round(score, 1),
+        "momentum1m": round(change_1m, 4),
+        "momentum3m": round(change_3m, 4),
+        "aboveAverage": last >= sma,
+        "volatility": round(volatility, 4),
+        "volatilityPenalty": round(volatility_penalty, 1),
+        "summary": summary,
+    }
+
+
+# ---------------------------------------------------------------------------
+# Leadership
+# ---------------------------------------------------------------------------
+def leadership_score(info: dict) -> dict:
+    """Score company size, profitability, growth and returns from *info*."""
+    market_cap = info.get("marketCap")
+    margin = info.get("profitMargins")
+    growth = info.get("revenueGrowth")
+    roe = info.get("returnOnEquity")
+
+    parts: list[tuple[float, float]] = []
+    notes: list[str] = []
+    if market_cap:
+        # $1B -> 25, $10B -> 50, $100B -> 75, $1T -> 100
+        parts.append((_clamp((math.log10(market_cap) - 8) * 25), 0.4))
+        size = f"${market_cap / 1e12:.1f} trillion" if market_cap >= 1e12 else f"${market_cap / 1e9:,.0f} billion"
+        notes.append(f"worth about {size}")
+    if margin is not None:
+        parts.append((_clamp(50 + margin * 200), 0.2))
+        if margin >= 0:
+            notes.append(f"keeps {margin * 100:.0f}¢ of each sales dollar as profit")
+        else:
+            notes.append(f"loses {-margin * 100:.0f}¢ on each sales dollar")
+    if growth is not None:
+        parts.append((_clamp(50 + growth * 200), 0.2))
+        notes.append(f"sales {'up' if growth >= 0 else 'down'} {abs(growth) * 100:.0f}% from a year ago")
+    if roe is not None:
+        parts.append((_clamp(50 + roe * 100), 0.2))
+        notes.append(f"earns {roe * 100:.0f}% a year on shareholders' money")
+
+    if not parts:
+        return {"score": 50.0, "summary": "No company data available, so this is a neutral score."}
+    return {
+        "score": round(_weighted(parts), 1),
+        "marketCap": market_cap,
+        "profitMargin": margin,
+        "revenueGrowth": growth,
+        "returnOnEquity": roe,
+        "summary": "The company is " + "; ".join(notes) + ".",
+    }
+
+
+# ---------------------------------------------------------------------------
+# Sentiment sources
+# ---------------------------------------------------------------------------
+class SentimentSource:
+    """Where the sentiment sub-score comes from.
+
+    ``score`` gets the symbol, its provider ``info`` and the latest price, and
+    returns a dict with at least ``score`` (0-100) and ``summary``.
+    """
+
+    name = "base"
+
+    def score(self, symbol: str, info: dict, price: float | None) -> dict:
+        raise NotImplementedError
+
+
+class AnalystSentiment(SentimentSource):
+    """Wall Street analysts' consensus rating and price target."""
+
+    name = "analyst"
+
+    def score(self, symbol: str, info: dict, price: float | None) -> dict:
+        rating = info.get("recommendationMean")  # 1 = strong buy ... 5 = sell
+        target = info.get("targetMeanPrice")
+        analysts = info.get("numberOfAnalystOpinions")
+
+        parts: list[tuple[float, float]] = []
+        notes: list[str] = []
+        if rating:
+            parts.append((_clamp((5 - rating) / 4 * 100), 0.6))
+            notes.append(f"{analysts or 'Some'} analysts rate it {rating:.1f} on a 1 (buy) to 5 (sell) scale")
+        if target and price:
+            upside = target / price - 1
+            parts.append((_clamp(50 + upside * 200), 0.4))
+            notes.append(f"their average price target is {_pct(upside)} from today")
+
+        if not parts:
+            return {"score": 50.0, "summary": "No analyst coverage, so this is a neutral score."}
+        return {
+            "score": round(_weighted(parts), 1),
+            "recommendationMean": rating,
+            "targetMeanPrice": target,
+            "analysts": analysts,
+            "summary": "; ".join(notes) + ".",
+        }
+
+
+class NeutralSentiment(SentimentSource):
+    """Scores every stock 50, for offline play without analyst data."""
+
+    name = "neutral"
+
+    def score(self, symbol: str, info: dict, price: float | None) -> dict:
+        return {"score": 50.0, "summary": "Sentiment is switched off here, so every stock gets a neutral score."}
+
+
+SENTIMENT_SOURCES = {source.name: source for source in (AnalystSentiment, NeutralSentiment)}
+
+
+def get_sentiment_source() -> SentimentSource:
+    """Build the sentiment source named by ``SENTIMENT_SOURCE`` (default ``analyst``)."""
+    kind = os.getenv("SENTIMENT_SOURCE", "analyst").strip().lower()
+    if kind not in SENTIMENT_SOURCES:
+        raise ValueError(f"Unknown SENTIMENT_SOURCE: {kind!r} (use {', '.join(SENTIMENT_SOURCES)})")
+    logger.info("Using %s sentiment", kind)
+    return SENTIMENT_SOURCES[kind]()
+
+
+# ---------------------------------------------------------------------------
+# KT score
+# ---------------------------------------------------------------------------
+def kt_score(symbol: str, bars: list[dict], info: dict, price: float | None, sentiment: SentimentSource) -> dict:
+    """Combine the three sub-scores into a KT score with its explanation."""
+    parts = {
+        "sentiment": sentiment.score(symbol, info, price),
+        "technical": technical_score(bars),
+        "leadership": leadership_score(info),
+    }
+    kt_value = sum(parts[key]["score"] * weight for key, weight in WEIGHTS.items())
+    return {
+        "symbol": symbol,
+        "ktValue": round(kt_value, 1),
+        "sentiment": parts["sentiment"]["score"],
+        "technical": parts["technical"]["score"],
+        "leadership": parts["leadership"]["score"],
+        "explain": parts,
+    }
+
+
+# ---------------------------------------------------------------------------
+# Personalization
+# ---------------------------------------------------------------------------
+# The registration form's sectors and the provider sectors each one covers
+GAME_SECTORS = {
+    "Technology": {"Technology"},
+    "Healthcare": {"Healthcare"},
+    "Financial": {"Financial Services"},
+    "Consumer": {"Consumer Cyclical", "Consumer Defensive"},
+    "Energy": {"Energy"},
+    "Industrial": {"Industrials"},
+    "Materials": {"Basic Materials"},
+    "Utilities": {"Utilities"},
+    "Real Estate": {"Real Estate"},
+    "Communications": {"Communication Services"},
+}
+RISK_TOLERANCES = ("low", "medium", "high")
+RETURN_GOALS = ("short", "long")
+
+SECTOR_BOOST = 8
+# Annualized volatility each risk tolerance is comfortable with, and the points
+# lost per unit of volatility above it (capped)
+RISK_COMFORT = {"low": (0.20, 60, 15), "medium": (0.35, 40, 10), "high": (None, 0, 0)}
+
+
+def personalize(ranking: dict, profile: dict) -> dict:
+    """Adjust a scored stock for a player's *profile* and say why.
+
+    *profile* holds ``riskTolerance``, ``preferredSector`` and ``returnGoal``
+    (any may be missing). Adds ``baseKtValue``, a personal ``ktValue`` and a
+    ``forYou`` explanation with the points each preference added or removed.
+    """
+    reasons: list[dict] = []
+
+    sector = ranking.get("sector")
+    preferred = profile.get("preferredSector")
+    if preferred and sector in GAME_SECTORS.get(preferred, set()):
+        reasons.append({"points": SECTOR_BOOST, "text": f"It's in {preferred}, the sector you like."})
+
+    risk = profile.get("riskTolerance")
+    volatility = ranking.get("explain", {}).get("technical", {}).get("volatility")
+    if risk in RISK_COMFORT and volatility is not None:
+        comfort, rate, cap = RISK_COMFORT[risk]
+        if comfort is None:
+            if volatility > 0.35:
+                reasons.append({"points": 3, "text": "Its price swings a lot, and you said you're up for a wild ride."})
+        elif volatility > comfort:
+            penalty = round(min((volatility - comfort) * rate, cap), 1)
+            reasons.append({
+                "points": -penalty,
+                "text": f"Its price swings about {volatility * 100:.0f}% a year, more than a {risk}-risk player may like.",
+            })
+        elif risk == "low":
+            reasons.append({"points": 2, "text": "Its price is fairly steady, which suits playing it safe."})
+
+    goal = profile.get("returnGoal")
+    if goal in RETURN_GOALS:
+        key, label = ("technical", "short-term momentum") if goal == "short" else ("leadership", "strong company")
+        points = round((ranking[key] - 50) * 0.1, 1)
+        if points:
+            direction = "fits" if points > 0 else "works against"
+            horizon = "short-term" if goal == "short" else "long-term"
+            reasons.append({"points": points, "text": f"Its {label} score {direction} your {horizon} goal."})
+
+    adjustment = round(sum(r["points"] for r in reasons), 1)
+    if reasons:
+        summary = " ".join(r["text"] for r in reasons)
+    else:
+        summary = "Nothing about this stock stands out for your preferences, so it keeps its regular KT score."
+    return {
+        **ranking,
+        "baseKtValue": ranking["ktValue"],
+        "ktValue": round(_clamp(ranking["ktValue"] + adjustment), 1),
+        "forYou": {"adjustment": adjustment, "reasons": reasons, "summary": summary},
+    }
@@ -0,0 +1,132 @@
+"""Leaderboard metrics: how a player's run is scored for each ranking mode.
+
+A run is the player's value over time: their starting value (``start_value``
+or a competition's baseline), the value snapshots taken while they play, and
+their value now. Every mode is computed from that series:
+
+* ``return`` - simple return on the starting value, less compliance penalties.
+* ``twr`` - time-weighted return: the returns between value points chained
+  together, each leaving out the cash that came in from outside trading
+  (dividends and the cash paid for split leftovers), so it measures what the
+  player's picks and trades made rather than what was paid out to them.
+* ``drawdown`` - the largest peak-to-trough fall; the smallest fall ranks first.
+* ``sharpe`` - average daily return over its volatility, annualized: return
+  for the risk taken. Needs a few days of history before it is scored.
+"""
+
+import math
+from datetime import datetime, timezone
+
+MODES = ("return", "twr", "drawdown", "sharpe")
+# The metric each mode ranks by, and whether a higher number is better
+MODE_KEYS = {
+    "return": ("returnPct", True),
+    "twr": ("twrPct", True),
+    "drawdown": ("maxDrawdownPct", False),
+    "sharpe": ("sharpe", True),
+}
+TRADING_DAYS = 252
+SHARPE_MIN_DAYS = 3
+
+
+def time_weighted_return(values: list[float], flows: list[float] | None = None) -> float | None:
+    """Chained period returns over *values* (oldest first), in percent.
+
+    *flows* holds, for each value, the outside cash that came in since the value
+    before it; each link takes it off the later value. None without a period.
+    """
+    flows = flows or [0.0] * len(values)
+    growth = 1.0
+    links = 0
+    for i in range(1, len(values)):
+        if values[i - 1] > 0:
+            growth *= (values[i] - flows[i]) / values[i - 1]
+            links += 1
+    return round((growth - 1) * 100, 2) if links else None
+
+
+def _parse_time(value: str) -> datetime:
+    """A timestamp as Supabase returns it."""
+    return datetime.fromisoformat(value.replace("Z", "+00:00"))
+
+
+def max_drawdown(values: list[float]) -> float | None:
+    """The largest fall from a high to a later low in *values*, in percent (0 if it never fell)."""
+    if len(values) < 2:
+        return None
+    peak = values[0]
+    worst = 0.0
+    for value in values:
+        peak = max(peak, value)
+        if peak > 0:
+            worst = max(worst, (peak - value) / peak)
+    return round(worst * 100, 2)
+
+
+def sharpe_score(daily_values: list[float]) -> float | None:
+    """Annualized mean daily return over its standard deviation (no risk-free rate).
+
+    *daily_values* holds one value per day, oldest first. None until there
+    are ``SHARPE_MIN_DAYS`` daily returns, or if the value never moved.
+    """
+    returns = [after / before - 1 for before, after in zip(daily_values, daily_values[1:]) if before > 0]
+    if len(returns) < SHARPE_MIN_DAYS:
+        return None
+    mean = sum(returns) / len(returns)
+    deviation = math.sqrt(sum((r - mean) ** 2 for r in returns) / (len(returns) - 1))
+    if deviation == 0:
+        return None
+    return round(mean / deviation * math.sqrt(TRADING_DAYS), 2)
+
+
+def run_metrics(
+    start_value: float,
+    snapshots: list[dict],
+    value: float | None,
+    today: str | None = None,
+    cash_flows: list[dict] | None = None,
+) -> dict:
+    """The ``twr``, ``drawdown`` and ``sharpe`` metrics of one run.
+
+    *snapshots* are ``{"total_value", "taken_at"}`` rows, oldest first, taken
+    during the run; *value* is the value now (None if it can't be priced).
+    *today* is the UTC date now, which *value* closes instead of today's snapshots.
+    *cash_flows* are the run's ``{"cash_credited", "applied_at"}`` corporate
+    action rows; each counts against the first value taken after it.
+    """
+    points = [(row["taken_at"][:10], float(row["total_value"])) for row in snapshots]
+    values = [start_value] + [v for _, v in points] + ([value] if value is not None else [])
+    # Each flow lands in the period ending at the first value taken at or after it
+    times = [_parse_time(row["taken_at"]) for row in snapshots]
+    flows = [0.0] * len(values)
+    for row in cash_flows or []:
+        applied = _parse_time(row["applied_at"])
+        later = next((i + 1 for i, taken in enumerate(times) if taken >= applied), None)
+        if later is None and value is not None:
+            later = len(values) - 1
+        if later is not None:
+            flows[later] += float(row["cash_credited"])
+    # The last value of each day, for daily returns
+    by_day: dict[str, float] = {}
+    for day, v in points:
+        by_day[day] = v
+    if value is not None:
+        by_day[today or datetime.now(timezone.utc).date().isoformat()] = value
+    daily = [start_value] + list(by_day.values())
+    return {
+        "twrPct": time_weighted_return(values, flows),
+        "maxDrawdownPct": max_drawdown(values),
+        "sharpe": sharpe_score(daily),
+    }
+
+
+def rank(entries: list[dict], mode: str) -> list[dict]:
+    """Sort *entries* best first for *mode* and number them; unscored entries go last."""
+    key, higher_is_better = MODE_KEYS[mode]
+    scored = [entry for entry in entries if entry.get(key) is not None]
+    unscored = [entry for entry in entries if entry.get(key) is None]
+    scored.sort(key=lambda entry: entry[key], reverse=higher_is_better)
+    ranked = scored + sorted(unscored, key=lambda entry: entry.get("name") or "")
+    for position, entry in enumerate(ranked, start=1):
+        entry["rank"] = position
+    return ranked
@@ -1,7 +1,54 @@
+import asyncio
+import csv
+import hashlib
+import html
+import io
+import json
 import logging
-from fastapi import FastAPI, HTTPException, Query
+import os
+import re
+import secrets
+import smtplib
+import threading
+import time
+from concurrent.futures import ThreadPoolExecutor
+from dataclasses import replace
+from datetime import date, datetime, timedelta, timezone
+from email.message import EmailMessage
+
+from dotenv import load_dotenv
+from fastapi import FastAPI, Header, HTTPException, Query
 from fastapi.middleware.cors import CORSMiddleware
-import yfinance as yf
+from fastapi.responses import HTMLResponse, Response, StreamingResponse
+from pydantic import BaseModel, Field
+from supabase import Client, create_client
+
+from game_rules import (
+    DEFAULT_RULES,
+    GameRules,
+    check_buy,
+    check_start,
+    compliance_issues,
+    entry_cash,
+    game_over,
+    rebalance_trades,
+)
+from kt_score import (
+    GAME_SECTORS,
+    RETURN_GOALS,
+    RISK_TOLERANCES,
+    WEIGHTS as KT_WEIGHTS,
+    get_sentiment_source,
+    kt_score,
+    personalize,
+)
+from leaderboard import MODES as LEADERBOARD_MODES, rank as rank_leaderboard, run_metrics
+from market_calendar import market_status
+from market_data import get_provider
+from paging import fetch_all
+from universe import get_universe, search as search_universe
+
+load_dotenv()
 
 # ---------------------------------------------------------------------------
 # Logging
@@ -26,6 +73,138 @@ app.add_middleware(
 )
 
 
+# ---------------------------------------------------------------------------
+# Game settings (the rules players follow are per rule set: see game_rules.py)
+# ---------------------------------------------------------------------------
+# Order types and the side of the trade each one places
+ORDER_SIDES = {"limit": "buy", "stop_loss": "sell", "take_profit": "sell"}
+ORDER_CHECK_SECONDS = 60
+
+# Portfolio value is snapshotted at most this often (on the compliance check each
+# price tick) for the performance chart and the drawdown and Sharpe leaderboards
+SNAPSHOT_INTERVAL_SECONDS = 5 * 60
+
+# Ended competitions have their standings frozen within this long of the end
+COMPETITION_CHECK_SECONDS = 60
+
+# Class and school join codes skip look-alike characters (0/O, 1/I) so they copy cleanly off a board
+LEAGUE_KINDS = ("class", "school")
+JOIN_CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789"
+JOIN_CODE_LENGTH = 6
+# What a leaderboard name may contain, as the frontends check at sign-up
+LEADERBOARD_NAME_PATTERN = re.compile(r"[A-Za-z0-9 _-]+")
+ADMIN_TRADES_LIMIT = 200
+
+# A parent's consent link works for a week; the player can have it sent again
+# after a few minutes
+CONSENT_LINK_DAYS = 7
+CONSENT_RESEND_SECONDS = 10 * 60
+
+# Corporate actions are checked a few times a day, looking back far enough to
+# catch anything announced while the server was down
+CORPORATE_ACTION_CHECK_SECONDS = 6 * 60 * 60
+CORPORATE_ACTION_LOOKBACK_DAYS = 7
+
+# KT scores use months of history and slow-moving fundamentals; an hour is fresh enough.
+# The universe is rescored in the background a little before its scores expire.
+KT_SCORE_TTL_SECONDS = 60 * 60
+KT_SCORE_REFRESH_SECONDS = 15 * 60
+RANKINGS_PAGE_SIZE = 20
+RANKINGS_MAX_PAGE_SIZE = 100
+LEADERBOARD_SCOPES = ("global", "class", "school")
+LEADERBOARD_PAGE_SIZE = 10
+LEADERBOARD_MAX_PAGE_SIZE = 100
+
+# MARKET_HOURS=nyse keeps trading to the NYSE regular session; "always" lets an
+# offline classroom (see MARKET_DATA_PROVIDER) trade at any hour
+MARKET_HOURS = os.getenv("MARKET_HOURS", "nyse").strip().lower()
+# What a buy/sell placed while the market is closed does: "queue" it as an
+# order filled at the next open, or "block" it
+CLOSED_MARKET_ORDERS = os.getenv("CLOSED_MARKET_ORDERS", "queue").strip().lower()
+
+# How long a quote is served from the in-process cache before the provider is asked
+# again, and how long an old quote may stand in when the provider is failing
+QUOTE_TTL_SECONDS = int(os.getenv("QUOTE_TTL_SECONDS", "60"))
+QUOTE_MAX_STALE_SECONDS = int(os.getenv("QUOTE_MAX_STALE_SECONDS", "3600"))
+INFO_TTL_SECONDS = 24 * 60 * 60
+
+# The price stream polls every open stream's symbols together this often, and a
+# stream may follow up to this many symbols (holdings, orders and a few pages of rankings)
+PRICE_STREAM_SECONDS = int(os.getenv("PRICE_STREAM_SECONDS", "15"))
+PRICE_STREAM_MAX_SYMBOLS = 200
+# /api/stocks quotes a portfolio's worth of symbols per request
+STOCKS_MAX_SYMBOLS = 100
+
+# History periods and intervals every provider accepts (yfinance's own set)
+HISTORY_PERIODS = {"1d", "5d", "1mo", "3mo", "6mo", "1y", "2y", "5y", "10y", "ytd", "max"}
+HISTORY_INTERVALS = {"1m", "2m", "5m", "15m", "30m", "60m", "90m", "1h", "1d", "5d", "1wk", "1mo", "3mo"}
+
+# ---------------------------------------------------------------------------
+# Market data (MARKET_DATA_PROVIDER=yfinance|fixture|random)
+# ---------------------------------------------------------------------------
+market = get_provider()
+sentiment_source = get_sentiment_source()
+
+# ---------------------------------------------------------------------------
+# Game universe (GAME_UNIVERSE=popular|sp500|etfs|<file.csv>, comma-separated)
+# ---------------------------------------------------------------------------
+universe_spec, universe = get_universe()
+
+# ---------------------------------------------------------------------------
+# Database
+# ---------------------------------------------------------------------------
+SUPABASE_URL = os.getenv("SUPABASE_URL")
+SUPABASE_SERVICE_KEY = os.getenv("SUPABASE_SERVICE_KEY")
+
+_db: Client | None = None
+
+
+def _get_db() -> Client:
+    """Return the shared Supabase client, creating it on first use.
+
+    Trades are written with the service key so the ``buy_stock`` and
+    ``sell_stock`` RPCs can stay closed to browser clients.
+    """
+    global _db
+    if _db is None:
+        if not SUPABASE_URL or not SUPABASE_SERVICE_KEY:
+            raise HTTPException(status_code=503, detail="Trading database is not configured")
+        _db = create_client(SUPABASE_URL, SUPABASE_SERVICE_KEY)
+    return _db
+
+
+# ---------------------------------------------------------------------------
+# Email (parents' consent links)
+# ---------------------------------------------------------------------------
+SMTP_HOST = os.getenv("SMTP_HOST")
+SMTP_PORT = int(os.getenv("SMTP_PORT", "587"))
+SMTP_USER = os.getenv("SMTP_USER")
+SMTP_PASSWORD = os.getenv("SMTP_PASSWORD")
+EMAIL_FROM = os.getenv("EMAIL_FROM") or SMTP_USER
+# Where parents' browsers reach this backend, for the links in their emails
+PUBLIC_API_URL = os.getenv("PUBLIC_API_URL", "http://localhost:8000").rstrip("/")
+
+
+def _send_email(to: str, subject: str, body: str) -> None:
+    """Send a plain-text email through ``SMTP_HOST``.
+
+    Without one (a local setup) the email is logged instead of sent.
+    """
+    if not SMTP_HOST:
+        logger.warning("SMTP_HOST is not set; logging the email instead of sending it:\n%s", body)
+        return
+    message = EmailMessage()
+    message["From"] = EMAIL_FROM
+    message["To"] = to
+    message["Subject"] = subject
+    message.set_content(body)
+    with smtplib.SMTP(SMTP_HOST, SMTP_PORT, timeout=30) as smtp:
+        smtp.starttls()
+        if SMTP_USER:
+            smtp.login(SMTP_USER, SMTP_PASSWORD or "")
+        smtp.send_message(message)
+
+
 # ---------------------------------------------------------------------------
 # Helpers
 # ---------------------------------------------------------------------------
@@ -41,59 +220,1304 @@ def _safe(value, default=None):
     return value
 
 
-def _build_summary(ticker: yf.Ticker, symbol: str) -> dict:
-    """Build a compact stock summary dict for a single ticker."""
-    info = ticker.info or {}
+# ---------------------------------------------------------------------------
+# Price cache
+# ---------------------------------------------------------------------------
+# symbol -> {"price", "prevClose", "fetchedAt"}; shared by every client's poll
+_quotes: dict[str, dict] = {}
+# symbol -> (fetched_at, provider info); names and sectors barely change
+_infos: dict[str, tuple[float, dict]] = {}
+# One refresh at a time, so a classroom polling together costs one download
+_quotes_lock = threading.Lock()
+# Symbols whose company info is being fetched in the background
+_infos_pending: set[str] = set()
+
+
+def _get_quotes(symbols: list[str]) -> dict[str, dict]:
+    """Return cached quotes for *symbols*, refreshing expired ones in one batch.
+
+    When the provider fails, quotes up to ``QUOTE_MAX_STALE_SECONDS`` old are served
+    with ``stale`` set rather than dropped. Symbols with no usable quote are
+    left out of the result.
+    """
+    with _quotes_lock:
+        now = time.time()
+        expired = [s for s in symbols if now - _quotes.get(s, {}).get("fetchedAt", 0) > QUOTE_TTL_SECONDS]
+        if expired:
+            logger.info("Refreshing quotes: %s", expired)
+            try:
+                fetched_at = time.time()
+                for sym, quote in market.quotes(expired).items():
+                    _quotes[sym] = {**quote, "fetchedAt": fetched_at}
+            except Exception as exc:
+                logger.warning("Batch quote download failed (%s): %s", market.name, exc)
+
+        result: dict[str, dict] = {}
+        for sym in symbols:
+            quote = _quotes.get(sym)
+            if quote is None:
+                continue
+            age = now - quote["fetchedAt"]
+            if age > QUOTE_MAX_STALE_SECONDS:
+                continue
+            result[sym] = {
+                **quote,
+                "asOf": datetime.fromtimestamp(quote["fetchedAt"], timezone.utc).isoformat(),
+                "stale": age > QUOTE_TTL_SECONDS,
+            }
+        return result
+
+
+def _get_info(symbol: str) -> dict:
+    """Return company info for *symbol*, cached for ``INFO_TTL_SECONDS``."""
+    cached = _infos.get(symbol)
+    if cached and time.time() - cached[0] < INFO_TTL_SECONDS:
+        return cached[1]
+    info = market.info(symbol)
+    _infos[symbol] = (time.time(), info)
+    return info
 
-    price = _safe(info.get("currentPrice")) or _safe(info.get("regularMarketPrice"))
-    prev_close = _safe(info.get("regularMarketPreviousClose"))
+
+def _warm_infos(symbols: list[str]) -> None:
+    """Fetch company info for *symbols* so later summaries carry real names."""
+    for sym in symbols:
+        try:
+            _get_info(sym)
+        except Exception as exc:
+            logger.warning("Info lookup failed for %s: %s", sym, exc)
+        finally:
+            _infos_pending.discard(sym)
+
+
+def _quote_summary(symbol: str, quote: dict) -> dict:
+    """Build the compact stock summary returned by ``/api/stocks``."""
+    price = quote["price"]
+    prev_close = quote["prevClose"]
 
     change = None
     change_pct = None
-    if price is not None and prev_close:
+    if prev_close:
         change = round(price - prev_close, 2)
         change_pct = round((change / prev_close) * 100, 2)
 
+    cached_info = _infos.get(symbol)
+    fallback = universe[symbol]["name"] if symbol in universe else symbol
+    name = _safe(cached_info[1].get("shortName"), fallback) if cached_info else fallback
+
     return {
-        "symbol": symbol.upper(),
-        "name": _safe(info.get("shortName"), symbol.upper()),
+        "symbol": symbol,
+        "name": name,
         "price": price,
         "change": change,
         "changePercent": change_pct,
+        "asOf": quote["asOf"],
+        "stale": quote["stale"],
     }
 
 
+def _parse_symbols(symbols: str, limit: int) -> list[str]:
+    """The distinct symbols in a comma-separated ``symbols`` parameter; 400 if there are none or more than *limit*."""
+    symbol_list = list(dict.fromkeys(s.strip().upper() for s in symbols.split(",") if s.strip()))
+    if not symbol_list:
+        raise HTTPException(status_code=400, detail="No symbols provided")
+    if len(symbol_list) > limit:
+        raise HTTPException(status_code=400, detail=f"Ask for at most {limit} symbols at a time")
+    return symbol_list
+
+
+def _current_prices(symbols: list[str]) -> dict[str, float]:
+    """Fetch the prices trades in *symbols* execute at, in one batch, or raise an HTTP error.
+
+    Trades accept a cached quote but never a stale one.
+    """
+    quotes = _get_quotes(symbols)
+    for symbol in symbols:
+        quote = quotes.get(symbol)
+        if quote is None:
+            raise HTTPException(status_code=404, detail=f"No price data found for {symbol}")
+        if quote["stale"]:
+            raise HTTPException(status_code=502, detail=f"Failed to fetch a fresh price for {symbol}")
+    return {symbol: float(quotes[symbol]["price"]) for symbol in symbols}
+
+
+def _current_price(symbol: str) -> float:
+    """Fetch the price a trade in *symbol* executes at (see ``_current_prices``)."""
+    return _current_prices([symbol])[symbol]
+
+
+def _market_status() -> dict:
+    """NYSE status, or an always-open market when ``MARKET_HOURS=always``."""
+    status = market_status()
+    if MARKET_HOURS == "always":
+        status.update(status="open", isOpen=True, nextClose=None)
+    status["closedMarketOrders"] = CLOSED_MARKET_ORDERS
+    return status
+
+
+def _load_account(db: Client, user_id: str) -> tuple[dict, dict[str, int]]:
+    """Return the ``users`` row and a symbol -> shares map of its lots."""
+    user_res = db.table("users").select("*").eq("id", user_id).maybe_single().execute()
+    if not user_res or not user_res.data:
+        raise HTTPException(status_code=404, detail="Player not found")
+
+    lots_res = db.table("portfolios").select("symbol, shares").eq("user_id", user_id).execute()
+    shares_by_symbol: dict[str, int] = {}
+    for row in lots_res.data or []:
+        shares_by_symbol[row["symbol"]] = shares_by_symbol.get(row["symbol"], 0) + row["shares"]
+    return user_res.data, shares_by_symbol
+
+
+def _auth_id(db: Client, authorization: str | None) -> str:
+    """The Supabase Auth account signed in with the request's ``Authorization: Bearer`` token."""
+    scheme, _, token = (authorization or "").partition(" ")
+    if scheme.lower() != "bearer" or not token:
+        raise HTTPException(status_code=401, detail="🔑 Please log in first")
+    try:
+        res = db.auth.get_user(token)
+    except Exception as exc:
+        logger.info("Rejected a session token: %s", exc)
+        res = None
+    if not res or not res.user:
+        raise HTTPException(status_code=401, detail="🔑 Your session has expired - please log in again")
+    return res.user.id
+
+
+def _require_player(db: Client, user_id: str, authorization: str | None) -> dict:
+    """The ``users`` row for *user_id*; 403 unless it belongs to the signed-in account."""
+    auth_id = _auth_id(db, authorization)
+    res = db.table("users").select("id, auth_id, role").eq("id", user_id).maybe_single().execute()
+    if not res or not res.data:
+        raise HTTPException(status_code=404, detail="Player not found")
+    if res.data.get("auth_id") != auth_id:
+        raise HTTPException(status_code=403, detail="🔒 That isn't your account")
+    return res.data
+
+
+def _parse_time(value: str) -> datetime:
+    """A timestamp as Supabase returns it."""
+    return datetime.fromisoformat(value.replace("Z", "+00:00"))
+
+
+def _load_rules(db: Client, user: dict) -> GameRules:
+    """The rule set the player follows, or the defaults.
+
+    A player in a competition follows the competition's rule set and their
+    game ends with it; otherwise ``users.rules_id`` applies.
+    """
+    rules_id = user.get("rules_id") or DEFAULT_RULES.id
+    ends_at = None
+    if user.get("competition_id"):
+        comp = db.table("competitions").select("rules_id, ends_at").eq("id", user["competition_id"]).maybe_single().execute()
+        if comp and comp.data:
+            rules_id, ends_at = comp.data["rules_id"], comp.data["ends_at"]
+    res = db.table("game_rules").select("*").eq("id", rules_id).maybe_single().execute()
+    if not res or not res.data:
+        logger.warning("Rule set %s not found; using the defaults", rules_id)
+        rules = DEFAULT_RULES
+    else:
+        rules = GameRules.from_row(res.data)
+    return replace(rules, ends_at=ends_at) if ends_at else rules
+
+
+def _player_cash(db: Client, user: dict, rules: GameRules) -> float:
+    """The player's cash. A row with none yet is given the rule set's starting cash, and keeps it."""
+    if user.get("cash") is None:
+        db.table("users").update({"cash": rules.starting_cash}).eq("id", user["id"]).is_("cash", "null").execute()
+        user["cash"] = rules.starting_cash
+    return float(user["cash"])
+
+
+def _needs_consent(user: dict) -> bool:
+    """Whether the player may be under 13 and no parent has said yes yet."""
+    return user.get("age_group") == "under_13" and not user.get("parental_consent_at")
+
+
+def _check_consent(user: dict) -> None:
+    """Refuse to play until a parent has followed the consent link (see /api/consent/request)."""
+    if _needs_consent(user):
+        raise HTTPException(
+            status_code=403, detail="👪 Your parent needs to say yes first - ask them to check their email for our link"
+        )
+
+
+def _check_game_on(
+    user: dict, rules: GameRules, shares_by_symbol: dict[str, int], prices: dict[str, float] | None = None
+) -> None:
+    """Refuse to trade unless the player may.
+
+    Trading takes a parent's consent for a player who may be under 13, no
+    freeze from a teacher, and a game that hasn't ended under *rules*.
+    """
+    _check_consent(user)
+    if user.get("trading_frozen"):
+        raise HTTPException(status_code=403, detail="🧊 Your teacher has paused trading for now")
+    if not user.get("game_started"):
+        return
+    if prices is None:
+        quotes = _get_quotes(list(shares_by_symbol))
+        prices = {sym: q["price"] for sym, q in quotes.items()}
+    total_value = None
+    if all(sym in prices for sym in shares_by_symbol):
+        cash = user.get("cash") if user.get("cash") is not None else rules.starting_cash
+        total_value = float(cash) + sum(n * prices[sym] for sym, n in shares_by_symbol.items())
+    ended = game_over(rules, total_value, float(user.get("start_value") or rules.starting_cash))
+    if ended:
+        raise HTTPException(status_code=409, detail=f"🏁 {ended['message']}")
+
+
+def _fifo_cost_basis(db: Client, user_id: str, symbol: str, shares: int) -> float:
+    """Cost of the *shares* oldest shares of *symbol*, matching the ``sell_stock`` lot order."""
+    lots_res = (
+        db.table("portfolios")
+        .select("shares, purchase_price")
+        .eq("user_id", user_id)
+        .eq("symbol", symbol)
+        .order("purchase_date")
+        .order("id")
+        .execute()
+    )
+    remaining = shares
+    cost = 0.0
+    for lot in lots_res.data or []:
+        if remaining <= 0:
+            break
+        take = min(lot["shares"], remaining)
+        cost += take * float(lot["purchase_price"])
+        remaining -= take
+    return round(cost, 2)
+
+
+def _record_transaction(
+    db: Client,
+    user_id: str,
+    side: str,
+    symbol: str,
+    shares: int,
+    price: float,
+    total: float,
+    cash_before: float,
+    cost_basis: float | None = None,
+) -> dict:
+    """Append an executed trade to the ``transactions`` ledger and return the row.
+
+    Sells pass the FIFO *cost_basis* of the shares sold so the row carries its
+    realized P&L.
+    """
+    cash_after = cash_before - total if side == "buy" else cash_before + total
+    row = {
+        "user_id": user_id,
+        "side": side,
+        "symbol": symbol,
+        "shares": shares,
+        "price": price,
+        "total": total,
+        "cash_before": round(cash_before, 2),
+        "cash_after": round(cash_after, 2),
+    }
+    if cost_basis is not None:
+        row["cost_basis"] = cost_basis
+        row["realized_pnl"] = round(total - cost_basis, 2)
+    try:
+        res = db.table("transactions").insert(row).execute()
+        return (res.data or [row])[0]
+    except Exception as exc:
+        # The trade itself already went through; a missing ledger row is logged, not fatal
+        logger.error("Failed to record %s of %s for user %s: %s", side, symbol, user_id, exc)
+        return row
+
+
+def _record_snapshot(db: Client, user_id: str, cash: float, total_value: float, force: bool = False) -> dict | None:
+    """Save the player's value to ``portfolio_snapshots`` unless the last one is recent.
+
+    Returns the snapshot as the frontends chart it, or None if none was due.
+    """
+    now = datetime.now(timezone.utc)
+    if not force:
+        latest = (
+            db.table("portfolio_snapshots")
+            .select("taken_at")
+            .eq("user_id", user_id)
+            .order("taken_at", desc=True)
+            .limit(1)
+            .execute()
+            .data
+        )
+        if latest and (now - _parse_time(latest[0]["taken_at"])).total_seconds() < SNAPSHOT_INTERVAL_SECONDS:
+            return None
+    row = {"user_id": user_id, "total_value": round(total_value, 2), "cash": round(cash, 2), "taken_at": now.isoformat()}
+    try:
+        db.table("portfolio_snapshots").insert(row).execute()
+    except Exception as exc:
+        logger.error("Failed to snapshot user %s: %s", user_id, exc)
+        return None
+    return {"time": row["taken_at"], "value": row["total_value"]}
+
+
+class TradeRequest(BaseModel):
+    user_id: str
+    symbol: str
+    shares: int = Field(..., gt=0)
+
+
+class PlayerRequest(BaseModel):
+    user_id: str
+
+
+class OrderRequest(BaseModel):
+    user_id: str
+    symbol: str
+    order_type: str
+    shares: int = Field(..., gt=0)
+    trigger_price: float = Field(..., gt=0)
+
+
+class JoinLeagueRequest(BaseModel):
+    user_id: str
+    code: str
+
+
+class AdminRequest(BaseModel):
+    admin_id: str
+
+
+class LeagueRequest(AdminRequest):
+    name: str = Field(..., min_length=1, max_length=80)
+    kind: str = "class"
+    # A class can sit inside a school, named by the school's join code
+    school_code: str | None = None
+
+
+class RenameRequest(AdminRequest):
+    leaderboard_name: str = Field(..., min_length=1, max_length=40)
+
+
+class FreezeRequest(AdminRequest):
+    frozen: bool
+
+
+# ---------------------------------------------------------------------------
+# Price stream
+# ---------------------------------------------------------------------------
+# Each open stream's queue and the symbols it follows. One loop polls them all, so
+# a classroom streaming together costs one quote refresh however many are watching.
+_price_streams: dict[asyncio.Queue, set[str]] = {}
+
+
+def _publish(queue: asyncio.Queue, quotes: dict[str, dict]) -> None:
+    """Hand *quotes* to a stream, replacing any its client hasn't read yet."""
+    if queue.full():
+        queue.get_nowait()
+    queue.put_nowait(quotes)
+
+
+async def _price_stream_loop() -> None:
+    """Every ``PRICE_STREAM_SECONDS``, quote the symbols any stream follows and hand each stream its own."""
+    while True:
+        try:
+            symbols = sorted(set().union(*_price_streams.values()))
+            if symbols:
+                quotes = await asyncio.to_thread(_get_quotes, symbols)
+                for queue, followed in list(_price_streams.items()):
+                    _publish(queue, {s: quotes[s] for s in followed if s in quotes})
+        except Exception as exc:
+            logger.error("Price stream poll failed: %s", exc)
+        await asyncio.sleep(PRICE_STREAM_SECONDS)
+
+
+def _price_event(stocks: list[dict]) -> str:
+    """A ``prices`` server-sent event."""
+    as_of = min((s["asOf"] for s in stocks), default=None)
+    return f"event: prices\ndata: {json.dumps({'stocks': stocks, 'asOf': as_of})}\n\n"
+
+
+# ---------------------------------------------------------------------------
+# Trade execution (shared by the trade routes and the order job)
+# ---------------------------------------------------------------------------
+def _execute_buy(
+    db: Client, user_id: str, symbol: str, shares: int, price: float | None = None
+) -> dict:
+    """Check the game rules, then buy *shares* of *symbol* and record the trade."""
+    user, shares_by_symbol = _load_account(db, user_id)
+    rules = _load_rules(db, user)
+    cash = _player_cash(db, user, rules)
+
+    # The rest of the portfolio is priced in one batch, with the bought stock's if there's no price yet
+    prices = _current_prices([sym for sym in shares_by_symbol if sym != symbol] + ([symbol] if price is None else []))
+    if price is None:
+        price = prices[symbol]
+    prices[symbol] = price
+
+    _check_game_on(user, rules, shares_by_symbol, prices)
+    reason = check_buy(rules, symbol, shares, price, cash, shares_by_symbol, prices)
+    if reason:
+        raise HTTPException(status_code=400, detail=reason)
+
+    total = round(price * shares, 2)
+    logger.info("BUY %s x%d @ %.2f for user %s", symbol, shares, price, user_id)
+    db.rpc(
+        "buy_stock",
+        {
+            "p_user_id": user_id,
+            "p_symbol": symbol,
+            "p_shares": shares,
+            "p_purchase_price": price,
+            "p_purchase_date": date.today().isoformat(),
+            "p_total_cost": total,
+        },
+    ).execute()
+    ledger_row = _record_transaction(db, user_id, "buy", symbol, shares, price, total, cash)
+
+    return {
+        "side": "buy",
+        "symbol": symbol,
+        "shares": shares,
+        "price": price,
+        "total": total,
+        "cash": round(cash - total, 2),
+        "transaction": ledger_row,
+    }
+
+
+def _execute_sell(
+    db: Client, user_id: str, symbol: str, shares: int, price: float | None = None
+) -> dict:
+    """Sell *shares* of *symbol*, oldest lots first, and record the trade."""
+    user, shares_by_symbol = _load_account(db, user_id)
+    rules = _load_rules(db, user)
+    cash = _player_cash(db, user, rules)
+
+    owned = shares_by_symbol.get(symbol, 0)
+    if shares > owned:
+        raise HTTPException(status_code=400, detail=f"📦 You own {owned} shares of {symbol}")
+    _check_game_on(user, rules, shares_by_symbol)
+
+    if price is None:
+        price = _current_price(symbol)
+    total = round(price * shares, 2)
+    cost_basis = _fifo_cost_basis(db, user_id, symbol, shares)
+    logger.info("SELL %s x%d @ %.2f for user %s", symbol, shares, price, user_id)
+    db.rpc(
+        "sell_stock",
+        {
+            "p_user_id": user_id,
+            "p_symbol": symbol,
+            "p_shares": shares,
+            "p_sale_price": price,
+        },
+    ).execute()
+    ledger_row = _record_transaction(
+        db, user_id, "sell", symbol, shares, price, total, cash, cost_basis
+    )
+
+    return {
+        "side": "sell",
+        "symbol": symbol,
+        "shares": shares,
+        "price": price,
+        "total": total,
+        "cash": round(cash + total, 2),
+        "costBasis": cost_basis,
+        "realizedPnl": round(total - cost_basis, 2),
+        "transaction": ledger_row,
+    }
+
+
+# ---------------------------------------------------------------------------
+# Pending orders
+# ---------------------------------------------------------------------------
+def _order_triggered(order: dict, price: float) -> bool:
+    """Whether *price* has reached the order's trigger."""
+    if order["order_type"] == "market":  # queued while the market was closed
+        return True
+    trigger = float(order["trigger_price"])
+    if order["order_type"] in ("limit", "stop_loss"):
+        return price <= trigger
+    return price >= trigger  # take_profit
+
+
+def _check_pending_orders() -> None:
+    """Fill every pending order whose trigger price has been reached.
+
+    Fills go through ``_execute_buy`` / ``_execute_sell`` so they obey the same
+    rules and lot bookkeeping as manual trades. An order the rules refuse is
+    marked ``rejected`` with the reason rather than retried forever. Nothing
+    fills outside the regular session, and a frozen player's orders wait
+    until a teacher lets them trade again.
+    """
+    if not _market_status()["isOpen"]:
+        return
+    db = _get_db()
+    pending = db.table("orders").select("*").eq("status", "pending").order("created_at").execute().data or []
+    if not pending:
+        return
+
+    frozen = {
+        row["id"]
+        for row in db.table("users").select("id").eq("trading_frozen", True).execute().data or []
+    }
+    quotes = _get_quotes(sorted({o["symbol"] for o in pending}))
+    prices = {sym: q["price"] for sym, q in quotes.items() if not q["stale"]}
+
+    for order in pending:
+        if order["user_id"] in frozen:
+            continue
+        price = prices.get(order["symbol"])
+        if price is None or not _order_triggered(order, price):
+            continue
+
+        execute = _execute_buy if order["side"] == "buy" else _execute_sell
+        try:
+            execute(db, order["user_id"], order["symbol"], order["shares"], price)
+            update = {"status": "filled", "fill_price": price, "filled_at": datetime.now(timezone.utc).isoformat()}
+        except HTTPException as exc:
+            update = {"status": "rejected", "note": str(exc.detail)}
+        logger.info("Order %s %s at %.2f", order["id"], update["status"], price)
+        db.table("orders").update(update).eq("id", order["id"]).execute()
+
+
+async def _order_loop() -> None:
+    """Check pending orders every ``ORDER_CHECK_SECONDS`` for the life of the app."""
+    while True:
+        try:
+            await asyncio.to_thread(_check_pending_orders)
+        except Exception as exc:
+            logger.error("Pending order check failed: %s", exc)
+        await asyncio.sleep(ORDER_CHECK_SECONDS)
+
+
+# ---------------------------------------------------------------------------
+# Compliance
+# ---------------------------------------------------------------------------
+def _compliance_row_api(row: dict, message: str | None = None) -> dict:
+    """A ``compliance_events`` row as the frontends read it."""
+    return {
+        "id": row["id"],
+        "rule": row["rule"],
+        "symbol": row["symbol"],
+        "pct": float(row["pct"]),
+        "message": message,
+        "detectedAt": row["detected_at"],
+        "graceEndsAt": row["grace_ends_at"],
+        "resolvedAt": row.get("resolved_at"),
+        "action": row.get("action"),
+        "penaltyPct": float(row.get("penalty_pct") or 0),
+    }
+
+
+def _rebalance(
+    db: Client, user_id: str, rules: GameRules, cash: float, shares_by_symbol: dict[str, int], prices: dict[str, float]
+) -> list[dict]:
+    """Place the ``rebalance_trades`` for a player; returns the trades that went through."""
+    done = []
+    for side, symbol, shares in rebalance_trades(rules, cash, shares_by_symbol, prices):
+        execute = _execute_buy if side == "buy" else _execute_sell
+        try:
+            execute(db, user_id, symbol, shares, prices[symbol])
+            done.append({"side": side, "symbol": symbol, "shares": shares, "price": prices[symbol]})
+        except HTTPException as exc:
+            logger.warning("Rebalance %s %s x%d for user %s refused: %s", side, symbol, shares, user_id, exc.detail)
+    return done
+
+
+def _monitor_compliance(db: Client, user_id: str) -> dict:
+    """Record the player's limit violations and act on those past their grace period.
+
+    Each violation is a ``compliance_events`` row, open until the player fixes
+    it or the rule set's ``compliance_action`` runs out its grace period. A
+    penalty closes the row, so a violation that carries on is penalized again
+    after another grace period. Nothing is acted on while the market is closed
+    or while a teacher has frozen the player's trading. The check also takes
+    the player's value snapshots, so they come from the server's own prices.
+    """
+    user, shares_by_symbol = _load_account(db, user_id)
+    result = {"compliant": True, "violations": [], "actions": [], "snapshot": None}
+    if not user.get("game_started"):
+        return result
+    rules = _load_rules(db, user)
+    quotes = _get_quotes(list(shares_by_symbol))
+    if any(sym not in quotes for sym in shares_by_symbol):
+        logger.warning("Missing prices for user %s; compliance check skipped", user_id)
+        return result
+    prices = {sym: float(q["price"]) for sym, q in quotes.items()}
+    cash = _player_cash(db, user, rules)
+    result["snapshot"] = _record_snapshot(
+        db, user_id, cash, cash + sum(n * prices[sym] for sym, n in shares_by_symbol.items())
+    )
+    issues = {(i["rule"], i["symbol"]): i for i in compliance_issues(rules, cash, shares_by_symbol, prices)}
+
+    now = datetime.now(timezone.utc)
+    open_rows = (
+        db.table("compliance_events").select("*").eq("user_id", user_id).is_("resolved_at", "null").execute().data
+        or []
+    )
+    violations = []
+    for row in open_rows:
+        if (row["rule"], row["symbol"]) in issues:
+            violations.append(row)
+        else:
+            db.table("compliance_events").update({"resolved_at": now.isoformat()}).eq("id", row["id"]).execute()
+    new_ids = set()
+    for key, issue in issues.items():
+        if any((row["rule"], row["symbol"]) == key for row in violations):
+            continue
+        res = (
+            db.table("compliance_events")
+            .insert({
+                "user_id": user_id,
+                "rule": issue["rule"],
+                "symbol": issue["symbol"],
+                "pct": issue["pct"],
+                "detected_at": now.isoformat(),
+                "grace_ends_at": (now + timedelta(minutes=rules.compliance_grace_minutes)).isoformat(),
+            })
+            .execute()
+        )
+        row = res.data[0]
+        logger.info("Compliance: user %s broke %s %s (%.1f%%)", user_id, issue["rule"], issue["symbol"] or "", issue["pct"])
+        violations.append(row)
+        new_ids.add(row["id"])
+
+    expired = [row for row in violations if _parse_time(row["grace_ends_at"]) <= now]
+    if expired and rules.compliance_action != "warn" and not user.get("trading_frozen") and _market_status()["isOpen"]:
+        action, trades = rules.compliance_action, []
+        if action == "rebalance":
+            trades = _rebalance(db, user_id, rules, cash, shares_by_symbol, prices)
+            if not trades:
+                action = "penalty"  # nothing could be traded, so fall back to the penalty
+        penalty_pct = rules.compliance_penalty_pct if action == "penalty" else 0
+        for row in expired:
+            res = (
+                db.table("compliance_events")
+                .update({"resolved_at": now.isoformat(), "action": action, "penalty_pct": penalty_pct})
+                .eq("id", row["id"])
+                .execute()
+            )
+            logger.info("Compliance: %s for user %s on %s %s", action, user_id, row["rule"], row["symbol"] or "")
+            key = (row["rule"], row["symbol"])
+            result["actions"].append({**_compliance_row_api(res.data[0], issues[key]["message"]), "trades": trades})
+        acted_on = {row["id"] for row in expired}
+        violations = [row for row in violations if row["id"] not in acted_on]
+
+    result["compliant"] = not issues
+    result["violations"] = [
+        {**_compliance_row_api(row, issues[(row["rule"], row["symbol"])]["message"]), "isNew": row["id"] in new_ids}
+        for row in violations
+    ]
+    return result
+
+
+# ---------------------------------------------------------------------------
+# Corporate actions
+# ---------------------------------------------------------------------------
+def _apply_corporate_actions() -> None:
+    """Apply recent splits and dividends in every held symbol to its holders.
+
+    ``apply_split`` and ``credit_dividend`` record an event per player and do
+    nothing when that event was already applied, so overlapping lookback
+    windows are harmless. Only lots bought before the ex-date are affected.
+    """
+    db = _get_db()
+    rows = db.table("portfolios").select("user_id, symbol").execute().data or []
+    holders: dict[str, set[str]] = {}
+    for row in rows:
+        holders.setdefault(row["symbol"], set()).add(row["user_id"])
+    if not holders:
+        return
+
+    since = date.today() - timedelta(days=CORPORATE_ACTION_LOOKBACK_DAYS)
+    quotes = _get_quotes(sorted(holders))
+    for symbol, user_ids in holders.items():
+        try:
+            actions = market.actions(symbol, since)
+        except Exception as exc:
+            logger.warning("Corporate actions lookup failed for %s: %s", symbol, exc)
+            continue
+
+        for action in sorted(actions, key=lambda a: a["date"]):
+            if date.fromisoformat(action["date"]) > date.today():
+                continue
+            for user_id in user_ids:
+                if action["type"] == "split":
+                    price = quotes.get(symbol, {}).get("price")
+                    if price is None:
+                        logger.warning("No price to settle %s split for user %s; will retry", symbol, user_id)
+                        continue
+                    params = {"p_ratio": action["value"], "p_price": price}
+                    rpc = "apply_split"
+                else:
+                    params = {"p_amount": action["value"]}
+                    rpc = "credit_dividend"
+                res = db.rpc(
+                    rpc,
+                    {"p_user_id": user_id, "p_symbol": symbol, "p_ex_date": action["date"], **params},
+                ).execute()
+                event = res.data[0] if isinstance(res.data, list) and res.data else res.data
+                if event and event.get("id"):
+                    logger.info(
+                        "Applied %s of %s to %s on %s for user %s",
+                        action["type"], action["value"], symbol, action["date"], user_id,
+                    )
+
+
+async def _corporate_action_loop() -> None:
+    """Apply corporate actions every ``CORPORATE_ACTION_CHECK_SECONDS``."""
+    while True:
+        try:
+            await asyncio.to_thread(_apply_corporate_actions)
+        except Exception as exc:
+            logger.error("Corporate actions check failed: %s", exc)
+        await asyncio.sleep(CORPORATE_ACTION_CHECK_SECONDS)
+
+
+# ---------------------------------------------------------------------------
+# Competitions
+# ---------------------------------------------------------------------------
+def _competition_api(row: dict, entrants: int | None = None) -> dict:
+    """A ``competitions`` row as the frontends read it, with its status right now."""
+    now = datetime.now(timezone.utc)
+    if now < _parse_time(row["starts_at"]):
+        status = "upcoming"
+    elif now < _parse_time(row["ends_at"]):
+        status = "active"
+    else:
+        status = "ended"
+    return {
+        "id": row["id"],
+        "name": row["name"],
+        "startsAt": row["starts_at"],
+        "endsAt": row["ends_at"],
+        "rulesId": row["rules_id"],
+        "status": status,
+        "frozen": bool(row.get("frozen_at")),
+        "entrants": entrants,
+    }
+
+
+def _active_competition(db: Client) -> dict | None:
+    """The competition running now; the latest to start if several overlap."""
+    now = datetime.now(timezone.utc).isoformat()
+    res = (
+        db.table("competitions")
+        .select("*")
+        .lte("starts_at", now)
+        .gt("ends_at", now)
+        .order("starts_at", desc=True)
+        .limit(1)
+        .execute()
+    )
+    return res.data[0] if res.data else None
+
+
+def _competition_standings(db: Client, competition: dict) -> list[dict]:
+    """Entrants ranked by return less compliance penalties.
+
+    Live while the competition runs (see ``_leaderboard_entries``); the frozen
+    results once it has ended.
+    """
+    entries = db.table("competition_entries").select("*").eq("competition_id", competition["id"]).execute().data or []
+    if not entries:
+        return []
+    user_ids = [entry["user_id"] for entry in entries]
+
+    if competition.get("frozen_at"):
+        names = {
+            row["id"]: row["leaderboard_name"]
+            for row in db.table("users").select("id, leaderboard_name").in_("id", user_ids).execute().data or []
+        }
+        standings = [
+            {
+                "userId": entry["user_id"],
+                "name": names.get(entry["user_id"]),
+                "startValue": float(entry["start_value"]),
+                # A player who couldn't be priced at the end has no final value
+                "value": float(entry["final_value"]) if entry["final_value"] is not None else None,
+                "returnPct": float(entry["final_return_pct"]) if entry["final_return_pct"] is not None else None,
+                "penaltyPct": float(entry["penalty_pct"]),
+                "rank": entry["rank"],
+            }
+            for entry in entries
+        ]
+        return sorted(standings, key=lambda s: s["rank"])
+
+    users = db.table("users").select("id, leaderboard_name, cash, start_value").in_("id", user_ids).execute().data or []
+    baselines = {entry["user_id"]: float(entry["start_value"]) for entry in entries}
+    standings = _leaderboard_entries(db, users, baselines, competition["starts_at"], competition["ends_at"])
+    return rank_leaderboard(standings, "return")
+
+
+def _freeze_competitions() -> None:
+    """Record the final standings of every competition that has ended."""
+    db = _get_db()
+    now = datetime.now(timezone.utc).isoformat()
+    ended = db.table("competitions").select("*").lte("ends_at", now).is_("frozen_at", "null").execute().data or []
+    for competition in ended:
+        standings = _competition_standings(db, competition)
+        for standing in standings:
+            db.table("competition_entries").update(
+                {
+                    "final_value": standing["value"],
+                    "final_return_pct": standing["returnPct"],
+                    "penalty_pct": standing["penaltyPct"],
+                    "rank": standing["rank"],
+                }
+            ).eq("competition_id", competition["id"]).eq("user_id", standing["userId"]).execute()
+        db.table("competitions").update({"frozen_at": now}).eq("id", competition["id"]).execute()
+        logger.info(
+            "Froze competition %s (%s): %d entrants, winner %s",
+            competition["id"], competition["name"], len(standings), standings[0]["name"] if standings else None,
+        )
+
+
+async def _competition_loop() -> None:
+    """Freeze ended competitions every ``COMPETITION_CHECK_SECONDS``."""
+    while True:
+        try:
+            await asyncio.to_thread(_freeze_competitions)
+        except Exception as exc:
+            logger.error("Competition check failed: %s", exc)
+        await asyncio.sleep(COMPETITION_CHECK_SECONDS)
+
+
+@app.on_event("startup")
+async def _start_background_jobs() -> None:
+    asyncio.create_task(_kt_score_loop())
+    asyncio.create_task(_price_stream_loop())
+    if SUPABASE_URL and SUPABASE_SERVICE_KEY:
+        asyncio.create_task(_order_loop())
+        asyncio.create_task(_corporate_action_loop())
+        asyncio.create_task(_competition_loop())
+    else:
+        logger.warning(
+            "Trading database not configured; orders, corporate actions and competitions will not be processed"
+        )
+
+
+# ---------------------------------------------------------------------------
+# Leaderboard (metrics and ranking modes: see leaderboard.py)
+# ---------------------------------------------------------------------------
+def _player_values(db: Client, users: list[dict]) -> dict[str, float | None]:
+    """Each player's value now: cash plus their holdings at current prices.
+
+    A player holding something the provider can't price gets their latest
+    snapshot value instead, or None without one, rather than a guess.
+    """
+    user_ids = [user["id"] for user in users]
+    lots = db.table("portfolios").select("user_id, symbol, shares").in_("user_id", user_ids).execute().data or []
+    quotes = _get_quotes(sorted({lot["symbol"] for lot in lots}))
+    values: dict[str, float | None] = {}
+    for user in users:
+        cash = user.get("cash") if user.get("cash") is not None else user.get("start_value")
+        values[user["id"]] = float(cash if cash is not None else DEFAULT_RULES.starting_cash)
+    unpriced = set()
+    for lot in lots:
+        price = quotes.get(lot["symbol"], {}).get("price")
+        if price is None:
+            unpriced.add(lot["user_id"])
+        else:
+            values[lot["user_id"]] += lot["shares"] * float(price)
+    for user_id in unpriced:
+        latest = (
+            db.table("portfolio_snapshots")
+            .select("total_value")
+            .eq("user_id", user_id)
+            .order("taken_at", desc=True)
+            .limit(1)
+            .execute()
+            .data
+        )
+        values[user_id] = float(latest[0]["total_value"]) if latest else None
+    return {user_id: round(value, 2) if value is not None else None for user_id, value in values.items()}
+
+
+def _leaderboard_entries(
+    db: Client,
+    users: list[dict],
+    baselines: dict[str, float],
+    since: str | None = None,
+    until: str | None = None,
+) -> list[dict]:
+    """One unranked entry per player in *users*, scored for every ranking mode.
+
+    Returns are measured from *baselines* (``start_value``, or a competition's
+    entry values) and compliance penalties come off ``returnPct``. *since* and
+    *until* limit the snapshots, penalties and cash flows to a competition's window.
+    """
+    if not users:
+        return []
+    user_ids = [user["id"] for user in users]
+    values = _player_values(db, users)
+
+    # A class soon has more snapshots than one request returns, so both are read in pages
+    def in_window(table: str, columns: str, time_column: str):
+        query = db.table(table).select(columns).in_("user_id", user_ids)
+        if since:
+            query = query.gte(time_column, since)
+        if until:
+            query = query.lt(time_column, until)
+        return query.order(time_column).order("id")
+
+    compliance: dict[str, dict] = {}
+    for event in fetch_all(lambda: in_window("compliance_events", "user_id, penalty_pct", "detected_at")):
+        c = compliance.setdefault(event["user_id"], {"violations": 0, "penaltyPct": 0.0})
+        c["violations"] += 1
+        c["penaltyPct"] += float(event["penalty_pct"])
+    snapshots: dict[str, list[dict]] = {}
+    for row in fetch_all(lambda: in_window("portfolio_snapshots", "user_id, total_value, taken_at", "taken_at")):
+        snapshots.setdefault(row["user_id"], []).append(row)
+    # Dividends and split cash from this run, which the time-weighted return leaves out
+    started = {user["id"]: user.get("started_at") for user in users}
+    cash_flows: dict[str, list[dict]] = {}
+    for row in fetch_all(
+        lambda: in_window("corporate_action_events", "user_id, cash_credited, applied_at", "applied_at")
+    ):
+        run_start = started.get(row["user_id"])
+        if float(row["cash_credited"]) and (not run_start or _parse_time(row["applied_at"]) >= _parse_time(run_start)):
+            cash_flows.setdefault(row["user_id"], []).append(row)
+
+    entries = []
+    for user in users:
+        uid = user["id"]
+        start_value = baselines[uid]
+        value = values.get(uid)
+        c = compliance.get(uid, {"violations": 0, "penaltyPct": 0.0})
+        penalty = round(c["penaltyPct"], 2)
+        entries.append({
+            "userId": uid,
+            "name": user.get("leaderboard_name"),
+            "startValue": start_value,
+            "value": value,
+            "returnPct": round((value - start_value) / start_value * 100 - penalty, 2) if value is not None else None,
+            "penaltyPct": penalty,
+            "violations": c["violations"],
+            **run_metrics(start_value, snapshots.get(uid, []), value, cash_flows=cash_flows.get(uid)),
+        })
+    return entries
+
+
+def _leaderboard(db: Client, scope: str, user_id: str | None, competition_id: int | None) -> list[dict]:
+    """Unranked entries for a scope: everyone, the player's class or school, or a competition's entrants.
+
+    Players are public by leaderboard name only; real names and contact
+    details never leave the ``users`` table this way.
+    """
+    columns = "id, leaderboard_name, cash, start_value, game_started, started_at"
+    if competition_id is not None:
+        res = db.table("competitions").select("*").eq("id", competition_id).maybe_single().execute()
+        if not res or not res.data:
+            raise HTTPException(status_code=404, detail="Competition not found")
+        competition = res.data
+        entries = (
+            db.table("competition_entries").select("user_id, start_value").eq("competition_id", competition_id)
+            .execute().data or []
+        )
+        if not entries:
+            return []
+        baselines = {entry["user_id"]: float(entry["start_value"]) for entry in entries}
+        users = db.table("users").select(columns).in_("id", list(baselines)).execute().data or []
+        return _leaderboard_entries(db, users, baselines, competition["starts_at"], competition["ends_at"])
+
+    query = db.table("users").select(columns).eq("game_started", True)
+    if scope != "global":
+        if not user_id:
+            raise HTTPException(status_code=400, detail=f"Pass user_id to see a {scope} leaderboard")
+        res = db.table("users").select("class_id, school_id").eq("id", user_id).maybe_single().execute()
+        if not res or not res.data:
+            raise HTTPException(status_code=404, detail="Player not found")
+        league_id = res.data[f"{scope}_id"]
+        if league_id is None:
+            return []
+        query = query.eq(f"{scope}_id", league_id)
+    users = query.execute().data or []
+    baselines = {
+        user["id"]: float(user["start_value"] if user.get("start_value") is not None else DEFAULT_RULES.starting_cash)
+        for user in users
+    }
+    return _leaderboard_entries(db, users, baselines)
+
+
+# ---------------------------------------------------------------------------
+# Leagues
+# ---------------------------------------------------------------------------
+def _league_api(row: dict | None, with_code: bool = False) -> dict | None:
+    """A ``leagues`` row as the frontends read it; the join code only for its creator."""
+    if not row:
+        return None
+    league = {"id": row["id"], "name": row["name"], "kind": row["kind"], "schoolId": row.get("school_id")}
+    if with_code:
+        league["joinCode"] = row["join_code"]
+    return league
+
+
+def _league_by_code(db: Client, code: str) -> dict:
+    res = db.table("leagues").select("*").eq("join_code", code.strip().upper()).maybe_single().execute()
+    if not res or not res.data:
+        raise HTTPException(status_code=404, detail="🔑 No class or school has that code - check it with your teacher")
+    return res.data
+
+
+def _new_join_code(db: Client) -> str:
+    while True:
+        code = "".join(secrets.choice(JOIN_CODE_ALPHABET) for _ in range(JOIN_CODE_LENGTH))
+        if not db.table("leagues").select("id").eq("join_code", code).execute().data:
+            return code
+
+
+# ---------------------------------------------------------------------------
+# Admin (a teacher's dashboard over their own classes; roles are set by hand: see the admin migration)
+# ---------------------------------------------------------------------------
+def _require_admin(db: Client, admin_id: str, authorization: str | None) -> dict:
+    """The signed-in admin's ``users`` row; 403 unless *admin_id* is theirs and has the admin role."""
+    admin = _require_player(db, admin_id, authorization)
+    if admin.get("role") != "admin":
+        raise HTTPException(status_code=403, detail="🔒 Only a teacher can do that")
+    return admin
+
+
+def _admin_scope(db: Client, admin: dict) -> tuple[set[int], set[int]]:
+    """The ids of the classes and schools *admin* teaches.
+
+    That is every league they created, plus the classes inside a school they created.
+    """
+    owned = db.table("leagues").select("id, kind").eq("owner_id", admin["id"]).execute().data or []
+    class_ids = {row["id"] for row in owned if row["kind"] == "class"}
+    school_ids = {row["id"] for row in owned if row["kind"] == "school"}
+    if school_ids:
+        in_schools = db.table("leagues").select("id").in_("school_id", sorted(school_ids)).execute().data or []
+        class_ids |= {row["id"] for row in in_schools}
+    return class_ids, school_ids
+
+
+def _admin_player(db: Client, admin: dict, user_id: str) -> dict:
+    """The ``users`` row of a player in one of *admin*'s classes or schools; 403 for anyone else's."""
+    user, _ = _load_account(db, user_id)
+    class_ids, school_ids = _admin_scope(db, admin)
+    if user.get("class_id") not in class_ids and user.get("school_id") not in school_ids:
+        raise HTTPException(status_code=403, detail="🔒 That player isn't in one of your classes")
+    return user
+
+
+def _reset_player(db: Client, user: dict) -> GameRules:
+    """Clear a player's holdings, value history and violations; returns the rule set whose starting cash they get.
+
+    Pending orders are cancelled too, so nothing placed in the old game fills in the new one.
+    """
+    rules = _load_rules(db, {**user, "competition_id": None})
+    db.table("portfolios").delete().eq("user_id", user["id"]).execute()
+    (
+        db.table("orders")
+        .update({"status": "cancelled", "note": "Game reset"})
+        .eq("user_id", user["id"])
+        .eq("status", "pending")
+        .execute()
+    )
+    db.table("portfolio_snapshots").delete().eq("user_id", user["id"]).execute()
+    db.table("compliance_events").delete().eq("user_id", user["id"]).execute()
+    db.table("users").update(
+        {
+            "cash": rules.starting_cash,
+            "start_value": rules.starting_cash,
+            "game_started": False,
+            "started_at": None,
+            "competition_id": None,
+        }
+    ).eq("id", user["id"]).execute()
+    logger.info("RESET game for user %s with %.2f cash", user["id"], rules.starting_cash)
+    return rules
+
+
+def _admin_players(db: Client, admin: dict, class_id: int | None) -> list[dict]:
+    """The players in *admin*'s classes and schools, or in one of their classes, ranked by return.
+
+    Each is a leaderboard entry (see ``_leaderboard_entries``) plus the profile,
+    cash, ``holdings`` at current prices and ``openViolations``. A class that
+    isn't theirs is a 403.
+    """
+    class_ids, school_ids = _admin_scope(db, admin)
+    query = db.table("users").select("*").eq("role", "player")
+    if class_id is not None:
+        if class_id not in class_ids:
+            raise HTTPException(status_code=403, detail="🔒 That isn't one of your classes")
+        query = query.eq("class_id", class_id)
+    elif class_ids or school_ids:
+        scope = [f"class_id.in.({','.join(map(str, sorted(class_ids)))})"] if class_ids else []
+        scope += [f"school_id.in.({','.join(map(str, sorted(school_ids)))})"] if school_ids else []
+        query = query.or_(",".join(scope))
+    else:
+        return []
+    users = query.execute().data or []
+    if not users:
+        return []
+    user_ids = [user["id"] for user in users]
+
+    held: dict[str, dict[str, int]] = {}
+    for lot in db.table("portfolios").select("user_id, symbol, shares").in_("user_id", user_ids).execute().data or []:
+        shares = held.setdefault(lot["user_id"], {})
+        shares[lot["symbol"]] = shares.get(lot["symbol"], 0) + lot["shares"]
+    quotes = _get_quotes(sorted({sym for shares in held.values() for sym in shares}))
+    open_events: dict[str, list[dict]] = {}
+    events = (
+        db.table("compliance_events").select("*").in_("user_id", user_ids).is_("resolved_at", "null").execute().data
+        or []
+    )
+    for row in events:
+        open_events.setdefault(row["user_id"], []).append(_compliance_row_api(row))
+
+    baselines = {
+        user["id"]: float(user["start_value"] if user.get("start_value") is not None else DEFAULT_RULES.starting_cash)
+        for user in users
+    }
+    by_id = {user["id"]: user for user in users}
+    players = []
+    for entry in rank_leaderboard(_leaderboard_entries(db, users, baselines), "return"):
+        user = by_id[entry["userId"]]
+        holdings = []
+        for sym, shares in sorted(held.get(user["id"], {}).items()):
+            price = quotes.get(sym, {}).get("price")
+            holdings.append({
+                "symbol": sym,
+                "shares": shares,
+                "price": price,
+                "value": round(shares * price, 2) if price is not None else None,
+            })
+        players.append({
+            **entry,
+            "firstName": user.get("first_name"),
+            "lastName": user.get("last_name"),
+            "classId": user.get("class_id"),
+            "schoolId": user.get("school_id"),
+            "cash": float(user["cash"]) if user.get("cash") is not None else None,
+            "gameStarted": bool(user.get("game_started")),
+            "tradingFrozen": bool(user.get("trading_frozen")),
+            "holdings": holdings,
+            "openViolations": open_events.get(user["id"], []),
+        })
+    return players
+
+
+# ---------------------------------------------------------------------------
+# KT scores
+# ---------------------------------------------------------------------------
+# symbol -> (scored_at, kt_score result)
+_kt_scores: dict[str, tuple[float, dict]] = {}
+
+
+def _score_symbol(symbol: str, price: float | None) -> dict:
+    """KT score for *symbol* from six months of daily bars and its company info."""
+    try:
+        bars = market.history(symbol, "6mo", "1d")
+    except Exception as exc:
+        logger.warning("History for %s unavailable for scoring: %s", symbol, exc)
+        bars = []
+    try:
+        info = _get_info(symbol)
+    except Exception as exc:
+        logger.warning("Info for %s unavailable for scoring: %s", symbol, exc)
+        info = {}
+    sector = info.get("sector") or universe.get(symbol, {}).get("sector")
+    return {**kt_score(symbol, bars, info, price, sentiment_source), "sector": sector}
+
+
+def _get_kt_scores(quotes: dict[str, dict], max_age: float = KT_SCORE_TTL_SECONDS) -> dict[str, dict]:
+    """KT scores for every quoted symbol, rescoring ones older than *max_age* in parallel."""
+    now = time.time()
+    expired = [s for s in quotes if now - _kt_scores.get(s, (0, None))[0] > max_age]
+    if expired:
+        logger.info("Scoring: %s", expired)
+        with ThreadPoolExecutor(max_workers=4) as pool:
+            results = pool.map(lambda s: _score_symbol(s, quotes[s]["price"]), expired)
+            for sym, result in zip(expired, results):
+                _kt_scores[sym] = (now, result)
+    return {sym: _kt_scores[sym][1] for sym in quotes}
+
+
+async def _kt_score_loop() -> None:
+    """Keep the whole universe scored, so ranking a large universe never waits
+    on hundreds of history downloads."""
+    while True:
+        try:
+            quotes = await asyncio.to_thread(_get_quotes, list(universe))
+            await asyncio.to_thread(_get_kt_scores, quotes, KT_SCORE_TTL_SECONDS - KT_SCORE_REFRESH_SECONDS)
+        except Exception as exc:
+            logger.error("Universe scoring failed: %s", exc)
+        await asyncio.sleep(KT_SCORE_REFRESH_SECONDS)
+
+
+def _ranking_profile(
+    user_id: str | None, authorization: str | None, risk: str | None, sector: str | None, goal: str | None
+) -> dict:
+    """The preferences to personalize rankings with: the signed-in player's saved
+    profile, overridden by any explicit ``risk`` / ``sector`` / ``goal``.
+
+    A saved profile is private, so *user_id* must be the caller's own account.
+    """
+    profile: dict = {}
+    if user_id:
+        db = _get_db()
+        _require_player(db, user_id, authorization)
+        res = (
+            db
+            .table("users")
+            .select("risk_tolerance, preferred_sector, return_goal")
+            .eq("id", user_id)
+            .maybe_single()
+            .execute()
+        )
+        if not res or not res.data:
+            raise HTTPException(status_code=404, detail="Player not found")
+        profile = {
+            "riskTolerance": res.data.get("risk_tolerance"),
+            "preferredSector": res.data.get("preferred_sector"),
+            "returnGoal": res.data.get("return_goal"),
+        }
+    for key, value, allowed in (
+        ("riskTolerance", risk, RISK_TOLERANCES),
+        ("preferredSector", sector, GAME_SECTORS),
+        ("returnGoal", goal, RETURN_GOALS),
+    ):
+        if value is None:
+            continue
+        if value not in allowed:
+            raise HTTPException(status_code=400, detail=f"{key} must be one of: {', '.join(allowed)}")
+        profile[key] = value
+    return {k: v for k, v in profile.items() if v}
+
+
 # ---------------------------------------------------------------------------
 # Routes
 # ---------------------------------------------------------------------------
 @app.get("/")
 async def root():
-    return {"message": "Stock Trading Game API is running"}
+    return {"message": "Stock Trading Game API is running", "marketData": market.name}
 
 
 @app.get("/api/stocks")
-async def get_stocks(
+def get_stocks(
     symbols: str = Query(
         ...,
-        description="Comma-separated stock symbols, e.g. AAPL,MSFT,GOOGL",
+        description=f"Comma-separated stock symbols, e.g. AAPL,MSFT,GOOGL (at most {STOCKS_MAX_SYMBOLS})",
     ),
 ):
-    """Fetch current price data for one or more stock symbols."""
-    symbol_list = [s.strip().upper() for s in symbols.split(",") if s.strip()]
-
-    if not symbol_list:
-        raise HTTPException(status_code=400, detail="No symbols provided")
+    """Fetch current price data for one or more stock symbols.
 
+    Quotes come from the shared cache, so each ``asOf`` says when the provider was
+    last asked and ``stale`` marks quotes kept only because a refresh failed.
+    """
+    symbol_list = _parse_symbols(symbols, STOCKS_MAX_SYMBOLS)
     logger.info("Fetching stocks: %s", symbol_list)
+    quotes = _get_quotes(symbol_list)
+
+    # Names are filled in off the request path; until then the symbol stands in
+    missing_info = [s for s in quotes if s not in _infos and s not in _infos_pending]
+    if missing_info:
+        _infos_pending.update(missing_info)
+        threading.Thread(target=_warm_infos, args=(missing_info,), daemon=True).start()
     results: list[dict] = []
 
     for sym in symbol_list:
-        try:
-            ticker = yf.Ticker(sym)
-            summary = _build_summary(ticker, sym)
-            results.append(summary)
-        except Exception as exc:
-            logger.warning("Failed to fetch %s: %s", sym, exc)
+        quote = quotes.get(sym)
+        if quote is not None:
+            results.append(_quote_summary(sym, quote))
+        else:
             results.append(
                 {
                     "symbol": sym,
@@ -101,40 +1525,769 @@ async def get_stocks(
                     "price": None,
                     "change": None,
                     "changePercent": None,
-                    "error": str(exc),
+                    "error": "No price data available",
                 }
             )
 
-    return {"stocks": results}
+    as_of = min((q["asOf"] for q in quotes.values()), default=None)
+    return {"stocks": results, "asOf": as_of, "stale": any(q["stale"] for q in quotes.values())}
+
+
+@app.get("/api/prices/stream")
+async def stream_prices(
+    symbols: str = Query(
+        ..., description=f"Comma-separated stock symbols to follow (at most {PRICE_STREAM_MAX_SYMBOLS})"
+    ),
+):
+    """Stream prices for *symbols* as server-sent ``prices`` events.
+
+    The first event has every symbol that can be priced. After that there is one
+    event every ``PRICE_STREAM_SECONDS`` with just the symbols whose price moved,
+    so an empty ``stocks`` list means nothing changed. To follow other symbols,
+    open a new stream.
+    """
+    symbol_list = _parse_symbols(symbols, PRICE_STREAM_MAX_SYMBOLS)
+
+    queue: asyncio.Queue = asyncio.Queue(maxsize=1)
+
+    async def events():
+        _price_streams[queue] = set(symbol_list)
+        try:
+            quotes = await asyncio.to_thread(_get_quotes, symbol_list)
+            sent = {sym: quote["price"] for sym, quote in quotes.items()}
+            yield _price_event([_quote_summary(sym, quotes[sym]) for sym in symbol_list if sym in quotes])
+            while True:
+                quotes = await queue.get()
+                moved = [sym for sym in symbol_list if sym in quotes and quotes[sym]["price"] != sent.get(sym)]
+                sent.update({sym: quotes[sym]["price"] for sym in moved})
+                yield _price_event([_quote_summary(sym, quotes[sym]) for sym in moved])
+        finally:
+            _price_streams.pop(queue, None)
+
+    logger.info("Streaming prices: %s", symbol_list)
+    return StreamingResponse(
+        events(),
+        media_type="text/event-stream",
+        # Proxies must pass each event straight through
+        headers={"Cache-Control": "no-cache", "X-Accel-Buffering": "no"},
+    )
+
+
+@app.get("/api/universe")
+def get_game_universe():
+    """Every symbol in the game universe, with its name, sector and type."""
+    return {"universe": universe_spec, "count": len(universe), "symbols": list(universe.values())}
+
+
+@app.get("/api/search")
+def search_symbols(
+    q: str = Query(..., description="Ticker or company name, or the start of one"),
+    limit: int = Query(10, ge=1, le=50),
+):
+    """Autocomplete tickers and company names from the game universe."""
+    if not q.strip():
+        raise HTTPException(status_code=400, detail="Empty search")
+    return {"query": q, "results": search_universe(universe, q, limit)}
+
+
+@app.get("/api/kt/rankings")
+def get_kt_rankings(
+    symbols: str = Query(
+        None,
+        description=(
+            f"Comma-separated stock symbols to score, at most {RANKINGS_MAX_PAGE_SIZE} (default: the whole game universe)"
+        ),
+    ),
+    user_id: str = Query(None, description="Personalize for your own saved preferences (needs your sign-in)"),
+    risk: str = Query(None, description="Risk tolerance: low, medium or high"),
+    sector: str = Query(None, description="Favorite sector, as offered at registration"),
+    goal: str = Query(None, description="Return goal: short or long"),
+    page: int = Query(1, ge=1),
+    page_size: int = Query(RANKINGS_PAGE_SIZE, ge=1, le=RANKINGS_MAX_PAGE_SIZE),
+    authorization: str | None = Header(None),
+):
+    """Rank stocks by KT score, best first, with each sub-score explained.
+
+    Given the signed-in player's ``user_id`` or any of ``risk`` / ``sector`` /
+    ``goal``, each ranking's ``ktValue`` is personalized (``baseKtValue`` keeps
+    the shared score) and ``forYou`` explains why the stock suits that player.
+
+    Results come a page at a time; ``total`` counts every ranked stock. Without
+    ``symbols`` the universe is ranked from the background scorer's results, and
+    ``pending`` counts stocks it hasn't scored yet (just after startup).
+    """
+    if symbols:
+        symbol_list = _parse_symbols(symbols, RANKINGS_MAX_PAGE_SIZE)
+        quotes = _get_quotes(symbol_list)
+        scores = _get_kt_scores(quotes)
+    else:
+        symbol_list = list(universe)
+        quotes = _get_quotes(symbol_list)
+        scores = {sym: _kt_scores[sym][1] for sym in quotes if sym in _kt_scores}
+    profile = _ranking_profile(user_id, authorization, risk, sector, goal)
+
+    rankings = [{**_quote_summary(sym, quote), **scores[sym]} for sym, quote in quotes.items() if sym in scores]
+    if profile:
+        rankings = [personalize(r, profile) for r in rankings]
+    rankings.sort(key=lambda r: r["ktValue"], reverse=True)
+    start = (page - 1) * page_size
+
+    return {
+        "rankings": rankings[start:start + page_size],
+        "page": page,
+        "pageSize": page_size,
+        "total": len(rankings),
+        "pending": len(quotes) - len(scores),
+        "missing": [s for s in symbol_list if s not in quotes],
+        "weights": KT_WEIGHTS,
+        "sentimentSource": sentiment_source.name,
+        "profile": profile or None,
+        "asOf": min((q["asOf"] for q in quotes.values()), default=None),
+        "stale": any(q["stale"] for q in quotes.values()),
+    }
 
 
 @app.get("/api/stock/{symbol}")
-async def get_stock_detail(symbol: str):
+def get_stock_detail(symbol: str):
     """Fetch detailed info for a single stock symbol."""
     symbol = symbol.strip().upper()
     logger.info("Fetching detail for: %s", symbol)
 
+    quote = _get_quotes([symbol]).get(symbol)
+    if quote is None:
+        raise HTTPException(status_code=404, detail=f"No price data found for {symbol}")
+
     try:
-        ticker = yf.Ticker(symbol)
-        info = ticker.info or {}
+        info = _get_info(symbol)
     except Exception as exc:
-        logger.error("yfinance error for %s: %s", symbol, exc)
-        raise HTTPException(status_code=502, detail=f"Failed to fetch data for {symbol}")
-
-    price = _safe(info.get("currentPrice")) or _safe(info.get("regularMarketPrice"))
-    if price is None:
-        raise HTTPException(status_code=404, detail=f"No price data found for {symbol}")
+        logger.warning("Info lookup failed for %s: %s", symbol, exc)
+        info = {}
 
     return {
         "symbol": symbol,
         "name": _safe(info.get("shortName"), symbol),
-        "price": price,
+        "price": quote["price"],
         "marketCap": _safe(info.get("marketCap")),
         "sector": _safe(info.get("sector"), "N/A"),
         "industry": _safe(info.get("industry"), "N/A"),
+        "asOf": quote["asOf"],
+        "stale": quote["stale"],
     }
 
 
+@app.get("/api/stock/{symbol}/history")
+def get_stock_history(
+    symbol: str,
+    period: str = Query("1mo", description="How far back to go, e.g. 1d, 5d, 1mo, 1y"),
+    interval: str = Query("1d", description="Bar size, e.g. 5m, 1h, 1d, 1wk"),
+):
+    """Fetch OHLCV bars for a single stock symbol."""
+    symbol = symbol.strip().upper()
+    if period not in HISTORY_PERIODS:
+        raise HTTPException(status_code=400, detail=f"Unsupported period: {period}")
+    if interval not in HISTORY_INTERVALS:
+        raise HTTPException(status_code=400, detail=f"Unsupported interval: {interval}")
+
+    logger.info("Fetching history for %s (%s / %s)", symbol, period, interval)
+    try:
+        bars = market.history(symbol, period, interval)
+    except Exception as exc:
+        logger.error("%s history error for %s: %s", market.name, symbol, exc)
+        raise HTTPException(status_code=502, detail=f"Failed to fetch history for {symbol}")
+
+    if not bars:
+        raise HTTPException(status_code=404, detail=f"No price history found for {symbol}")
+
+    return {"symbol": symbol, "period": period, "interval": interval, "bars": bars}
+
+
+@app.get("/api/market/status")
+def get_market_status():
+    """Whether the market is open now, and when it next opens."""
+    return _market_status()
+
+
+def _closed_market_trade(db: Client, trade: TradeRequest, side: str, status: dict) -> dict:
+    """Block a trade placed while the market is closed, or queue it for the open."""
+    symbol = trade.symbol.strip().upper()
+    if CLOSED_MARKET_ORDERS != "queue":
+        raise HTTPException(status_code=409, detail="🔒 The market is closed right now")
+
+    user, shares_by_symbol = _load_account(db, trade.user_id)
+    if side == "sell":
+        owned = shares_by_symbol.get(symbol, 0)
+        if trade.shares > owned:
+            raise HTTPException(status_code=400, detail=f"📦 You own {owned} shares of {symbol}")
+    _check_game_on(user, _load_rules(db, user), shares_by_symbol)
+
+    res = (
+        db.table("orders")
+        .insert(
+            {
+                "user_id": trade.user_id,
+                "side": side,
+                "order_type": "market",
+                "symbol": symbol,
+                "shares": trade.shares,
+            }
+        )
+        .execute()
+    )
+    logger.info(
+        "QUEUED %s %s x%d for user %s until %s",
+        side.upper(), symbol, trade.shares, trade.user_id, status["nextOpen"],
+    )
+    return {"queued": True, "order": (res.data or [None])[0], "nextOpen": status["nextOpen"]}
+
+
+@app.get("/api/stock/{symbol}/actions")
+def get_stock_actions(
+    symbol: str,
+    since: date = Query(None, description="Earliest ex-date to include (default: one year ago)"),
+):
+    """List splits and dividends for a single stock symbol."""
+    symbol = symbol.strip().upper()
+    since = since or date.today() - timedelta(days=365)
+
+    logger.info("Fetching corporate actions for %s since %s", symbol, since)
+    try:
+        actions = market.actions(symbol, since)
+    except Exception as exc:
+        logger.error("%s actions error for %s: %s", market.name, symbol, exc)
+        raise HTTPException(status_code=502, detail=f"Failed to fetch corporate actions for {symbol}")
+
+    return {"symbol": symbol, "since": since.isoformat(), "actions": sorted(actions, key=lambda a: a["date"])}
+
+
+@app.post("/api/trades/buy")
+def buy_shares(trade: TradeRequest, authorization: str | None = Header(None)):
+    """Buy shares at the server's current price after checking the game rules."""
+    db = _get_db()
+    _require_player(db, trade.user_id, authorization)
+    status = _market_status()
+    if not status["isOpen"]:
+        return _closed_market_trade(db, trade, "buy", status)
+    return _execute_buy(db, trade.user_id, trade.symbol.strip().upper(), trade.shares)
+
+
+@app.post("/api/trades/sell")
+def sell_shares(trade: TradeRequest, authorization: str | None = Header(None)):
+    """Sell shares, oldest lots first, at the server's current price."""
+    db = _get_db()
+    _require_player(db, trade.user_id, authorization)
+    status = _market_status()
+    if not status["isOpen"]:
+        return _closed_market_trade(db, trade, "sell", status)
+    return _execute_sell(db, trade.user_id, trade.symbol.strip().upper(), trade.shares)
+
+
+@app.post("/api/orders")
+def place_order(order: OrderRequest, authorization: str | None = Header(None)):
+    """Queue a limit buy or a stop-loss / take-profit sell."""
+    db = _get_db()
+    _require_player(db, order.user_id, authorization)
+    symbol = order.symbol.strip().upper()
+    side = ORDER_SIDES.get(order.order_type)
+    if side is None:
+        raise HTTPException(status_code=400, detail=f"Unknown order type: {order.order_type}")
+
+    user, shares_by_symbol = _load_account(db, order.user_id)
+    if side == "sell" and order.shares > shares_by_symbol.get(symbol, 0):
+        owned = shares_by_symbol.get(symbol, 0)
+        raise HTTPException(status_code=400, detail=f"📦 You own {owned} shares of {symbol}")
+    _check_game_on(user, _load_rules(db, user), shares_by_symbol)
+
+    res = (
+        db.table("orders")
+        .insert(
+            {
+                "user_id": order.user_id,
+                "side": side,
+                "order_type": order.order_type,
+                "symbol": symbol,
+                "shares": order.shares,
+                "trigger_price": order.trigger_price,
+            }
+        )
+        .execute()
+    )
+    logger.info(
+        "ORDER %s %s x%d @ %.2f for user %s",
+        order.order_type, symbol, order.shares, order.trigger_price, order.user_id,
+    )
+    return {"order": (res.data or [None])[0]}
+
+
+@app.post("/api/orders/{order_id}/cancel")
+def cancel_order(order_id: int, user_id: str = Query(...), authorization: str | None = Header(None)):
+    """Cancel one of the player's pending orders."""
+    db = _get_db()
+    _require_player(db, user_id, authorization)
+    res = (
+        db.table("orders")
+        .update({"status": "cancelled"})
+        .eq("id", order_id)
+        .eq("user_id", user_id)
+        .eq("status", "pending")
+        .execute()
+    )
+    if not res.data:
+        raise HTTPException(status_code=404, detail="No pending order to cancel")
+    return {"order": res.data[0]}
+
+
+@app.get("/api/rules")
+def get_rules(rules_id: str = Query(DEFAULT_RULES.id, description="Rule set to fetch")):
+    """A rule set from ``game_rules`` (the defaults when no database is configured)."""
+    if not (SUPABASE_URL and SUPABASE_SERVICE_KEY):
+        return {"rules": DEFAULT_RULES.to_api()}
+    return {"rules": _load_rules(_get_db(), {"rules_id": rules_id}).to_api()}
+
+
+@app.post("/api/game/start")
+def start_game(request: PlayerRequest, authorization: str | None = Header(None)):
+    """Start the player's game once their portfolio meets the rule set's holdings range.
+
+    The starting value is the portfolio's worth at the server's current prices.
+    If a competition is running the player joins it, playing by its rule set
+    until it ends, and their cash moves by the difference between its starting
+    cash and their own rule set's.
+    """
+    db = _get_db()
+    _require_player(db, request.user_id, authorization)
+    user, shares_by_symbol = _load_account(db, request.user_id)
+    if user.get("game_started"):
+        raise HTTPException(status_code=409, detail="🎮 Your game has already started")
+    _check_consent(user)
+    competition = _active_competition(db)
+    rules = _load_rules(db, user)
+    cash = _player_cash(db, user, rules)
+    if competition:
+        entry_rules = _load_rules(db, {**user, "competition_id": competition["id"]})
+        cash = entry_cash(cash, rules, entry_rules)
+        rules = entry_rules
+    reason = check_start(rules, len(shares_by_symbol), cash)
+    if reason:
+        raise HTTPException(status_code=400, detail=reason)
+
+    prices = _current_prices(list(shares_by_symbol))
+    start_value = round(cash + sum(n * prices[sym] for sym, n in shares_by_symbol.items()), 2)
+    started_at = datetime.now(timezone.utc).isoformat()
+    update = {"game_started": True, "start_value": start_value, "started_at": started_at}
+    if competition:
+        update["competition_id"] = competition["id"]
+        update["cash"] = cash
+        db.table("competition_entries").upsert(
+            {
+                "competition_id": competition["id"],
+                "user_id": request.user_id,
+                "start_value": start_value,
+                "joined_at": started_at,
+            }
+        ).execute()
+        logger.info("User %s joined competition %s", request.user_id, competition["id"])
+    db.table("users").update(update).eq("id", request.user_id).execute()
+    logger.info("START game for user %s at %.2f", request.user_id, start_value)
+    return {
+        "cash": cash,
+        "startValue": start_value,
+        "startedAt": started_at,
+        "snapshot": _record_snapshot(db, request.user_id, cash, start_value, force=True),
+        "competition": _competition_api(competition) if competition else None,
+    }
+
+
+@app.get("/api/competitions")
+def list_competitions():
+    """Every competition, newest first, with its status and number of entrants."""
+    db = _get_db()
+    rows = db.table("competitions").select("*").order("starts_at", desc=True).execute().data or []
+    counts: dict[int, int] = {}
+    for entry in db.table("competition_entries").select("competition_id").execute().data or []:
+        counts[entry["competition_id"]] = counts.get(entry["competition_id"], 0) + 1
+    return {"competitions": [_competition_api(row, counts.get(row["id"], 0)) for row in rows]}
+
+
+@app.get("/api/competitions/{competition_id}")
+def get_competition(competition_id: int):
+    """A competition and its standings: live while it runs, frozen once it has ended."""
+    db = _get_db()
+    res = db.table("competitions").select("*").eq("id", competition_id).maybe_single().execute()
+    if not res or not res.data:
+        raise HTTPException(status_code=404, detail="Competition not found")
+    standings = _competition_standings(db, res.data)
+    return {"competition": _competition_api(res.data, len(standings)), "standings": standings}
+
+
+@app.get("/api/leaderboard")
+def get_leaderboard(
+    mode: str = Query("return", description="return, twr, drawdown or sharpe"),
+    scope: str = Query("global", description="global, or the class or school of user_id"),
+    competition_id: int | None = Query(None, description="Rank a competition's entrants instead"),
+    user_id: str | None = Query(None, description="Player whose own rank is returned as 'me'"),
+    page: int = Query(1, ge=1),
+    page_size: int = Query(LEADERBOARD_PAGE_SIZE, ge=1, le=LEADERBOARD_MAX_PAGE_SIZE),
+):
+    """A page of the leaderboard ranked by *mode*, plus the player's own entry wherever they rank.
+
+    Only started games are ranked. Every entry carries all the metrics
+    (``returnPct``, ``twrPct``, ``maxDrawdownPct``, ``sharpe``) so a client can
+    show them side by side; players who can't be scored for the mode rank last.
+    """
+    if mode not in LEADERBOARD_MODES:
+        raise HTTPException(status_code=400, detail=f"Unknown mode: {mode} (use {', '.join(LEADERBOARD_MODES)})")
+    if scope not in LEADERBOARD_SCOPES:
+        raise HTTPException(status_code=400, detail=f"Unknown scope: {scope} (use {', '.join(LEADERBOARD_SCOPES)})")
+    ranked = rank_leaderboard(_leaderboard(_get_db(), scope, user_id, competition_id), mode)
+    start = (page - 1) * page_size
+    return {
+        "mode": mode,
+        "scope": scope,
+        "total": len(ranked),
+        "page": page,
+        "pageSize": page_size,
+        "entries": ranked[start:start + page_size],
+        "me": next((entry for entry in ranked if entry["userId"] == user_id), None) if user_id else None,
+    }
+
+
+@app.post("/api/leagues")
+def create_league(request: LeagueRequest, authorization: str | None = Header(None)):
+    """Create a class or school and hand back its join code for the teacher to share (admins only)."""
+    db = _get_db()
+    _require_admin(db, request.admin_id, authorization)
+    if request.kind not in LEAGUE_KINDS:
+        raise HTTPException(status_code=400, detail=f"Unknown league kind: {request.kind} (use {', '.join(LEAGUE_KINDS)})")
+    name = request.name.strip()
+    if not name:
+        raise HTTPException(status_code=400, detail="Give your class or school a name")
+    school_id = None
+    if request.school_code:
+        if request.kind != "class":
+            raise HTTPException(status_code=400, detail="Only a class can belong to a school")
+        school = _league_by_code(db, request.school_code)
+        if school["kind"] != "school":
+            raise HTTPException(status_code=400, detail=f"{school['name']} is a class, not a school")
+        school_id = school["id"]
+    row = {
+        "name": name,
+        "kind": request.kind,
+        "school_id": school_id,
+        "join_code": _new_join_code(db),
+        "owner_id": request.admin_id,
+    }
+    created = db.table("leagues").insert(row).execute().data[0]
+    logger.info("CREATED %s league %s (%s)", request.kind, created["id"], name)
+    return {"league": _league_api(created, with_code=True)}
+
+
+@app.post("/api/leagues/join")
+def join_league(request: JoinLeagueRequest, authorization: str | None = Header(None)):
+    """Put the player in the class or school with this join code.
+
+    Joining a class also joins its school. Joining a different school leaves
+    a class that belongs to another school.
+    """
+    db = _get_db()
+    _require_player(db, request.user_id, authorization)
+    user, _ = _load_account(db, request.user_id)
+    league = _league_by_code(db, request.code)
+    if league["kind"] == "class":
+        update = {"class_id": league["id"], "school_id": league["school_id"] or user.get("school_id")}
+    else:
+        update = {"school_id": league["id"]}
+        if user.get("class_id"):
+            current = db.table("leagues").select("school_id").eq("id", user["class_id"]).maybe_single().execute()
+            if current and current.data and current.data["school_id"] not in (None, league["id"]):
+                update["class_id"] = None
+    db.table("users").update(update).eq("id", request.user_id).execute()
+    class_id = update.get("class_id", user.get("class_id"))
+    ids = [i for i in (class_id, update["school_id"]) if i]
+    rows = {row["id"]: row for row in db.table("leagues").select("*").in_("id", ids).execute().data or []} if ids else {}
+    logger.info("User %s joined %s %s", request.user_id, league["kind"], league["id"])
+    return {"class": _league_api(rows.get(class_id)), "school": _league_api(rows.get(update["school_id"]))}
+
+
+@app.post("/api/compliance/check")
+def check_compliance(request: PlayerRequest, authorization: str | None = Header(None)):
+    """Check the player's invested and position limits; the frontends call this on every price tick.
+
+    Returns whether the portfolio is within the limits now, the open violations
+    (``isNew`` on ones found by this check), any penalty or rebalance applied, and
+    the value snapshot this check took, if one was due.
+    """
+    db = _get_db()
+    _require_player(db, request.user_id, authorization)
+    return _monitor_compliance(db, request.user_id)
+
+
+@app.post("/api/game/reset")
+def reset_game(request: PlayerRequest, authorization: str | None = Header(None)):
+    """Clear the player's holdings and value history and hand back the rule set's starting cash."""
+    db = _get_db()
+    _require_player(db, request.user_id, authorization)
+    user, _ = _load_account(db, request.user_id)
+    if user.get("competition_id"):
+        comp = db.table("competitions").select("name, ends_at").eq("id", user["competition_id"]).maybe_single().execute()
+        if comp and comp.data and _parse_time(comp.data["ends_at"]) > datetime.now(timezone.utc):
+            raise HTTPException(
+                status_code=409, detail=f"🏁 You're in {comp.data['name']} until it ends - no starting over"
+            )
+    rules = _reset_player(db, user)
+    return {"cash": rules.starting_cash, "rules": rules.to_api()}
+
+
+@app.post("/api/account/delete")
+def delete_account(request: PlayerRequest, authorization: str | None = Header(None)):
+    """Delete the player's account and everything kept about them.
+
+    Holdings go first; every history table (snapshots, trades, orders,
+    compliance, corporate actions, competition entries) cascades from the
+    ``users`` row. The sign-in account goes last, so if that fails the player
+    can still log in and try again.
+    """
+    db = _get_db()
+    player = _require_player(db, request.user_id, authorization)
+    db.table("portfolios").delete().eq("user_id", request.user_id).execute()
+    db.table("users").delete().eq("id", request.user_id).execute()
+    db.auth.admin.delete_user(player["auth_id"])
+    logger.info("DELETED account and data for user %s", request.user_id)
+    return {"deleted": True}
+
+
+def _consent_token_hash(token: str) -> str:
+    return hashlib.sha256(token.encode()).hexdigest()
+
+
+def _consent_request(db: Client, token: str) -> dict | None:
+    """The open consent request for *token*, or None if there's none or its link has expired."""
+    res = (
+        db.table("parental_consent_requests")
+        .select("user_id, sent_at")
+        .eq("token_hash", _consent_token_hash(token))
+        .maybe_single()
+        .execute()
+    )
+    if not res or not res.data:
+        return None
+    if datetime.now(timezone.utc) - _parse_time(res.data["sent_at"]) > timedelta(days=CONSENT_LINK_DAYS):
+        return None
+    return res.data
+
+
+def _consent_page(heading: str, body: str, status_code: int = 200) -> HTMLResponse:
+    """A plain page for the parent's browser; *body* is HTML, escaped by the caller."""
+    return HTMLResponse(
+        "<!doctype html><html><head><meta charset=\"utf-8\"><title>KT Stock Game</title>"
+        "<meta name=\"viewport\" content=\"width=device-width, initial-scale=1\"></head>"
+        "<body style=\"font-family: sans-serif; max-width: 560px; margin: 40px auto; padding: 0 20px\">"
+        f"<h1>{html.escape(heading)}</h1>{body}</body></html>",
+        status_code=status_code,
+    )
+
+
+CONSENT_EXPIRED_PAGE = (
+    "Link expired",
+    "<p>This link has expired or has already been used. Your child can send a new one from the game.</p>",
+)
+
+
+@app.post("/api/consent/request")
+def request_parental_consent(request: PlayerRequest, authorization: str | None = Header(None)):
+    """Email the parent of a player who may be under 13 a link to say yes to them playing.
+
+    The frontends ask for it at sign-up, and the player can ask again once
+    ``CONSENT_RESEND_SECONDS`` have passed. A new link replaces the old one.
+    """
+    db = _get_db()
+    _require_player(db, request.user_id, authorization)
+    user, _ = _load_account(db, request.user_id)
+    if not _needs_consent(user):
+        raise HTTPException(status_code=409, detail="✅ No parent's consent is needed for this account")
+    now = datetime.now(timezone.utc)
+    sent = (
+        db.table("parental_consent_requests").select("sent_at").eq("user_id", request.user_id).maybe_single().execute()
+    )
+    if sent and sent.data and (now - _parse_time(sent.data["sent_at"])).total_seconds() < CONSENT_RESEND_SECONDS:
+        raise HTTPException(status_code=429, detail="📧 We've just emailed your parent - give it a few minutes")
+
+    token = secrets.token_urlsafe(32)
+    db.table("parental_consent_requests").upsert(
+        {"user_id": request.user_id, "token_hash": _consent_token_hash(token), "sent_at": now.isoformat()}
+    ).execute()
+    _send_email(
+        user["parent_email"],
+        "Your child would like to play the KT Stock Game",
+        f"Hello,\n\n"
+        f"Someone signed up to the KT Stock Game as {user['leaderboard_name']} and gave this email "
+        f"as their parent or guardian's. Players under 13 need a parent or guardian to say yes "
+        f"before they can trade.\n\n"
+        f"To read what you're agreeing to and say yes, open this link within {CONSENT_LINK_DAYS} days:\n"
+        f"{PUBLIC_API_URL}/api/consent/confirm?token={token}\n\n"
+        f"If this wasn't your child, you can ignore this email.\n",
+    )
+    logger.info("Sent a consent link for user %s", request.user_id)
+    return {"sent": True}
+
+
+@app.get("/api/consent/confirm", response_class=HTMLResponse)
+def show_parental_consent(token: str = Query(...)):
+    """The page the parent's link opens: what they're agreeing to, and a button to agree.
+
+    Opening the link alone records nothing, so a mail scanner that follows
+    links can't agree for the parent.
+    """
+    db = _get_db()
+    request = _consent_request(db, token)
+    if not request:
+        return _consent_page(*CONSENT_EXPIRED_PAGE, status_code=404)
+    user = db.table("users").select("leaderboard_name").eq("id", request["user_id"]).single().execute().data
+    return _consent_page(
+        "Can your child play?",
+        f"<p>{html.escape(user['leaderboard_name'])} would like to play the KT Stock Game.</p>"
+        "<p>I am this player's parent or guardian. I agree to them playing with play money and having "
+        "a player name other players can see. Their real name is optional and never shown to other "
+        "players, and I can delete the account at any time.</p>"
+        f"<form method=\"post\" action=\"/api/consent/confirm?token={html.escape(token)}\">"
+        "<button type=\"submit\" style=\"font-size: 18px; padding: 10px 24px\">I agree</button></form>",
+    )
+
+
+@app.post("/api/consent/confirm", response_class=HTMLResponse)
+def confirm_parental_consent(token: str = Query(...)):
+    """Record the parent's consent from the page's button; the player can trade from now on."""
+    db = _get_db()
+    request = _consent_request(db, token)
+    if not request:
+        return _consent_page(*CONSENT_EXPIRED_PAGE, status_code=404)
+    now = datetime.now(timezone.utc).isoformat()
+    db.table("users").update({"parental_consent_at": now}).eq("id", request["user_id"]).execute()
+    db.table("parental_consent_requests").delete().eq("user_id", request["user_id"]).execute()
+    logger.info("A parent consented for user %s", request["user_id"])
+    return _consent_page("Thank you!", "<p>Your child can start trading now. You can close this page.</p>")
+
+
+@app.get("/api/admin/players")
+def admin_list_players(
+    admin_id: str = Query(...),
+    class_id: int | None = Query(None, description="Only this class's players; all the teacher's otherwise"),
+    authorization: str | None = Header(None),
+):
+    """Players for the teacher dashboard: holdings, cash, return, compliance and whether they're frozen."""
+    db = _get_db()
+    admin = _require_admin(db, admin_id, authorization)
+    return {"players": _admin_players(db, admin, class_id)}
+
+
+@app.get("/api/admin/classes")
+def admin_list_classes(admin_id: str = Query(...), authorization: str | None = Header(None)):
+    """The classes the teacher can pick on the dashboard: theirs and those in their schools, by name."""
+    db = _get_db()
+    admin = _require_admin(db, admin_id, authorization)
+    class_ids, _ = _admin_scope(db, admin)
+    if not class_ids:
+        return {"classes": []}
+    rows = db.table("leagues").select("id, name").in_("id", sorted(class_ids)).order("name").execute().data or []
+    return {"classes": rows}
+
+
+@app.get("/api/admin/players/{user_id}/trades")
+def admin_player_trades(user_id: str, admin_id: str = Query(...), authorization: str | None = Header(None)):
+    """A player's latest trades from the ledger, newest first."""
+    db = _get_db()
+    _admin_player(db, _require_admin(db, admin_id, authorization), user_id)
+    res = (
+        db.table("transactions")
+        .select("*")
+        .eq("user_id", user_id)
+        .order("executed_at", desc=True)
+        .limit(ADMIN_TRADES_LIMIT)
+        .execute()
+    )
+    return {"trades": res.data or []}
+
+
+@app.post("/api/admin/players/{user_id}/reset")
+def admin_reset_player(user_id: str, request: AdminRequest, authorization: str | None = Header(None)):
+    """Start a player over. Unlike ``/api/game/reset`` this works mid-competition: the player leaves it."""
+    db = _get_db()
+    user = _admin_player(db, _require_admin(db, request.admin_id, authorization), user_id)
+    if user.get("competition_id"):
+        comp = db.table("competitions").select("frozen_at").eq("id", user["competition_id"]).maybe_single().execute()
+        if comp and comp.data and not comp.data["frozen_at"]:
+            db.table("competition_entries").delete().eq("competition_id", user["competition_id"]).eq(
+                "user_id", user_id
+            ).execute()
+    rules = _reset_player(db, user)
+    logger.info("ADMIN %s reset user %s", request.admin_id, user_id)
+    return {"cash": rules.starting_cash}
+
+
+@app.post("/api/admin/players/{user_id}/rename")
+def admin_rename_player(user_id: str, request: RenameRequest, authorization: str | None = Header(None)):
+    """Replace a player's leaderboard name, e.g. one that isn't fit for the class board."""
+    name = request.leaderboard_name.strip()
+    if not LEADERBOARD_NAME_PATTERN.fullmatch(name):
+        raise HTTPException(
+            status_code=400, detail="Leaderboard Name can only contain letters, numbers, spaces, underscores and hyphens"
+        )
+    db = _get_db()
+    _admin_player(db, _require_admin(db, request.admin_id, authorization), user_id)
+    if db.table("users").select("id").eq("leaderboard_name", name).neq("id", user_id).execute().data:
+        raise HTTPException(status_code=409, detail=f"❌ {name} is already taken")
+    db.table("users").update({"leaderboard_name": name}).eq("id", user_id).execute()
+    logger.info("ADMIN %s renamed user %s to %s", request.admin_id, user_id, name)
+    return {"userId": user_id, "name": name}
+
+
+@app.post("/api/admin/players/{user_id}/freeze")
+def admin_freeze_player(user_id: str, request: FreezeRequest, authorization: str | None = Header(None)):
+    """Pause or resume a player's trading. Frozen players' pending orders wait and no penalty or rebalance applies."""
+    db = _get_db()
+    _admin_player(db, _require_admin(db, request.admin_id, authorization), user_id)
+    db.table("users").update({"trading_frozen": request.frozen}).eq("id", user_id).execute()
+    logger.info("ADMIN %s %s trading for user %s", request.admin_id, "froze" if request.frozen else "unfroze", user_id)
+    return {"userId": user_id, "tradingFrozen": request.frozen}
+
+
+@app.get("/api/admin/export.csv")
+def admin_export_results(
+    admin_id: str = Query(...),
+    class_id: int | None = Query(None, description="Only this class's players; all the teacher's otherwise"),
+    authorization: str | None = Header(None),
+):
+    """The class results as a CSV download, ranked by return."""
+    db = _get_db()
+    admin = _require_admin(db, admin_id, authorization)
+    players = _admin_players(db, admin, class_id)
+    league = None
+    if class_id is not None:
+        res = db.table("leagues").select("name").eq("id", class_id).maybe_single().execute()
+        league = res.data["name"] if res and res.data else None
+    out = io.StringIO()
+    writer = csv.writer(out)
+    writer.writerow([
+        "Rank", "Leaderboard Name", "First Name", "Last Name", "Started", "Start Value", "Value", "Cash",
+        "Return %", "Penalty %", "Violations", "Holdings", "Trading Frozen",
+    ])
+    for player in players:
+        writer.writerow([
+            player["rank"], player["name"], player["firstName"] or "", player["lastName"] or "",
+            "yes" if player["gameStarted"] else "no", player["startValue"],
+            player["value"] if player["value"] is not None else "", player["cash"] if player["cash"] is not None else "",
+            player["returnPct"] if player["returnPct"] is not None else "", player["penaltyPct"], player["violations"],
+            " ".join(f"{h['symbol']}x{h['shares']}" for h in player["holdings"]),
+            "yes" if player["tradingFrozen"] else "no",
+        ])
+    slug = re.sub(r"[^a-z0-9]+", "-", (league or "my-classes").lower()).strip("-") or "class"
+    filename = f"kt-results-{slug}-{date.today().isoformat()}.csv"
+    return Response(
+        content=out.getvalue(),
+        media_type="text/csv",
+        headers={"Content-Disposition": f'attachment; filename="{filename}"'},
+    )
+
+
 # ---------------------------------------------------------------------------
 # Run with: uvicorn main:app --reload
 # ---------------------------------------------------------------------------
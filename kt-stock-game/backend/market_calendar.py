@@ -0,0 +1,152 @@
+"""NYSE trading calendar: sessions, holidays and early closes.
+
+Holidays follow the exchange's published rules, so any year works without a
+yearly table. Times are US/Eastern; ``market_status`` reports them in UTC ISO
+format for the API.
+"""
+
+from datetime import date, datetime, time, timedelta, timezone
+from zoneinfo import ZoneInfo
+
+EASTERN = ZoneInfo("America/New_York")
+
+PRE_MARKET_OPEN = time(4, 0)
+REGULAR_OPEN = time(9, 30)
+REGULAR_CLOSE = time(16, 0)
+EARLY_CLOSE = time(13, 0)
+POST_MARKET_CLOSE = time(20, 0)
+EARLY_POST_MARKET_CLOSE = time(17, 0)
+
+
+def _nth_weekday(year: int, month: int, weekday: int, n: int) -> date:
+    """The *n*-th *weekday* (Mon=0) of the month; ``n=-1`` for the last one."""
+    if n > 0:
+        first = date(year, month, 1)
+        return first + timedelta(days=(weekday - first.weekday()) % 7 + 7 * (n - 1))
+    last = date(year, month + 1, 1) - timedelta(days=1) if month < 12 else date(year, 12, 31)
+    return last - timedelta(days=(last.weekday() - weekday) % 7)
+
+
+def _easter(year: int) -> date:
+    """Western Easter Sunday (anonymous Gregorian algorithm)."""
+    a = year % 19
+    b, c = divmod(year, 100)
+    d, e = divmod(b, 4)
+    f = (b + 8) // 25
+    g = (b - f + 1) // 3
+    h = (19 * a + b - d - g + 15) % 30
+    i, k = divmod(c, 4)
+    wd = (32 + 2 * e + 2 * i - h - k) % 7
+    m = (a + 11 * h + 22 * wd) // 451
+    month, day = divmod(h + wd - 7 * m + 114, 31)
+    return date(year, month, day + 1)
+
+
+def _observed(day: date) -> date:
+    """Saturday holidays move to Friday, Sunday holidays to Monday."""
+    if day.weekday() == 5:
+        return day - timedelta(days=1)
+    if day.weekday() == 6:
+        return day + timedelta(days=1)
+    return day
+
+
+def holidays(year: int) -> dict[date, str]:
+    """Full-day NYSE closures in *year*."""
+    days = {
+        _nth_weekday(year, 1, 0, 3): "Martin Luther King Jr. Day",
+        _nth_weekday(year, 2, 0, 3): "Washington's Birthday",
+        _easter(year) - timedelta(days=2): "Good Friday",
+        _nth_weekday(year, 5, 0, -1): "Memorial Day",
+        _observed(date(year, 7, 4)): "Independence Day",
+        _nth_weekday(year, 9, 0, 1): "Labor Day",
+        _nth_weekday(year, 11, 3, 4): "Thanksgiving Day",
+        _observed(date(year, 12, 25)): "Christmas Day",
+    }
+    # A Saturday New Year's Day is not made up on the Friday before
+    new_year = date(year, 1, 1)
+    if new_year.weekday() != 5:
+        days[_observed(new_year)] = "New Year's Day"
+    if year >= 2022:
+        days[_observed(date(year, 6, 19))] = "Juneteenth"
+    return days
+
+
+def early_closes(year: int) -> set[date]:
+    """Days the regular session ends at 1pm."""
+    candidates = {
+        date(year, 7, 3),
+        _nth_weekday(year, 11, 3, 4) + timedelta(days=1),  # day after Thanksgiving
+        date(year, 12, 24),
+    }
+    closed = holidays(year)
+    return {d for d in candidates if d.weekday() < 5 and d not in closed}
+
+
+def is_trading_day(day: date) -> bool:
+    return day.weekday() < 5 and day not in holidays(day.year)
+
+
+def _session(day: date) -> tuple[datetime, datetime, datetime, datetime]:
+    """Pre-market open, regular open, regular close and post-market close for *day*."""
+    early = day in early_closes(day.year)
+
+    def at(t: time) -> datetime:
+        return datetime.combine(day, t, EASTERN)
+
+    return (
+        at(PRE_MARKET_OPEN),
+        at(REGULAR_OPEN),
+        at(EARLY_CLOSE if early else REGULAR_CLOSE),
+        at(EARLY_POST_MARKET_CLOSE if early else POST_MARKET_CLOSE),
+    )
+
+
+def _next_trading_day(day: date) -> date:
+    day += timedelta(days=1)
+    while not is_trading_day(day):
+        day += timedelta(days=1)
+    return day
+
+
+def _iso(moment: datetime) -> str:
+    return moment.astimezone(timezone.utc).isoformat()
+
+
+def market_status(now: datetime | None = None) -> dict:
+    """Where the NYSE is in its trading day at *now* (default: the current time).
+
+    ``status`` is ``open`` during the regular session, ``pre`` / ``post`` in the
+    extended sessions and ``closed`` otherwise. ``nextOpen`` is the next regular
+    open after *now*; ``nextClose`` is the end of the current regular session.
+    """
+    now = (now or datetime.now(timezone.utc)).astimezone(EASTERN)
+    today = now.date()
+    holiday = holidays(today.year).get(today)
+
+    status = "closed"
+    next_close = None
+    if is_trading_day(today):
+        pre_open, regular_open, regular_close, post_close = _session(today)
+        if regular_open <= now < regular_close:
+            status = "open"
+            next_close = _iso(regular_close)
+        elif pre_open <= now < regular_open:
+            status = "pre"
+        elif regular_close <= now < post_close:
+            status = "post"
+
+    if is_trading_day(today) and now < _session(today)[1]:
+        next_open = _session(today)[1]
+    else:
+        next_open = _session(_next_trading_day(today))[1]
+
+    return {
+        "status": status,
+        "isOpen": status == "open",
+        "now": _iso(now),
+        "nextOpen": _iso(next_open),
+        "nextClose": next_close,
+        "holiday": holiday,
+        "earlyClose": today in early_closes(today.year),
+    }
@@ -0,0 +1,348 @@
+"""Market-data providers for the Stock Trading Game API.
+
+``main.py`` never talks to a data source directly; it asks the provider picked
+by ``MARKET_DATA_PROVIDER``:
+
+* ``yfinance`` (default) - live Yahoo Finance data.
+* ``fixture`` - fixed quotes from a JSON or CSV file, for CI and demos.
+* ``random`` - a seeded random walk that moves every ``MARKET_DATA_STEP_SECONDS``,
+  so an offline classroom still sees prices change.
+"""
+
+import csv
+import json
+import logging
+import os
+import random
+import threading
+import time
+from datetime import date, datetime, timedelta, timezone
+
+logger = logging.getLogger(__name__)
+
+DEFAULT_FIXTURE = os.path.join(os.path.dirname(__file__), "fixtures", "quotes.json")
+
+# Rough calendar length of each history period and bar interval, for the
+# synthetic providers
+PERIOD_DAYS = {
+    "1d": 1, "5d": 5, "1mo": 30, "3mo": 90, "6mo": 180, "1y": 365,
+    "2y": 730, "5y": 1825, "10y": 3650, "max": 3650,
+}
+INTERVAL_SECONDS = {
+    "1m": 60, "2m": 120, "5m": 300, "15m": 900, "30m": 1800, "60m": 3600,
+    "90m": 5400, "1h": 3600, "1d": 86400, "5d": 5 * 86400, "1wk": 7 * 86400,
+    "1mo": 30 * 86400, "3mo": 90 * 86400,
+}
+MAX_SYNTHETIC_BARS = 2000
+
+
+def _safe(value, default=None):
+    """Return *default* when *value* is None or NaN."""
+    if value is None:
+        return default
+    try:
+        if value != value:  # NaN check
+            return default
+    except (TypeError, ValueError):
+        pass
+    return value
+
+
+class MarketDataProvider:
+    """Where quotes, company info and price history come from.
+
+    Quotes are ``{"price": float, "prevClose": float | None}``. Corporate
+    actions are ``{"date": "YYYY-MM-DD", "type": "split" | "dividend", "value":
+    float}``, where value is the split ratio (new shares per old share) or the
+    dividend per share. Symbols a provider doesn't know are left out of
+    ``quotes`` and get ``{}`` from ``info`` and ``[]`` from ``history`` and
+    ``actions``. Any other failure raises.
+    """
+
+    name = "base"
+
+    def quotes(self, symbols: list[str]) -> dict[str, dict]:
+        raise NotImplementedError
+
+    def info(self, symbol: str) -> dict:
+        raise NotImplementedError
+
+    def history(self, symbol: str, period: str, interval: str) -> list[dict]:
+        raise NotImplementedError
+
+    def actions(self, symbol: str, since: date) -> list[dict]:
+        raise NotImplementedError
+
+
+# ---------------------------------------------------------------------------
+# Yahoo Finance
+# ---------------------------------------------------------------------------
+class YFinanceProvider(MarketDataProvider):
+    name = "yfinance"
+
+    def __init__(self):
+        import yfinance  # only needed when live data is in use
+
+        self._yf = yfinance
+
+    def quotes(self, symbols: list[str]) -> dict[str, dict]:
+        """Fetch last and previous close for *symbols* in one ``yf.download`` call."""
+        frame = self._yf.download(
+            symbols,
+            period="5d",
+            interval="1d",
+            group_by="ticker",
+            auto_adjust=False,
+            progress=False,
+            threads=True,
+        )
+        grouped = frame.columns.nlevels > 1  # older yfinance returns flat columns for one symbol
+        quotes: dict[str, dict] = {}
+        for sym in symbols:
+            try:
+                closes = (frame[sym]["Close"] if grouped else frame["Close"]).dropna()
+            except KeyError:
+                continue
+            if closes.empty:
+                continue
+            quotes[sym] = {
+                "price": round(float(closes.iloc[-1]), 2),
+                "prevClose": float(closes.iloc[-2]) if len(closes) > 1 else None,
+            }
+        return quotes
+
+    def info(self, symbol: str) -> dict:
+        return self._yf.Ticker(symbol).info or {}
+
+    def history(self, symbol: str, period: str, interval: str) -> list[dict]:
+        frame = self._yf.Ticker(symbol).history(period=period, interval=interval)
+        if frame is None or frame.empty:
+            return []
+
+        bars = []
+        for ts, row in frame.iterrows():
+            close = _safe(row.get("Close"))
+            if close is None:
+                continue
+            bars.append(
+                {
+                    "time": ts.isoformat(),
+                    "open": round(float(_safe(row.get("Open"), close)), 4),
+                    "high": round(float(_safe(row.get("High"), close)), 4),
+                    "low": round(float(_safe(row.get("Low"), close)), 4),
+                    "close": round(float(close), 4),
+                    "volume": int(_safe(row.get("Volume"), 0)),
+                }
+            )
+        return bars
+
+    def actions(self, symbol: str, since: date) -> list[dict]:
+        frame = self._yf.Ticker(symbol).actions
+        if frame is None or frame.empty:
+            return []
+
+        actions = []
+        for ts, row in frame.iterrows():
+            day = ts.date()
+            if day < since:
+                continue
+            ratio = _safe(row.get("Stock Splits"), 0)
+            if ratio:
+                actions.append({"date": day.isoformat(), "type": "split", "value": float(ratio)})
+            dividend = _safe(row.get("Dividends"), 0)
+            if dividend:
+                actions.append({"date": day.isoformat(), "type": "dividend", "value": float(dividend)})
+        return actions
+
+
+# ---------------------------------------------------------------------------
+# Synthetic data shared by the offline providers
+# ---------------------------------------------------------------------------
+def _load_fixture(path: str) -> dict[str, dict]:
+    """Read ``symbol -> {name, price, prevClose, sector, industry, marketCap, actions}``.
+
+    JSON files hold ``{"quotes": {"AAPL": {...}}}``, where a symbol may list
+    corporate ``actions``; CSV files have one row per symbol with the other
+    column names.
+    """
+    with open(path, newline="", encoding="utf-8") as fh:
+        if path.endswith(".csv"):
+            rows = {row["symbol"].strip().upper(): row for row in csv.DictReader(fh)}
+        else:
+            rows = {sym.upper(): row for sym, row in json.load(fh)["quotes"].items()}
+
+    fixture: dict[str, dict] = {}
+    for sym, row in rows.items():
+        prev_close = row.get("prevClose")
+        market_cap = row.get("marketCap")
+        fixture[sym] = {
+            "name": row.get("name") or sym,
+            "price": float(row["price"]),
+            "prevClose": float(prev_close) if prev_close not in (None, "") else None,
+            "sector": row.get("sector") or None,
+            "industry": row.get("industry") or None,
+            "marketCap": int(float(market_cap)) if market_cap not in (None, "") else None,
+            "actions": row.get("actions") if isinstance(row.get("actions"), list) else [],
+        }
+    logger.info("Loaded %d fixture quotes from %s", len(fixture), path)
+    return fixture
+
+
+def _synthetic_history(seed: str, end_price: float, period: str, interval: str) -> list[dict]:
+    """Build a repeatable random walk of bars that ends at *end_price*."""
+    if period == "ytd":
+        today = datetime.now(timezone.utc)
+        days = max((today - today.replace(month=1, day=1)).days, 1)
+    else:
+        days = PERIOD_DAYS.get(period, 30)
+    step = INTERVAL_SECONDS.get(interval, 86400)
+    count = max(1, min(MAX_SYNTHETIC_BARS, days * 86400 // step))
+
+    rng = random.Random(f"{seed}:{period}:{interval}")
+    # Walk backwards from today's price so the chart meets the quote
+    closes = [end_price]
+    for _ in range(count - 1):
+        closes.append(max(0.01, closes[-1] / (1 + rng.gauss(0, 0.015))))
+    closes.reverse()
+
+    end = datetime.now(timezone.utc).replace(second=0, microsecond=0)
+    bars = []
+    prev = closes[0]
+    for i, close in enumerate(closes):
+        wiggle = abs(rng.gauss(0, 0.005))
+        bars.append(
+            {
+                "time": (end - timedelta(seconds=step * (count - 1 - i))).isoformat(),
+                "open": round(prev, 4),
+                "high": round(max(prev, close) * (1 + wiggle), 4),
+                "low": round(min(prev, close) * (1 - wiggle), 4),
+                "close": round(close, 4),
+                "volume": rng.randint(100_000, 5_000_000),
+            }
+        )
+        prev = close
+    return bars
+
+
+def _info_from_fixture(row: dict) -> dict:
+    """Shape a fixture row like the ``Ticker.info`` fields the API reads."""
+    return {
+        "shortName": row["name"],
+        "sector": row["sector"],
+        "industry": row["industry"],
+        "marketCap": row["marketCap"],
+    }
+
+
+# ---------------------------------------------------------------------------
+# Fixture file
+# ---------------------------------------------------------------------------
+class FixtureProvider(MarketDataProvider):
+    """Serves the same quotes every time; only symbols in the file exist."""
+
+    name = "fixture"
+
+    def __init__(self, path: str):
+        self._fixture = _load_fixture(path)
+
+    def quotes(self, symbols: list[str]) -> dict[str, dict]:
+        return {
+            sym: {"price": self._fixture[sym]["price"], "prevClose": self._fixture[sym]["prevClose"]}
+            for sym in symbols
+            if sym in self._fixture
+        }
+
+    def info(self, symbol: str) -> dict:
+        row = self._fixture.get(symbol)
+        return _info_from_fixture(row) if row else {}
+
+    def history(self, symbol: str, period: str, interval: str) -> list[dict]:
+        row = self._fixture.get(symbol)
+        if row is None:
+            return []
+        return _synthetic_history(symbol, row["price"], period, interval)
+
+    def actions(self, symbol: str, since: date) -> list[dict]:
+        row = self._fixture.get(symbol)
+        if row is None:
+            return []
+        return [a for a in row["actions"] if date.fromisoformat(a["date"]) >= since]
+
+
+# ---------------------------------------------------------------------------
+# Seeded random walk
+# ---------------------------------------------------------------------------
+class RandomWalkProvider(MarketDataProvider):
+    """Moves every symbol one random step every *step_seconds*.
+
+    Each symbol's walk is seeded from *seed* and the symbol, so two servers
+    started together with the same seed quote the same prices. Symbols in the
+    fixture start at their fixture price; any other symbol is invented.
+    """
+
+    name = "random"
+
+    def __init__(self, seed: int, step_seconds: int, fixture: dict[str, dict]):
+        self._seed = seed
+        self._step_seconds = step_seconds
+        self._fixture = fixture
+        self._started = time.time()
+        # symbol -> (rng, closes so far); walks only ever grow
+        self._walks: dict[str, tuple[random.Random, list[float]]] = {}
+        self._lock = threading.Lock()
+
+    def _start_price(self, symbol: str) -> float:
+        if symbol in self._fixture:
+            return self._fixture[symbol]["price"]
+        return round(random.Random(f"{self._seed}:{symbol}:start").uniform(20, 400), 2)
+
+    def _walk(self, symbol: str) -> list[float]:
+        """Return the walk for *symbol*, advanced to the current step."""
+        step = int((time.time() - self._started) // self._step_seconds)
+        with self._lock:
+            if symbol not in self._walks:
+                self._walks[symbol] = (random.Random(f"{self._seed}:{symbol}"), [self._start_price(symbol)])
+            rng, closes = self._walks[symbol]
+            while len(closes) <= step + 1:
+                closes.append(max(0.01, closes[-1] * (1 + rng.gauss(0, 0.01))))
+            return closes[: step + 2]
+
+    def quotes(self, symbols: list[str]) -> dict[str, dict]:
+        quotes = {}
+        for sym in symbols:
+            closes = self._walk(sym)
+            quotes[sym] = {"price": round(closes[-1], 2), "prevClose": closes[-2]}
+        return quotes
+
+    def info(self, symbol: str) -> dict:
+        row = self._fixture.get(symbol)
+        return _info_from_fixture(row) if row else {"shortName": symbol}
+
+    def history(self, symbol: str, period: str, interval: str) -> list[dict]:
+        return _synthetic_history(f"{self._seed}:{symbol}", self._walk(symbol)[-1], period, interval)
+
+    def actions(self, symbol: str, since: date) -> list[dict]:
+        return []  # the walk has no corporate actions
+
+
+def get_provider() -> MarketDataProvider:
+    """Build the provider named by ``MARKET_DATA_PROVIDER``."""
+    kind = os.getenv("MARKET_DATA_PROVIDER", "yfinance").strip().lower()
+    fixture_path = os.getenv("MARKET_DATA_FIXTURE", DEFAULT_FIXTURE)
+
+    if kind == "yfinance":
+        provider = YFinanceProvider()
+    elif kind == "fixture":
+        provider = FixtureProvider(fixture_path)
+    elif kind == "random":
+        fixture = _load_fixture(fixture_path) if os.path.exists(fixture_path) else {}
+        provider = RandomWalkProvider(
+            seed=int(os.getenv("MARKET_DATA_SEED", "42")),
+            step_seconds=int(os.getenv("MARKET_DATA_STEP_SECONDS", "15")),
+            fixture=fixture,
+        )
+    else:
+        raise ValueError(f"Unknown MARKET_DATA_PROVIDER: {kind!r} (use yfinance, fixture or random)")
+
+    logger.info("Using %s market data", provider.name)
+    return provider
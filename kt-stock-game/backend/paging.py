@@ -0,0 +1,26 @@
+"""Reading whole result sets through Supabase's API.
+
+PostgREST returns at most its ``max-rows`` setting per request (1000 on
+Supabase by default) and quietly stops there, so a query that can outgrow
+that, such as a class's value snapshots, is read a page at a time.
+"""
+
+from typing import Any, Callable
+
+PAGE_SIZE = 1000
+
+
+def fetch_all(build_query: Callable[[], Any], page_size: int = PAGE_SIZE) -> list[dict]:
+    """Every row of the query *build_query* makes, oldest page first.
+
+    *build_query* returns a fresh filtered and ordered select each time it is
+    called; order it by a unique column last so rows can't shift between
+    pages. Pages are read until one comes back empty, so a server capping rows
+    below *page_size* still gives every row.
+    """
+    rows: list[dict] = []
+    while True:
+        page = build_query().range(len(rows), len(rows) + page_size - 1).execute().data or []
+        if not page:
+            return rows
+        rows.extend(page)
@@ -0,0 +1,41 @@
+"""Starting a game, and entering a competition with its own starting cash.
+
+Run from backend/: python -m unittest discover tests
+"""
+
+import unittest
+
+from game_rules import GameRules, check_start, entry_cash
+
+CLASSIC = GameRules()
+BIG_CUP = GameRules(id="big-cup", name="Big Cup", starting_cash=50000)
+SMALL_CUP = GameRules(id="small-cup", name="Small Cup", starting_cash=5000)
+
+
+class EntryCashTests(unittest.TestCase):
+    def test_adds_a_bigger_starting_cash(self):
+        # $9,700 of stocks bought under the classic $10,000
+        self.assertEqual(entry_cash(300, CLASSIC, BIG_CUP), 40300)
+
+    def test_takes_away_a_smaller_starting_cash(self):
+        self.assertEqual(entry_cash(5300.5, CLASSIC, SMALL_CUP), 300.5)
+        self.assertEqual(entry_cash(300, CLASSIC, SMALL_CUP), -4700)
+
+    def test_same_rules_keep_the_cash(self):
+        self.assertEqual(entry_cash(300, CLASSIC, CLASSIC), 300)
+
+
+class CheckStartTests(unittest.TestCase):
+    def test_holdings_range(self):
+        self.assertEqual(check_start(CLASSIC, 3), "📦 You need at least 4 stocks to start!")
+        self.assertEqual(check_start(CLASSIC, 11), "📦 You can't have more than 10 stocks!")
+        self.assertIsNone(check_start(CLASSIC, 4))
+
+    def test_refuses_spending_more_than_the_competition_gives(self):
+        cash = entry_cash(300, CLASSIC, SMALL_CUP)
+        self.assertEqual(check_start(SMALL_CUP, 5, cash), "💰 Small Cup starts you with $5,000 - sell some stocks to start!")
+        self.assertIsNone(check_start(BIG_CUP, 5, entry_cash(300, CLASSIC, BIG_CUP)))
+
+
+if __name__ == "__main__":
+    unittest.main()
@@ -0,0 +1,109 @@
+"""Leaderboard metrics and ranking.
+
+Run from backend/: python -m unittest discover tests
+"""
+
+import unittest
+
+from leaderboard import max_drawdown, rank, run_metrics, sharpe_score, time_weighted_return
+
+SNAPSHOTS = [
+    {"taken_at": "2026-10-13T15:00:00+00:00", "total_value": 1010},
+    {"taken_at": "2026-10-14T15:00:00+00:00", "total_value": 990},
+    {"taken_at": "2026-10-15T15:00:00+00:00", "total_value": 980},
+    {"taken_at": "2026-10-15T19:00:00+00:00", "total_value": 1030},
+]
+
+
+class MaxDrawdownTests(unittest.TestCase):
+    def test_largest_fall_from_a_high(self):
+        self.assertEqual(max_drawdown([1000, 1010, 990, 980, 1030, 1000]), 2.97)
+
+    def test_never_fell(self):
+        self.assertEqual(max_drawdown([1000, 1010, 1020]), 0)
+
+    def test_needs_two_values(self):
+        self.assertIsNone(max_drawdown([1000]))
+
+
+class SharpeTests(unittest.TestCase):
+    def test_steady_gains_score_higher_than_choppy_ones(self):
+        steady = sharpe_score([1000, 1010, 1021, 1030, 1041])
+        choppy = sharpe_score([1000, 1060, 990, 1080, 1041])
+        self.assertGreater(steady, choppy)
+
+    def test_needs_a_few_days(self):
+        self.assertIsNone(sharpe_score([1000, 1010, 1020]))
+
+    def test_flat_run_is_unscored(self):
+        self.assertIsNone(sharpe_score([1000, 1000, 1000, 1000]))
+
+
+class TimeWeightedReturnTests(unittest.TestCase):
+    def test_chains_each_period(self):
+        self.assertEqual(time_weighted_return([1000, 1100, 990]), -1.0)
+
+    def test_leaves_out_outside_cash(self):
+        # A $50 dividend lifted the value to 1100; the holdings themselves made 5%
+        self.assertEqual(time_weighted_return([1000, 1100], [0, 50]), 5.0)
+
+    def test_needs_a_period(self):
+        self.assertIsNone(time_weighted_return([1000]))
+        self.assertIsNone(time_weighted_return([0, 1000]))
+
+
+class RunMetricsTests(unittest.TestCase):
+    def test_value_now_closes_today(self):
+        self.assertEqual(
+            run_metrics(1000, SNAPSHOTS, 1000, today="2026-10-16"),
+            {"twrPct": 0.0, "maxDrawdownPct": 2.97, "sharpe": 0.19},
+        )
+
+    def test_today_is_counted_once(self):
+        # The value now replaces today's last snapshot rather than adding a day
+        self.assertEqual(
+            run_metrics(1000, SNAPSHOTS, 1000, today="2026-10-15"),
+            {"twrPct": 0.0, "maxDrawdownPct": 2.97, "sharpe": 0.09},
+        )
+
+    def test_unpriced_value_is_left_out(self):
+        self.assertEqual(
+            run_metrics(1000, SNAPSHOTS[:1], None),
+            {"twrPct": 1.0, "maxDrawdownPct": 0, "sharpe": None},
+        )
+
+    def test_cash_flows_come_off_the_next_value(self):
+        dividend = {"cash_credited": "20", "applied_at": "2026-10-14T16:00:00+00:00"}
+        metrics = run_metrics(1000, SNAPSHOTS, 1000, today="2026-10-16", cash_flows=[dividend])
+        self.assertEqual(metrics["twrPct"], -2.04)
+        # After the last snapshot it comes off the value now, or is left out without one
+        late = {"cash_credited": 10, "applied_at": "2026-10-16T15:00:00Z"}
+        self.assertEqual(run_metrics(1000, SNAPSHOTS, 1000, today="2026-10-16", cash_flows=[late])["twrPct"], -1.0)
+        self.assertEqual(run_metrics(1000, SNAPSHOTS, None, cash_flows=[late])["twrPct"], 3.0)
+
+
+class RankTests(unittest.TestCase):
+    def test_drawdown_ranks_the_smallest_fall_first(self):
+        entries = [
+            {"name": "cal", "maxDrawdownPct": None},
+            {"name": "ann", "maxDrawdownPct": 5.0},
+            {"name": "bo", "maxDrawdownPct": 1.5},
+        ]
+        self.assertEqual([(e["name"], e["rank"]) for e in rank(entries, "drawdown")], [("bo", 1), ("ann", 2), ("cal", 3)])
+
+    def test_time_weighted_return_ranks_the_highest_first(self):
+        entries = [{"name": "ann", "twrPct": -2.0}, {"name": "bo", "twrPct": 4.0}]
+        self.assertEqual([e["name"] for e in rank(entries, "twr")], ["bo", "ann"])
+
+    def test_unscored_entries_go_last_by_name(self):
+        entries = [
+            {"name": "zed", "sharpe": None},
+            {"name": "amy", "sharpe": None},
+            {"name": "bo", "sharpe": -0.4},
+            {"name": "cy", "sharpe": 1.2},
+        ]
+        self.assertEqual([e["name"] for e in rank(entries, "sharpe")], ["cy", "bo", "amy", "zed"])
+
+
+if __name__ == "__main__":
+    unittest.main()
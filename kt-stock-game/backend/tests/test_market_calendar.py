@@ -0,0 +1,85 @@
+"""NYSE holidays, early closes and market status.
+
+Run from backend/: python -m unittest discover tests
+"""
+
+import unittest
+from datetime import date, datetime, timezone
+
+from market_calendar import early_closes, holidays, is_trading_day, market_status
+
+
+class HolidayTests(unittest.TestCase):
+    def test_2026_holidays(self):
+        self.assertEqual(
+            sorted(holidays(2026)),
+            [
+                date(2026, 1, 1),
+                date(2026, 1, 19),
+                date(2026, 2, 16),
+                date(2026, 4, 3),
+                date(2026, 5, 25),
+                date(2026, 6, 19),
+                date(2026, 7, 3),  # July 4th is a Saturday
+                date(2026, 9, 7),
+                date(2026, 11, 26),
+                date(2026, 12, 25),
+            ],
+        )
+
+    def test_sunday_holidays_move_to_monday(self):
+        self.assertEqual(holidays(2027)[date(2027, 7, 5)], "Independence Day")
+        self.assertEqual(holidays(2027)[date(2027, 12, 24)], "Christmas Day")
+
+    def test_saturday_new_year_is_not_made_up(self):
+        self.assertNotIn(date(2021, 12, 31), holidays(2021))
+        self.assertNotIn(date(2022, 1, 1), holidays(2022))
+
+    def test_juneteenth_only_from_2022(self):
+        self.assertNotIn(date(2021, 6, 18), holidays(2021))
+        self.assertEqual(holidays(2023)[date(2023, 6, 19)], "Juneteenth")
+
+    def test_trading_days(self):
+        self.assertTrue(is_trading_day(date(2026, 10, 19)))
+        self.assertFalse(is_trading_day(date(2026, 10, 18)))  # Sunday
+        self.assertFalse(is_trading_day(date(2026, 4, 3)))  # Good Friday
+
+
+class EarlyCloseTests(unittest.TestCase):
+    def test_2024_early_closes(self):
+        self.assertEqual(early_closes(2024), {date(2024, 7, 3), date(2024, 11, 29), date(2024, 12, 24)})
+
+    def test_no_early_close_on_a_holiday_or_weekend(self):
+        # 2026: July 3rd is the Independence Day holiday
+        self.assertEqual(early_closes(2026), {date(2026, 11, 27), date(2026, 12, 24)})
+        # 2027: July 3rd is a Saturday and Christmas Eve the observed Christmas Day
+        self.assertEqual(early_closes(2027), {date(2027, 11, 26)})
+
+
+class MarketStatusTests(unittest.TestCase):
+    def test_open_during_the_regular_session(self):
+        status = market_status(datetime(2026, 10, 19, 14, 0, tzinfo=timezone.utc))  # 10am Eastern
+        self.assertEqual(status["status"], "open")
+        self.assertTrue(status["isOpen"])
+        self.assertEqual(status["nextClose"], "2026-10-19T20:00:00+00:00")
+        self.assertEqual(status["nextOpen"], "2026-10-20T13:30:00+00:00")
+
+    def test_early_close_ends_the_session_at_1pm(self):
+        status = market_status(datetime(2026, 11, 27, 19, 0, tzinfo=timezone.utc))  # 2pm Eastern
+        self.assertEqual(status["status"], "post")
+        self.assertTrue(status["earlyClose"])
+
+    def test_closed_on_a_holiday_until_the_next_session(self):
+        status = market_status(datetime(2026, 12, 25, 17, 0, tzinfo=timezone.utc))
+        self.assertEqual(status["status"], "closed")
+        self.assertEqual(status["holiday"], "Christmas Day")
+        self.assertEqual(status["nextOpen"], "2026-12-28T14:30:00+00:00")
+
+    def test_pre_market(self):
+        status = market_status(datetime(2026, 10, 19, 12, 0, tzinfo=timezone.utc))  # 8am Eastern
+        self.assertEqual(status["status"], "pre")
+        self.assertEqual(status["nextOpen"], "2026-10-19T13:30:00+00:00")
+
+
+if __name__ == "__main__":
+    unittest.main()
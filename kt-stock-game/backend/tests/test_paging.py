@@ -0,0 +1,66 @@
+"""Reading more rows than PostgREST returns in one request.
+
+Run from backend/: python -m unittest discover tests
+"""
+
+import unittest
+from datetime import datetime, timedelta, timezone
+
+from leaderboard import run_metrics
+from paging import fetch_all
+
+
+class CappedQuery:
+    """A select that, like PostgREST, returns at most *max_rows* rows of the requested range."""
+
+    def __init__(self, rows: list[dict], max_rows: int, requests: list[tuple[int, int]]):
+        self.rows = rows
+        self.max_rows = max_rows
+        self.requests = requests
+        self.start, self.end = 0, len(rows) - 1
+
+    def range(self, start: int, end: int) -> "CappedQuery":
+        self.start, self.end = start, end
+        return self
+
+    def execute(self):
+        self.requests.append((self.start, self.end))
+        data = self.rows[self.start:self.end + 1][:self.max_rows]
+        return type("Response", (), {"data": data})()
+
+
+def snapshots(count: int) -> list[dict]:
+    """*count* five-minute snapshots rising from 1000, with one dip in the last of them."""
+    start = datetime(2026, 9, 1, 14, 0, tzinfo=timezone.utc)
+    rows = []
+    for i in range(count):
+        value = 900 + i if i == count - 10 else 1000 + i
+        rows.append({"id": i + 1, "total_value": value, "taken_at": (start + timedelta(minutes=5 * i)).isoformat()})
+    return rows
+
+
+class FetchAllTests(unittest.TestCase):
+    def test_reads_past_the_row_cap(self):
+        rows = snapshots(2500)
+        requests: list[tuple[int, int]] = []
+        fetched = fetch_all(lambda: CappedQuery(rows, 1000, requests))
+        self.assertEqual(fetched, rows)
+        self.assertEqual(requests, [(0, 999), (1000, 1999), (2000, 2999), (2500, 3499)])
+
+    def test_server_cap_below_the_page_size(self):
+        rows = snapshots(1200)
+        self.assertEqual(fetch_all(lambda: CappedQuery(rows, 500, [])), rows)
+
+    def test_empty(self):
+        self.assertEqual(fetch_all(lambda: CappedQuery([], 1000, [])), [])
+
+    def test_metrics_see_the_snapshots_past_the_cap(self):
+        rows = snapshots(2500)
+        one_request = CappedQuery(rows, 1000, []).execute().data
+        self.assertEqual(run_metrics(1000, one_request, 3500, today="2026-09-10")["maxDrawdownPct"], 0)
+        paged = fetch_all(lambda: CappedQuery(rows, 1000, []))
+        self.assertGreater(run_metrics(1000, paged, 3500, today="2026-09-10")["maxDrawdownPct"], 0)
+
+
+if __name__ == "__main__":
+    unittest.main()
@@ -0,0 +1,82 @@
+"""Loading the game universe and searching it.
+
+Run from backend/: python -m unittest discover tests
+"""
+
+import os
+import tempfile
+import unittest
+from unittest import mock
+
+from universe import get_universe, load_universe, search
+
+
+def entry(symbol: str, name: str) -> dict:
+    return {"symbol": symbol, "name": name, "sector": None, "type": "stock"}
+
+
+class LoadUniverseTests(unittest.TestCase):
+    def setUp(self):
+        self.tmp = tempfile.TemporaryDirectory()
+        self.addCleanup(self.tmp.cleanup)
+
+    def write_csv(self, filename: str, text: str) -> str:
+        path = os.path.join(self.tmp.name, filename)
+        with open(path, "w", encoding="utf-8") as fh:
+            fh.write(text)
+        return path
+
+    def test_builtin_names_ignore_case(self):
+        self.assertEqual(list(load_universe("POPULAR")), list(load_universe("popular")))
+        self.assertEqual(len(load_universe("popular")), 20)
+
+    def test_first_list_to_name_a_symbol_wins(self):
+        path = self.write_csv("mine.csv", "symbol,name\naapl,My Apple\nzzzz,\n")
+        universe = load_universe(f"{path}, popular")
+        self.assertEqual(universe["AAPL"]["name"], "My Apple")
+        self.assertEqual(universe["ZZZZ"], {"symbol": "ZZZZ", "name": "ZZZZ", "sector": None, "type": "stock"})
+        self.assertEqual(list(universe)[:2], ["AAPL", "ZZZZ"])
+
+    def test_etfs_default_to_the_etf_type(self):
+        self.assertEqual({e["type"] for e in load_universe("etfs").values()}, {"etf"})
+
+    def test_unknown_list_is_refused(self):
+        with self.assertRaises(ValueError):
+            load_universe("nasdaq")
+
+    def test_custom_path_keeps_its_case(self):
+        path = self.write_csv("MyList.csv", "symbol,name,sector,type\nSPY,SPDR S&P 500,,ETF\n")
+        with mock.patch.dict(os.environ, {"GAME_UNIVERSE": f" {path} "}):
+            spec, universe = get_universe()
+        self.assertEqual(spec, path)
+        self.assertEqual(universe["SPY"]["type"], "etf")
+
+
+class SearchTests(unittest.TestCase):
+    universe = {
+        e["symbol"]: e
+        for e in [
+            entry("COST", "Costco Wholesale"),
+            entry("KO", "The Coca-Cola Company"),
+            entry("CO", "Some Co Holdings"),
+            entry("COKE", "Coca-Cola Consolidated"),
+            entry("AAPL", "Apple Inc."),
+            entry("BOTL", "Big Coca-Cola Bottlers"),
+        ]
+    }
+
+    def test_ticker_then_prefix_then_name_start_then_name(self):
+        self.assertEqual([e["symbol"] for e in search(self.universe, " co ")], ["CO", "COST", "COKE", "KO", "BOTL"])
+
+    def test_name_after_the_counts_as_starting_with_it(self):
+        self.assertEqual([e["symbol"] for e in search(self.universe, "coca")], ["KO", "COKE", "BOTL"])
+
+    def test_limit(self):
+        self.assertEqual(len(search(self.universe, "co", limit=2)), 2)
+
+    def test_empty_query(self):
+        self.assertEqual(search(self.universe, "  "), [])
+
+
+if __name__ == "__main__":
+    unittest.main()
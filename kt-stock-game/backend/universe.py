@@ -0,0 +1,99 @@
+"""The game universe: which symbols players can find, rank and trade.
+
+``GAME_UNIVERSE`` is a comma-separated list of built-in lists and/or paths to
+custom CSV files, merged in order (the first list to name a symbol wins):
+
+* ``popular`` (default) - the 20 well-known stocks the game started with.
+* ``sp500`` - the S&P 500 (a snapshot of its members; edit
+  ``universes/sp500.csv`` or point at your own file when it changes).
+* ``etfs`` - broad-market, bond, commodity and sector ETFs.
+
+Custom files need a ``symbol`` column and may add ``name``, ``sector`` (the
+provider's sector names, e.g. ``Financial Services``, so personalized rankings
+can match a favorite sector) and ``type`` (``stock`` or ``etf``).
+"""
+
+import csv
+import logging
+import os
+
+logger = logging.getLogger(__name__)
+
+UNIVERSE_DIR = os.path.join(os.path.dirname(__file__), "universes")
+BUILTIN_LISTS = {
+    "popular": ("popular.csv", "stock"),
+    "sp500": ("sp500.csv", "stock"),
+    "etfs": ("etfs.csv", "etf"),
+}
+
+
+def _load_list(source: str) -> list[dict]:
+    """Entries from a built-in list name (any case) or a CSV path, in file order."""
+    if source.lower() in BUILTIN_LISTS:
+        filename, default_type = BUILTIN_LISTS[source.lower()]
+        path = os.path.join(UNIVERSE_DIR, filename)
+    else:
+        path, default_type = source, "stock"
+    if not os.path.exists(path):
+        raise ValueError(f"Unknown universe list: {source!r} (use {', '.join(BUILTIN_LISTS)} or a .csv path)")
+
+    entries = []
+    with open(path, newline="", encoding="utf-8") as fh:
+        for row in csv.DictReader(fh):
+            symbol = (row.get("symbol") or "").strip().upper()
+            if not symbol:
+                continue
+            entries.append({
+                "symbol": symbol,
+                "name": (row.get("name") or "").strip() or symbol,
+                "sector": (row.get("sector") or "").strip() or None,
+                "type": (row.get("type") or "").strip().lower() or default_type,
+            })
+    return entries
+
+
+def load_universe(spec: str) -> dict[str, dict]:
+    """Merge the lists in *spec* into a symbol -> entry map, keeping list order."""
+    universe: dict[str, dict] = {}
+    for source in (part.strip() for part in spec.split(",")):
+        if source:
+            for entry in _load_list(source):
+                universe.setdefault(entry["symbol"], entry)
+    if not universe:
+        raise ValueError(f"GAME_UNIVERSE {spec!r} has no symbols")
+    return universe
+
+
+def get_universe() -> tuple[str, dict[str, dict]]:
+    """The universe named by ``GAME_UNIVERSE``, with the spec it was built from."""
+    spec = os.getenv("GAME_UNIVERSE", "popular").strip()
+    universe = load_universe(spec)
+    logger.info("Game universe %s: %d symbols", spec, len(universe))
+    return spec, universe
+
+
+def search(universe: dict[str, dict], query: str, limit: int = 10) -> list[dict]:
+    """Entries whose ticker or name matches *query*, best matches first.
+
+    An exact ticker beats a ticker prefix, which beats a name starting with the
+    query, which beats a name merely containing it.
+    """
+    q = query.strip().upper()
+    if not q:
+        return []
+    ranked = []
+    for position, entry in enumerate(universe.values()):
+        name = entry["name"].upper()
+        if entry["symbol"] == q:
+            rank = 0
+        elif entry["symbol"].startswith(q):
+            rank = 1
+        elif name.startswith(q) or name.startswith("THE " + q):
+            rank = 2
+        elif q in name:
+            rank = 3
+        else:
+            continue
+        ranked.append((rank, len(entry["symbol"]), position, entry))
+    ranked.sort(key=lambda item: item[:3])
+    return [entry for *_, entry in ranked[:limit]]
@@ -0,0 +1,92 @@
+import GameRules from './game-rules.js';
+
+// The backend's JSON API. Errors carry the backend's own message (its `detail`)
+// when it sends one, so they can go straight into an alert.
+export const createApi = (baseUrl) => {
+  let token = null;
+
+  const headers = (extra = {}) => (token ? { ...extra, Authorization: `Bearer ${token}` } : extra);
+
+  const send = async (path, options = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, { ...options, headers: headers(options.headers) });
+    if (!response.ok) {
+      const body = await response.json().catch(() => ({}));
+      throw new Error(body.detail || `API returned ${response.status}: ${response.statusText}`);
+    }
+    return response;
+  };
+
+  return {
+    baseUrl,
+    // The signed-in player's session token; routes that act for a player check it
+    setToken: (accessToken) => { token = accessToken; },
+    get: async (path) => (await send(path)).json(),
+    post: async (path, payload = {}) => (await send(path, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload)
+    })).json(),
+    text: async (path) => (await send(path)).text()
+  };
+};
+
+// The host's rule set, or a competition's own once a player has joined it; the
+// defaults stay in place if the backend can't be reached
+export const fetchRules = async (api, competition = null) => {
+  try {
+    const query = competition ? `?rules_id=${encodeURIComponent(competition.rulesId)}` : '';
+    const data = await api.get(`/api/rules${query}`);
+    return GameRules.forCompetition(GameRules.fromApi(data.rules), competition);
+  } catch (error) {
+    console.warn('Could not load game rules, using the defaults:', error.message);
+    return GameRules.forCompetition(GameRules.DEFAULT_RULES, competition);
+  }
+};
+
+// Latest prices by symbol; symbols the backend can't price are left out
+export const fetchPrices = async (api, symbols) => {
+  if (symbols.length === 0) return {};
+  const data = await api.get(`/api/stocks?symbols=${symbols.map(encodeURIComponent).join(',')}`);
+  return Object.fromEntries(data.stocks.filter(s => s.price != null).map(s => [s.symbol, s.price]));
+};
+
+// The backend's price stream (/api/prices/stream) follows at most this many symbols
+export const PRICE_STREAM_MAX_SYMBOLS = 200;
+const STREAM_RETRY_MS = 1000;
+const STREAM_MAX_RETRY_MS = 30000;
+
+// Follow live prices for `symbols`. onPrices gets each update's quotes (only the
+// ones that moved; none at all means nothing changed) and onStatus 'live' or
+// 'reconnecting'. A dropped stream is reopened after a wait that doubles each
+// time, up to STREAM_MAX_RETRY_MS. Returns a function that closes it for good.
+export const subscribePrices = (api, symbols, { onPrices, onStatus = () => {} }) => {
+  const url = `${api.baseUrl}/api/prices/stream?symbols=${symbols.map(encodeURIComponent).join(',')}`;
+  let source = null;
+  let retryTimer = null;
+  let retryMs = STREAM_RETRY_MS;
+  let closed = false;
+
+  const open = () => {
+    source = new EventSource(url);
+    source.onopen = () => {
+      retryMs = STREAM_RETRY_MS;
+      onStatus('live');
+    };
+    source.addEventListener('prices', (event) => onPrices(JSON.parse(event.data).stocks));
+    // EventSource retries on its own at a fixed pace; back off instead
+    source.onerror = () => {
+      source.close();
+      if (closed) return;
+      onStatus('reconnecting');
+      retryTimer = setTimeout(open, retryMs);
+      retryMs = Math.min(retryMs * 2, STREAM_MAX_RETRY_MS);
+    };
+  };
+
+  open();
+  return () => {
+    closed = true;
+    clearTimeout(retryTimer);
+    source.close();
+  };
+};
@@ -0,0 +1,33 @@
+// Where the game gets its data, set by the page that hosts it. index.html sets
+// window.KT_CONFIG before loading the app; a host that renders KT_STOCK_GAME
+// itself can pass the same fields as its `config` prop instead.
+//   apiBaseUrl   the backend (backend/main.py)
+//   storage      where players and portfolios live (see store.js):
+//                'supabase' - real accounts, trades run on the backend
+//                'host'     - the host's window.storage
+//                'local'    - this browser's localStorage
+//                'memory'   - nothing is kept once the page closes
+//   supabaseUrl, supabaseKey
+//                the project and its publishable key, for 'supabase' storage.
+//                Never the service key: that stays on the backend.
+export const DEFAULT_CONFIG = {
+  apiBaseUrl: 'https://kt-stock-game.onrender.com',
+  storage: null,
+  supabaseUrl: null,
+  supabaseKey: null
+};
+
+const STORAGE_KINDS = ['supabase', 'host', 'local', 'memory'];
+
+export const loadConfig = (overrides = {}) => {
+  const config = { ...DEFAULT_CONFIG, ...(typeof window !== 'undefined' && window.KT_CONFIG), ...overrides };
+  // Without a choice, play in the host's storage when there is one
+  const storage = config.storage || (typeof window !== 'undefined' && window.storage ? 'host' : 'local');
+  if (!STORAGE_KINDS.includes(storage)) {
+    throw new Error(`Unknown storage "${storage}" - use one of ${STORAGE_KINDS.join(', ')}`);
+  }
+  if (storage === 'supabase' && !(config.supabaseUrl && config.supabaseKey)) {
+    throw new Error('Supabase storage needs supabaseUrl and supabaseKey');
+  }
+  return { ...config, storage, apiBaseUrl: config.apiBaseUrl.replace(/\/+$/, '') };
+};
@@ -0,0 +1,196 @@
+// Game rules for the browser. A host edits rule sets in the game_rules table; the
+// backend enforces the same checks in backend/game_rules.py, so keep the two in step.
+var GameRules = (function() {
+  var DEFAULT_RULES = {
+    id: 'default',
+    name: 'Classic',
+    startingCash: 10000,
+    minHoldings: 4,
+    maxHoldings: 10,
+    minInvestedPct: 97,
+    maxPositionPct: 25,
+    // End conditions: bust at or below this value, win at this return, or stop at a deadline
+    gameOverValue: 20,
+    targetReturnPct: null,
+    endsAt: null,
+    // What happens when a started game breaks the invested or position limit:
+    // 'warn', 'penalty' (points off the leaderboard return) or 'rebalance'
+    complianceGraceMinutes: 60,
+    complianceAction: 'penalty',
+    compliancePenaltyPct: 1
+  };
+
+  function withDefaults(rules) {
+    var merged = {};
+    Object.keys(DEFAULT_RULES).forEach(function(key) {
+      merged[key] = rules[key] != null ? rules[key] : DEFAULT_RULES[key];
+    });
+    ['startingCash', 'minHoldings', 'maxHoldings', 'minInvestedPct', 'maxPositionPct', 'gameOverValue', 'complianceGraceMinutes', 'compliancePenaltyPct'].forEach(function(key) {
+      merged[key] = Number(merged[key]);
+    });
+    if (merged.targetReturnPct != null) merged.targetReturnPct = Number(merged.targetReturnPct);
+    return merged;
+  }
+
+  // A game_rules row as read from Supabase
+  function fromRow(row) {
+    if (!row) return DEFAULT_RULES;
+    return withDefaults({
+      id: row.id, name: row.name, startingCash: row.starting_cash, minHoldings: row.min_holdings, maxHoldings: row.max_holdings,
+      minInvestedPct: row.min_invested_pct, maxPositionPct: row.max_position_pct, gameOverValue: row.game_over_value,
+      targetReturnPct: row.target_return_pct, endsAt: row.ends_at, complianceGraceMinutes: row.compliance_grace_minutes,
+      complianceAction: row.compliance_action, compliancePenaltyPct: row.compliance_penalty_pct
+    });
+  }
+
+  // The backend's GET /api/rules answer
+  function fromApi(rules) {
+    return rules ? withDefaults(rules) : DEFAULT_RULES;
+  }
+
+  // A competition plays by its own rule set, and the game ends when the competition does
+  function forCompetition(rules, competition) {
+    if (!competition) return rules;
+    var merged = {};
+    Object.keys(rules).forEach(function(key) { merged[key] = rules[key]; });
+    merged.endsAt = competition.endsAt;
+    return merged;
+  }
+
+  function positionPct(holding, portfolioValue) {
+    if (!portfolioValue) return 0;
+    return (holding.value / portfolioValue) * 100;
+  }
+
+  function isBuyable(rules, stock, portfolioValue) {
+    return stock.price <= portfolioValue * (rules.maxPositionPct / 100);
+  }
+
+  // Shares to sell to bring an oversized position back under the cap
+  function sharesToTrim(rules, holding, portfolioValue) {
+    var excess = holding.value - portfolioValue * (rules.maxPositionPct / 100);
+    if (excess <= 0 || !holding.currentPrice) return 0;
+    return Math.min(holding.shares, Math.ceil(excess / holding.currentPrice));
+  }
+
+  function canBuyStock(rules, stock, numShares, portfolio) {
+    var cost = stock.price * numShares;
+    if (cost > portfolio.cash) return { allowed: false, reason: '💰 Not enough cash!' };
+    var existingHolding = portfolio.holdings.find(function(h) { return h.symbol === stock.symbol; });
+    if (!existingHolding && portfolio.holdings.length >= rules.maxHoldings) {
+      return { allowed: false, reason: '📦 Maximum ' + rules.maxHoldings + ' stocks allowed' };
+    }
+    var newPositionValue = existingHolding ? existingHolding.value + cost : cost;
+    var newPositionPct = (newPositionValue / portfolio.totalValue) * 100;
+    if (newPositionPct > rules.maxPositionPct) {
+      return { allowed: false, reason: '⚠️ Would exceed ' + rules.maxPositionPct + '% position limit (' + newPositionPct.toFixed(1) + '%)' };
+    }
+    if (existingHolding) {
+      var currentPct = positionPct(existingHolding, portfolio.totalValue);
+      if (currentPct > rules.maxPositionPct) {
+        return { allowed: false, reason: '🔒 Position is ' + currentPct.toFixed(1) + '% (max ' + rules.maxPositionPct + '%) - sell first to add more' };
+      }
+    }
+    return { allowed: true };
+  }
+
+  // The cash of a player who set up under rules as they start under entryRules (a competition's):
+  // the difference in starting cash is added or taken away. Below zero, they spent more than it gives.
+  function entryCash(cash, rules, entryRules) {
+    return Math.round((cash + entryRules.startingCash - rules.startingCash) * 100) / 100;
+  }
+
+  function canStartGame(rules, portfolio) {
+    var count = portfolio ? portfolio.holdings.length : 0;
+    if (count < rules.minHoldings) return { allowed: false, reason: '📦 You need at least ' + rules.minHoldings + ' stocks to start!' };
+    if (count > rules.maxHoldings) return { allowed: false, reason: '📦 You can\'t have more than ' + rules.maxHoldings + ' stocks!' };
+    if (portfolio.cash < 0) {
+      return { allowed: false, reason: '💰 ' + rules.name + ' starts you with $' + rules.startingCash.toLocaleString() + ' - sell some stocks to start!' };
+    }
+    return { allowed: true };
+  }
+
+  // How a started game has ended, if it has: { reason: 'bust' | 'target' | 'time', message }
+  function gameOver(rules, portfolio, now) {
+    if (!portfolio || !portfolio.gameStarted) return null;
+    if (portfolio.totalValue <= rules.gameOverValue) {
+      return { reason: 'bust', message: 'Your portfolio dropped below $' + rules.gameOverValue.toLocaleString() };
+    }
+    if (rules.targetReturnPct != null && portfolio.startValue) {
+      var returnPct = ((portfolio.totalValue - portfolio.startValue) / portfolio.startValue) * 100;
+      if (returnPct >= rules.targetReturnPct) return { reason: 'target', message: 'You hit the ' + rules.targetReturnPct + '% target!' };
+    }
+    if (rules.endsAt && (now || new Date()) >= new Date(rules.endsAt)) {
+      return { reason: 'time', message: 'Time\'s up - the game has ended' };
+    }
+    return null;
+  }
+
+  // The limits a portfolio is breaking right now: [{ rule: 'min_invested' | 'max_position', symbol, pct, message }]
+  function complianceIssues(rules, portfolio) {
+    if (!portfolio || portfolio.totalValue <= 0) return [];
+    var issues = [];
+    var investedPct = ((portfolio.totalValue - portfolio.cash) / portfolio.totalValue) * 100;
+    if (investedPct < rules.minInvestedPct) {
+      issues.push({ rule: 'min_invested', symbol: null, pct: Math.round(investedPct * 10) / 10, message: '💼 Only ' + investedPct.toFixed(1) + '% invested (keep at least ' + rules.minInvestedPct + '%)' });
+    }
+    portfolio.holdings.slice().sort(function(a, b) { return a.symbol < b.symbol ? -1 : 1; }).forEach(function(h) {
+      var pct = positionPct(h, portfolio.totalValue);
+      if (pct > rules.maxPositionPct) {
+        issues.push({ rule: 'max_position', symbol: h.symbol, pct: Math.round(pct * 10) / 10, message: '⚠️ ' + h.symbol + ' is ' + pct.toFixed(1) + '% of your portfolio (max ' + rules.maxPositionPct + '%)' });
+      }
+    });
+    return issues;
+  }
+
+  // Trades that bring a portfolio back inside the limits: [{ side, symbol, shares }].
+  // Oversized positions are trimmed to the cap, then spare cash buys whole shares
+  // of the other holdings, smallest position first, without passing the cap.
+  function rebalanceTrades(rules, portfolio) {
+    var cash = portfolio.cash;
+    var cap = portfolio.totalValue * (rules.maxPositionPct / 100);
+    var held = portfolio.holdings.map(function(h) { return { symbol: h.symbol, shares: h.shares, price: h.currentPrice }; })
+      .sort(function(a, b) { return a.symbol < b.symbol ? -1 : 1; });
+    var trades = [];
+    held.forEach(function(h) {
+      var excess = h.shares * h.price - cap;
+      if (excess > 0) {
+        var n = Math.min(h.shares, Math.ceil(excess / h.price));
+        trades.push({ side: 'sell', symbol: h.symbol, shares: n });
+        h.shares -= n;
+        h.trimmed = true;
+        cash += n * h.price;
+      }
+    });
+    var spareCash = portfolio.totalValue * ((100 - rules.minInvestedPct) / 100);
+    var buys = {};
+    while (cash > spareCash) {
+      var candidates = held.filter(function(h) { return h.shares > 0 && !h.trimmed && h.price <= cash && (h.shares + 1) * h.price <= cap; });
+      if (candidates.length === 0) break;
+      var pick = candidates.reduce(function(best, h) { return h.shares * h.price < best.shares * best.price ? h : best; });
+      buys[pick.symbol] = (buys[pick.symbol] || 0) + 1;
+      pick.shares += 1;
+      cash -= pick.price;
+    }
+    Object.keys(buys).sort().forEach(function(symbol) { trades.push({ side: 'buy', symbol: symbol, shares: buys[symbol] }); });
+    return trades;
+  }
+
+  return {
+    DEFAULT_RULES: DEFAULT_RULES,
+    fromRow: fromRow,
+    fromApi: fromApi,
+    forCompetition: forCompetition,
+    positionPct: positionPct,
+    isBuyable: isBuyable,
+    sharesToTrim: sharesToTrim,
+    canBuyStock: canBuyStock,
+    entryCash: entryCash,
+    canStartGame: canStartGame,
+    gameOver: gameOver,
+    complianceIssues: complianceIssues,
+    rebalanceTrades: rebalanceTrades
+  };
+})();
+
+export default GameRules;
@@ -1,6 +1,993 @@
 import React, { useState, useEffect, useRef } from 'react';
+import GameRules from './game-rules.js';
+import { PRICE_STREAM_MAX_SYMBOLS, fetchPrices, fetchRules, subscribePrices } from './api.js';
+import { loadConfig } from './config.js';
+import { LEADERBOARD_MODES } from './leaderboard.js';
+import { ORDER_LABELS, complianceConsequence, describeCorporateAction, graceEndsText, pendingOrderLabel } from './portfolio.js';
+import { createStore } from './store.js';
+
+// Chart ranges map to yfinance period/interval pairs on /api/stock/{symbol}/history
+const CHART_RANGES = [
+  { label: '1D', period: '1d', interval: '5m' },
+  { label: '1W', period: '5d', interval: '30m' },
+  { label: '1M', period: '1mo', interval: '1d' },
+  { label: '1Y', period: '1y', interval: '1wk' }
+];
+
+// How a game ended, as GameRules.gameOver reports it
+const GAME_END_EMOJI = { bust: '😢', target: '🏆', time: '⏰' };
+
+const ORDER_HINTS = {
+  limit: 'Buy when the price drops to',
+  stop_loss: 'Sell if the price falls to',
+  take_profit: 'Sell once the price climbs to'
+};
+
+// A trigger on the wrong side of the current price would fill on the next tick
+const triggerIsValid = (orderType, trigger, price) => {
+  if (!(trigger > 0)) return false;
+  return orderType === 'take_profit' ? trigger > price : trigger < price;
+};
+
+const MARKET_STATUS_REFRESH_MS = 60000;
+
+// Leaderboards for the player's class, their school, or everyone, a page of players at a time
+const LEADERBOARD_SIZE = 10;
+const LEADERBOARD_SCOPES = [{ id: 'class', label: '🍎 My Class' }, { id: 'school', label: '🏫 My School' }, { id: 'global', label: '🌍 Global' }];
+
+const defaultLeaderboardScope = (userData) => (userData?.classId ? 'class' : userData?.schoolId ? 'school' : 'global');
+
+const leaderboardMetric = (entry, mode) => {
+  const value = entry[LEADERBOARD_MODES.find(m => m.id === mode).key];
+  if (value == null) return { text: '—', color: '#999' };
+  if (mode === 'sharpe') return { text: value.toFixed(2), color: value >= 0 ? '#11998e' : '#eb3349' };
+  if (mode === 'drawdown') return { text: `-${value.toFixed(2)}%`, color: value > 0 ? '#eb3349' : '#11998e' };
+  return { text: `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`, color: value >= 0 ? '#11998e' : '#eb3349' };
+};
+
+// One player's line on the leaderboard, highlighted when it's the signed-in player
+const LeaderboardRow = ({ entry, mode, isMe }) => (
+  <div style={{ display: 'flex', alignItems: 'center', gap: '15px', padding: '15px', background: isMe ? '#ffd700' : '#f8f8f8', marginBottom: '10px', borderRadius: '15px', border: isMe ? '3px solid #667eea' : 'none' }}>
+    <div style={{ fontSize: '24px', fontWeight: 'bold', color: '#667eea', minWidth: '40px' }}>#{entry.rank}</div>
+    <div style={{ flex: 1 }}>
+      <div style={{ fontSize: '20px', fontWeight: 'bold' }}>{entry.name}</div>
+      {entry.violations > 0 && (
+        <div style={{ fontSize: '13px', color: '#f57c00' }}>
+          ⚠️ {entry.violations} rule {entry.violations === 1 ? 'break' : 'breaks'}
+          {entry.penaltyPct > 0 && ` · -${Number(entry.penaltyPct.toFixed(2))} pts`}
+        </div>
+      )}
+    </div>
+    <div style={{ fontSize: '20px', fontWeight: 'bold', color: leaderboardMetric(entry, mode).color }}>
+      {leaderboardMetric(entry, mode).text}
+    </div>
+  </div>
+);
+
+// Local players sign in with their player name and a PIN, Supabase players with an email and password
+const PIN_PATTERN = /^\d{4,6}$/;
+const PLAYER_NAME_PATTERN = /^[a-zA-Z0-9 _-]{3,20}$/;
+const MIN_PASSWORD_LENGTH = 6;
+
+// Players who may be under 13 need a parent's consent. Registration asks for a birth year
+// but only the age group is stored.
+const CONSENT_AGE = 13;
+// Someone born in that year may not have had this year's birthday yet
+const ageGroup = (birthYear) => (new Date().getFullYear() - birthYear - 1 < CONSENT_AGE ? 'under_13' : '13_plus');
+const birthYears = () => Array.from({ length: 96 }, (_, i) => new Date().getFullYear() - 5 - i);
+
+const COMPETITION_STATUS = { upcoming: '🗓️ Coming up', active: '🏁 Running', ended: '🏆 Finished' };
+
+const competitionDates = (competition) => `${new Date(competition.startsAt).toLocaleDateString()} - ${new Date(competition.endsAt).toLocaleDateString()}`;
+
+const marketBadge = (status) => {
+  const opens = new Date(status.nextOpen).toLocaleString([], { weekday: 'short', hour: 'numeric', minute: '2-digit' });
+  if (status.status === 'open') {
+    const closes = status.nextClose ? ` · closes ${new Date(status.nextClose).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}` : '';
+    return { label: `🟢 Market open${closes}`, background: '#11998e' };
+  }
+  const hint = status.closedMarketOrders === 'queue' ? 'Trades wait for the open' : 'Trading resumes at the open';
+  if (status.status === 'pre') return { label: `🌅 Pre-market · opens ${opens}`, hint, background: '#f57c00' };
+  if (status.status === 'post') return { label: `🌙 After hours · opens ${opens}`, hint, background: '#5c6bc0' };
+  return { label: `🔴 Market closed${status.holiday ? ` for ${status.holiday}` : ''} · opens ${opens}`, hint, background: '#eb3349' };
+};
+
+// /api/kt/rankings query parameters, personalized by the player's registration profile
+const rankingParams = (userData, extra) => {
+  const params = new URLSearchParams(extra);
+  if (userData?.riskTolerance) params.set('risk', userData.riskTolerance);
+  if (userData?.preferredSector) params.set('sector', userData.preferredSector);
+  if (userData?.returnGoal) params.set('goal', userData.returnGoal);
+  return params;
+};
+
+const toRanking = (stock) => ({
+  symbol: stock.symbol,
+  name: stock.name,
+  ktValue: stock.ktValue,
+  baseKtValue: stock.baseKtValue ?? stock.ktValue,
+  sentiment: stock.sentiment,
+  technical: stock.technical,
+  leadership: stock.leadership,
+  sector: stock.sector,
+  explain: stock.explain || {},
+  forYou: stock.forYou || null,
+  price: stock.price,
+  change: stock.change ?? 0,
+  changePercent: stock.changePercent ?? 0
+});
+
+// A price that flashes green or red for a moment after the stream moves it. The
+// animation is offset by how long ago the move was, so a re-render doesn't restart it.
+const TICK_FLASH_MS = 1500;
+const PriceTick = ({ price, tick }) => {
+  const age = tick ? Date.now() - tick.at : Infinity;
+  const flashing = age < TICK_FLASH_MS;
+  return (
+    <span style={{ borderRadius: '6px', padding: '0 4px', animation: flashing ? `kt-tick-${tick.direction} ${TICK_FLASH_MS}ms ease-out ${-age}ms` : 'none' }}>
+      ${price.toFixed(2)}
+    </span>
+  );
+};
+
+// One KT sub-score with the backend's plain-words reason for it
+const SubScoreRow = ({ label, score, detail }) => (
+  <div style={{ padding: '10px', background: '#f0f0f0', marginBottom: '8px', borderRadius: '10px' }}>
+    <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '18px' }}>
+      <span>{label}</span>
+      <span>{score.toFixed(0)}</span>
+    </div>
+    {detail?.summary && (
+      <div style={{ fontSize: '13px', color: '#666', marginTop: '4px' }}>{detail.summary}</div>
+    )}
+  </div>
+);
+
+// A competition's standings, shared by the results screen and the seasons browser
+const StandingsList = ({ standings, currentPlayerId }) => {
+  if (!standings) return <div style={{ textAlign: 'center', padding: '20px', color: '#666' }}>⏳ Loading standings...</div>;
+  if (standings.length === 0) return <div style={{ textAlign: 'center', padding: '20px', color: '#666' }}>Nobody entered this one.</div>;
+  return standings.map(s => (
+    <div key={s.playerId} style={{ display: 'flex', alignItems: 'center', gap: '12px', padding: '10px 15px', background: s.playerId === currentPlayerId ? '#ffd700' : '#f8f8f8', marginBottom: '8px', borderRadius: '15px' }}>
+      <div style={{ fontSize: '20px', fontWeight: 'bold', color: '#667eea', minWidth: '40px' }}>{s.rank === 1 ? '🏆' : `#${s.rank}`}</div>
+      <div style={{ flex: 1 }}>
+        <div style={{ fontSize: '18px', fontWeight: 'bold' }}>{s.name}</div>
+        {s.penaltyPct > 0 && <div style={{ fontSize: '13px', color: '#f57c00' }}>🚩 -{s.penaltyPct} pts for rule breaks</div>}
+      </div>
+      <div style={{ fontSize: '18px', fontWeight: 'bold', color: s.returnPct == null ? '#999' : s.returnPct >= 0 ? '#11998e' : '#eb3349' }}>
+        {s.returnPct == null ? '—' : `${s.returnPct >= 0 ? '+' : ''}${s.returnPct.toFixed(2)}%`}
+      </div>
+    </div>
+  ));
+};
+
+// A teacher creates a class (optionally inside a school) or a whole school and gets its join code
+const CreateLeagueForm = ({ onCreate }) => {
+  const [kind, setKind] = useState('class');
+  const [name, setName] = useState('');
+  const [schoolCode, setSchoolCode] = useState('');
+  const [created, setCreated] = useState(null);
+  const [creating, setCreating] = useState(false);
+  const boxStyle = { maxWidth: '400px', margin: '20px auto 0 auto', background: '#f8f8f8', padding: '20px', borderRadius: '20px' };
+  const inputStyle = { width: '100%', boxSizing: 'border-box', padding: '12px 14px', border: '3px solid #667eea', borderRadius: '15px', fontSize: '18px', fontFamily: 'Comic Sans MS, cursive', marginTop: '12px' };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!name.trim()) {
+      alert('Give your class or school a name');
+      return;
+    }
+    setCreating(true);
+    try {
+      setCreated(await onCreate({ name: name.trim(), kind, schoolCode: kind === 'class' ? schoolCode.trim() : '' }));
+    } catch (error) {
+      alert('❌ ' + error.message);
+    }
+    setCreating(false);
+  };
+
+  if (created) {
+    return (
+      <div style={boxStyle}>
+        <div style={{ fontSize: '20px', fontWeight: 'bold', color: '#333' }}>{created.kind === 'class' ? '🍎' : '🏫'} {created.name} is ready!</div>
+        <div style={{ fontSize: '14px', color: '#666', marginTop: '8px' }}>
+          {created.kind === 'class'
+            ? 'Students enter this code when they sign up, or from the leaderboard:'
+            : 'Students enter this code to join the school leaderboard, and teachers use it as the school code for their classes:'}
+        </div>
+        <div style={{ fontSize: '40px', fontWeight: 'bold', letterSpacing: '6px', color: '#667eea', margin: '10px 0' }}>{created.joinCode}</div>
+      </div>
+    );
+  }
+  return (
+    <form onSubmit={handleSubmit} style={boxStyle}>
+      <select value={kind} onChange={(e) => setKind(e.target.value)} disabled={creating} style={{ ...inputStyle, marginTop: 0 }}>
+        <option value="class">🍎 A class</option>
+        <option value="school">🏫 A whole school</option>
+      </select>
+      <input type="text" value={name} onChange={(e) => setName(e.target.value)} disabled={creating} placeholder={kind === 'class' ? 'Class name, e.g. Room 12' : 'School name'} style={inputStyle} />
+      {kind === 'class' && (
+        <input type="text" value={schoolCode} onChange={(e) => setSchoolCode(e.target.value.toUpperCase())} disabled={creating} placeholder="School code (optional)" style={inputStyle} />
+      )}
+      <button type="submit" disabled={creating} style={{ background: '#ffd700', border: 'none', padding: '12px 30px', borderRadius: '20px', fontSize: '18px', fontWeight: 'bold', cursor: creating ? 'not-allowed' : 'pointer', fontFamily: 'Comic Sans MS, cursive', width: '100%', marginTop: '12px' }}>
+        {creating ? 'Creating...' : 'Create & get join code 🔑'}
+      </button>
+    </form>
+  );
+};
+
+// A teacher unlocks a player from before PINs with a one-time code to pass on to them
+const PinCodeForm = ({ onIssue }) => {
+  const [name, setName] = useState('');
+  const [issued, setIssued] = useState(null);
+  const [issuing, setIssuing] = useState(false);
+  const inputStyle = { width: '100%', boxSizing: 'border-box', padding: '12px 14px', border: '3px solid #667eea', borderRadius: '15px', fontSize: '18px', fontFamily: 'Comic Sans MS, cursive' };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!name.trim()) {
+      alert('🏆 Enter the player name to unlock');
+      return;
+    }
+    setIssuing(true);
+    try {
+      setIssued({ name: name.trim(), code: await onIssue(name) });
+    } catch (error) {
+      alert('❌ ' + error.message);
+    }
+    setIssuing(false);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} style={{ maxWidth: '400px', margin: '20px auto 0 auto', background: '#f8f8f8', padding: '20px', borderRadius: '20px' }}>
+      <div style={{ fontSize: '14px', color: '#666', marginBottom: '12px' }}>Player from before PINs? Give them a one-time code to log in with and pick a PIN.</div>
+      <input type="text" value={name} onChange={(e) => setName(e.target.value)} disabled={issuing} placeholder="🏆 Player name" maxLength="20" style={inputStyle} />
+      <button type="submit" disabled={issuing} style={{ background: '#ffd700', border: 'none', padding: '12px 30px', borderRadius: '20px', fontSize: '18px', fontWeight: 'bold', cursor: issuing ? 'not-allowed' : 'pointer', fontFamily: 'Comic Sans MS, cursive', width: '100%', marginTop: '12px' }}>
+        {issuing ? 'Making a code...' : 'Get a one-time code 🔑'}
+      </button>
+      {issued && (
+        <div style={{ fontSize: '14px', color: '#666', marginTop: '12px' }}>
+          One-time code for {issued.name}:
+          <div style={{ fontSize: '32px', fontWeight: 'bold', letterSpacing: '6px', color: '#667eea', marginTop: '6px' }}>{issued.code}</div>
+        </div>
+      )}
+    </form>
+  );
+};
+
+// A returning player signs in with their player name and PIN. A player from before PINs also
+// enters the one-time code their teacher gave them, and the PIN they type becomes theirs.
+const LoginForm = ({ onLogin }) => {
+  const [name, setName] = useState('');
+  const [pin, setPin] = useState('');
+  const [pinCode, setPinCode] = useState('');
+  const [needsPinCode, setNeedsPinCode] = useState(false);
+  const [loggingIn, setLoggingIn] = useState(false);
+  const inputStyle = { width: '100%', boxSizing: 'border-box', padding: '12px 14px', border: '3px solid #667eea', borderRadius: '15px', fontSize: '18px', fontFamily: 'Comic Sans MS, cursive', marginTop: '12px' };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!name.trim()) {
+      alert('🏆 Please enter your player name');
+      return;
+    }
+    if (!PIN_PATTERN.test(pin)) {
+      alert('🔒 Your PIN is 4 to 6 digits');
+      return;
+    }
+    if (needsPinCode && !pinCode.trim()) {
+      alert('🔑 Enter the one-time code from your teacher');
+      return;
+    }
+    setLoggingIn(true);
+    try {
+      const result = await onLogin(needsPinCode ? { name, pin, pinCode } : { name, pin });
+      if (result?.needsPinCode) {
+        setNeedsPinCode(true);
+        setLoggingIn(false);
+      }
+    } catch (error) {
+      alert('❌ ' + error.message);
+      setLoggingIn(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} style={{ maxWidth: '400px', margin: '0 auto 20px auto' }}>
+      <input type="text" value={name} onChange={(e) => setName(e.target.value)} disabled={loggingIn} placeholder="🏆 Player name" maxLength="20" style={{ ...inputStyle, marginTop: 0 }} />
+      <input type="password" inputMode="numeric" value={pin} onChange={(e) => setPin(e.target.value.replace(/\D/g, ''))} disabled={loggingIn} placeholder={needsPinCode ? '🔒 Pick a PIN' : '🔒 PIN'} maxLength="6" style={inputStyle} />
+      {needsPinCode && (
+        <>
+          <div style={{ fontSize: '14px', color: '#666', marginTop: '12px' }}>🔑 You played before PINs. Ask your teacher for a one-time code, then pick your PIN above.</div>
+          <input type="text" value={pinCode} onChange={(e) => setPinCode(e.target.value.toUpperCase())} disabled={loggingIn} placeholder="One-time code" maxLength="6" style={inputStyle} />
+        </>
+      )}
+      <button type="submit" disabled={loggingIn} style={{ background: '#ffd700', border: 'none', padding: '12px 30px', borderRadius: '20px', fontSize: '18px', fontWeight: 'bold', cursor: loggingIn ? 'not-allowed' : 'pointer', fontFamily: 'Comic Sans MS, cursive', width: '100%', marginTop: '12px' }}>
+        {loggingIn ? 'Logging in...' : 'Log In 🔓'}
+      </button>
+      <div style={{ fontSize: '13px', color: '#999', marginTop: '8px' }}>Played before player names? Use your phone number. Played before PINs? Your teacher can give you a one-time code to set one.</div>
+    </form>
+  );
+};
+
+// Supabase players log in, or sign up, with an email and password
+const EmailLoginForm = ({ onLogin }) => {
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [joinCode, setJoinCode] = useState('');
+  const [isNew, setIsNew] = useState(false);
+  const [loggingIn, setLoggingIn] = useState(false);
+  const inputStyle = { width: '100%', boxSizing: 'border-box', padding: '12px 14px', border: '3px solid #667eea', borderRadius: '15px', fontSize: '18px', fontFamily: 'Comic Sans MS, cursive', marginTop: '12px' };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!email.trim() || !password) {
+      alert('Please enter your email and password');
+      return;
+    }
+    if (isNew && password.length < MIN_PASSWORD_LENGTH) {
+      alert(`Pick a password with at least ${MIN_PASSWORD_LENGTH} characters`);
+      return;
+    }
+    setLoggingIn(true);
+    try {
+      await onLogin({ email: email.trim(), password, isNew, joinCode: joinCode.trim() });
+    } catch (error) {
+      alert('❌ Login failed: ' + error.message);
+    }
+    setLoggingIn(false);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} style={{ maxWidth: '400px', margin: '0 auto 20px auto' }}>
+      <input type="email" autoComplete="email" value={email} onChange={(e) => setEmail(e.target.value)} disabled={loggingIn} placeholder="Email" style={{ ...inputStyle, marginTop: 0 }} />
+      <input type="password" autoComplete={isNew ? 'new-password' : 'current-password'} value={password} onChange={(e) => setPassword(e.target.value)} disabled={loggingIn} placeholder="Password" style={inputStyle} />
+      <input type="text" value={joinCode} onChange={(e) => setJoinCode(e.target.value.toUpperCase())} disabled={loggingIn} placeholder="Class code (optional)" style={inputStyle} />
+      <button type="submit" disabled={loggingIn} style={{ background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)', color: 'white', border: 'none', padding: '20px 50px', borderRadius: '50px', fontSize: '28px', fontWeight: 'bold', cursor: loggingIn ? 'not-allowed' : 'pointer', boxShadow: '0 10px 30px rgba(0,0,0,0.3)', fontFamily: 'Comic Sans MS, cursive', width: '100%', marginTop: '16px', opacity: loggingIn ? 0.8 : 1 }}>
+        {loggingIn ? 'Loading...' : isNew ? 'Sign Up! ✨' : 'Play! 🎮'}
+      </button>
+      <button type="button" onClick={() => setIsNew(!isNew)} style={{ background: 'none', border: 'none', color: '#667eea', cursor: 'pointer', fontSize: '16px', textDecoration: 'underline', fontFamily: 'Comic Sans MS, cursive', marginTop: '10px' }}>
+        {isNew ? 'Already have an account? Log in' : 'New? Create an account'}
+      </button>
+    </form>
+  );
+};
+
+// A player enters a class or school code from the leaderboard
+const JoinLeagueForm = ({ onJoin }) => {
+  const [code, setCode] = useState('');
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (code.trim()) onJoin(code);
+  };
+  return (
+    <form onSubmit={handleSubmit} style={{ display: 'flex', gap: '8px', marginTop: '15px', padding: '15px', background: '#e8eaf6', borderRadius: '15px' }}>
+      <input type="text" value={code} onChange={(e) => setCode(e.target.value.toUpperCase())} placeholder="🍎 Class code" style={{ flex: 1, padding: '10px', border: '2px solid #667eea', borderRadius: '10px', fontSize: '16px', fontFamily: 'Comic Sans MS, cursive' }} />
+      <button type="submit" style={{ background: '#667eea', color: 'white', border: 'none', padding: '10px 20px', borderRadius: '10px', fontSize: '16px', fontWeight: 'bold', cursor: 'pointer', fontFamily: 'Comic Sans MS, cursive' }}>Join</button>
+    </form>
+  );
+};
+
+// Why the personalized ranking suits this player, and how far it moved the score
+const ForYouNote = ({ stock }) => {
+  if (!stock.forYou) return null;
+  const { adjustment, summary } = stock.forYou;
+  return (
+    <div style={{ padding: '10px', background: '#fff8e1', marginBottom: '8px', borderRadius: '10px', fontSize: '14px', color: '#555' }}>
+      <strong>💡 Why for you{adjustment ? ` (${adjustment > 0 ? '+' : ''}${adjustment.toFixed(0)} from KT ${stock.baseKtValue.toFixed(0)})` : ''}:</strong> {summary}
+    </div>
+  );
+};
+
+const OrderTypePicker = ({ types, orderType, onOrderTypeChange, triggerInput, onTriggerChange }) => (
+  <div>
+    <div style={{ display: 'flex', gap: '8px', marginBottom: '12px' }}>
+      {types.map(t => (
+        <button
+          key={t}
+          type="button"
+          onClick={() => onOrderTypeChange(t)}
+          style={{ flex: 1, background: t === orderType ? '#667eea' : '#f0f0f0', color: t === orderType ? 'white' : '#667eea', border: '2px solid #667eea', padding: '8px', borderRadius: '12px', fontSize: '14px', fontWeight: 'bold', cursor: 'pointer', fontFamily: 'Comic Sans MS, cursive' }}
+        >
+          {ORDER_LABELS[t]}
+        </button>
+      ))}
+    </div>
+    {orderType !== 'market' && (
+      <div style={{ marginBottom: '12px' }}>
+        <label style={{ display: 'block', fontSize: '16px', fontWeight: 'bold', marginBottom: '6px' }}>{ORDER_HINTS[orderType]} $</label>
+        <input
+          type="text"
+          inputMode="decimal"
+          placeholder="0.00"
+          value={triggerInput}
+          onChange={(e) => onTriggerChange(e.target.value.replace(/[^0-9.]/g, ''))}
+          style={{ width: '100%', padding: '10px 14px', border: '3px solid #667eea', borderRadius: '15px', fontSize: '18px', fontFamily: 'Comic Sans MS, cursive' }}
+        />
+      </div>
+    )}
+  </div>
+);
+
+const tradesToCsv = (trades) => {
+  const header = ['Date', 'Side', 'Symbol', 'Shares', 'Price', 'Total', 'Cash Before', 'Cash After', 'Realized P&L'];
+  const lines = trades.map(t => [
+    t.time,
+    t.side.toUpperCase(),
+    t.symbol,
+    t.shares,
+    t.price.toFixed(2),
+    t.total.toFixed(2),
+    t.cashBefore.toFixed(2),
+    t.cashAfter.toFixed(2),
+    t.realizedPnl != null ? t.realizedPnl.toFixed(2) : ''
+  ].join(','));
+  return [header.join(','), ...lines].join('\n');
+};
+
+// Realized = locked in by sells this run, unrealized = still on paper,
+// cash drag = what idle cash missed by not earning what the stocks did
+const summarizePnl = (portfolio, trades) => {
+  const since = portfolio.startedAt ? new Date(portfolio.startedAt).getTime() : null;
+  const realized = trades
+    .filter(t => t.side === 'sell' && t.realizedPnl != null)
+    .filter(t => since == null || new Date(t.time).getTime() >= since)
+    .reduce((sum, t) => sum + t.realizedPnl, 0);
+  const costBasis = portfolio.holdings.reduce((sum, h) => sum + h.purchasePrice * h.shares, 0);
+  const unrealized = portfolio.holdings.reduce((sum, h) => sum + (h.currentPrice - h.purchasePrice) * h.shares, 0);
+  const holdingsReturn = costBasis > 0 ? unrealized / costBasis : 0;
+  return {
+    totalReturn: portfolio.totalValue - portfolio.startValue,
+    realized,
+    unrealized,
+    cashDrag: -portfolio.cash * holdingsReturn
+  };
+};
+
+// Quotes come from the backend's shared cache; say how old they are
+const quoteAgeText = (quoteStatus) => {
+  if (!quoteStatus || !quoteStatus.asOf) return null;
+  const time = new Date(quoteStatus.asOf).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+  return quoteStatus.stale ? `⏸️ Live prices unavailable, showing prices from ${time}` : `🕒 Prices as of ${time}`;
+};
+
+const formatMoney = (amount) => `${amount >= 0 ? '+' : '-'}$${Math.abs(amount).toFixed(2)}`;
+
+const downloadCsv = (filename, csv) => {
+  const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv;charset=utf-8' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+// Charts live outside KT_STOCK_GAME so a portfolio refresh doesn't remount them and refetch
+const LineChart = ({ points = [], baseline = null, height = 160, emptyText = 'Not enough data yet' }) => {
+  const width = 460;
+
+  if (points.length < 2) {
+    return (
+      <div style={{ height: `${height}px`, display: 'flex', alignItems: 'center', justifyContent: 'center', color: '#999', fontSize: '16px', background: '#f8f8f8', borderRadius: '15px' }}>
+        {emptyText}
+      </div>
+    );
+  }
+
+  const values = points.map(p => p.value);
+  if (baseline != null) values.push(baseline);
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const span = (max - min) || 1;
+  const x = (i) => (i / (points.length - 1)) * width;
+  const y = (v) => height - 5 - ((v - min) / span) * (height - 10);
+
+  const d = points.map((p, i) => `${i === 0 ? 'M' : 'L'}${x(i).toFixed(1)} ${y(p.value).toFixed(1)}`).join(' ');
+  const up = points[points.length - 1].value >= (baseline != null ? baseline : points[0].value);
+  const color = up ? '#11998e' : '#eb3349';
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} preserveAspectRatio="none" style={{ width: '100%', height: `${height}px`, display: 'block' }}>
+      {baseline != null && (
+        <line x1={0} x2={width} y1={y(baseline)} y2={y(baseline)} stroke="#999" strokeWidth={1} strokeDasharray="6 4" vectorEffect="non-scaling-stroke" />
+      )}
+      <path d={`${d} L${width} ${height} L0 ${height} Z`} fill={color} opacity={0.12} />
+      <path d={d} fill="none" stroke={color} strokeWidth={3} vectorEffect="non-scaling-stroke" />
+    </svg>
+  );
+};
+
+const PriceChart = ({ symbol, apiBaseUrl }) => {
+  const [range, setRange] = useState(CHART_RANGES[2]);
+  const [chart, setChart] = useState({ loading: true, bars: [], error: null });
+
+  useEffect(() => {
+    let cancelled = false;
+    setChart({ loading: true, bars: [], error: null });
+    fetch(`${apiBaseUrl}/api/stock/${encodeURIComponent(symbol)}/history?period=${range.period}&interval=${range.interval}`)
+      .then(response => {
+        if (!response.ok) throw new Error(`API returned ${response.status}`);
+        return response.json();
+      })
+      .then(data => {
+        if (!cancelled) setChart({ loading: false, bars: data.bars || [], error: null });
+      })
+      .catch(error => {
+        console.warn('Price history failed for', symbol, error.message);
+        if (!cancelled) setChart({ loading: false, bars: [], error: error.message });
+      });
+    return () => { cancelled = true; };
+  }, [symbol, range.label]);
+
+  const points = chart.bars.map(bar => ({ time: bar.time, value: bar.close }));
+  const first = points.length > 0 ? points[0].value : null;
+  const last = points.length > 0 ? points[points.length - 1].value : null;
+  const rangePct = first ? ((last - first) / first) * 100 : null;
+
+  return (
+    <div style={{ marginBottom: '20px' }}>
+      <div style={{ display: 'flex', gap: '8px', justifyContent: 'center', marginBottom: '10px' }}>
+        {CHART_RANGES.map(r => (
+          <button
+            key={r.label}
+            type="button"
+            onClick={() => setRange(r)}
+            style={{ background: r.label === range.label ? '#667eea' : '#f0f0f0', color: r.label === range.label ? 'white' : '#667eea', border: '2px solid #667eea', padding: '6px 14px', borderRadius: '12px', fontSize: '14px', fontWeight: 'bold', cursor: 'pointer', fontFamily: 'Comic Sans MS, cursive' }}
+          >
+            {r.label}
+          </button>
+        ))}
+      </div>
+      {chart.loading ? (
+        <div style={{ height: '160px', display: 'flex', alignItems: 'center', justifyContent: 'center', color: '#667eea', fontSize: '16px' }}>📊 Loading chart...</div>
+      ) : chart.error ? (
+        <div style={{ height: '160px', display: 'flex', alignItems: 'center', justifyContent: 'center', color: '#e65100', fontSize: '14px', background: '#fff3e0', borderRadius: '15px' }}>⚠️ Could not load the price chart</div>
+      ) : (
+        <LineChart points={points} emptyText="No trades in this range" />
+      )}
+      {rangePct != null && !chart.loading && (
+        <div style={{ textAlign: 'center', fontSize: '14px', marginTop: '6px', color: rangePct >= 0 ? '#11998e' : '#eb3349', fontWeight: 'bold' }}>
+          {rangePct >= 0 ? '📈 +' : '📉 '}{rangePct.toFixed(2)}% over {range.label}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// An open violation on the teacher dashboard (the backend only words a player's own)
+const violationText = (violation) => (
+  violation.rule === 'min_invested'
+    ? `💼 Only ${violation.pct}% invested`
+    : `⚠️ ${violation.symbol} is ${violation.pct}% of the portfolio`
+);
+
+// The teacher dashboard: review the players in your classes and reset, rename or freeze one
+const AdminScreen = ({ admin, player, onBack }) => {
+  const [classes, setClasses] = useState([]);
+  const [classId, setClassId] = useState('');
+  const [players, setPlayers] = useState(null);
+  const [openId, setOpenId] = useState(null);
+  const [trades, setTrades] = useState({});
+  const [showCreate, setShowCreate] = useState(false);
+  const smallButton = { border: 'none', padding: '8px 14px', borderRadius: '12px', fontSize: '14px', fontWeight: 'bold', cursor: 'pointer', fontFamily: 'Comic Sans MS, cursive', color: 'white' };
+
+  const loadPlayers = async (forClass) => {
+    try {
+      setPlayers(await admin.loadPlayers(player, forClass));
+    } catch (error) {
+      console.error('Could not load players:', error);
+      alert('❌ ' + error.message);
+      setPlayers([]);
+    }
+  };
+
+  useEffect(() => {
+    admin.loadClasses(player).then(setClasses);
+    loadPlayers('');
+  }, []);
+
+  // A new class shows up in the class picker straight away
+  const createLeague = async (league) => {
+    const created = await admin.createLeague(player, league);
+    admin.loadClasses(player).then(setClasses);
+    return created;
+  };
+
+  const pickClass = (id) => {
+    setClassId(id);
+    setPlayers(null);
+    setOpenId(null);
+    loadPlayers(id);
+  };
+
+  const togglePlayer = async (playerId) => {
+    if (openId === playerId) {
+      setOpenId(null);
+      return;
+    }
+    setOpenId(playerId);
+    try {
+      const playerTrades = await admin.loadTrades(player, playerId);
+      setTrades(prev => ({ ...prev, [playerId]: playerTrades }));
+    } catch (error) {
+      console.error('Could not load trades:', error);
+    }
+  };
+
+  const act = async (p, action, payload) => {
+    try {
+      await admin.act(player, p.userId, action, payload);
+      await loadPlayers(classId);
+    } catch (error) {
+      alert('❌ ' + error.message);
+    }
+  };
+
+  const renamePlayer = (p) => {
+    const name = (window.prompt(`New leaderboard name for ${p.name}:`, '') || '').trim();
+    if (!name) return;
+    if (/[^a-zA-Z0-9 _-]/.test(name)) {
+      alert('Leaderboard Name can only contain letters, numbers, spaces, underscores and hyphens');
+      return;
+    }
+    act(p, 'rename', { leaderboard_name: name });
+  };
+
+  const resetPlayer = (p) => {
+    if (!window.confirm(`Start ${p.name} over? Their holdings, pending orders, value history and rule breaks are cleared, and they leave any competition they are in.`)) return;
+    act(p, 'reset');
+  };
+
+  const exportResults = async () => {
+    const league = classes.find(c => String(c.id) === String(classId));
+    try {
+      const csv = await admin.exportCsv(player, classId);
+      downloadCsv(`kt-results-${league ? league.name.replace(/[^a-zA-Z0-9]+/g, '-') : 'my-classes'}.csv`, csv);
+    } catch (error) {
+      alert('❌ Export failed: ' + error.message);
+    }
+  };
+
+  const noPlayers = !players || players.length === 0;
+  return (
+    <div>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '20px', flexWrap: 'wrap', gap: '10px' }}>
+        <h2 style={{ fontSize: '32px', color: '#667eea', margin: 0 }}>🛠️ Teacher Dashboard</h2>
+        <button onClick={onBack} style={{ background: '#999', color: 'white', border: 'none', padding: '12px 20px', borderRadius: '20px', fontSize: '16px', fontWeight: 'bold', cursor: 'pointer', fontFamily: 'Comic Sans MS, cursive' }}>← Back to my game</button>
+      </div>
+      <div style={{ display: 'flex', gap: '10px', marginBottom: '20px', flexWrap: 'wrap' }}>
+        <select value={classId} onChange={(e) => pickClass(e.target.value)} style={{ flex: 1, padding: '10px 12px', border: '2px solid #667eea', borderRadius: '12px', fontSize: '16px', fontFamily: 'Comic Sans MS, cursive' }}>
+          <option value="">All my classes</option>
+          {classes.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+        </select>
+        <button onClick={exportResults} disabled={noPlayers} style={{ ...smallButton, background: noPlayers ? '#ccc' : '#667eea', fontSize: '16px', padding: '10px 16px' }}>⬇️ Export CSV</button>
+        <button onClick={() => setShowCreate(!showCreate)} style={{ ...smallButton, background: '#ffb300', fontSize: '16px', padding: '10px 16px' }}>🍎 Start a class</button>
+      </div>
+      {showCreate && <div style={{ marginBottom: '20px' }}><CreateLeagueForm onCreate={createLeague} /></div>}
+      {!players ? (
+        <div style={{ textAlign: 'center', padding: '40px', color: '#666', fontSize: '18px' }}>⏳ Loading players...</div>
+      ) : players.length === 0 ? (
+        <div style={{ textAlign: 'center', padding: '40px', color: '#666', fontSize: '18px' }}>No players here yet.</div>
+      ) : players.map(p => (
+        <div key={p.userId} style={{ background: '#f8f8f8', borderRadius: '15px', padding: '15px', marginBottom: '10px', border: p.tradingFrozen ? '3px solid #42a5f5' : p.openViolations.length > 0 ? '3px solid #ff9800' : 'none' }}>
+          <div onClick={() => togglePlayer(p.userId)} style={{ display: 'flex', alignItems: 'center', gap: '12px', cursor: 'pointer' }}>
+            <div style={{ fontSize: '20px', fontWeight: 'bold', color: '#667eea', minWidth: '40px' }}>#{p.rank}</div>
+            <div style={{ flex: 1 }}>
+              <div style={{ fontSize: '18px', fontWeight: 'bold' }}>
+                {p.name}{p.tradingFrozen ? ' 🧊' : ''}
+                <span style={{ fontSize: '14px', color: '#999', fontWeight: 'normal', marginLeft: '8px' }}>{[p.firstName, p.lastName].filter(Boolean).join(' ')}</span>
+              </div>
+              <div style={{ fontSize: '13px', color: '#666' }}>
+                {p.gameStarted ? '⚡ Playing' : '🎯 Picking stocks'} · 💰 {p.cash != null ? formatMoney(p.cash) : '-'} cash · {p.holdings.length} stocks
+              </div>
+              {(p.openViolations.length > 0 || p.violations > 0) && (
+                <div style={{ fontSize: '13px', color: '#f57c00' }}>
+                  ⚠️ {p.openViolations.length} open · {p.violations} total rule {p.violations === 1 ? 'break' : 'breaks'}{p.penaltyPct > 0 ? ` · -${Number(p.penaltyPct.toFixed(2))} pts` : ''}
+                </div>
+              )}
+            </div>
+            <div style={{ textAlign: 'right' }}>
+              <div style={{ fontSize: '18px', fontWeight: 'bold' }}>{p.value != null ? formatMoney(p.value) : '-'}</div>
+              <div style={{ fontSize: '14px', color: p.returnPct == null ? '#999' : p.returnPct >= 0 ? '#11998e' : '#eb3349' }}>{p.returnPct != null ? `${p.returnPct.toFixed(2)}%` : 'unpriced'}</div>
+            </div>
+          </div>
+          {openId === p.userId && (
+            <div style={{ marginTop: '12px', borderTop: '2px solid #e0e0e0', paddingTop: '12px' }}>
+              <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', marginBottom: '12px' }}>
+                <button onClick={() => act(p, 'freeze', { frozen: !p.tradingFrozen })} style={{ ...smallButton, background: p.tradingFrozen ? '#11998e' : '#42a5f5' }}>{p.tradingFrozen ? '▶️ Let them trade' : '🧊 Freeze trading'}</button>
+                <button onClick={() => renamePlayer(p)} style={{ ...smallButton, background: '#667eea' }}>✏️ Rename</button>
+                <button onClick={() => resetPlayer(p)} style={{ ...smallButton, background: '#eb3349' }}>🔄 Reset</button>
+              </div>
+              {p.openViolations.map(v => (
+                <div key={v.id} style={{ fontSize: '14px', color: '#eb3349', marginBottom: '4px' }}>{violationText(v)} · since {new Date(v.detectedAt).toLocaleString()}</div>
+              ))}
+              <div style={{ fontSize: '15px', fontWeight: 'bold', color: '#667eea', margin: '8px 0 4px' }}>📦 Holdings</div>
+              {p.holdings.length === 0 ? (
+                <div style={{ fontSize: '14px', color: '#999' }}>No stocks</div>
+              ) : p.holdings.map(h => (
+                <div key={h.symbol} style={{ display: 'flex', justifyContent: 'space-between', fontSize: '14px', padding: '2px 0' }}>
+                  <span><strong>{h.symbol}</strong> × {h.shares}</span>
+                  <span>{h.value != null ? `${formatMoney(h.value)}${p.value ? ` (${(h.value / p.value * 100).toFixed(1)}%)` : ''}` : 'no price'}</span>
+                </div>
+              ))}
+              <div style={{ fontSize: '15px', fontWeight: 'bold', color: '#667eea', margin: '8px 0 4px' }}>🧾 Trades</div>
+              {!trades[p.userId] ? (
+                <div style={{ fontSize: '14px', color: '#999' }}>⏳ Loading trades...</div>
+              ) : trades[p.userId].length === 0 ? (
+                <div style={{ fontSize: '14px', color: '#999' }}>No trades yet</div>
+              ) : (
+                <div style={{ maxHeight: '200px', overflowY: 'auto' }}>
+                  {trades[p.userId].map((t, i) => (
+                    <div key={t.id || i} style={{ display: 'flex', gap: '10px', fontSize: '14px', padding: '2px 0' }}>
+                      <span style={{ color: t.side === 'buy' ? '#11998e' : '#ff6a00', fontWeight: 'bold', minWidth: '40px' }}>{t.side === 'buy' ? 'BUY' : 'SELL'}</span>
+                      <span style={{ flex: 1 }}>{t.symbol} {t.shares} @ ${t.price.toFixed(2)}</span>
+                      <span style={{ color: '#999' }}>{new Date(t.time).toLocaleString()}</span>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+const SECTORS = [
+  'Technology', 'Healthcare', 'Financial', 'Consumer', 'Energy',
+  'Industrial', 'Materials', 'Utilities', 'Real Estate', 'Communications'
+];
+
+// Age first; anyone who may be under 13 gets a parent to agree before the profile step.
+// Outside KT_STOCK_GAME so a price tick doesn't remount it and send the player back to the start.
+const RegisterScreen = ({ store, joinCode, onRegister }) => {
+  const [step, setStep] = useState('age');
+  const [formData, setFormData] = useState({
+    birthYear: '',
+    ageGroup: null,
+    parentEmail: '',
+    username: '',
+    firstName: '',
+    lastName: '',
+    riskTolerance: 'medium',
+    preferredSector: 'Technology',
+    returnGoal: 'long',
+    joinCode,
+    pin: '',
+    pinConfirm: ''
+  });
+  const usesPin = store.signInWith === 'pin';
+  const submitStyle = { background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)', color: 'white', border: 'none', padding: '20px 50px', borderRadius: '50px', fontSize: '28px', fontWeight: 'bold', cursor: 'pointer', boxShadow: '0 10px 30px rgba(0,0,0,0.3)', fontFamily: 'Comic Sans MS, cursive', width: '100%' };
+
+  const handleAge = (e) => {
+    e.preventDefault();
+    if (!formData.birthYear) {
+      alert('🎂 Please pick the year you were born');
+      return;
+    }
+    const group = ageGroup(Number(formData.birthYear));
+    setFormData({...formData, ageGroup: group});
+    setStep(group === 'under_13' ? 'consent' : 'profile');
+  };
+
+  const handleConsent = (e) => {
+    e.preventDefault();
+    if (!/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(formData.parentEmail.trim())) {
+      alert('📧 Please enter your parent or guardian\'s email');
+      return;
+    }
+    setStep('profile');
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!PLAYER_NAME_PATTERN.test(formData.username.trim())) {
+      alert('🏆 Your player name needs 3 to 20 letters, numbers, spaces, underscores or hyphens');
+      return;
+    }
+    if (usesPin && !PIN_PATTERN.test(formData.pin)) {
+      alert('🔒 Pick a PIN of 4 to 6 digits');
+      return;
+    }
+    if (usesPin && formData.pin !== formData.pinConfirm) {
+      alert('🔒 The PINs don\'t match');
+      return;
+    }
+    onRegister(formData);
+  };
+
+  if (step === 'age') {
+    return (
+      <div>
+        <h2 style={{ fontSize: '36px', color: '#667eea', marginBottom: '30px', textAlign: 'center' }}>👋 Let's Get Started!</h2>
+        <form onSubmit={handleAge}>
+          <div style={{ marginBottom: '25px' }}>
+            <label style={{ display: 'block', fontSize: '20px', fontWeight: 'bold', color: '#333', marginBottom: '10px' }}>🎂 What year were you born?</label>
+            <select
+              value={formData.birthYear}
+              onChange={(e) => setFormData({...formData, birthYear: e.target.value})}
+              style={{ width: '100%', padding: '15px', border: '3px solid #667eea', borderRadius: '15px', fontSize: '18px', fontFamily: 'Comic Sans MS, cursive' }}
+            >
+              <option value="">Pick a year</option>
+              {birthYears().map(year => (
+                <option key={year} value={year}>{year}</option>
+              ))}
+            </select>
+            <div style={{ fontSize: '14px', color: '#999', marginTop: '6px' }}>We only keep whether you're under {CONSENT_AGE}, not your birthday.</div>
+          </div>
+          <button type="submit" style={submitStyle}>Next ➡️</button>
+        </form>
+      </div>
+    );
+  }
+
+  // A parent's consent has to be checked by email, which only the Supabase game can send
+  if (step === 'consent' && !store.consentByEmail) {
+    return (
+      <div>
+        <h2 style={{ fontSize: '36px', color: '#667eea', marginBottom: '30px', textAlign: 'center' }}>👨‍👩‍👧 Ask a Grown-Up</h2>
+        <p style={{ fontSize: '18px', color: '#333' }}>
+          {`Players under ${CONSENT_AGE} need a parent or guardian to say yes by email, and this version of the game can't send one. Ask your teacher or a grown-up about the version with accounts.`}
+        </p>
+        <button type="button" onClick={() => setStep('age')} style={submitStyle}>⬅️ Back</button>
+      </div>
+    );
+  }
+
+  if (step === 'consent') {
+    return (
+      <div>
+        <h2 style={{ fontSize: '36px', color: '#667eea', marginBottom: '30px', textAlign: 'center' }}>👨‍👩‍👧 Ask a Grown-Up</h2>
+        <form onSubmit={handleConsent}>
+          <p style={{ fontSize: '18px', color: '#333' }}>
+            {`Players under ${CONSENT_AGE} need a parent or guardian to say yes. We'll email them a link - you can look around now and start trading once they agree.`}
+          </p>
+          <div style={{ marginBottom: '25px' }}>
+            <label style={{ display: 'block', fontSize: '20px', fontWeight: 'bold', color: '#333', marginBottom: '10px' }}>📧 Parent or Guardian Email</label>
+            <input
+              type="email"
+              required
+              value={formData.parentEmail}
+              onChange={(e) => setFormData({...formData, parentEmail: e.target.value})}
+              placeholder="parent@example.com"
+              style={{ width: '100%', padding: '15px', border: '3px solid #667eea', borderRadius: '15px', fontSize: '18px', fontFamily: 'Comic Sans MS, cursive' }}
+            />
+          </div>
+          <button type="submit" style={submitStyle}>Next ➡️</button>
+        </form>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <h2 style={{ fontSize: '36px', color: '#667eea', marginBottom: '30px', textAlign: 'center' }}>👋 Let's Get Started!</h2>
+      <form onSubmit={handleSubmit}>
+        <div style={{ marginBottom: '25px' }}>
+          <label style={{ display: 'block', fontSize: '20px', fontWeight: 'bold', color: '#333', marginBottom: '10px' }}>🏆 Player Name</label>
+          <input
+            type="text"
+            required
+            value={formData.username}
+            onChange={(e) => setFormData({...formData, username: e.target.value})}
+            placeholder="The name everyone sees - not your real name"
+            maxLength="20"
+            style={{ width: '100%', padding: '15px', border: '3px solid #667eea', borderRadius: '15px', fontSize: '18px', fontFamily: 'Comic Sans MS, cursive' }}
+          />
+        </div>
+
+        <div style={{ marginBottom: '25px' }}>
+          <label style={{ display: 'block', fontSize: '20px', fontWeight: 'bold', color: '#333', marginBottom: '10px' }}>First Name (optional)</label>
+          <input
+            type="text"
+            value={formData.firstName}
+            onChange={(e) => setFormData({...formData, firstName: e.target.value})}
+            placeholder="Never shown to other players"
+            style={{ width: '100%', padding: '15px', border: '3px solid #667eea', borderRadius: '15px', fontSize: '18px', fontFamily: 'Comic Sans MS, cursive' }}
+          />
+        </div>
+
+        <div style={{ marginBottom: '25px' }}>
+          <label style={{ display: 'block', fontSize: '20px', fontWeight: 'bold', color: '#333', marginBottom: '10px' }}>Last Name (optional)</label>
+          <input
+            type="text"
+            value={formData.lastName}
+            onChange={(e) => setFormData({...formData, lastName: e.target.value})}
+            placeholder="Never shown to other players"
+            style={{ width: '100%', padding: '15px', border: '3px solid #667eea', borderRadius: '15px', fontSize: '18px', fontFamily: 'Comic Sans MS, cursive' }}
+          />
+        </div>
+
+        {usesPin && (
+          <div style={{ marginBottom: '25px' }}>
+            <label style={{ display: 'block', fontSize: '20px', fontWeight: 'bold', color: '#333', marginBottom: '10px' }}>🔒 PIN (4-6 digits)</label>
+            <div style={{ display: 'flex', gap: '10px' }}>
+              <input
+                type="password"
+                inputMode="numeric"
+                required
+                value={formData.pin}
+                onChange={(e) => setFormData({...formData, pin: e.target.value.replace(/\D/g, '')})}
+                placeholder="PIN"
+                maxLength="6"
+                style={{ flex: 1, padding: '15px', border: '3px solid #667eea', borderRadius: '15px', fontSize: '18px', fontFamily: 'Comic Sans MS, cursive' }}
+              />
+              <input
+                type="password"
+                inputMode="numeric"
+                required
+                value={formData.pinConfirm}
+                onChange={(e) => setFormData({...formData, pinConfirm: e.target.value.replace(/\D/g, '')})}
+                placeholder="PIN again"
+                maxLength="6"
+                style={{ flex: 1, padding: '15px', border: '3px solid #667eea', borderRadius: '15px', fontSize: '18px', fontFamily: 'Comic Sans MS, cursive' }}
+              />
+            </div>
+            <div style={{ fontSize: '14px', color: '#999', marginTop: '6px' }}>You'll use your player name and PIN to log in</div>
+          </div>
+        )}
+
+        <div style={{ marginBottom: '25px' }}>
+          <label style={{ display: 'block', fontSize: '20px', fontWeight: 'bold', color: '#333', marginBottom: '10px' }}>🎲 Risk Tolerance</label>
+          <select
+            value={formData.riskTolerance}
+            onChange={(e) => setFormData({...formData, riskTolerance: e.target.value})}
+            style={{ width: '100%', padding: '15px', border: '3px solid #667eea', borderRadius: '15px', fontSize: '18px', fontFamily: 'Comic Sans MS, cursive' }}
+          >
+            <option value="low">😌 Low - Play it safe</option>
+            <option value="medium">😊 Medium - Balanced</option>
+            <option value="high">🚀 High - Go big!</option>
+          </select>
+        </div>
+
+        <div style={{ marginBottom: '25px' }}>
+          <label style={{ display: 'block', fontSize: '20px', fontWeight: 'bold', color: '#333', marginBottom: '10px' }}>🏭 Favorite Sector</label>
+          <select
+            value={formData.preferredSector}
+            onChange={(e) => setFormData({...formData, preferredSector: e.target.value})}
+            style={{ width: '100%', padding: '15px', border: '3px solid #667eea', borderRadius: '15px', fontSize: '18px', fontFamily: 'Comic Sans MS, cursive' }}
+          >
+            {SECTORS.map(sector => (
+              <option key={sector} value={sector}>{sector}</option>
+            ))}
+          </select>
+        </div>
+
+        <div style={{ marginBottom: '25px' }}>
+          <label style={{ display: 'block', fontSize: '20px', fontWeight: 'bold', color: '#333', marginBottom: '10px' }}>⏰ Investment Goal</label>
+          <select
+            value={formData.returnGoal}
+            onChange={(e) => setFormData({...formData, returnGoal: e.target.value})}
+            style={{ width: '100%', padding: '15px', border: '3px solid #667eea', borderRadius: '15px', fontSize: '18px', fontFamily: 'Comic Sans MS, cursive' }}
+          >
+            <option value="short">⚡ Short Term (under 6 months)</option>
+            <option value="long">🌱 Long Term (over 12 months)</option>
+          </select>
+        </div>
+
+        <div style={{ marginBottom: '25px' }}>
+          <label style={{ display: 'block', fontSize: '20px', fontWeight: 'bold', color: '#333', marginBottom: '10px' }}>🍎 Class Code (optional)</label>
+          <input
+            type="text"
+            value={formData.joinCode}
+            onChange={(e) => setFormData({...formData, joinCode: e.target.value.toUpperCase()})}
+            placeholder="From your teacher"
+            style={{ width: '100%', padding: '15px', border: '3px solid #667eea', borderRadius: '15px', fontSize: '18px', fontFamily: 'Comic Sans MS, cursive' }}
+          />
+        </div>
+
+        <button type="submit" style={submitStyle}>Start Playing! 🎉</button>
+      </form>
+    </div>
+  );
+};
 
-const KT_STOCK_GAME = () => {
+const KT_STOCK_GAME = ({ config } = {}) => {
+  const [settings] = useState(() => loadConfig(config));
+  const [store, setStore] = useState(() => createStore(settings));
   const [screen, setScreen] = useState('welcome');
   const [user, setUser] = useState(null);
   const [portfolio, setPortfolio] = useState(null);
@@ -9,30 +996,68 @@ const KT_STOCK_GAME = () => {
   const [searchTerm, setSearchTerm] = useState('');
   const [selectedStock, setSelectedStock] = useState(null);
   const [shares, setShares] = useState(1);
+  const [sellingHolding, setSellingHolding] = useState(null);
+  const [sellShares, setSellShares] = useState(0);
+  const [snapshots, setSnapshots] = useState([]);
+  const [transactions, setTransactions] = useState([]);
+  const [tradeFilter, setTradeFilter] = useState('');
+  const [orders, setOrders] = useState([]);
+  const [corporateActions, setCorporateActions] = useState([]);
+  const [orderType, setOrderType] = useState('market');
+  const [triggerInput, setTriggerInput] = useState('');
   const [loading, setLoading] = useState(false);
   const [leaderboard, setLeaderboard] = useState([]);
+  const [leaderboardInfo, setLeaderboardInfo] = useState({ total: 0, page: 1, me: null });
   const [showLeaderboard, setShowLeaderboard] = useState(false);
   const [debugMode, setDebugMode] = useState(false);
   const [errors, setErrors] = useState([]);
   const [testMode, setTestMode] = useState(false);
   const [tickerSearch, setTickerSearch] = useState('');
   const [searchResults, setSearchResults] = useState([]);
+  const [suggestions, setSuggestions] = useState([]);
+  const [rankingPages, setRankingPages] = useState(1);
+  const [rankingTotals, setRankingTotals] = useState(null);
   const [apiError, setApiError] = useState(null);
+  const [quoteStatus, setQuoteStatus] = useState(null);
+  const [marketStatus, setMarketStatus] = useState(null);
+  const [rules, setRules] = useState(GameRules.DEFAULT_RULES);
+  const [gameEnd, setGameEnd] = useState(null);
+  const [violations, setViolations] = useState([]);
+  const [competitions, setCompetitions] = useState([]);
+  const [leaderboardScope, setLeaderboardScope] = useState('global');
+  const [leaderboardMode, setLeaderboardMode] = useState('return');
+  const [leagues, setLeagues] = useState({ class: null, school: null });
+  const [showTeacher, setShowTeacher] = useState(false);
+  const [showLogin, setShowLogin] = useState(false);
+  const [showSeasons, setShowSeasons] = useState(false);
+  const [seasonView, setSeasonView] = useState(null);
+  const [results, setResults] = useState(null);
+  const [pendingJoinCode, setPendingJoinCode] = useState('');
+  const [pendingChanges, setPendingChanges] = useState(0);
+  const [priceFeed, setPriceFeed] = useState(null);
+  const [priceTicks, setPriceTicks] = useState({});
 
   const searchInputRef = useRef(null);
-
-  const API_BASE_URL = 'https://kt-stock-api.onrender.com';
-  
-  // Game constants from spec
-  const MIN_HOLDINGS = 4;
-  const MAX_HOLDINGS = 10;
-  const MIN_INVESTED_PCT = 97;
-  const MAX_POSITION_PCT = 25;
-  
-  const POPULAR_STOCKS = [
-    'AAPL', 'MSFT', 'GOOGL', 'AMZN', 'NVDA', 'TSLA', 'META', 'JPM', 'V', 'WMT',
-    'DIS', 'NFLX', 'BA', 'KO', 'PEP', 'NKE', 'MCD', 'SBUX', 'COST', 'HD'
-  ];
+  const suggestTimerRef = useRef(null);
+  // The game as of the last render, for timers that outlive it
+  const latestGameRef = useRef(null);
+  // Last streamed price per symbol, and this render's handlers for the next update, tick and leaderboard reload
+  const streamedPricesRef = useRef({});
+  const priceHandlerRef = useRef(null);
+  const tickHandlerRef = useRef(null);
+  const leaderboardHandlerRef = useRef(null);
+
+  // Rankings page through the backend's game universe (GAME_UNIVERSE)
+  const RANKINGS_PAGE_SIZE = 20;
+  const RANKINGS_PENDING_RETRY_MS = 15000;
+  // KT scores are rescored hourly on the backend; prices between come from the stream
+  const RANKINGS_REFRESH_MS = 60 * 60 * 1000;
+  const PORTFOLIO_TICK_MS = 15000;
+  // Other players' places move slowly, so the leaderboard reloads less often than the portfolio ticks
+  const LEADERBOARD_REFRESH_MS = 60 * 1000;
+  const SUGGESTION_LIMIT = 8;
+  const SUGGEST_DEBOUNCE_MS = 250;
+  const CORPORATE_ACTION_REFRESH_MS = 5 * 60 * 1000;
 
   const COMPANY_NAMES = {
     'AAPL': 'Apple',
@@ -57,10 +1082,17 @@ const KT_STOCK_GAME = () => {
     'HD': 'Home Depot'
   };
 
-  const SECTORS = [
-    'Technology', 'Healthcare', 'Financial', 'Consumer', 'Energy',
-    'Industrial', 'Materials', 'Utilities', 'Real Estate', 'Communications'
-  ];
+  // Test mode plays in memory against the real stock API; nothing is kept
+  const TEST_PLAYER = {
+    username: 'Test Player',
+    pin: '0000',
+    firstName: 'Test',
+    lastName: 'Player',
+    riskTolerance: 'medium',
+    preferredSector: 'Technology',
+    returnGoal: 'long',
+    ageGroup: '13_plus'
+  };
 
   // Helper functions for game rules
   const calculateInvestedPct = (portfolio) => {
@@ -74,75 +1106,77 @@ const KT_STOCK_GAME = () => {
     return (holding.value / portfolioValue) * 100;
   };
 
-  const isBuyable = (stock, portfolioValue) => {
-    // Stock is buyable if one share costs <= 25% of portfolio
-    return stock.price <= (portfolioValue * (MAX_POSITION_PCT / 100));
+  // The store hands the game back and forth as one object
+  latestGameRef.current = portfolio && { portfolio, snapshots, transactions, orders, corporateActions, violations, rules, pendingChanges };
+  const currentGame = () => latestGameRef.current;
+
+  const applyGame = (game) => {
+    setPortfolio(game.portfolio);
+    setSnapshots(game.snapshots);
+    setTransactions(game.transactions);
+    setOrders(game.orders);
+    setCorporateActions(game.corporateActions);
+    setViolations(game.violations);
+    setRules(game.rules);
+    setPendingChanges(game.pendingChanges || 0);
+    latestGameRef.current = game;
   };
 
-  const canBuyStock = (stock, numShares, portfolio) => {
-    const cost = stock.price * numShares;
-    
-    // Check cash
-    if (cost > portfolio.cash) {
-      return { allowed: false, reason: '💰 Not enough cash!' };
-    }
-
-    // Check max holdings (if new stock)
-    const existingHolding = portfolio.holdings.find(h => h.symbol === stock.symbol);
-    if (!existingHolding && portfolio.holdings.length >= MAX_HOLDINGS) {
-      return { allowed: false, reason: `📦 Maximum ${MAX_HOLDINGS} stocks allowed` };
-    }
-
-    // Check 25% position cap
-    const newPositionValue = existingHolding 
-      ? existingHolding.value + cost
-      : cost;
-    const newPositionPct = (newPositionValue / portfolio.totalValue) * 100;
-    
-    if (newPositionPct > MAX_POSITION_PCT) {
-      return { allowed: false, reason: `⚠️ Would exceed ${MAX_POSITION_PCT}% position limit (${newPositionPct.toFixed(1)}%)` };
+  // Autocomplete tickers and company names from the backend's universe as the player types
+  const suggestSymbols = () => {
+    clearTimeout(suggestTimerRef.current);
+    const q = searchInputRef.current ? searchInputRef.current.value.trim() : '';
+    if (!q) {
+      setSuggestions([]);
+      return;
     }
-
-    // If already over 25%, can't add more
-    if (existingHolding) {
-      const currentPct = getPositionPct(existingHolding, portfolio.totalValue);
-      if (currentPct > MAX_POSITION_PCT) {
-        return { allowed: false, reason: `🔒 Position is ${currentPct.toFixed(1)}% (max ${MAX_POSITION_PCT}%) - sell first to add more` };
+    suggestTimerRef.current = setTimeout(async () => {
+      try {
+        const data = await store.api.get(`/api/search?q=${encodeURIComponent(q)}&limit=${SUGGESTION_LIMIT}`);
+        // Ignore answers for text the player has since changed
+        if (searchInputRef.current && searchInputRef.current.value.trim() === q) {
+          setSuggestions(data.results);
+        }
+      } catch (error) {
+        setSuggestions([]);
       }
-    }
-
-    return { allowed: true };
+    }, SUGGEST_DEBOUNCE_MS);
   };
 
-  // Handle ticker search - triggered by button click
-  const handleSearch = () => {
-    const searchValue = searchInputRef.current ? searchInputRef.current.value : tickerSearch;
-    
-    if (searchValue.length === 0) {
+  // Handle ticker search - the picked suggestion, else the top suggestion, else the text as a ticker
+  const handleSearch = async (symbol) => {
+    const searchValue = (searchInputRef.current ? searchInputRef.current.value : tickerSearch).trim();
+    const term = (symbol || (searchValue && suggestions.length > 0 ? suggestions[0].symbol : searchValue)).toUpperCase();
+    clearTimeout(suggestTimerRef.current);
+    setSuggestions([]);
+
+    if (term.length === 0) {
       setSearchResults([]);
       return;
     }
-    
-    console.log('Searching for:', searchValue);
-    console.log('KT Rankings available:', ktRankings.length);
-    
-    const term = searchValue.toUpperCase();
-    
-    // Search in KT rankings only - no fake stocks
-    const ktMatches = ktRankings.filter(stock => 
-      stock.symbol.includes(term)
-    );
-    
-    console.log('Matches found:', ktMatches.length);
-    
-    if (ktMatches.length > 0) {
-      setSearchResults(ktMatches.slice(0, 5));
-    } else {
-      // No matches - show "not found" result
-      setSearchResults([{ 
-        symbol: term, 
+
+    console.log('Searching for:', term);
+
+    try {
+      const data = await store.api.get(`/api/kt/rankings?${rankingParams(user, { symbols: term })}`);
+      const match = data.rankings[0];
+
+      if (match && match.price != null) {
+        setSearchResults([toRanking(match)]);
+      } else {
+        // No price for it - show "not found" result
+        setSearchResults([{
+          symbol: term,
+          notFound: true,
+          message: `"${term}" is not a ticker we can price. Check the symbol (e.g. AAPL, MSFT) or search by company name.`
+        }]);
+      }
+    } catch (error) {
+      logError('handleSearch', error, { term });
+      setSearchResults([{
+        symbol: term,
         notFound: true,
-        message: `"${term}" not in current game stocks. Available stocks: AAPL, MSFT, GOOGL, AMZN, NVDA, TSLA, META, JPM, V, WMT, DIS, NFLX, BA, KO, PEP, NKE, MCD, SBUX, COST, HD`
+        message: 'Could not verify symbol. Please check your connection and try again.'
       }]);
     }
   };
@@ -160,324 +1194,438 @@ const KT_STOCK_GAME = () => {
     return errorLog;
   };
 
-  const loadTestData = () => {
+  const loadTestData = async () => {
     console.log('Loading test data...');
-    const testUser = {
-      firstName: 'Test',
-      lastName: 'Player',
-      phone: '5555555555',
-      location: 'Test State',
-      riskTolerance: 'medium',
-      preferredSector: 'Technology',
-      returnGoal: 'long'
-    };
-    
-    setUser(testUser);
-    
-    const testPortfolio = {
-      cash: 10000,
-      holdings: [],
-      totalValue: 10000,
-      startValue: 10000,
-      gameStarted: false
-    };
-    
-    setPortfolio(testPortfolio);
-    generateKTRankings(testUser);
-    setScreen('game');
+    const testStore = createStore({ ...settings, storage: 'memory' });
+    setStore(testStore);
+    setTestMode(true);
+    try {
+      await enterGame(await testStore.register(TEST_PLAYER), testStore);
+    } catch (error) {
+      logError('loadTestData', error);
+    }
   };
 
   useEffect(() => {
+    loadCompetitions();
     loadUserData();
-    loadLeaderboard();
   }, []);
 
-  // Update KT rankings every 24 hours (daily)
+  // Refresh KT scores as the backend rescores them
   useEffect(() => {
     if (user && screen === 'game') {
       const interval = setInterval(() => {
-        console.log('Daily refresh: Updating KT rankings...');
+        console.log('Hourly refresh: Updating KT rankings...');
         generateKTRankings(user);
-      }, 86400000); // 24 hours = 86400000 ms
+      }, RANKINGS_REFRESH_MS);
       return () => clearInterval(interval);
     }
   }, [user, screen]);
 
-  // Update portfolio values every 15 seconds (only if game has started)
+  // Splits and dividends can land any time a stock is held
   useEffect(() => {
-    if (portfolio && screen === 'game' && portfolio.gameStarted) {
+    if (user && screen === 'game') {
+      const interval = setInterval(() => syncCorporateActions(user), CORPORATE_ACTION_REFRESH_MS);
+      return () => clearInterval(interval);
+    }
+  }, [user, screen, store]);
+
+  // Trades made offline go up as soon as the connection is back
+  useEffect(() => {
+    if (user && store.sync) {
+      const handleOnline = () => syncOffline(user);
+      window.addEventListener('online', handleOnline);
+      return () => window.removeEventListener('online', handleOnline);
+    }
+  }, [user, store]);
+
+  // Just after the backend starts it is still scoring the universe; check back until it's done
+  useEffect(() => {
+    if (user && screen === 'game' && rankingTotals?.pending > 0) {
+      const timer = setTimeout(() => generateKTRankings(user), RANKINGS_PENDING_RETRY_MS);
+      return () => clearTimeout(timer);
+    }
+  }, [user, screen, rankingTotals]);
+
+  useEffect(() => {
+    if (screen === 'game') {
+      loadMarketStatus();
       const interval = setInterval(() => {
-        updatePortfolioValues();
-      }, 15000); // 15 seconds
+        loadMarketStatus();
+      }, MARKET_STATUS_REFRESH_MS);
       return () => clearInterval(interval);
     }
-  }, [portfolio, screen]);
+  }, [screen]);
+
+  // Once the game is on, live prices for held, ordered and ranked symbols from the
+  // backend's shared stream; a new set of symbols opens a new stream
+  const marketClosed = !!marketStatus && !marketStatus.isOpen;
+  const gameOn = !!portfolio?.gameStarted && screen === 'game';
+  const streamSymbols = gameOn
+    ? [...new Set([
+        ...portfolio.holdings.map(h => h.symbol),
+        ...orders.map(o => o.symbol),
+        ...ktRankings.map(r => r.symbol)
+      ])].slice(0, PRICE_STREAM_MAX_SYMBOLS).sort().join(',')
+    : '';
+  useEffect(() => {
+    if (!streamSymbols) return;
+    const close = subscribePrices(store.api, streamSymbols.split(','), {
+      onPrices: (stocks) => priceHandlerRef.current(stocks),
+      onStatus: setPriceFeed
+    });
+    return () => {
+      close();
+      setPriceFeed(null);
+    };
+  }, [streamSymbols, store]);
 
-  const loadUserData = async () => {
-    if (!window.storage) {
-      console.log('Storage not available - data will not persist');
-      return;
+  // The portfolio ticks on a timer whether or not the stream is live, so orders and
+  // rule checks keep running when it's down or nothing moves
+  useEffect(() => {
+    if (gameOn && !marketClosed) {
+      const interval = setInterval(() => tickHandlerRef.current(), PORTFOLIO_TICK_MS);
+      return () => clearInterval(interval);
     }
+  }, [gameOn, marketClosed, store]);
+
+  // The open leaderboard page reloads on its own timer while prices move
+  useEffect(() => {
+    if (gameOn && !marketClosed) {
+      const interval = setInterval(() => leaderboardHandlerRef.current(), LEADERBOARD_REFRESH_MS);
+      return () => clearInterval(interval);
+    }
+  }, [gameOn, marketClosed, store]);
+
+  // Every trade modal opens as a plain "buy/sell now"
+  useEffect(() => {
+    setOrderType('market');
+    setTriggerInput('');
+  }, [selectedStock, sellingHolding]);
+
+  // Pick up where the player left off if they're still signed in
+  const loadUserData = async () => {
+    setRules(await fetchRules(store.api));
     try {
-      const userData = await window.storage.get('kt-user');
-      if (userData) {
-        const parsedUser = JSON.parse(userData.value);
-        console.log('Loaded user:', parsedUser);
-        setUser(parsedUser);
-        
-        const portfolioData = await window.storage.get(`kt-portfolio-${parsedUser.phone}`);
-        if (portfolioData) {
-          const parsedPortfolio = JSON.parse(portfolioData.value);
-          console.log('Loaded portfolio:', parsedPortfolio);
-          setPortfolio(parsedPortfolio);
-          await generateKTRankings(parsedUser);
-          setScreen('game');
-        } else {
-          const newPortfolio = {
-            cash: 10000,
-            holdings: [],
-            totalValue: 10000,
-            startValue: 10000,
-            gameStarted: false
-          };
-          console.log('Creating new portfolio for existing user');
-          setPortfolio(newPortfolio);
-          await window.storage.set(`kt-portfolio-${parsedUser.phone}`, JSON.stringify(newPortfolio));
-          await generateKTRankings(parsedUser);
-          setScreen('game');
-        }
+      const session = await store.restoreSession();
+      if (session?.player) {
+        await enterGame(session.player);
+      } else if (session?.needsProfile) {
+        setScreen('register');
       } else {
-        console.log('No existing user data found');
+        console.log('No signed-in player');
       }
     } catch (error) {
       logError('loadUserData', error);
     }
   };
 
-  const loadLeaderboard = async () => {
-    if (!window.storage) {
-      console.log('Storage not available for leaderboard');
+  // Load a signed-in player's game
+  const enterGame = async (player, activeStore = store) => {
+    console.log('Loaded user:', player.username);
+    setUser(player);
+    setLeagues(await activeStore.loadLeagues(player));
+    const scope = defaultLeaderboardScope(player);
+    setLeaderboardScope(scope);
+
+    const game = await activeStore.loadGame(player);
+    console.log('Loaded portfolio:', game.portfolio);
+    applyGame(game);
+    setTradeFilter('');
+    await generateKTRankings(player);
+    const ended = GameRules.gameOver(game.rules, game.portfolio);
+    setGameEnd(ended);
+    setResults(null);
+    if (ended && game.portfolio.competition) loadResults(game.portfolio.competition, activeStore);
+    setScreen(ended ? 'gameOver' : 'game');
+    await loadLeaderboard(scope, player, leaderboardMode, 1, activeStore);
+    await syncCorporateActions(player, activeStore);
+    if (activeStore.sync) await syncOffline(player, activeStore);
+  };
+
+  // Send changes made offline; the server's answer replaces the copy kept on this device
+  const syncOffline = async (player, activeStore = store) => {
+    try {
+      const synced = await activeStore.sync(player);
+      if (!synced) return;
+      console.log('Synced offline changes');
+      applyGame(synced.game);
+      alert(synced.messages.join('\n\n'));
+    } catch (error) {
+      logError('syncOffline', error);
+    }
+  };
+
+  // Sign in with a player name and PIN, or an email and password, depending on the store
+  const login = async (credentials) => {
+    const result = await store.signIn(credentials);
+    if (result.confirmEmail) {
+      alert('📧 Check your email to confirm your account, then log in.');
       return;
     }
-    try {
-      const leaderboardData = await window.storage.get('kt-leaderboard', true);
-      if (leaderboardData) {
-        const parsed = JSON.parse(leaderboardData.value);
-        console.log('Loaded leaderboard:', parsed.length, 'entries');
-        setLeaderboard(parsed);
-      } else {
-        console.log('No leaderboard data found');
+    if (result.needsProfile) {
+      setPendingJoinCode(credentials.joinCode || '');
+      setScreen('register');
+      return;
+    }
+    if (result.needsPinCode) return result;
+    let player = result.player;
+    if (credentials.joinCode) {
+      try {
+        player = await store.joinLeague(player, credentials.joinCode);
+      } catch (error) {
+        alert('❌ ' + error.message);
       }
+    }
+    setShowLogin(false);
+    await enterGame(player);
+  };
+
+  const logout = async () => {
+    try {
+      await store.signOut();
     } catch (error) {
-      logError('loadLeaderboard', error);
+      logError('logout', error);
+    }
+    if (testMode) {
+      setStore(createStore(settings));
+      setTestMode(false);
     }
+    setUser(null);
+    setPortfolio(null);
+    setSnapshots([]);
+    setTransactions([]);
+    setOrders([]);
+    setPendingChanges(0);
+    setCorporateActions([]);
+    setViolations([]);
+    setGameEnd(null);
+    setPendingJoinCode('');
+    setScreen('welcome');
   };
 
-  const updateLeaderboard = async (userData, portfolioData) => {
-    if (!window.storage) {
-      console.log('Storage not available - leaderboard not updated');
-      return;
+  const deleteAccount = async () => {
+    if (!window.confirm('Delete your account and everything in it - your portfolio, trades and scores? This can\'t be undone.')) return;
+    try {
+      await store.deleteAccount(user);
+      alert('👋 Your account and data have been deleted.');
+      await logout();
+    } catch (error) {
+      logError('deleteAccount', error);
+      alert('❌ Could not delete your account: ' + error.message);
     }
+  };
+
+  const loadMarketStatus = async () => {
     try {
-      console.log('Updating leaderboard for:', userData.firstName);
-      
-      let currentLeaderboard = [];
-      try {
-        const data = await window.storage.get('kt-leaderboard', true);
-        if (data) {
-          currentLeaderboard = JSON.parse(data.value);
-        }
-      } catch (e) {
-        console.log('No existing leaderboard, creating new one');
-        currentLeaderboard = [];
+      const status = await store.api.get('/api/market/status');
+      console.log('Market status:', status.status, 'next open:', status.nextOpen);
+      setMarketStatus(status);
+    } catch (error) {
+      logError('loadMarketStatus', error);
+    }
+  };
+
+  const loadCompetitions = async () => {
+    try {
+      const loaded = await store.loadCompetitions();
+      setCompetitions(loaded);
+      return loaded;
+    } catch (error) {
+      logError('loadCompetitions', error);
+      return [];
+    }
+  };
+
+  // A competition's standings: everyone who joined, ranked by their return
+  const fetchStandings = async (competition, activeStore = store) => {
+    try {
+      return await activeStore.loadStandings(competition);
+    } catch (error) {
+      logError('fetchStandings', error);
+      return { competition, standings: [] };
+    }
+  };
+
+  const openSeason = async (competition) => {
+    setSeasonView({ competition, standings: null });
+    setSeasonView(await fetchStandings(competition));
+  };
+
+  const openSeasons = () => {
+    loadCompetitions();
+    setShowSeasons(true);
+  };
+
+  const loadResults = async (competition, activeStore = store) => {
+    setResults({ competition, standings: null });
+    setResults(await fetchStandings(competition, activeStore));
+  };
+
+  // A buy or sell placed while the market is closed waits for the open
+  const tradeQueued = ({ order, nextOpen }) => {
+    setSelectedStock(null);
+    setSellingHolding(null);
+    const opens = new Date(nextOpen).toLocaleString([], { weekday: 'long', hour: 'numeric', minute: '2-digit' });
+    alert(`⏰ The market is closed. Your order to ${order.side} ${order.shares} ${order.symbol} will go through when it opens (${opens}).`);
+  };
+
+  // Splits and dividends in held stocks; each one is explained to the player once
+  const syncCorporateActions = async (player, activeStore = store) => {
+    const game = currentGame();
+    if (!game) return;
+    try {
+      const { game: updated, fresh } = await activeStore.syncCorporateActions(player, game);
+      if (fresh.length === 0) {
+        setCorporateActions(updated.corporateActions);
+        return;
       }
+      console.log('Applied corporate actions:', fresh);
+      applyGame(updated);
+      alert(fresh.map(ev => `${ev.actionType === 'split' ? '✂️' : '💵'} ${describeCorporateAction(ev)}`).join('\n\n'));
+    } catch (error) {
+      logError('syncCorporateActions', error);
+    }
+  };
 
-      const returnPercent = ((portfolioData.totalValue - portfolioData.startValue) / portfolioData.startValue) * 100;
-      
-      const existingIndex = currentLeaderboard.findIndex(entry => entry.phone === userData.phone);
-      const newEntry = {
-        name: `${userData.firstName} ${userData.lastName}`,
-        phone: userData.phone,
-        return: returnPercent,
-        value: portfolioData.totalValue
-      };
-
-      if (existingIndex >= 0) {
-        console.log('Updating existing leaderboard entry');
-        currentLeaderboard[existingIndex] = newEntry;
-      } else {
-        console.log('Adding new leaderboard entry');
-        currentLeaderboard.push(newEntry);
+  const placeOrder = async (type, symbol, numShares, triggerPrice) => {
+    console.log('=== PLACE ORDER ===', type, symbol, numShares, triggerPrice);
+    const side = type === 'limit' ? 'buy' : 'sell';
+    if (side === 'sell') {
+      const holding = portfolio.holdings.find(h => h.symbol === symbol);
+      if (!holding || holding.shares < numShares) {
+        alert(`📦 You own ${holding ? holding.shares : 0} shares of ${symbol}`);
+        return;
       }
+    }
 
-      currentLeaderboard.sort((a, b) => b.return - a.return);
-      currentLeaderboard = currentLeaderboard.slice(0, 100);
+    try {
+      applyGame(await store.placeOrder(user, currentGame(), { orderType: type, side, symbol, shares: numShares, triggerPrice }));
+      setSelectedStock(null);
+      setSellingHolding(null);
+      setOrderType('market');
+      setTriggerInput('');
+      alert(`📝 ${ORDER_LABELS[type]} order placed: ${numShares} ${symbol} at $${triggerPrice.toFixed(2)}`);
+    } catch (error) {
+      logError('placeOrder', error, { type, symbol });
+      alert('❌ Order failed: ' + error.message);
+    }
+  };
 
-      await window.storage.set('kt-leaderboard', JSON.stringify(currentLeaderboard), true);
-      setLeaderboard(currentLeaderboard);
-      console.log('Leaderboard updated:', currentLeaderboard.length, 'entries');
+  const cancelOrder = async (order) => {
+    console.log('Cancelling order:', order.id);
+    try {
+      applyGame(await store.cancelOrder(user, currentGame(), order));
+    } catch (error) {
+      logError('cancelOrder', error, { order });
+      alert('❌ Cancel failed: ' + error.message);
+    }
+  };
+
+  const performancePoints = () => [
+    ...snapshots,
+    { time: new Date().toISOString(), value: portfolio.totalValue }
+  ];
+
+  // A page of the class, school or global leaderboard in a ranking mode, with the player's own line
+  const loadLeaderboard = async (scope = leaderboardScope, userData = user, mode = leaderboardMode, page = 1, activeStore = store) => {
+    try {
+      const board = await activeStore.loadLeaderboard(userData, { scope, mode, page, pageSize: LEADERBOARD_SIZE });
+      console.log('Loaded', scope, 'leaderboard:', board.entries.length, 'of', board.total, 'entries');
+      setLeaderboard(board.entries);
+      setLeaderboardInfo({ total: board.total, page: board.page, me: board.me });
+    } catch (error) {
+      logError('loadLeaderboard', error);
+    }
+  };
+  leaderboardHandlerRef.current = () => loadLeaderboard(leaderboardScope, user, leaderboardMode, leaderboardInfo.page);
+
+  // A parent's consent arrives by email; pick it up when the player says it has
+  const checkConsent = async () => {
+    try {
+      const session = await store.restoreSession();
+      if (session?.player) setUser(session.player);
+      if (session?.player?.awaitingConsent) alert('👪 No yes from your parent yet - ask them to check their email');
     } catch (error) {
-      logError('updateLeaderboard', error, { userData, portfolioData });
+      logError('checkConsent', error);
+    }
+  };
+
+  const resendConsent = async () => {
+    try {
+      await store.requestConsent(user);
+      alert('📧 Sent! Ask your parent or guardian to check their email');
+    } catch (error) {
+      logError('resendConsent', error);
+      alert('❌ ' + error.message);
+    }
+  };
+
+  const createLeague = (league) => store.createLeague(league);
+  const issuePinCode = (name) => store.issuePinCode(name);
+
+  const handleJoinLeague = async (code) => {
+    try {
+      const joined = await store.joinLeague(user, code);
+      setUser(joined);
+      setLeagues(await store.loadLeagues(joined));
+      const scope = defaultLeaderboardScope(joined);
+      setLeaderboardScope(scope);
+      await loadLeaderboard(scope, joined);
+    } catch (error) {
+      logError('joinLeague', error);
+      alert('❌ ' + error.message);
     }
   };
 
   const register = async (formData) => {
     try {
       console.log('=== REGISTRATION START ===');
-      console.log('Form data:', formData);
-      
-      const userData = {
-        firstName: formData.firstName,
-        lastName: formData.lastName,
-        phone: formData.phone,
-        location: formData.location,
-        riskTolerance: formData.riskTolerance,
-        preferredSector: formData.preferredSector,
-        returnGoal: formData.returnGoal
-      };
-
-      console.log('User data created:', userData);
-
-      if (window.storage) {
+      let player = await store.register(formData);
+      if (formData.joinCode.trim()) {
+        // A bad code shouldn't stop sign-up; they can join from the leaderboard later
         try {
-          console.log('Saving user to storage...');
-          await window.storage.set('kt-user', JSON.stringify(userData));
-          console.log('User saved successfully');
+          player = await store.joinLeague(player, formData.joinCode);
         } catch (error) {
-          logError('register - save user', error, { userData });
+          alert(`❌ ${error.message}\n\nYou can enter the code from the leaderboard later.`);
         }
-      } else {
-        console.warn('Storage not available - user data will not persist');
       }
-      
-      setUser(userData);
-      console.log('User state updated');
-
-      const newPortfolio = {
-        cash: 10000,
-        holdings: [],
-        totalValue: 10000,
-        startValue: 10000,
-        gameStarted: false
-      };
-      
-      console.log('Portfolio created:', newPortfolio);
-      setPortfolio(newPortfolio);
-      
-      if (window.storage) {
-        try {
-          console.log('Saving portfolio to storage...');
-          await window.storage.set(`kt-portfolio-${userData.phone}`, JSON.stringify(newPortfolio));
-          console.log('Portfolio saved successfully');
-        } catch (error) {
-          logError('register - save portfolio', error, { newPortfolio });
-        }
-      }
-      
-      console.log('Generating KT rankings...');
-      await generateKTRankings(userData);
-      console.log('KT rankings generated');
-      
-      console.log('Moving to game screen');
-      setScreen('game');
+      setPendingJoinCode('');
+      await enterGame(player);
       console.log('=== REGISTRATION COMPLETE ===');
     } catch (error) {
-      logError('register', error, { formData });
+      // Not the form: it holds the PIN, names, birth year and parent's email
+      logError('register', error);
       alert('❌ Registration failed: ' + error.message);
     }
   };
 
-  // Hardcoded KT sentiment/technical/leadership baselines per stock
-  const KT_BASELINES = {
-    'NVDA': { sentiment: 92, technical: 88, leadership: 95 },
-    'AAPL': { sentiment: 85, technical: 82, leadership: 90 },
-    'MSFT': { sentiment: 88, technical: 85, leadership: 92 },
-    'GOOGL': { sentiment: 80, technical: 78, leadership: 85 },
-    'AMZN': { sentiment: 82, technical: 80, leadership: 88 },
-    'TSLA': { sentiment: 75, technical: 70, leadership: 82 },
-    'META': { sentiment: 78, technical: 75, leadership: 80 },
-    'NFLX': { sentiment: 72, technical: 68, leadership: 75 },
-    'V': { sentiment: 70, technical: 72, leadership: 78 },
-    'JPM': { sentiment: 68, technical: 70, leadership: 75 },
-    'WMT': { sentiment: 65, technical: 68, leadership: 72 },
-    'DIS': { sentiment: 60, technical: 58, leadership: 68 },
-    'KO': { sentiment: 62, technical: 60, leadership: 70 },
-    'PEP': { sentiment: 63, technical: 62, leadership: 68 },
-    'MCD': { sentiment: 61, technical: 59, leadership: 65 },
-    'NKE': { sentiment: 58, technical: 55, leadership: 62 },
-    'SBUX': { sentiment: 56, technical: 54, leadership: 60 },
-    'BA': { sentiment: 52, technical: 50, leadership: 58 },
-    'COST': { sentiment: 66, technical: 64, leadership: 70 },
-    'HD': { sentiment: 64, technical: 62, leadership: 68 }
-  };
-
-  const generateKTRankings = async (userData) => {
+  // KT scores from the backend, personalized for the player's registration profile.
+  // Loads the first `pages` pages of the ranked universe.
+  const generateKTRankings = async (userData, pages = rankingPages) => {
     try {
-      console.log('Generating KT rankings for:', userData);
-
-      // Fetch real stock data from the backend API
-      const symbolsParam = POPULAR_STOCKS.join(',');
-      const response = await fetch(`${API_BASE_URL}/api/stocks?symbols=${symbolsParam}`);
-
-      if (!response.ok) {
-        throw new Error(`API returned ${response.status}: ${response.statusText}`);
+      console.log('Generating KT rankings for:', userData.username);
+
+      // Fetch scored stocks from the backend's KT engine, a page at a time
+      let rankings = [];
+      let data = null;
+      for (let page = 1; page <= pages; page++) {
+        data = await store.api.get(`/api/kt/rankings?${rankingParams(userData, { page, page_size: RANKINGS_PAGE_SIZE })}`);
+        rankings = rankings.concat(data.rankings.map(toRanking));
+        if (page * RANKINGS_PAGE_SIZE >= data.total) break;
       }
 
-      const data = await response.json();
       setApiError(null); // Clear any previous error on success
+      setQuoteStatus({ asOf: data.asOf, stale: data.stale });
+      setRankingTotals({ total: data.total, pending: data.pending });
 
-      console.log('API returned', data.stocks.length, 'stocks');
-
-      const rankings = data.stocks
-        .filter(stock => stock.price != null) // Skip any stocks that failed to load
-        .map(stock => {
-          const baseline = KT_BASELINES[stock.symbol] || { sentiment: 60, technical: 60, leadership: 60 };
-          let sentiment = baseline.sentiment;
-          let technical = baseline.technical;
-          let leadership = baseline.leadership;
-
-          // Adjust technical score based on real daily change from API
-          if (stock.changePercent != null) {
-            technical = Math.max(0, Math.min(100, technical + stock.changePercent * 2));
-          }
-
-          // Apply user preference adjustments
-          if (userData.riskTolerance === 'high') {
-            technical += 5;
-          } else if (userData.riskTolerance === 'low') {
-            leadership += 5;
-          }
-
-          if (userData.returnGoal === 'short') {
-            technical += 3;
-          } else {
-            leadership += 3;
-          }
-
-          const ktValue = sentiment * 0.4 + technical * 0.35 + leadership * 0.25;
-
-          return {
-            symbol: stock.symbol,
-            name: stock.name,
-            ktValue,
-            sentiment,
-            technical,
-            leadership,
-            price: stock.price,
-            change: stock.change ?? 0,
-            changePercent: stock.changePercent ?? 0
-          };
-        });
-
-      rankings.sort((a, b) => b.ktValue - a.ktValue);
-
-      console.log('Generated', rankings.length, 'KT rankings with live prices');
+      console.log('Generated', rankings.length, 'of', data.total, 'KT rankings with live prices');
       setKtRankings(rankings);
       return rankings;
     } catch (error) {
-      logError('generateKTRankings', error, { userData });
+      logError('generateKTRankings', error, { pages });
       console.warn('API fetch failed, falling back to cached rankings if available');
-      setApiError('Could not reach the stock API. Showing last known data. Make sure the backend is running on http://127.0.0.1:8000');
+      setApiError(`Could not reach the stock API at ${store.api.baseUrl}. Showing last known data.`);
 
       // If we already have rankings, keep them so the UI isn't empty
       if (ktRankings.length > 0) {
@@ -488,7 +1636,50 @@ const KT_STOCK_GAME = () => {
     }
   };
 
-  const updatePortfolioValues = async () => {
+  const showMoreRankings = () => {
+    const next = rankingPages + 1;
+    setRankingPages(next);
+    generateKTRankings(user, next);
+  };
+
+  // Each stream update moves the rankings; the portfolio picks the prices up on its next tick
+  const handleStreamedPrices = (stocks) => {
+    const moved = stocks.filter(s => s.price != null);
+    const now = Date.now();
+    const ticks = {};
+    moved.forEach(s => {
+      const before = streamedPricesRef.current[s.symbol];
+      if (before != null && before !== s.price) ticks[s.symbol] = { direction: s.price > before ? 'up' : 'down', at: now };
+      streamedPricesRef.current[s.symbol] = s.price;
+    });
+    if (moved.length > 0) {
+      const bySymbol = Object.fromEntries(moved.map(s => [s.symbol, s]));
+      setPriceTicks(prev => ({ ...prev, ...ticks }));
+      setKtRankings(prev => prev.map(r => (bySymbol[r.symbol]
+        ? { ...r, price: bySymbol[r.symbol].price, change: bySymbol[r.symbol].change ?? r.change, changePercent: bySymbol[r.symbol].changePercent ?? r.changePercent }
+        : r)));
+    }
+  };
+  priceHandlerRef.current = handleStreamedPrices;
+
+  // Streamed prices while the stream is live, otherwise held and ordered symbols fetched for the tick
+  const tickPortfolio = async () => {
+    let prices = { ...streamedPricesRef.current };
+    if (priceFeed !== 'live') {
+      const heldSymbols = [...new Set([...portfolio.holdings.map(h => h.symbol), ...orders.map(o => o.symbol)])];
+      try {
+        prices = { ...prices, ...(await fetchPrices(store.api, heldSymbols)) };
+        setApiError(null);
+      } catch (fetchError) {
+        console.warn('Could not reach API for portfolio update:', fetchError.message);
+        setApiError(`Could not reach the stock API at ${store.api.baseUrl}. Prices may be stale.`);
+      }
+    }
+    await updatePortfolioValues(prices);
+  };
+  tickHandlerRef.current = tickPortfolio;
+
+  const updatePortfolioValues = async (prices) => {
     if (!portfolio || !user) {
       console.log('Cannot update portfolio - missing data');
       return;
@@ -497,144 +1688,47 @@ const KT_STOCK_GAME = () => {
     try {
       console.log('Updating portfolio values...');
 
-      // Build a list of held symbols and fetch their current prices from the API
-      const heldSymbols = portfolio.holdings.map(h => h.symbol);
-      let priceMap = {};
-
-      if (heldSymbols.length > 0) {
-        try {
-          const response = await fetch(`${API_BASE_URL}/api/stocks?symbols=${heldSymbols.join(',')}`);
-          if (response.ok) {
-            const data = await response.json();
-            data.stocks.forEach(s => {
-              if (s.price != null) {
-                priceMap[s.symbol] = s.price;
-              }
-            });
-            setApiError(null);
-          } else {
-            console.warn('API returned', response.status, '- using last known prices');
-          }
-        } catch (fetchError) {
-          console.warn('Could not reach API for portfolio update:', fetchError.message);
-          setApiError('Could not reach the stock API. Prices may be stale. Make sure the backend is running on http://127.0.0.1:8000');
-        }
-      }
-
-      const updatedHoldings = portfolio.holdings.map(holding => {
-        // Use real price from API if available, otherwise keep the last known price
-        const newPrice = priceMap[holding.symbol] ?? holding.currentPrice;
-        return {
-          ...holding,
-          currentPrice: newPrice,
-          value: newPrice * holding.shares,
-          changePercent: ((newPrice - holding.purchasePrice) / holding.purchasePrice) * 100
-        };
-      });
-
-      const holdingsValue = updatedHoldings.reduce((sum, h) => sum + h.value, 0);
-      const totalValue = portfolio.cash + holdingsValue;
-
-      const updatedPortfolio = {
-        ...portfolio,
-        holdings: updatedHoldings,
-        totalValue
-      };
-
-      console.log('New total value:', totalValue);
-      setPortfolio(updatedPortfolio);
+      // A symbol the stream hasn't priced keeps its last known price
+      const { game, messages } = await store.tick(user, currentGame(), { prices, marketClosed });
+      console.log('New total value:', game.portfolio.totalValue);
+      applyGame(game);
 
-      if (window.storage) {
-        try {
-          await window.storage.set(`kt-portfolio-${user.phone}`, JSON.stringify(updatedPortfolio));
-        } catch (error) {
-          logError('updatePortfolioValues - save', error);
-        }
+      if (messages.length > 0) {
+        alert(messages.join('\n\n'));
       }
 
-      await updateLeaderboard(user, updatedPortfolio);
-
-      if (totalValue <= 20) {
-        console.log('GAME OVER - Portfolio value:', totalValue);
+      const ended = GameRules.gameOver(game.rules, game.portfolio);
+      if (ended) {
+        console.log('GAME OVER -', ended.reason, 'Portfolio value:', game.portfolio.totalValue);
+        setGameEnd(ended);
+        if (game.portfolio.competition) loadResults(game.portfolio.competition);
         setScreen('gameOver');
       }
-
-      await generateKTRankings(user);
     } catch (error) {
       logError('updatePortfolioValues', error);
     }
   };
 
-  const buyStock = async (stock, numShares) => {
+  const buyStock = async (quotedStock, numShares) => {
     try {
       console.log('=== BUY STOCK ===');
-      console.log('Stock:', stock.symbol, 'Shares:', numShares, 'Price:', stock.price);
-      
-      // Check all constraints using helper function
-      const canBuy = canBuyStock(stock, numShares, portfolio);
+      // Check all constraints at the quoted price first; the store checks again at the live one
+      const canBuy = GameRules.canBuyStock(rules, quotedStock, numShares, portfolio);
       if (!canBuy.allowed) {
         alert(canBuy.reason);
         return;
       }
 
-      const cost = stock.price * numShares;
-      console.log('Total cost:', cost, 'Available cash:', portfolio.cash);
-
-      const existingHolding = portfolio.holdings.find(h => h.symbol === stock.symbol);
-      let updatedHoldings;
-
-      if (existingHolding) {
-        console.log('Adding to existing position');
-        updatedHoldings = portfolio.holdings.map(h => 
-          h.symbol === stock.symbol
-            ? {
-                ...h,
-                shares: h.shares + numShares,
-                value: (h.shares + numShares) * stock.price,
-                currentPrice: stock.price,
-                purchasePrice: ((h.purchasePrice * h.shares) + (stock.price * numShares)) / (h.shares + numShares)
-              }
-            : h
-        );
-      } else {
-        console.log('Creating new position');
-        updatedHoldings = [
-          ...portfolio.holdings,
-          {
-            symbol: stock.symbol,
-            shares: numShares,
-            purchasePrice: stock.price,
-            currentPrice: stock.price,
-            value: cost,
-            changePercent: 0
-          }
-        ];
-      }
-
-      const holdingsValue = updatedHoldings.reduce((sum, h) => sum + h.value, 0);
-      const updatedPortfolio = {
-        ...portfolio,
-        cash: portfolio.cash - cost,
-        holdings: updatedHoldings,
-        totalValue: portfolio.cash - cost + holdingsValue
-      };
-
-      console.log('Updated portfolio:', updatedPortfolio);
-      setPortfolio(updatedPortfolio);
-      
-      if (window.storage) {
-        try {
-          await window.storage.set(`kt-portfolio-${user.phone}`, JSON.stringify(updatedPortfolio));
-          console.log('Portfolio saved');
-        } catch (error) {
-          logError('buyStock - save', error);
-        }
+      const result = await store.buy(user, currentGame(), quotedStock, numShares, { marketStatus });
+      applyGame(result.game);
+      if (result.queued) {
+        tradeQueued(result);
+        return;
       }
-      
-      await updateLeaderboard(user, updatedPortfolio);
-      
+
       setSelectedStock(null);
       setShares(1);
+      await loadLeaderboard();
       console.log('=== BUY COMPLETE ===');
     } catch (error) {
       logError('buyStock', error);
@@ -642,40 +1736,28 @@ const KT_STOCK_GAME = () => {
     }
   };
 
-  const sellStock = async (holding) => {
+  const sellStock = async (holding, numShares = holding.shares) => {
     try {
       console.log('=== SELL STOCK ===');
-      console.log('Selling:', holding.symbol, holding.shares, 'shares at', holding.currentPrice);
-      
-      const saleValue = holding.currentPrice * holding.shares;
-      console.log('Sale value:', saleValue);
-      
-      const updatedHoldings = portfolio.holdings.filter(h => h.symbol !== holding.symbol);
-      const holdingsValue = updatedHoldings.reduce((sum, h) => sum + h.value, 0);
-      
-      const updatedPortfolio = {
-        ...portfolio,
-        cash: portfolio.cash + saleValue,
-        holdings: updatedHoldings,
-        totalValue: portfolio.cash + saleValue + holdingsValue
-      };
-
-      console.log('Updated portfolio:', updatedPortfolio);
-      setPortfolio(updatedPortfolio);
-      
-      if (window.storage) {
-        try {
-          await window.storage.set(`kt-portfolio-${user.phone}`, JSON.stringify(updatedPortfolio));
-          console.log('Portfolio saved');
-        } catch (error) {
-          logError('sellStock - save', error, { holding });
-        }
+
+      if (!(numShares > 0) || numShares > holding.shares) {
+        alert(`📦 You own ${holding.shares} shares of ${holding.symbol}`);
+        return;
       }
-      
-      await updateLeaderboard(user, updatedPortfolio);
+
+      const result = await store.sell(user, currentGame(), holding.symbol, numShares, { marketStatus });
+      applyGame(result.game);
+      if (result.queued) {
+        tradeQueued(result);
+        return;
+      }
+
+      setSellingHolding(null);
+      setSellShares(0);
+      await loadLeaderboard();
       console.log('=== SELL COMPLETE ===');
     } catch (error) {
-      logError('sellStock', error, { holding });
+      logError('sellStock', error, { holding, numShares });
       alert('❌ Sale failed: ' + error.message);
     }
   };
@@ -685,31 +1767,14 @@ const KT_STOCK_GAME = () => {
       console.error('Cannot reset - no user');
       return;
     }
-    
+
     try {
       console.log('=== RESETTING GAME ===');
-      
-      const newPortfolio = {
-        cash: 10000,
-        holdings: [],
-        totalValue: 10000,
-        startValue: 10000,
-        gameStarted: false
-      };
-      
-      setPortfolio(newPortfolio);
-      
-      if (window.storage) {
-        try {
-          await window.storage.set(`kt-portfolio-${user.phone}`, JSON.stringify(newPortfolio));
-          console.log('Portfolio reset in storage');
-        } catch (error) {
-          logError('resetGame - save', error);
-        }
-      }
-      
+      applyGame(await store.resetGame(user, currentGame()));
+      setGameEnd(null);
+      setResults(null);
       await generateKTRankings(user);
-      await updateLeaderboard(user, newPortfolio);
+      await loadLeaderboard();
       setScreen('game');
       console.log('=== GAME RESET COMPLETE ===');
     } catch (error) {
@@ -719,38 +1784,20 @@ const KT_STOCK_GAME = () => {
   };
 
   const startGame = async () => {
-    if (!portfolio || portfolio.holdings.length < MIN_HOLDINGS) {
-      alert(`📦 You need at least ${MIN_HOLDINGS} stocks to start!`);
-      return;
-    }
-
-    if (portfolio.holdings.length > MAX_HOLDINGS) {
-      alert(`📦 You can't have more than ${MAX_HOLDINGS} stocks!`);
+    const canStart = GameRules.canStartGame(rules, portfolio);
+    if (!canStart.allowed) {
+      alert(canStart.reason);
       return;
     }
 
     try {
       console.log('=== STARTING GAME ===');
-      
-      const updatedPortfolio = {
-        ...portfolio,
-        gameStarted: true,
-        startValue: portfolio.totalValue
-      };
-
-      setPortfolio(updatedPortfolio);
-
-      if (window.storage) {
-        try {
-          await window.storage.set(`kt-portfolio-${user.phone}`, JSON.stringify(updatedPortfolio));
-          console.log('Game started - portfolio saved');
-        } catch (error) {
-          logError('startGame - save', error);
-        }
-      }
-
+      const game = await store.startGame(user, currentGame());
+      applyGame(game);
+      const { competition } = game.portfolio;
       console.log('=== GAME STARTED ===');
-      alert(`🎮 Game started with ${portfolio.holdings.length} stocks! Prices update every 15 seconds. Good luck!`);
+      alert(`🎮 Game started with ${game.portfolio.holdings.length} stocks! Prices update live while the market is open. Good luck!`
+        + (competition ? `\n\n🏁 You joined ${competition.name}. It ends ${new Date(competition.endsAt).toLocaleString()}.` : ''));
     } catch (error) {
       logError('startGame', error);
       alert('❌ Failed to start game: ' + error.message);
@@ -813,23 +1860,23 @@ const KT_STOCK_GAME = () => {
     <div style={{ textAlign: 'center', padding: '40px 20px' }}>
       <div style={{ fontSize: '120px', marginBottom: '20px', animation: 'bounce 2s infinite' }}>🚀</div>
       <h1 style={{ fontSize: '48px', color: '#667eea', marginBottom: '10px', textShadow: '3px 3px 0 #ffd700' }}>KT Stock Game</h1>
-      <p style={{ fontSize: '24px', color: '#666', marginBottom: '40px' }}>Learn to invest with $10,000 play money!</p>
+      <p style={{ fontSize: '24px', color: '#666', marginBottom: '40px' }}>Learn to invest with ${rules.startingCash.toLocaleString()} play money!</p>
       
       {/* Core Rules */}
       <div style={{ background: '#f8f8f8', border: '3px solid #667eea', borderRadius: '20px', padding: '30px', marginBottom: '30px', textAlign: 'left', maxWidth: '600px', margin: '0 auto 30px auto' }}>
         <h2 style={{ fontSize: '28px', color: '#667eea', marginBottom: '20px', textAlign: 'center' }}>📋 The Rules (Just 3!)</h2>
         <div style={{ fontSize: '18px', lineHeight: '1.8', color: '#333' }}>
           <div style={{ marginBottom: '20px', padding: '15px', background: 'white', borderRadius: '10px', border: '2px solid #667eea' }}>
-            <strong style={{ color: '#667eea' }}>1. Pick 4-10 US stocks</strong>
+            <strong style={{ color: '#667eea' }}>1. Pick {rules.minHoldings}-{rules.maxHoldings} US stocks</strong>
             <div style={{ fontSize: '16px', color: '#666', marginTop: '5px' }}>Build your portfolio with any US stocks</div>
           </div>
           <div style={{ marginBottom: '20px', padding: '15px', background: 'white', borderRadius: '10px', border: '2px solid #667eea' }}>
-            <strong style={{ color: '#667eea' }}>2. Stay ≥97% invested</strong>
+            <strong style={{ color: '#667eea' }}>2. Stay ≥{rules.minInvestedPct}% invested</strong>
             <div style={{ fontSize: '16px', color: '#666', marginTop: '5px' }}>Keep cash low (whole shares only)</div>
           </div>
           <div style={{ marginBottom: '0', padding: '15px', background: 'white', borderRadius: '10px', border: '2px solid #667eea' }}>
-            <strong style={{ color: '#667eea' }}>3. Max 25% per stock</strong>
-            <div style={{ fontSize: '16px', color: '#666', marginTop: '5px' }}>No single stock can exceed 25% of your portfolio at purchase</div>
+            <strong style={{ color: '#667eea' }}>3. Max {rules.maxPositionPct}% per stock</strong>
+            <div style={{ fontSize: '16px', color: '#666', marginTop: '5px' }}>No single stock can be more than {rules.maxPositionPct}% of your portfolio - if one grows past it, sell some within {rules.complianceGraceMinutes} minutes</div>
           </div>
         </div>
       </div>
@@ -839,12 +1886,36 @@ const KT_STOCK_GAME = () => {
         <div style={{ background: '#ffd700', padding: '15px 30px', borderRadius: '20px', fontSize: '20px', fontWeight: 'bold', boxShadow: '0 5px 15px rgba(0,0,0,0.2)' }}>🎯 Smart KT rankings</div>
         <div style={{ background: '#ffd700', padding: '15px 30px', borderRadius: '20px', fontSize: '20px', fontWeight: 'bold', boxShadow: '0 5px 15px rgba(0,0,0,0.2)' }}>🏆 Compete with friends</div>
       </div>
-      <button 
-        onClick={() => setScreen('register')}
-        style={{ background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)', color: 'white', border: 'none', padding: '20px 50px', borderRadius: '50px', fontSize: '28px', fontWeight: 'bold', cursor: 'pointer', boxShadow: '0 10px 30px rgba(0,0,0,0.3)', fontFamily: 'Comic Sans MS, cursive', marginBottom: '20px' }}
-      >
-        Let's Play! 🎮
-      </button>
+      {store.signInWith === 'email' ? (
+        <EmailLoginForm onLogin={login} />
+      ) : (
+        <>
+          <button 
+            onClick={() => setScreen('register')}
+            style={{ background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)', color: 'white', border: 'none', padding: '20px 50px', borderRadius: '50px', fontSize: '28px', fontWeight: 'bold', cursor: 'pointer', boxShadow: '0 10px 30px rgba(0,0,0,0.3)', fontFamily: 'Comic Sans MS, cursive', marginBottom: '20px' }}
+          >
+            Let's Play! 🎮
+          </button>
+          <div>
+            <button onClick={() => setShowLogin(!showLogin)} style={{ background: 'none', border: 'none', color: '#667eea', cursor: 'pointer', fontSize: '18px', textDecoration: 'underline', fontFamily: 'Comic Sans MS, cursive', marginBottom: '10px' }}>
+              Already playing? Log in
+            </button>
+          </div>
+          {showLogin && <LoginForm onLogin={login} />}
+        </>
+      )}
+      {/* With accounts, teachers start classes from the admin dashboard */}
+      {store.createLeague && (
+        <>
+          <div>
+            <button onClick={() => setShowTeacher(!showTeacher)} style={{ background: 'none', border: 'none', color: '#667eea', cursor: 'pointer', fontSize: '16px', textDecoration: 'underline', fontFamily: 'Comic Sans MS, cursive' }}>
+              🍎 Teacher? Start a class
+            </button>
+          </div>
+          {showTeacher && <CreateLeagueForm onCreate={createLeague} />}
+          {showTeacher && store.issuePinCode && <PinCodeForm onIssue={issuePinCode} />}
+        </>
+      )}
       
       <div style={{ marginTop: '40px', display: 'flex', flexDirection: 'column', gap: '10px' }}>
         <button onClick={loadTestData} style={{ background: '#333', color: 'white', border: 'none', padding: '12px 25px', borderRadius: '10px', fontSize: '16px', cursor: 'pointer', fontFamily: 'Comic Sans MS, cursive' }}>
@@ -857,137 +1928,61 @@ const KT_STOCK_GAME = () => {
     </div>
   );
 
-  const RegisterScreen = () => {
-    const [formData, setFormData] = useState({
-      firstName: '',
-      lastName: '',
-      phone: '',
-      location: '',
-      riskTolerance: 'medium',
-      preferredSector: 'Technology',
-      returnGoal: 'long'
-    });
-
-    const handleSubmit = (e) => {
-      e.preventDefault();
-      if (!formData.phone.match(/^\d{10}$/)) {
-        alert('📱 Please enter a 10-digit phone number');
-        return;
-      }
-      register(formData);
-    };
-
-    return (
-      <div>
-        <h2 style={{ fontSize: '36px', color: '#667eea', marginBottom: '30px', textAlign: 'center' }}>👋 Let's Get Started!</h2>
-        <form onSubmit={handleSubmit}>
-          <div style={{ marginBottom: '25px' }}>
-            <label style={{ display: 'block', fontSize: '20px', fontWeight: 'bold', color: '#333', marginBottom: '10px' }}>First Name</label>
-            <input
-              type="text"
-              required
-              value={formData.firstName}
-              onChange={(e) => setFormData({...formData, firstName: e.target.value})}
-              placeholder="Your first name"
-              style={{ width: '100%', padding: '15px', border: '3px solid #667eea', borderRadius: '15px', fontSize: '18px', fontFamily: 'Comic Sans MS, cursive' }}
-            />
-          </div>
-
-          <div style={{ marginBottom: '25px' }}>
-            <label style={{ display: 'block', fontSize: '20px', fontWeight: 'bold', color: '#333', marginBottom: '10px' }}>Last Name</label>
-            <input
-              type="text"
-              required
-              value={formData.lastName}
-              onChange={(e) => setFormData({...formData, lastName: e.target.value})}
-              placeholder="Your last name"
-              style={{ width: '100%', padding: '15px', border: '3px solid #667eea', borderRadius: '15px', fontSize: '18px', fontFamily: 'Comic Sans MS, cursive' }}
-            />
-          </div>
-
-          <div style={{ marginBottom: '25px' }}>
-            <label style={{ display: 'block', fontSize: '20px', fontWeight: 'bold', color: '#333', marginBottom: '10px' }}>📱 Phone Number</label>
-            <input
-              type="tel"
-              required
-              value={formData.phone}
-              onChange={(e) => setFormData({...formData, phone: e.target.value.replace(/\D/g, '')})}
-              placeholder="1234567890"
-              maxLength="10"
-              style={{ width: '100%', padding: '15px', border: '3px solid #667eea', borderRadius: '15px', fontSize: '18px', fontFamily: 'Comic Sans MS, cursive' }}
-            />
-          </div>
-
-          <div style={{ marginBottom: '25px' }}>
-            <label style={{ display: 'block', fontSize: '20px', fontWeight: 'bold', color: '#333', marginBottom: '10px' }}>🌎 State or Country</label>
-            <input
-              type="text"
-              required
-              value={formData.location}
-              onChange={(e) => setFormData({...formData, location: e.target.value})}
-              placeholder="e.g., California or USA"
-              style={{ width: '100%', padding: '15px', border: '3px solid #667eea', borderRadius: '15px', fontSize: '18px', fontFamily: 'Comic Sans MS, cursive' }}
-            />
-          </div>
-
-          <div style={{ marginBottom: '25px' }}>
-            <label style={{ display: 'block', fontSize: '20px', fontWeight: 'bold', color: '#333', marginBottom: '10px' }}>🎲 Risk Tolerance</label>
-            <select
-              value={formData.riskTolerance}
-              onChange={(e) => setFormData({...formData, riskTolerance: e.target.value})}
-              style={{ width: '100%', padding: '15px', border: '3px solid #667eea', borderRadius: '15px', fontSize: '18px', fontFamily: 'Comic Sans MS, cursive' }}
-            >
-              <option value="low">😌 Low - Play it safe</option>
-              <option value="medium">😊 Medium - Balanced</option>
-              <option value="high">🚀 High - Go big!</option>
-            </select>
-          </div>
-
-          <div style={{ marginBottom: '25px' }}>
-            <label style={{ display: 'block', fontSize: '20px', fontWeight: 'bold', color: '#333', marginBottom: '10px' }}>🏭 Favorite Sector</label>
-            <select
-              value={formData.preferredSector}
-              onChange={(e) => setFormData({...formData, preferredSector: e.target.value})}
-              style={{ width: '100%', padding: '15px', border: '3px solid #667eea', borderRadius: '15px', fontSize: '18px', fontFamily: 'Comic Sans MS, cursive' }}
-            >
-              {SECTORS.map(sector => (
-                <option key={sector} value={sector}>{sector}</option>
-              ))}
-            </select>
-          </div>
-
-          <div style={{ marginBottom: '25px' }}>
-            <label style={{ display: 'block', fontSize: '20px', fontWeight: 'bold', color: '#333', marginBottom: '10px' }}>⏰ Investment Goal</label>
-            <select
-              value={formData.returnGoal}
-              onChange={(e) => setFormData({...formData, returnGoal: e.target.value})}
-              style={{ width: '100%', padding: '15px', border: '3px solid #667eea', borderRadius: '15px', fontSize: '18px', fontFamily: 'Comic Sans MS, cursive' }}
-            >
-              <option value="short">⚡ Short Term (under 6 months)</option>
-              <option value="long">🌱 Long Term (over 12 months)</option>
-            </select>
-          </div>
-
-          <button type="submit" style={{ background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)', color: 'white', border: 'none', padding: '20px 50px', borderRadius: '50px', fontSize: '28px', fontWeight: 'bold', cursor: 'pointer', boxShadow: '0 10px 30px rgba(0,0,0,0.3)', fontFamily: 'Comic Sans MS, cursive', width: '100%' }}>Start Playing! 🎉</button>
-        </form>
-      </div>
-    );
-  };
-
   const GameScreen = () => {
     const returnPercent = ((portfolio.totalValue - portfolio.startValue) / portfolio.startValue) * 100;
     const holdingsValue = portfolio.holdings.reduce((sum, h) => sum + h.value, 0);
+    const runningCompetition = competitions.find(c => c.status === 'active');
 
     return (
       <div>
         <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '20px' }}>
-          <h2 style={{ fontSize: '32px', color: '#667eea' }}>👋 Hi {user.firstName}!</h2>
+          <div>
+            <h2 style={{ fontSize: '32px', color: '#667eea' }}>👋 Hi {user.firstName || user.username}!</h2>
+            {marketStatus && (() => {
+              const badge = marketBadge(marketStatus);
+              return (
+                <div title={badge.hint || ''} style={{ display: 'inline-block', marginTop: '6px', background: badge.background, color: 'white', padding: '6px 14px', borderRadius: '20px', fontSize: '14px', fontWeight: 'bold' }}>
+                  {badge.label}{badge.hint ? ` · ${badge.hint}` : ''}
+                </div>
+              );
+            })()}
+            {priceFeed && (
+              <div style={{ display: 'inline-block', marginTop: '6px', marginLeft: '8px', background: priceFeed === 'live' ? '#e8f5e9' : '#fff3e0', color: priceFeed === 'live' ? '#2e7d32' : '#e65100', padding: '6px 14px', borderRadius: '20px', fontSize: '14px', fontWeight: 'bold' }}>
+                {priceFeed === 'live' ? '🟢 Live prices' : '🟠 Reconnecting…'}
+              </div>
+            )}
+          </div>
           <div style={{ display: 'flex', gap: '10px' }}>
             <button onClick={() => setDebugMode(!debugMode)} style={{ background: '#333', color: 'white', border: 'none', width: '45px', height: '45px', borderRadius: '50%', fontSize: '20px', cursor: 'pointer' }}>🔧</button>
             <button onClick={() => setShowLeaderboard(!showLeaderboard)} style={{ background: '#ffd700', border: 'none', padding: '15px 30px', borderRadius: '20px', fontSize: '20px', fontWeight: 'bold', cursor: 'pointer', fontFamily: 'Comic Sans MS, cursive' }}>🏆 Leaderboard</button>
+            <button onClick={openSeasons} style={{ background: '#e8eaf6', border: 'none', padding: '15px 20px', borderRadius: '20px', fontSize: '20px', fontWeight: 'bold', cursor: 'pointer', fontFamily: 'Comic Sans MS, cursive' }}>📅 Seasons</button>
+            {store.admin && user.role === 'admin' && (
+              <button onClick={() => setScreen('admin')} style={{ background: '#e8eaf6', border: 'none', padding: '15px 20px', borderRadius: '20px', fontSize: '20px', fontWeight: 'bold', cursor: 'pointer', fontFamily: 'Comic Sans MS, cursive' }}>🛠️ Admin</button>
+            )}
+            <button onClick={logout} style={{ background: '#999', color: 'white', border: 'none', padding: '15px 20px', borderRadius: '20px', fontSize: '16px', fontWeight: 'bold', cursor: 'pointer', fontFamily: 'Comic Sans MS, cursive' }}>Log Out</button>
           </div>
         </div>
 
+        {user.tradingFrozen && (
+          <div style={{ background: '#e3f2fd', border: '2px solid #42a5f5', borderRadius: '15px', padding: '15px 20px', marginBottom: '15px', fontSize: '16px', color: '#1565c0' }}>
+            🧊 Your teacher has paused trading for now. Your orders will wait until trading is back on.
+          </div>
+        )}
+
+        {user.awaitingConsent && (
+          <div style={{ background: '#fff8e1', border: '2px solid #ffb300', borderRadius: '15px', padding: '15px 20px', marginBottom: '15px', fontSize: '16px', color: '#8d6e00', display: 'flex', alignItems: 'center', gap: '12px', flexWrap: 'wrap' }}>
+            <div style={{ flex: 1 }}>👪 We've emailed your parent or guardian a link. You can trade once they say yes.</div>
+            <button onClick={checkConsent} style={{ background: '#ffb300', color: 'white', border: 'none', padding: '8px 16px', borderRadius: '12px', fontSize: '14px', fontWeight: 'bold', cursor: 'pointer' }}>🔄 They said yes</button>
+            <button onClick={resendConsent} style={{ background: 'none', border: '2px solid #ffb300', color: '#8d6e00', padding: '6px 14px', borderRadius: '12px', fontSize: '14px', fontWeight: 'bold', cursor: 'pointer' }}>📧 Send it again</button>
+          </div>
+        )}
+
+        {pendingChanges > 0 && (
+          <div style={{ background: '#eceff1', border: '2px solid #78909c', borderRadius: '15px', padding: '15px 20px', marginBottom: '15px', fontSize: '16px', color: '#37474f' }}>
+            📴 You're offline. {pendingChanges} {pendingChanges === 1 ? 'change is' : 'changes are'} saved on this device and will be sent when you're back online.
+          </div>
+        )}
+
         {apiError && (
           <div style={{ background: '#fff3e0', border: '2px solid #ff9800', borderRadius: '15px', padding: '15px 20px', marginBottom: '15px', display: 'flex', alignItems: 'center', gap: '12px' }}>
             <span style={{ fontSize: '24px' }}>⚠️</span>
@@ -1019,9 +2014,14 @@ const KT_STOCK_GAME = () => {
         {!portfolio.gameStarted && (
           <div style={{ background: '#ffd700', padding: '20px', borderRadius: '20px', marginBottom: '20px', border: '3px solid #667eea' }}>
             <div style={{ fontSize: '20px', fontWeight: 'bold', color: '#333', marginBottom: '10px' }}>
-              🎯 Select {MIN_HOLDINGS}-{MAX_HOLDINGS} stocks to start! ({portfolio.holdings.length}/{MAX_HOLDINGS})
+              🎯 Select {rules.minHoldings}-{rules.maxHoldings} stocks to start! ({portfolio.holdings.length}/{rules.maxHoldings})
             </div>
-            {portfolio.holdings.length >= MIN_HOLDINGS && portfolio.holdings.length <= MAX_HOLDINGS && (
+            {runningCompetition && (
+              <div style={{ fontSize: '16px', color: '#333', marginBottom: '10px' }}>
+                🏁 Starting now enters {runningCompetition.name}, which ends {new Date(runningCompetition.endsAt).toLocaleDateString()}. Its own rules apply once you join.
+              </div>
+            )}
+            {GameRules.canStartGame(rules, portfolio).allowed && (
               <button 
                 onClick={startGame}
                 style={{ 
@@ -1048,12 +2048,13 @@ const KT_STOCK_GAME = () => {
           <div>
             <div style={{ background: '#11998e', padding: '15px', borderRadius: '15px', marginBottom: '10px', color: 'white' }}>
               <div style={{ fontSize: '18px', fontWeight: 'bold', textAlign: 'center' }}>
-                ⚡ Game Active! Prices updating every 15 seconds
+                ⚡ Game Active! Prices update live while the market is open
               </div>
             </div>
             {(() => {
               const investedPct = calculateInvestedPct(portfolio);
-              const isCompliant = investedPct >= MIN_INVESTED_PCT;
+              const openViolations = violations.filter(ev => !ev.resolvedAt);
+              const isCompliant = investedPct >= rules.minInvestedPct && openViolations.length === 0;
               return (
                 <div style={{ 
                   background: isCompliant ? '#e8f5e9' : '#fff3e0',
@@ -1065,11 +2066,50 @@ const KT_STOCK_GAME = () => {
                   <div style={{ fontSize: '16px', fontWeight: 'bold', color: '#333', marginBottom: '5px' }}>
                     💼 Invested: {investedPct.toFixed(1)}% {isCompliant ? '✅' : '⚠️'}
                   </div>
-                  {!isCompliant && (
+                  {investedPct < rules.minInvestedPct && (
                     <div style={{ fontSize: '14px', color: '#f57c00' }}>
-                      Target: ≥{MIN_INVESTED_PCT}% invested (keep cash low!)
+                      Target: ≥{rules.minInvestedPct}% invested (keep cash low!)
                     </div>
                   )}
+                  {openViolations.map(v => (
+                    <div key={v.id} style={{ fontSize: '14px', color: '#eb3349', marginTop: '5px' }}>
+                      {v.message} - fix it by {graceEndsText(v)} {complianceConsequence(rules)}
+                    </div>
+                  ))}
+                </div>
+              );
+            })()}
+
+            {/* Performance Chart */}
+            <div style={{ background: '#f8f8f8', padding: '20px', borderRadius: '20px', marginBottom: '20px', border: '3px solid #667eea' }}>
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '10px' }}>
+                <h3 style={{ fontSize: '22px', color: '#667eea', margin: 0 }}>📈 My Portfolio Over Time</h3>
+                <span style={{ fontSize: '12px', color: '#999' }}>- - - start ${portfolio.startValue.toFixed(2)}</span>
+              </div>
+              <LineChart points={performancePoints()} baseline={portfolio.startValue} emptyText="Your chart starts after the first price update" />
+            </div>
+
+            {/* P&L Summary */}
+            {(() => {
+              const pnl = summarizePnl(portfolio, transactions);
+              const tiles = [
+                { label: '💎 Total return', amount: pnl.totalReturn, hint: 'since you started' },
+                { label: '✅ Realized', amount: pnl.realized, hint: 'locked in by selling' },
+                { label: '📊 Unrealized', amount: pnl.unrealized, hint: 'on paper, still held' },
+                { label: '💤 Idle cash', amount: pnl.cashDrag, hint: 'vs. if cash grew like your stocks' }
+              ];
+              return (
+                <div style={{ background: '#f8f8f8', padding: '20px', borderRadius: '20px', marginBottom: '20px', border: '3px solid #667eea' }}>
+                  <h3 style={{ fontSize: '22px', color: '#667eea', marginTop: 0, marginBottom: '10px' }}>🧮 Where Your Return Came From</h3>
+                  <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(140px, 1fr))', gap: '10px' }}>
+                    {tiles.map(tile => (
+                      <div key={tile.label} style={{ background: 'white', padding: '12px', borderRadius: '15px', textAlign: 'center' }}>
+                        <div style={{ fontSize: '14px', color: '#666' }}>{tile.label}</div>
+                        <div style={{ fontSize: '20px', fontWeight: 'bold', color: tile.amount >= 0 ? '#11998e' : '#eb3349' }}>{formatMoney(tile.amount)}</div>
+                        <div style={{ fontSize: '11px', color: '#999' }}>{tile.hint}</div>
+                      </div>
+                    ))}
+                  </div>
                 </div>
               );
             })()}
@@ -1085,8 +2125,9 @@ const KT_STOCK_GAME = () => {
             <input
               ref={searchInputRef}
               type="text"
-              placeholder="Type ticker symbol (e.g., AAPL, TSLA, GOOG...)"
+              placeholder="Ticker or company (e.g., AAPL, Coca-Cola...)"
               defaultValue=""
+              onChange={suggestSymbols}
               onKeyPress={(e) => {
                 if (e.key === 'Enter') {
                   handleSearch();
@@ -1124,6 +2165,28 @@ const KT_STOCK_GAME = () => {
               🔍 Search
             </button>
           </div>
+
+          {suggestions.length > 0 && (
+            <div style={{ background: 'white', border: '2px solid #667eea', borderRadius: '15px', marginTop: '8px', overflow: 'hidden' }}>
+              {suggestions.map(suggestion => (
+                <div
+                  key={suggestion.symbol}
+                  onClick={() => {
+                    if (searchInputRef.current) {
+                      searchInputRef.current.value = suggestion.symbol;
+                    }
+                    handleSearch(suggestion.symbol);
+                  }}
+                  style={{ padding: '10px 15px', cursor: 'pointer', borderBottom: '1px solid #eee', fontSize: '16px' }}
+                >
+                  <strong style={{ color: '#667eea' }}>{suggestion.symbol}</strong> {suggestion.name}
+                  <span style={{ fontSize: '12px', color: '#999', marginLeft: '8px' }}>
+                    {suggestion.type === 'etf' ? 'ETF' : suggestion.sector || ''}
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
           
           {searchResults.length > 0 && (
             <div style={{ display: 'flex', flexDirection: 'column', gap: '10px', marginTop: '15px' }}>
@@ -1176,7 +2239,7 @@ const KT_STOCK_GAME = () => {
                       <div style={{ fontSize: '24px', fontWeight: 'bold', color: '#667eea' }}>
                         {stock.symbol}
                         <span style={{ fontSize: '16px', color: '#999', fontWeight: 'normal', marginLeft: '8px' }}>
-                          {COMPANY_NAMES[stock.symbol] || ''}
+                          {stock.name || COMPANY_NAMES[stock.symbol] || ''}
                         </span>
                       </div>
                       <div style={{ fontSize: '16px', color: '#666' }}>${stock.price.toFixed(2)}</div>
@@ -1202,24 +2265,74 @@ const KT_STOCK_GAME = () => {
             <div style={{ background: 'white', borderRadius: '30px', padding: '30px', maxWidth: '500px', width: '100%', position: 'relative', maxHeight: '90vh', overflowY: 'auto' }}>
               <button onClick={() => setShowLeaderboard(false)} style={{ position: 'absolute', top: '15px', right: '15px', background: '#ff6a00', color: 'white', border: 'none', width: '40px', height: '40px', borderRadius: '50%', fontSize: '24px', cursor: 'pointer', fontWeight: 'bold' }}>✕</button>
               <h3 style={{ fontSize: '32px', color: '#667eea', marginBottom: '20px', textAlign: 'center' }}>🏆 Top Players</h3>
-              <div>
-                {leaderboard.map((entry, index) => (
-                  <div key={entry.phone} style={{ display: 'flex', alignItems: 'center', gap: '15px', padding: '15px', background: entry.phone === user.phone ? '#ffd700' : '#f8f8f8', marginBottom: '10px', borderRadius: '15px', border: entry.phone === user.phone ? '3px solid #667eea' : 'none' }}>
-                    <div style={{ fontSize: '24px', fontWeight: 'bold', color: '#667eea', minWidth: '40px' }}>#{index + 1}</div>
-                    <div style={{ flex: 1, fontSize: '20px', fontWeight: 'bold' }}>{entry.name}</div>
-                    <div style={{ fontSize: '20px', fontWeight: 'bold', color: entry.return >= 0 ? '#11998e' : '#eb3349' }}>
-                      {entry.return >= 0 ? '+' : ''}{entry.return.toFixed(2)}%
-                    </div>
+              {(leagues.class || leagues.school) && (
+                <div style={{ marginBottom: '15px', textAlign: 'center' }}>
+                  <div style={{ display: 'flex', gap: '8px', justifyContent: 'center', flexWrap: 'wrap' }}>
+                    {LEADERBOARD_SCOPES.filter(s => s.id === 'global' || leagues[s.id]).map(s => (
+                      <button
+                        key={s.id}
+                        onClick={() => { setLeaderboardScope(s.id); loadLeaderboard(s.id); }}
+                        style={{ background: s.id === leaderboardScope ? '#667eea' : '#e8eaf6', color: s.id === leaderboardScope ? 'white' : '#667eea', border: 'none', padding: '8px 16px', borderRadius: '20px', fontSize: '15px', fontWeight: 'bold', cursor: 'pointer', fontFamily: 'Comic Sans MS, cursive' }}
+                      >
+                        {s.label}
+                      </button>
+                    ))}
                   </div>
+                  <div style={{ fontSize: '14px', color: '#666', marginTop: '8px' }}>{leagues[leaderboardScope]?.name ?? 'Everyone'}</div>
+                </div>
+              )}
+              <div style={{ display: 'flex', gap: '6px', justifyContent: 'center', flexWrap: 'wrap', marginBottom: '6px' }}>
+                {LEADERBOARD_MODES.map(m => (
+                  <button
+                    key={m.id}
+                    title={m.hint}
+                    onClick={() => { setLeaderboardMode(m.id); loadLeaderboard(leaderboardScope, user, m.id); }}
+                    style={{ background: m.id === leaderboardMode ? '#ffd700' : '#f8f8f8', color: '#333', border: 'none', padding: '6px 12px', borderRadius: '15px', fontSize: '13px', fontWeight: 'bold', cursor: 'pointer', fontFamily: 'Comic Sans MS, cursive' }}
+                  >
+                    {m.label}
+                  </button>
                 ))}
-                {leaderboard.length === 0 && <div style={{ textAlign: 'center', padding: '40px', color: '#666', fontSize: '18px' }}>Be the first on the leaderboard!</div>}
               </div>
+              <div style={{ fontSize: '13px', color: '#666', marginBottom: '15px', textAlign: 'center' }}>{LEADERBOARD_MODES.find(m => m.id === leaderboardMode).hint}</div>
+              <div>
+                {leaderboard.length === 0 ? (
+                  <div style={{ textAlign: 'center', padding: '40px', color: '#666', fontSize: '18px' }}>
+                    {!portfolio.gameStarted ? 'Start your game to get on the leaderboard!' : 'Be the first on the leaderboard!'}
+                  </div>
+                ) : (() => {
+                  const { me, page, total } = leaderboardInfo;
+                  const meShown = !me || leaderboard.some(entry => entry.playerId === me.playerId);
+                  const pages = Math.ceil(total / LEADERBOARD_SIZE);
+                  const pagerStyle = { background: '#e8eaf6', color: '#667eea', border: 'none', padding: '8px 16px', borderRadius: '15px', fontSize: '15px', fontWeight: 'bold', cursor: 'pointer', fontFamily: 'Comic Sans MS, cursive' };
+                  return (
+                    <div>
+                      {leaderboard.map(entry => (
+                        <LeaderboardRow key={entry.playerId} entry={entry} mode={leaderboardMode} isMe={entry.playerId === user.publicId} />
+                      ))}
+                      {!meShown && (
+                        <div>
+                          <div style={{ textAlign: 'center', color: '#999', marginBottom: '10px' }}>⋯</div>
+                          <LeaderboardRow entry={me} mode={leaderboardMode} isMe />
+                        </div>
+                      )}
+                      {pages > 1 && (
+                        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: '10px' }}>
+                          <button disabled={page <= 1} onClick={() => loadLeaderboard(leaderboardScope, user, leaderboardMode, page - 1)} style={{ ...pagerStyle, visibility: page <= 1 ? 'hidden' : 'visible' }}>‹ Prev</button>
+                          <span style={{ fontSize: '14px', color: '#666' }}>Page {page} of {pages} · {total} players</span>
+                          <button disabled={page >= pages} onClick={() => loadLeaderboard(leaderboardScope, user, leaderboardMode, page + 1)} style={{ ...pagerStyle, visibility: page >= pages ? 'hidden' : 'visible' }}>Next ›</button>
+                        </div>
+                      )}
+                    </div>
+                  );
+                })()}
+              </div>
+              {!leagues.class && <JoinLeagueForm onJoin={handleJoinLeague} />}
             </div>
           </div>
         )}
 
         <div style={{ marginBottom: '30px' }}>
-          <h3 style={{ fontSize: '28px', color: '#667eea', marginBottom: '15px' }}>📦 My Stocks ({portfolio.holdings.length}/10)</h3>
+          <h3 style={{ fontSize: '28px', color: '#667eea', marginBottom: '15px' }}>📦 My Stocks ({portfolio.holdings.length}/{rules.maxHoldings})</h3>
           {portfolio.holdings.length === 0 ? (
             <div style={{ textAlign: 'center', padding: '40px', background: '#f0f0f0', borderRadius: '20px', fontSize: '20px', color: '#666' }}>
               <p>You don't own any stocks yet!</p>
@@ -1229,7 +2342,7 @@ const KT_STOCK_GAME = () => {
             <div className="holdings-list">
               {portfolio.holdings.map(holding => {
                 const positionPct = getPositionPct(holding, portfolio.totalValue);
-                const isOverLimit = positionPct > MAX_POSITION_PCT;
+                const isOverLimit = positionPct > rules.maxPositionPct;
                 return (
                   <div key={holding.symbol} style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', background: '#f8f8f8', padding: '20px', borderRadius: '20px', border: `3px solid ${isOverLimit ? '#ff9800' : '#667eea'}` }}>
                     <div>
@@ -1245,12 +2358,15 @@ const KT_STOCK_GAME = () => {
                       </div>
                     </div>
                     <div style={{ textAlign: 'right' }}>
-                      <div style={{ fontSize: '20px', fontWeight: 'bold' }}>${holding.currentPrice.toFixed(2)}</div>
+                      <div style={{ fontSize: '20px', fontWeight: 'bold' }}><PriceTick price={holding.currentPrice} tick={priceTicks[holding.symbol]} /></div>
                       <div style={{ fontSize: '16px', color: holding.changePercent >= 0 ? '#11998e' : '#eb3349' }}>
                         {holding.changePercent >= 0 ? '📈' : '📉'} {holding.changePercent.toFixed(2)}%
                       </div>
+                      <div style={{ fontSize: '14px', color: holding.changePercent >= 0 ? '#11998e' : '#eb3349' }}>
+                        {formatMoney((holding.currentPrice - holding.purchasePrice) * holding.shares)} unrealized
+                      </div>
                     </div>
-                    <button onClick={() => sellStock(holding)} style={{ background: '#ff6a00', color: 'white', border: 'none', padding: '12px 25px', borderRadius: '15px', fontSize: '18px', fontWeight: 'bold', cursor: 'pointer', fontFamily: 'Comic Sans MS, cursive' }}>Sell All 💵</button>
+                    <button onClick={() => { setSellingHolding(holding); setSellShares(0); }} style={{ background: '#ff6a00', color: 'white', border: 'none', padding: '12px 25px', borderRadius: '15px', fontSize: '18px', fontWeight: 'bold', cursor: 'pointer', fontFamily: 'Comic Sans MS, cursive' }}>Sell 💵</button>
                   </div>
                 );
               })}
@@ -1258,6 +2374,101 @@ const KT_STOCK_GAME = () => {
           )}
         </div>
 
+        {/* Splits & Dividends */}
+        {corporateActions.length > 0 && (
+          <div style={{ marginBottom: '30px' }}>
+            <h3 style={{ fontSize: '28px', color: '#667eea', marginBottom: '15px' }}>📣 Splits & Dividends</h3>
+            <div style={{ display: 'flex', flexDirection: 'column', gap: '10px' }}>
+              {corporateActions.map(ev => (
+                <div key={ev.id} style={{ display: 'flex', alignItems: 'center', gap: '12px', background: '#f8f8f8', padding: '15px', borderRadius: '15px', fontSize: '16px' }}>
+                  <span style={{ fontSize: '24px' }}>{ev.actionType === 'split' ? '✂️' : '💵'}</span>
+                  <div style={{ flex: 1 }}>{describeCorporateAction(ev)}</div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {/* Pending Orders */}
+        {orders.length > 0 && (
+          <div style={{ marginBottom: '30px' }}>
+            <h3 style={{ fontSize: '28px', color: '#667eea', marginBottom: '15px' }}>⏳ Pending Orders ({orders.length})</h3>
+            <div style={{ display: 'flex', flexDirection: 'column', gap: '10px' }}>
+              {orders.map(order => (
+                <div key={order.id} style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', background: '#f8f8f8', padding: '15px', borderRadius: '15px', fontSize: '18px' }}>
+                  <div>
+                    <div style={{ fontWeight: 'bold', color: '#667eea' }}>{pendingOrderLabel(order.orderType)} · {order.symbol}</div>
+                    <div style={{ fontSize: '14px', color: '#666' }}>
+                      {order.side === 'buy' ? 'Buy' : 'Sell'} {order.shares} {order.orderType === 'market' ? 'at the market price' : `at $${order.triggerPrice.toFixed(2)}`}
+                    </div>
+                  </div>
+                  <button onClick={() => cancelOrder(order)} style={{ background: '#f0f0f0', color: '#eb3349', border: '2px solid #eb3349', padding: '8px 16px', borderRadius: '12px', fontSize: '16px', fontWeight: 'bold', cursor: 'pointer', fontFamily: 'Comic Sans MS, cursive' }}>Cancel</button>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {/* Trade History */}
+        {(() => {
+          const tradeSymbols = [...new Set(transactions.map(t => t.symbol))].sort();
+          const shownTrades = transactions.filter(t => !tradeFilter || t.symbol === tradeFilter);
+          return (
+            <div style={{ marginBottom: '30px' }}>
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '15px', flexWrap: 'wrap', gap: '10px' }}>
+                <h3 style={{ fontSize: '28px', color: '#667eea', margin: 0 }}>🧾 My Trades ({shownTrades.length})</h3>
+                <div style={{ display: 'flex', gap: '10px' }}>
+                  <select
+                    value={tradeFilter}
+                    onChange={(e) => setTradeFilter(e.target.value)}
+                    style={{ padding: '8px 12px', border: '2px solid #667eea', borderRadius: '12px', fontSize: '16px', fontFamily: 'Comic Sans MS, cursive' }}
+                  >
+                    <option value="">All stocks</option>
+                    {tradeSymbols.map(sym => (
+                      <option key={sym} value={sym}>{sym}</option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={() => downloadCsv(`kt-trades-${user.firstName || 'player'}${tradeFilter ? `-${tradeFilter}` : ''}.csv`, tradesToCsv(shownTrades))}
+                    disabled={shownTrades.length === 0}
+                    style={{ background: shownTrades.length === 0 ? '#ccc' : '#667eea', color: 'white', border: 'none', padding: '8px 16px', borderRadius: '12px', fontSize: '16px', fontWeight: 'bold', cursor: shownTrades.length === 0 ? 'not-allowed' : 'pointer', fontFamily: 'Comic Sans MS, cursive' }}
+                  >
+                    ⬇️ Export CSV
+                  </button>
+                </div>
+              </div>
+              {shownTrades.length === 0 ? (
+                <div style={{ textAlign: 'center', padding: '30px', background: '#f0f0f0', borderRadius: '20px', fontSize: '18px', color: '#666' }}>No trades yet</div>
+              ) : (
+                <div style={{ display: 'flex', flexDirection: 'column', gap: '8px', maxHeight: '300px', overflowY: 'auto' }}>
+                  {shownTrades.map(t => (
+                    <div key={t.id} style={{ display: 'flex', alignItems: 'center', gap: '12px', background: '#f8f8f8', padding: '12px 15px', borderRadius: '15px', fontSize: '16px' }}>
+                      <span style={{ background: t.side === 'buy' ? '#11998e' : '#ff6a00', color: 'white', padding: '4px 10px', borderRadius: '10px', fontWeight: 'bold', fontSize: '14px' }}>
+                        {t.side === 'buy' ? 'BUY' : 'SELL'}
+                      </span>
+                      <div style={{ flex: 1 }}>
+                        <strong style={{ color: '#667eea' }}>{t.symbol}</strong> {t.shares} @ ${t.price.toFixed(2)}
+                        <div style={{ fontSize: '12px', color: '#999' }}>{new Date(t.time).toLocaleString()}{t.unsynced && ' · 📴 not sent yet'}</div>
+                      </div>
+                      <div style={{ textAlign: 'right' }}>
+                        <div style={{ fontWeight: 'bold', color: t.side === 'buy' ? '#eb3349' : '#11998e' }}>
+                          {t.side === 'buy' ? '-' : '+'}${t.total.toFixed(2)}
+                        </div>
+                        <div style={{ fontSize: '12px', color: '#999' }}>Cash: ${t.cashAfter.toFixed(2)}</div>
+                        {t.realizedPnl != null && (
+                          <div style={{ fontSize: '12px', fontWeight: 'bold', color: t.realizedPnl >= 0 ? '#11998e' : '#eb3349' }}>
+                            P&amp;L {formatMoney(t.realizedPnl)}
+                          </div>
+                        )}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          );
+        })()}
+
         <div>
           <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '10px' }}>
             <h3 style={{ fontSize: '28px', color: '#667eea', margin: 0 }}>⭐ Top KT Stocks</h3>
@@ -1268,11 +2479,16 @@ const KT_STOCK_GAME = () => {
           <p style={{ fontSize: '14px', color: '#666', marginBottom: '5px', textAlign: 'center' }}>
             KT Score = Sentiment (40%) + Technicals (35%) + Leadership (25%)
           </p>
-          <p style={{ fontSize: '12px', color: '#999', marginBottom: '15px', textAlign: 'center', fontStyle: 'italic' }}>
-            Showing buyable stocks only (max 25% of portfolio per position)
+          <p style={{ fontSize: '12px', color: '#999', marginBottom: quoteStatus ? '5px' : '15px', textAlign: 'center', fontStyle: 'italic' }}>
+            Showing buyable stocks only (max {rules.maxPositionPct}% of portfolio per position)
           </p>
+          {quoteStatus && (
+            <p style={{ fontSize: '12px', color: quoteStatus.stale ? '#e65100' : '#999', marginBottom: '15px', textAlign: 'center', fontWeight: quoteStatus.stale ? 'bold' : 'normal' }}>
+              {quoteAgeText(quoteStatus)}
+            </p>
+          )}
           <div style={{ display: 'flex', flexDirection: 'column', gap: '10px', maxHeight: '500px', overflowY: 'auto' }}>
-            {ktRankings.filter(stock => isBuyable(stock, portfolio.totalValue)).slice(0, 20).map((stock, index) => (
+            {ktRankings.filter(stock => GameRules.isBuyable(rules, stock, portfolio.totalValue)).map((stock, index) => (
               <div key={stock.symbol} onClick={() => setSelectedStock(stock)} style={{ display: 'flex', alignItems: 'center', gap: '15px', background: '#f8f8f8', padding: '15px', borderRadius: '15px', cursor: 'pointer', border: '2px solid transparent' }}>
                 <div style={{ fontSize: '20px', fontWeight: 'bold', color: '#667eea', minWidth: '40px' }}>#{index + 1}</div>
                 <div style={{ flex: 1 }}>
@@ -1282,7 +2498,10 @@ const KT_STOCK_GAME = () => {
                       {stock.name || COMPANY_NAMES[stock.symbol] || ''}
                     </span>
                   </div>
-                  <div style={{ fontSize: '16px', color: '#666' }}>${stock.price.toFixed(2)}</div>
+                  <div style={{ fontSize: '16px', color: '#666' }}><PriceTick price={stock.price} tick={priceTicks[stock.symbol]} /></div>
+                  {stock.forYou?.reasons.length > 0 && (
+                    <div style={{ fontSize: '12px', color: '#888', marginTop: '4px' }}>💡 {stock.forYou.reasons[0].text}</div>
+                  )}
                 </div>
                 <div style={{ flex: 2 }}>
                   <div style={{ fontSize: '16px', fontWeight: 'bold', color: '#667eea', marginBottom: '5px' }}>KT: {stock.ktValue.toFixed(0)}</div>
@@ -1293,11 +2512,24 @@ const KT_STOCK_GAME = () => {
               </div>
             ))}
           </div>
+          {rankingTotals?.pending > 0 && (
+            <p style={{ fontSize: '14px', color: '#999', textAlign: 'center', marginTop: '10px' }}>
+              ⏳ Still scoring {rankingTotals.pending} more stocks...
+            </p>
+          )}
+          {rankingTotals && ktRankings.length < rankingTotals.total && (
+            <button
+              onClick={showMoreRankings}
+              style={{ display: 'block', margin: '15px auto 0', background: 'white', color: '#667eea', border: '2px solid #667eea', padding: '10px 30px', borderRadius: '50px', fontSize: '16px', fontWeight: 'bold', cursor: 'pointer', fontFamily: 'Comic Sans MS, cursive' }}
+            >
+              Show more ({ktRankings.length} of {rankingTotals.total})
+            </button>
+          )}
         </div>
 
         {selectedStock && (
           <div style={{ position: 'fixed', top: 0, left: 0, right: 0, bottom: 0, background: 'rgba(0,0,0,0.7)', display: 'flex', alignItems: 'center', justifyContent: 'center', zIndex: 1000, padding: '20px' }}>
-            <div style={{ background: 'white', borderRadius: '30px', padding: '30px', maxWidth: '500px', width: '100%', position: 'relative' }}>
+            <div style={{ background: 'white', borderRadius: '30px', padding: '30px', maxWidth: '500px', width: '100%', position: 'relative', maxHeight: '90vh', overflowY: 'auto' }}>
               <button onClick={() => setSelectedStock(null)} style={{ position: 'absolute', top: '15px', right: '15px', background: '#ff6a00', color: 'white', border: 'none', width: '40px', height: '40px', borderRadius: '50%', fontSize: '24px', cursor: 'pointer', fontWeight: 'bold' }}>✕</button>
               <h3 style={{ fontSize: '32px', color: '#667eea', marginBottom: '20px', textAlign: 'center' }}>
                 📊 {selectedStock.symbol}
@@ -1305,6 +2537,8 @@ const KT_STOCK_GAME = () => {
                   {COMPANY_NAMES[selectedStock.symbol] || ''}
                 </div>
               </h3>
+
+              <PriceChart symbol={selectedStock.symbol} apiBaseUrl={store.api.baseUrl} />
               
               <div style={{ marginBottom: '30px' }}>
                 <div style={{ display: 'flex', justifyContent: 'space-between', padding: '15px', background: '#f8f8f8', marginBottom: '10px', borderRadius: '15px', fontSize: '20px' }}>
@@ -1317,22 +2551,27 @@ const KT_STOCK_GAME = () => {
                 </div>
                 
                 <div style={{ marginTop: '20px' }}>
-                  <div style={{ display: 'flex', justifyContent: 'space-between', padding: '10px', background: '#f0f0f0', marginBottom: '8px', borderRadius: '10px', fontSize: '18px' }}>
-                    <span>😊 Sentiment</span>
-                    <span>{selectedStock.sentiment.toFixed(0)}</span>
-                  </div>
-                  <div style={{ display: 'flex', justifyContent: 'space-between', padding: '10px', background: '#f0f0f0', marginBottom: '8px', borderRadius: '10px', fontSize: '18px' }}>
-                    <span>📈 Technical</span>
-                    <span>{selectedStock.technical.toFixed(0)}</span>
-                  </div>
-                  <div style={{ display: 'flex', justifyContent: 'space-between', padding: '10px', background: '#f0f0f0', marginBottom: '8px', borderRadius: '10px', fontSize: '18px' }}>
-                    <span>👑 Leadership</span>
-                    <span>{selectedStock.leadership.toFixed(0)}</span>
-                  </div>
+                  <ForYouNote stock={selectedStock} />
+                  <SubScoreRow label="😊 Sentiment" score={selectedStock.sentiment} detail={selectedStock.explain?.sentiment} />
+                  <SubScoreRow label="📈 Technical" score={selectedStock.technical} detail={selectedStock.explain?.technical} />
+                  <SubScoreRow label="👑 Leadership" score={selectedStock.leadership} detail={selectedStock.explain?.leadership} />
                 </div>
               </div>
 
+              {(() => {
+                const trigger = parseFloat(triggerInput);
+                const isOrder = orderType !== 'market';
+                const orderInvalid = isOrder && !triggerIsValid(orderType, trigger, selectedStock.price);
+                const buyDisabled = shares === 0 || portfolio.holdings.length >= rules.maxHoldings || (isOrder ? orderInvalid : portfolio.cash < selectedStock.price * shares);
+                return (
               <div>
+                <OrderTypePicker
+                  types={['market', 'limit']}
+                  orderType={orderType}
+                  onOrderTypeChange={setOrderType}
+                  triggerInput={triggerInput}
+                  onTriggerChange={setTriggerInput}
+                />
                 <label style={{ display: 'block', fontSize: '20px', fontWeight: 'bold', marginBottom: '10px' }}>How many shares?</label>
                 <input
                   key={selectedStock.symbol}
@@ -1349,56 +2588,225 @@ const KT_STOCK_GAME = () => {
                   style={{ width: '100%', padding: '15px', border: '3px solid #667eea', borderRadius: '15px', fontSize: '20px', marginBottom: '15px', fontFamily: 'Comic Sans MS, cursive' }}
                 />
                 <div style={{ fontSize: '24px', fontWeight: 'bold', textAlign: 'center', color: '#667eea', marginBottom: '20px' }}>
-                  Total: ${shares > 0 ? (selectedStock.price * shares).toFixed(2) : '0.00'}
+                  Total: ${shares > 0 ? ((isOrder && trigger > 0 ? trigger : selectedStock.price) * shares).toFixed(2) : '0.00'}
                 </div>
+                {isOrder && triggerInput !== '' && orderInvalid && (
+                  <div style={{ fontSize: '14px', color: '#eb3349', textAlign: 'center', marginBottom: '10px' }}>
+                    Pick a price below ${selectedStock.price.toFixed(2)}
+                  </div>
+                )}
                 <button
-                  onClick={() => buyStock(selectedStock, shares)}
-                  disabled={shares === 0 || portfolio.holdings.length >= 10 || portfolio.cash < selectedStock.price * shares}
+                  onClick={() => (isOrder ? placeOrder(orderType, selectedStock.symbol, shares, trigger) : buyStock(selectedStock, shares))}
+                  disabled={buyDisabled}
                   style={{ 
-                    background: (shares === 0 || portfolio.holdings.length >= 10 || portfolio.cash < selectedStock.price * shares) ? '#ccc' : 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)', 
+                    background: buyDisabled ? '#ccc' : 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)', 
                     color: 'white', 
                     border: 'none', 
                     padding: '20px 50px', 
                     borderRadius: '50px', 
                     fontSize: '28px', 
                     fontWeight: 'bold', 
-                    cursor: (shares === 0 || portfolio.holdings.length >= 10 || portfolio.cash < selectedStock.price * shares) ? 'not-allowed' : 'pointer', 
+                    cursor: buyDisabled ? 'not-allowed' : 'pointer', 
                     fontFamily: 'Comic Sans MS, cursive', 
                     width: '100%' 
                   }}
                 >
-                  {portfolio.holdings.length >= 10 ? '❌ Max 10 Stocks' : shares === 0 ? 'Enter shares to buy' : `Buy ${shares} shares! 💰`}
+                  {portfolio.holdings.length >= rules.maxHoldings ? `❌ Max ${rules.maxHoldings} Stocks` : shares === 0 ? 'Enter shares to buy' : isOrder ? `Place order for ${shares} 📝` : `Buy ${shares} shares! 💰`}
                 </button>
               </div>
+                );
+              })()}
             </div>
           </div>
         )}
+
+        {sellingHolding && (() => {
+          const holding = portfolio.holdings.find(h => h.symbol === sellingHolding.symbol) || sellingHolding;
+          const trim = GameRules.sharesToTrim(rules, holding, portfolio.totalValue);
+          const trigger = parseFloat(triggerInput);
+          const isOrder = orderType !== 'market';
+          const orderInvalid = isOrder && !triggerIsValid(orderType, trigger, holding.currentPrice);
+          const sellDisabled = sellShares === 0 || sellShares > holding.shares || orderInvalid;
+          return (
+            <div style={{ position: 'fixed', top: 0, left: 0, right: 0, bottom: 0, background: 'rgba(0,0,0,0.7)', display: 'flex', alignItems: 'center', justifyContent: 'center', zIndex: 1000, padding: '20px' }}>
+              <div style={{ background: 'white', borderRadius: '30px', padding: '30px', maxWidth: '500px', width: '100%', position: 'relative' }}>
+                <button onClick={() => setSellingHolding(null)} style={{ position: 'absolute', top: '15px', right: '15px', background: '#ff6a00', color: 'white', border: 'none', width: '40px', height: '40px', borderRadius: '50%', fontSize: '24px', cursor: 'pointer', fontWeight: 'bold' }}>✕</button>
+                <h3 style={{ fontSize: '32px', color: '#667eea', marginBottom: '20px', textAlign: 'center' }}>
+                  💵 Sell {holding.symbol}
+                  <div style={{ fontSize: '18px', color: '#999', fontWeight: 'normal', marginTop: '5px' }}>
+                    {COMPANY_NAMES[holding.symbol] || ''}
+                  </div>
+                </h3>
+
+                <div style={{ marginBottom: '20px' }}>
+                  <div style={{ display: 'flex', justifyContent: 'space-between', padding: '15px', background: '#f8f8f8', marginBottom: '10px', borderRadius: '15px', fontSize: '20px' }}>
+                    <span>Price:</span>
+                    <span style={{ fontSize: '28px', fontWeight: 'bold', color: '#667eea' }}>${holding.currentPrice.toFixed(2)}</span>
+                  </div>
+                  <div style={{ display: 'flex', justifyContent: 'space-between', padding: '15px', background: '#f8f8f8', marginBottom: '10px', borderRadius: '15px', fontSize: '20px' }}>
+                    <span>Avg cost:</span>
+                    <span style={{ fontWeight: 'bold' }}>${holding.purchasePrice.toFixed(2)}</span>
+                  </div>
+                  <div style={{ fontSize: '14px', color: '#999', textAlign: 'center' }}>Oldest shares are sold first</div>
+                </div>
+
+                <div>
+                  <OrderTypePicker
+                    types={['market', 'stop_loss', 'take_profit']}
+                    orderType={orderType}
+                    onOrderTypeChange={setOrderType}
+                    triggerInput={triggerInput}
+                    onTriggerChange={setTriggerInput}
+                  />
+                  <label style={{ display: 'block', fontSize: '20px', fontWeight: 'bold', marginBottom: '10px' }}>How many shares to sell? (you own {holding.shares})</label>
+                  <input
+                    key={holding.symbol}
+                    type="text"
+                    inputMode="numeric"
+                    pattern="[0-9]*"
+                    placeholder="Enter number of shares"
+                    value={sellShares > 0 ? sellShares : ''}
+                    onChange={(e) => {
+                      // Only allow numbers
+                      const value = e.target.value.replace(/\D/g, '');
+                      setSellShares(value === '' ? 0 : parseInt(value));
+                    }}
+                    style={{ width: '100%', padding: '15px', border: '3px solid #667eea', borderRadius: '15px', fontSize: '20px', marginBottom: '10px', fontFamily: 'Comic Sans MS, cursive' }}
+                  />
+                  <div style={{ display: 'flex', gap: '10px', marginBottom: '15px' }}>
+                    {trim > 0 && (
+                      <button type="button" onClick={() => setSellShares(trim)} style={{ flex: 1, background: '#f0f0f0', color: '#667eea', border: '2px solid #667eea', padding: '10px', borderRadius: '15px', fontSize: '16px', fontWeight: 'bold', cursor: 'pointer', fontFamily: 'Comic Sans MS, cursive' }}>
+                        ✂️ Trim to {rules.maxPositionPct}% ({trim})
+                      </button>
+                    )}
+                    <button type="button" onClick={() => setSellShares(holding.shares)} style={{ flex: 1, background: '#f0f0f0', color: '#667eea', border: '2px solid #667eea', padding: '10px', borderRadius: '15px', fontSize: '16px', fontWeight: 'bold', cursor: 'pointer', fontFamily: 'Comic Sans MS, cursive' }}>
+                      All {holding.shares}
+                    </button>
+                  </div>
+                  <div style={{ fontSize: '24px', fontWeight: 'bold', textAlign: 'center', color: '#667eea', marginBottom: '20px' }}>
+                    You get: ${sellShares > 0 ? ((isOrder && trigger > 0 ? trigger : holding.currentPrice) * sellShares).toFixed(2) : '0.00'}
+                  </div>
+                  {isOrder && triggerInput !== '' && orderInvalid && (
+                    <div style={{ fontSize: '14px', color: '#eb3349', textAlign: 'center', marginBottom: '10px' }}>
+                      Pick a price {orderType === 'take_profit' ? 'above' : 'below'} ${holding.currentPrice.toFixed(2)}
+                    </div>
+                  )}
+                  <button
+                    onClick={() => (isOrder ? placeOrder(orderType, holding.symbol, sellShares, trigger) : sellStock(holding, sellShares))}
+                    disabled={sellDisabled}
+                    style={{ 
+                      background: sellDisabled ? '#ccc' : '#ff6a00', 
+                      color: 'white', 
+                      border: 'none', 
+                      padding: '20px 50px', 
+                      borderRadius: '50px', 
+                      fontSize: '28px', 
+                      fontWeight: 'bold', 
+                      cursor: sellDisabled ? 'not-allowed' : 'pointer', 
+                      fontFamily: 'Comic Sans MS, cursive', 
+                      width: '100%' 
+                    }}
+                  >
+                    {sellShares > holding.shares ? `❌ Only ${holding.shares} shares` : sellShares === 0 ? 'Enter shares to sell' : isOrder ? `Place order for ${sellShares} 📝` : `Sell ${sellShares} shares! 💵`}
+                  </button>
+                </div>
+              </div>
+            </div>
+          );
+        })()}
+
+        <div style={{ textAlign: 'center', marginTop: '30px' }}>
+          <button onClick={deleteAccount} style={{ background: 'none', border: 'none', color: '#999', cursor: 'pointer', fontSize: '14px', textDecoration: 'underline', fontFamily: 'Comic Sans MS, cursive' }}>🗑️ Delete my account and data</button>
+        </div>
       </div>
     );
   };
 
-  const GameOverScreen = () => (
-    <div style={{ textAlign: 'center', padding: '40px 20px' }}>
-      <div style={{ fontSize: '120px', marginBottom: '20px' }}>😢</div>
-      <h1 style={{ fontSize: '48px', color: '#667eea', marginBottom: '10px' }}>Game Over!</h1>
-      <p style={{ fontSize: '24px', color: '#666', marginBottom: '40px' }}>Your portfolio dropped below $20</p>
-      <div style={{ background: '#f8f8f8', padding: '30px', borderRadius: '20px', marginBottom: '30px' }}>
-        <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '24px', marginBottom: '15px' }}>
-          <span>Final Value:</span>
-          <span style={{ fontWeight: 'bold' }}>${portfolio.totalValue.toFixed(2)}</span>
+  const GameOverScreen = () => {
+    const ended = gameEnd ?? { reason: 'bust', message: `Your portfolio dropped below $${rules.gameOverValue}` };
+    // When a competition is over this is its results screen
+    const over = portfolio.competition && ended.reason === 'time' ? results : null;
+    const mine = over?.standings?.find(s => s.playerId === user.publicId);
+    const returnPct = ((portfolio.totalValue - portfolio.startValue) / portfolio.startValue) * 100;
+    return (
+      <div style={{ textAlign: 'center', padding: '40px 20px' }}>
+        <div style={{ fontSize: '120px', marginBottom: '20px' }}>{over ? '🏁' : GAME_END_EMOJI[ended.reason]}</div>
+        <h1 style={{ fontSize: '48px', color: '#667eea', marginBottom: '10px' }}>{over ? `${over.competition.name} is over!` : 'Game Over!'}</h1>
+        <p style={{ fontSize: '24px', color: '#666', marginBottom: '40px' }}>
+          {mine ? `You finished #${mine.rank} of ${over.standings.length}${mine.rank === 1 ? ' - you won! 🏆' : ''}` : ended.message}
+        </p>
+        {over && (
+          <div style={{ background: '#f8f8f8', padding: '20px', borderRadius: '20px', marginBottom: '30px', textAlign: 'left' }}>
+            <h3 style={{ fontSize: '22px', color: '#667eea', marginTop: 0, marginBottom: '10px', textAlign: 'center' }}>{over.competition.frozen ? '🏆 Final Standings' : '⏳ Standings (final results coming shortly)'}</h3>
+            <StandingsList standings={over.standings} currentPlayerId={user.publicId} />
+          </div>
+        )}
+        <div style={{ background: '#f8f8f8', padding: '30px', borderRadius: '20px', marginBottom: '30px' }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '24px', marginBottom: '15px' }}>
+            <span>Final Value:</span>
+            <span style={{ fontWeight: 'bold' }}>${portfolio.totalValue.toFixed(2)}</span>
+          </div>
+          <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '24px' }}>
+            <span>Total Return:</span>
+            <span style={{ fontWeight: 'bold', color: returnPct >= 0 ? '#11998e' : '#eb3349' }}>
+              {returnPct.toFixed(2)}%
+            </span>
+          </div>
+        </div>
+        <div style={{ background: '#f8f8f8', padding: '20px', borderRadius: '20px', marginBottom: '30px' }}>
+          <h3 style={{ fontSize: '22px', color: '#667eea', marginTop: 0, marginBottom: '10px' }}>📈 Your Whole Game</h3>
+          <LineChart points={performancePoints()} baseline={portfolio.startValue} height={200} />
         </div>
-        <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '24px' }}>
-          <span>Total Return:</span>
-          <span style={{ fontWeight: 'bold', color: ((portfolio.totalValue - portfolio.startValue) / portfolio.startValue) * 100 >= 0 ? '#11998e' : '#eb3349' }}>
-            {(((portfolio.totalValue - portfolio.startValue) / portfolio.startValue) * 100).toFixed(2)}%
-          </span>
+        <div style={{ display: 'flex', gap: '15px', justifyContent: 'center', flexWrap: 'wrap' }}>
+          <button onClick={resetGame} style={{ background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)', color: 'white', border: 'none', padding: '20px 50px', borderRadius: '50px', fontSize: '28px', fontWeight: 'bold', cursor: 'pointer', boxShadow: '0 10px 30px rgba(0,0,0,0.3)', fontFamily: 'Comic Sans MS, cursive' }}>
+            Play Again! 🔄
+          </button>
+          <button onClick={openSeasons} style={{ background: '#e8eaf6', color: '#667eea', border: 'none', padding: '20px 30px', borderRadius: '50px', fontSize: '22px', fontWeight: 'bold', cursor: 'pointer', fontFamily: 'Comic Sans MS, cursive' }}>
+            📅 Past Seasons
+          </button>
         </div>
       </div>
-      <button onClick={resetGame} style={{ background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)', color: 'white', border: 'none', padding: '20px 50px', borderRadius: '50px', fontSize: '28px', fontWeight: 'bold', cursor: 'pointer', boxShadow: '0 10px 30px rgba(0,0,0,0.3)', fontFamily: 'Comic Sans MS, cursive' }}>
-        Play Again! 🔄
-      </button>
-    </div>
-  );
+    );
+  };
+
+  const SeasonsModal = () => {
+    if (!showSeasons) return null;
+    const closeSeasons = () => {
+      setShowSeasons(false);
+      setSeasonView(null);
+    };
+    return (
+      <div style={{ position: 'fixed', top: 0, left: 0, right: 0, bottom: 0, background: 'rgba(0,0,0,0.7)', display: 'flex', alignItems: 'center', justifyContent: 'center', zIndex: 1000, padding: '20px' }}>
+        <div style={{ background: 'white', borderRadius: '30px', padding: '30px', maxWidth: '500px', width: '100%', position: 'relative', maxHeight: '90vh', overflowY: 'auto' }}>
+          <button onClick={closeSeasons} style={{ position: 'absolute', top: '15px', right: '15px', background: '#ff6a00', color: 'white', border: 'none', width: '40px', height: '40px', borderRadius: '50%', fontSize: '24px', cursor: 'pointer', fontWeight: 'bold' }}>✕</button>
+          {seasonView ? (
+            <div>
+              <button onClick={() => setSeasonView(null)} style={{ background: 'none', border: 'none', color: '#667eea', fontSize: '16px', cursor: 'pointer', fontFamily: 'Comic Sans MS, cursive', marginBottom: '10px' }}>← All seasons</button>
+              <h3 style={{ fontSize: '28px', color: '#667eea', marginBottom: '5px', textAlign: 'center' }}>{seasonView.competition.name}</h3>
+              <div style={{ fontSize: '14px', color: '#666', marginBottom: '15px', textAlign: 'center' }}>
+                {COMPETITION_STATUS[seasonView.competition.status]} · {competitionDates(seasonView.competition)}
+              </div>
+              <StandingsList standings={seasonView.standings} currentPlayerId={user?.publicId} />
+            </div>
+          ) : (
+            <div>
+              <h3 style={{ fontSize: '32px', color: '#667eea', marginBottom: '20px', textAlign: 'center' }}>📅 Seasons</h3>
+              {competitions.length === 0 ? (
+                <div style={{ textAlign: 'center', padding: '40px', color: '#666', fontSize: '18px' }}>No competitions yet.</div>
+              ) : (
+                competitions.map(c => (
+                  <div key={c.id} onClick={() => openSeason(c)} style={{ cursor: 'pointer', padding: '15px', background: '#f8f8f8', marginBottom: '10px', borderRadius: '15px', border: portfolio?.competition?.id === c.id ? '3px solid #667eea' : 'none' }}>
+                    <div style={{ fontSize: '20px', fontWeight: 'bold' }}>{c.name}</div>
+                    <div style={{ fontSize: '14px', color: '#666' }}>{COMPETITION_STATUS[c.status]} · {competitionDates(c)} · {c.entrants} players</div>
+                  </div>
+                ))
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    );
+  };
 
   return (
     <div style={{ fontFamily: 'Comic Sans MS, Chalkboard SE, Comic Neue, cursive', minHeight: '100vh', background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)', padding: '20px' }}>
@@ -1411,16 +2819,29 @@ const KT_STOCK_GAME = () => {
           0%, 100% { transform: scale(1); }
           50% { transform: scale(1.05); }
         }
+        @keyframes kt-tick-up {
+          from { background: #b9f6ca; }
+          to { background: transparent; }
+        }
+        @keyframes kt-tick-down {
+          from { background: #ffcdd2; }
+          to { background: transparent; }
+        }
       `}</style>
       
       <div style={{ maxWidth: '800px', margin: '0 auto', background: 'white', borderRadius: '30px', padding: '30px', boxShadow: '0 20px 60px rgba(0,0,0,0.3)' }}>
-        {screen === 'welcome' && <WelcomeScreen />}
-        {screen === 'register' && <RegisterScreen />}
-        {screen === 'game' && <GameScreen />}
-        {screen === 'gameOver' && <GameOverScreen />}
+        {/* These screens are called rather than mounted as <WelcomeScreen /> and so on: they're
+            redefined on every render, so as components each price tick would remount them and
+            clear the search box under the player's fingers */}
+        {screen === 'welcome' && WelcomeScreen()}
+        {screen === 'register' && <RegisterScreen store={store} joinCode={pendingJoinCode} onRegister={register} />}
+        {screen === 'game' && GameScreen()}
+        {screen === 'gameOver' && GameOverScreen()}
+        {screen === 'admin' && <AdminScreen admin={store.admin} player={user} onBack={() => setScreen(gameEnd ? 'gameOver' : 'game')} />}
       </div>
       
-      <DebugPanel />
+      {SeasonsModal()}
+      {DebugPanel()}
     </div>
   );
 };
@@ -0,0 +1,65 @@
+// Leaderboard metrics for the local game. The backend ranks Supabase players
+// the same way in backend/leaderboard.py, so keep the two in step.
+
+// Ranking modes and the entry field each one ranks by (higher is better except for drawdown)
+export const LEADERBOARD_MODES = [
+  { id: 'return', label: '📈 Return', key: 'returnPct', hint: 'Growth since the start, less rule-break penalties' },
+  { id: 'twr', label: '⏱️ Time-weighted', key: 'twrPct', hint: 'Growth from your picks and trades alone, leaving out dividends and split cash' },
+  { id: 'drawdown', label: '🛡️ Smallest dip', key: 'maxDrawdownPct', hint: 'The biggest fall from a high - smaller is better' },
+  { id: 'sharpe', label: '⚖️ Risk-adjusted', key: 'sharpe', hint: 'Return for the ups and downs taken (needs a few days of play)' }
+];
+const TRADING_DAYS = 252;
+const SHARPE_MIN_DAYS = 3;
+
+// Time-weighted return, max drawdown and Sharpe-like score of a run, from its value snapshots
+// and its value now. `cashFlows` are the run's split and dividend events: the cash each one
+// paid in comes off the first value after it, so the time-weighted return leaves it out.
+export const runMetrics = (startValue, snapshots, value, now = new Date(), cashFlows = []) => {
+  const values = [startValue, ...snapshots.map(s => s.value), value];
+  const flows = values.map(() => 0);
+  cashFlows.forEach(ev => {
+    const later = snapshots.findIndex(s => new Date(s.time) >= new Date(ev.appliedAt));
+    flows[later === -1 ? values.length - 1 : later + 1] += ev.cashCredited;
+  });
+  let growth = 1;
+  let peak = values[0];
+  let worst = 0;
+  values.forEach((v, i) => {
+    if (i > 0 && values[i - 1] > 0) growth *= (v - flows[i]) / values[i - 1];
+    peak = Math.max(peak, v);
+    if (peak > 0) worst = Math.max(worst, (peak - v) / peak);
+  });
+  // The last value of each day, for daily returns; today's is the value now
+  const byDay = {};
+  snapshots.forEach(s => { byDay[s.time.slice(0, 10)] = s.value; });
+  byDay[now.toISOString().slice(0, 10)] = value;
+  const daily = [startValue, ...Object.values(byDay)];
+  const returns = daily.slice(1).map((v, i) => v / daily[i] - 1);
+  let sharpe = null;
+  if (returns.length >= SHARPE_MIN_DAYS) {
+    const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+    const deviation = Math.sqrt(returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (returns.length - 1));
+    if (deviation > 0) sharpe = Math.round((mean / deviation) * Math.sqrt(TRADING_DAYS) * 100) / 100;
+  }
+  return {
+    twrPct: Math.round((growth - 1) * 10000) / 100,
+    maxDrawdownPct: Math.round(worst * 10000) / 100,
+    sharpe
+  };
+};
+
+// Entries best first for a mode, numbered; entries without that metric go last
+export const rankLeaderboard = (entries, mode) => {
+  const { key } = LEADERBOARD_MODES.find(m => m.id === mode);
+  const better = (a, b) => (mode === 'drawdown' ? a[key] - b[key] : b[key] - a[key]);
+  return [
+    ...entries.filter(entry => entry[key] != null).sort(better),
+    ...entries.filter(entry => entry[key] == null)
+  ].map((entry, i) => ({ ...entry, rank: i + 1 }));
+};
+
+// Violations and penalties for the leaderboard
+export const complianceSummary = (events) => ({
+  violations: events.length,
+  penaltyPct: events.reduce((sum, ev) => sum + ev.penaltyPct, 0)
+});
@@ -0,0 +1,533 @@
+import GameRules from './game-rules.js';
+import { fetchRules } from './api.js';
+import { complianceSummary, rankLeaderboard, runMetrics } from './leaderboard.js';
+import {
+  MAX_SNAPSHOTS,
+  applyBuy,
+  applyCorporateAction,
+  applySell,
+  corporateActionId,
+  fillTriggeredOrders,
+  heldSince,
+  monitorCompliance,
+  newPortfolio,
+  repricePortfolio,
+  snapshotDue
+} from './portfolio.js';
+
+// The whole game in a key-value store (storage.js): accounts, portfolios and the
+// shared leaderboards. Prices come from the backend, but trades, orders and rule
+// checks run here in the browser.
+//
+// Players sign in on this device with their player name and a PIN. Only a salted
+// hash of the PIN is stored, and SESSION_KEY remembers who is signed in across
+// reloads. An account from before PINs stays locked until a teacher issues it a
+// one-time code, which the player enters once with the PIN they pick. The account's id is its private storage key; other players only ever
+// see its username and a random publicId on the shared leaderboards.
+
+const SESSION_KEY = 'kt-session';
+// Each shared leaderboard keeps its own top N
+const LEADERBOARD_KEEP = 100;
+const LEADERBOARD_SCOPE_IDS = ['global', 'class', 'school'];
+const PLAYER_KEYS = ['kt-portfolio', 'kt-snapshots', 'kt-transactions', 'kt-orders', 'kt-compliance', 'kt-corporate-actions'];
+
+const playerId = (name) => name.trim().toLowerCase();
+const accountKey = (id) => `kt-account-${id}`;
+const playerKey = (prefix, player) => `${prefix}-${player.id}`;
+
+const hashPin = async (id, pin) => {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`kt-pin:${id}:${pin}`));
+  return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+};
+
+// Accounts from before player names were kept under the player's phone number. The number
+// stays their private key and what they log in with, but the leaderboards get a made-up
+// public name instead of their real one. Accounts from before the Supabase and local games
+// shared one player shape named their leagues classCode and schoolCode, and older ones
+// kept the state or country the player typed in, which the game no longer asks for. Under-13
+// accounts from when a tick box stood in for a parent's consent keep the parent's email, but
+// the tick box's time is no record of consent, so it goes.
+const upgradeAccount = (account) => {
+  let upgraded = account;
+  if (!upgraded.id) {
+    const { phone, ...rest } = upgraded;
+    const publicId = crypto.randomUUID();
+    upgraded = { ...rest, id: phone, publicId, username: `Player ${publicId.slice(0, 4).toUpperCase()}` };
+  }
+  if ('location' in upgraded || 'consentAt' in upgraded) {
+    upgraded = { ...upgraded };
+    delete upgraded.location;
+    delete upgraded.consentAt;
+  }
+  if ('classCode' in upgraded || 'schoolCode' in upgraded) {
+    const { classCode, schoolCode, ...rest } = upgraded;
+    upgraded = { ...rest, classId: classCode || null, schoolId: schoolCode || null };
+  }
+  return upgraded;
+};
+
+// Class and school join codes skip look-alike characters (0/O, 1/I) so they copy cleanly off a board
+const JOIN_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const JOIN_CODE_LENGTH = 6;
+
+const newJoinCode = () => Array.from(
+  { length: JOIN_CODE_LENGTH },
+  () => JOIN_CODE_ALPHABET[Math.floor(Math.random() * JOIN_CODE_ALPHABET.length)]
+).join('');
+
+// The shared storage key behind a leaderboard; a scope the player hasn't joined falls back to global.
+// A local player's classId and schoolId are their leagues' join codes.
+const leaderboardKey = (scope, player) => {
+  const code = scope === 'class' ? player?.classId : scope === 'school' ? player?.schoolId : null;
+  return code ? `kt-leaderboard-${code}` : 'kt-leaderboard';
+};
+
+// Entries saved before the leaderboard modes called the return `returnPct`
+const toEntry = ({ return: legacyReturn, ...entry }) => ({ ...entry, returnPct: entry.returnPct ?? legacyReturn });
+
+// Entries from a competition's shared kt-standings store, best return first
+const rankStandings = (entries) => [...entries]
+  .sort((a, b) => b.returnPct - a.returnPct)
+  .map((entry, i) => ({ ...entry, rank: i + 1 }));
+
+const openViolations = (events) => events.filter(ev => !ev.resolvedAt);
+
+export const createLocalStore = (kv, api) => {
+  const read = async (key, fallback, shared = false) => {
+    try {
+      const data = await kv.get(key, shared);
+      return data ? JSON.parse(data.value) : fallback;
+    } catch (error) {
+      console.warn('Could not read', key, error.message);
+      return fallback;
+    }
+  };
+  const write = (key, value, shared = false) => kv.set(key, JSON.stringify(value), shared);
+
+  const saveAccount = (account) => write(accountKey(account.id), account);
+
+  // A stored account, upgraded first if it's from an older version of the game
+  const readAccount = async (id) => {
+    const stored = await read(accountKey(id), null);
+    if (!stored) return null;
+    const account = upgradeAccount(stored);
+    if (account !== stored) await saveAccount(account);
+    return account;
+  };
+
+  const loadCompetitionList = async () => {
+    try {
+      return (await api.get('/api/competitions')).competitions;
+    } catch (error) {
+      console.warn('Could not load competitions:', error.message);
+      return [];
+    }
+  };
+
+  // Re-quote from the backend at trade time so a stale or edited price is never used
+  const fetchTradePrice = async (symbol) => {
+    try {
+      return (await api.get(`/api/stock/${encodeURIComponent(symbol)}`)).price;
+    } catch (error) {
+      throw new Error(`Could not get a live price for ${symbol} (${error.message})`);
+    }
+  };
+
+  // Append-only: trades are only ever added to the front of the log, never edited or removed
+  const recordTransactions = async (player, transactions, trades) => {
+    if (trades.length === 0) return transactions;
+    const now = new Date().toISOString();
+    const entries = trades.map((trade, i) => ({ id: `${Date.now()}-${i}-${trade.symbol}`, time: now, ...trade })).reverse();
+    const updated = [...entries, ...transactions];
+    await write(playerKey('kt-transactions', player), updated);
+    return updated;
+  };
+
+  const recordSnapshot = async (player, snapshots, portfolio, force = false) => {
+    if (!snapshotDue(snapshots, force)) return snapshots;
+    const updated = [...snapshots, { time: new Date().toISOString(), value: portfolio.totalValue }].slice(-MAX_SNAPSHOTS);
+    await write(playerKey('kt-snapshots', player), updated);
+    return updated;
+  };
+
+  const saveOrders = async (player, game, orders) => {
+    await write(playerKey('kt-orders', player), orders);
+    return { ...game, orders };
+  };
+
+  // The player's line in their competition's standings; left alone once it ends, so the results stay final
+  const updateStandings = async (player, portfolio, returnPct, penaltyPct) => {
+    const competition = portfolio.competition;
+    if (!competition || new Date() >= new Date(competition.endsAt)) return;
+    const key = `kt-standings-${competition.id}`;
+    const entries = (await read(key, [], true)).filter(entry => entry.playerId && entry.playerId !== player.publicId);
+    entries.push({
+      playerId: player.publicId,
+      name: player.username,
+      startValue: portfolio.startValue,
+      value: portfolio.totalValue,
+      returnPct,
+      penaltyPct
+    });
+    await write(key, entries, true);
+  };
+
+  // The player's entry on the global board and on their class's and school's, and in their
+  // competition's standings. Reads the rule breaks and value history it isn't handed.
+  const publishScore = async (player, portfolio, { events, snapshots } = {}) => {
+    const compliance = complianceSummary(events ?? await read(playerKey('kt-compliance', player), []));
+    const history = snapshots ?? await read(playerKey('kt-snapshots', player), []);
+    const runStart = portfolio.startedAt ? new Date(portfolio.startedAt) : null;
+    const cashFlows = (await read(playerKey('kt-corporate-actions', player), []))
+      .filter(ev => ev.cashCredited > 0 && (!runStart || new Date(ev.appliedAt) >= runStart));
+    const returnPct = ((portfolio.totalValue - portfolio.startValue) / portfolio.startValue) * 100 - compliance.penaltyPct;
+    const entry = {
+      playerId: player.publicId,
+      name: player.username,
+      returnPct,
+      value: portfolio.totalValue,
+      ...compliance,
+      ...runMetrics(portfolio.startValue, history, portfolio.totalValue, new Date(), cashFlows)
+    };
+
+    for (const key of new Set(LEADERBOARD_SCOPE_IDS.map(scope => leaderboardKey(scope, player)))) {
+      // Entries without a playerId are from before player names and carry a real name and phone number
+      const board = (await read(key, [], true))
+        .filter(e => e.playerId && e.playerId !== player.publicId)
+        .map(toEntry);
+      board.push(entry);
+      board.sort((a, b) => b.returnPct - a.returnPct);
+      await write(key, board.slice(0, LEADERBOARD_KEEP), true);
+    }
+    await updateStandings(player, portfolio, returnPct, compliance.penaltyPct);
+  };
+
+  // Save a manual trade and put the new value on the boards
+  const book = async (player, game, { portfolio, trade }) => {
+    await write(playerKey('kt-portfolio', player), portfolio);
+    const transactions = await recordTransactions(player, game.transactions, [trade]);
+    await publishScore(player, portfolio, { snapshots: game.snapshots });
+    return { game: { ...game, portfolio, transactions } };
+  };
+
+  // While the market is closed a buy/sell is queued for the open or refused,
+  // depending on the backend's CLOSED_MARKET_ORDERS setting
+  const queueForOpen = async (player, game, side, symbol, shares, marketStatus) => {
+    if (marketStatus.closedMarketOrders !== 'queue') throw new Error('🔒 The market is closed right now');
+    const order = {
+      id: `${Date.now()}-${symbol}`,
+      orderType: 'market',
+      side,
+      symbol,
+      shares,
+      triggerPrice: null,
+      createdAt: new Date().toISOString()
+    };
+    return { queued: true, order, nextOpen: marketStatus.nextOpen, game: await saveOrders(player, game, [...game.orders, order]) };
+  };
+
+  const marketIsClosed = (marketStatus) => !!marketStatus && !marketStatus.isOpen;
+
+  const loadDirectory = () => read('kt-leagues', {}, true);
+
+  return {
+    kind: 'local',
+    signInWith: 'pin',
+    consentByEmail: false,
+    admin: null,
+    api,
+
+    // The signed-in player, if this device remembers one
+    restoreSession: async () => {
+      // Players from before accounts were kept under one key; a teacher unlocks them with a one-time code
+      const legacy = await kv.get('kt-user');
+      if (legacy) {
+        const legacyUser = upgradeAccount(JSON.parse(legacy.value));
+        if (!(await kv.get(accountKey(legacyUser.id)))) await saveAccount(legacyUser);
+        await kv.delete('kt-user');
+      }
+      const session = await kv.get(SESSION_KEY);
+      const account = session && await readAccount(session.value);
+      return account ? { player: account } : null;
+    },
+
+    signIn: async ({ name, pin, pinCode }) => {
+      const id = playerId(name);
+      let account = await readAccount(id);
+      if (!account) throw new Error('🏆 No player with that name on this device - sign up first');
+      const pinHash = await hashPin(id, pin);
+      if (!account.pinHash) {
+        if (!pinCode) return { needsPinCode: true };
+        const { pinCodeHash, ...rest } = account;
+        if (!pinCodeHash || pinCodeHash !== await hashPin(id, `code:${pinCode.trim().toUpperCase()}`)) {
+          throw new Error('🔑 That one-time code doesn\'t match - check it with your teacher');
+        }
+        account = { ...rest, pinHash };
+        await saveAccount(account);
+      } else if (account.pinHash !== pinHash) {
+        throw new Error('🔒 Wrong PIN - try again');
+      }
+      await kv.set(SESSION_KEY, id);
+      return { player: account };
+    },
+
+    register: async (profile) => {
+      // Nothing here can check that a parent really agreed, so players under 13 need the Supabase game
+      if (profile.ageGroup === 'under_13') throw new Error('👨‍👩‍👧 Players under 13 need a parent\'s OK by email - ask about the version with accounts');
+      const id = playerId(profile.username);
+      if (await kv.get(accountKey(id))) throw new Error('🏆 That player name is taken on this device - pick another or log in');
+      const account = {
+        id,
+        publicId: crypto.randomUUID(),
+        username: profile.username.trim(),
+        firstName: profile.firstName.trim(),
+        lastName: profile.lastName.trim(),
+        riskTolerance: profile.riskTolerance,
+        preferredSector: profile.preferredSector,
+        returnGoal: profile.returnGoal,
+        ageGroup: profile.ageGroup,
+        classId: null,
+        schoolId: null,
+        pinHash: await hashPin(id, profile.pin)
+      };
+      await saveAccount(account);
+      await kv.set(SESSION_KEY, id);
+      return account;
+    },
+
+    signOut: () => kv.delete(SESSION_KEY),
+
+    // A one-time code that lets a player from before PINs set one; a newer code replaces the last
+    issuePinCode: async (name) => {
+      const id = playerId(name);
+      const account = await readAccount(id);
+      if (!account) throw new Error('🏆 No player with that name on this device');
+      if (account.pinHash) throw new Error(`🔒 ${account.username} already has a PIN`);
+      const code = newJoinCode();
+      await saveAccount({ ...account, pinCodeHash: await hashPin(id, `code:${code}`) });
+      return code;
+    },
+
+    // Everything this player saved on the device, and their lines on the shared boards
+    deleteAccount: async (player) => {
+      for (const prefix of PLAYER_KEYS) {
+        await kv.delete(playerKey(prefix, player));
+      }
+      await kv.delete(accountKey(player.id));
+      const sharedKeys = [
+        ...new Set(LEADERBOARD_SCOPE_IDS.map(scope => leaderboardKey(scope, player))),
+        ...(await loadCompetitionList()).map(c => `kt-standings-${c.id}`)
+      ];
+      for (const key of sharedKeys) {
+        const entries = await read(key, null, true);
+        if (entries) await write(key, entries.filter(entry => entry.playerId !== player.publicId), true);
+      }
+    },
+
+    // The class and school the player belongs to, for the leaderboard tabs
+    loadLeagues: async (player) => {
+      if (!(player.classId || player.schoolId)) return { class: null, school: null };
+      const directory = await loadDirectory();
+      return { class: directory[player.classId] || null, school: directory[player.schoolId] || null };
+    },
+
+    createLeague: async ({ name, kind, schoolCode }) => {
+      const directory = await loadDirectory();
+      let school = null;
+      if (schoolCode) {
+        school = directory[schoolCode.toUpperCase()];
+        if (!school) throw new Error('🔑 No school has that code');
+        if (school.kind !== 'school') throw new Error(`${school.name} is a class, not a school`);
+      }
+      let code = newJoinCode();
+      while (directory[code]) code = newJoinCode();
+      const league = { code, name, kind, schoolCode: school ? school.code : null, createdAt: new Date().toISOString() };
+      await write('kt-leagues', { ...directory, [code]: league }, true);
+      return { ...league, joinCode: code };
+    },
+
+    // The player with the class or school for this code. Joining a class joins its school too;
+    // joining a different school leaves a class that belongs to another school.
+    joinLeague: async (player, code) => {
+      const directory = await loadDirectory();
+      const league = directory[code.trim().toUpperCase()];
+      if (!league) throw new Error('🔑 No class or school has that code - check it with your teacher');
+      let joined;
+      if (league.kind === 'class') {
+        joined = { ...player, classId: league.code, schoolId: league.schoolCode || player.schoolId || null };
+      } else {
+        const currentClass = directory[player.classId];
+        const leavesClass = currentClass?.schoolCode && currentClass.schoolCode !== league.code;
+        joined = { ...player, schoolId: league.code, classId: leavesClass ? null : player.classId || null };
+      }
+      await saveAccount(joined);
+      // Straight onto the new boards, not at the next price tick
+      const portfolio = await read(playerKey('kt-portfolio', joined), null);
+      if (portfolio) await publishScore(joined, portfolio);
+      return joined;
+    },
+
+    // Everything the game screen shows; a player without a portfolio yet gets a fresh one
+    loadGame: async (player) => {
+      let portfolio = await read(playerKey('kt-portfolio', player), null);
+      if (!portfolio) {
+        portfolio = newPortfolio(await fetchRules(api));
+        await write(playerKey('kt-portfolio', player), portfolio);
+      }
+      const [rules, snapshots, transactions, orders, events, corporateActions] = await Promise.all([
+        fetchRules(api, portfolio.competition || null),
+        read(playerKey('kt-snapshots', player), []),
+        read(playerKey('kt-transactions', player), []),
+        read(playerKey('kt-orders', player), []),
+        read(playerKey('kt-compliance', player), []),
+        read(playerKey('kt-corporate-actions', player), [])
+      ]);
+      return { portfolio, snapshots, transactions, orders, corporateActions, violations: openViolations(events), rules };
+    },
+
+    buy: async (player, game, quotedStock, shares, { marketStatus } = {}) => {
+      if (marketIsClosed(marketStatus)) return queueForOpen(player, game, 'buy', quotedStock.symbol, shares, marketStatus);
+      const stock = { ...quotedStock, price: await fetchTradePrice(quotedStock.symbol) };
+      const canBuy = GameRules.canBuyStock(game.rules, stock, shares, game.portfolio);
+      if (!canBuy.allowed) throw new Error(canBuy.reason);
+      return book(player, game, applyBuy(game.portfolio, stock, shares));
+    },
+
+    sell: async (player, game, symbol, shares, { marketStatus } = {}) => {
+      if (marketIsClosed(marketStatus)) return queueForOpen(player, game, 'sell', symbol, shares, marketStatus);
+      const holding = game.portfolio.holdings.find(h => h.symbol === symbol);
+      const price = await fetchTradePrice(symbol);
+      return book(player, game, applySell(game.portfolio, holding, shares, price));
+    },
+
+    placeOrder: (player, game, { orderType, side, symbol, shares, triggerPrice }) => saveOrders(player, game, [
+      ...game.orders,
+      { id: `${Date.now()}-${symbol}`, orderType, side, symbol, shares, triggerPrice, createdAt: new Date().toISOString() }
+    ]),
+
+    cancelOrder: (player, game, order) => saveOrders(player, game, game.orders.filter(o => o.id !== order.id)),
+
+    // Starting while a competition runs enters it, under the competition's own rules
+    startGame: async (player, game) => {
+      const running = (await loadCompetitionList()).find(c => c.status === 'active');
+      const competition = running ? { id: running.id, name: running.name, startsAt: running.startsAt, endsAt: running.endsAt, rulesId: running.rulesId } : null;
+      const rules = competition ? await fetchRules(api, competition) : game.rules;
+      // A competition's starting cash replaces the player's own, whatever they bought with it
+      const cash = competition ? GameRules.entryCash(game.portfolio.cash, game.rules, rules) : game.portfolio.cash;
+      const entering = { ...game.portfolio, cash, totalValue: game.portfolio.totalValue + cash - game.portfolio.cash };
+      const canStart = GameRules.canStartGame(rules, entering);
+      if (!canStart.allowed) throw new Error(canStart.reason);
+
+      const portfolio = {
+        ...entering,
+        gameStarted: true,
+        startValue: entering.totalValue,
+        startedAt: new Date().toISOString(),
+        competition
+      };
+      const snapshots = await recordSnapshot(player, game.snapshots, portfolio, true);
+      await updateStandings(player, portfolio, 0, 0);
+      await write(playerKey('kt-portfolio', player), portfolio);
+      return { ...game, portfolio, snapshots, rules };
+    },
+
+    // A fresh portfolio under the host's rules; the trade log and corporate actions are kept
+    resetGame: async (player, game) => {
+      const competition = game.portfolio.competition;
+      if (competition && new Date() < new Date(competition.endsAt)) {
+        throw new Error(`🏁 You're in ${competition.name} until it ends - no starting over`);
+      }
+      const rules = await fetchRules(api);
+      const portfolio = newPortfolio(rules);
+      await write(playerKey('kt-portfolio', player), portfolio);
+      await write(playerKey('kt-snapshots', player), []);
+      await write(playerKey('kt-orders', player), []);
+      await write(playerKey('kt-compliance', player), []);
+      await publishScore(player, portfolio, { events: [], snapshots: [] });
+      return { ...game, portfolio, snapshots: [], orders: [], violations: [], rules };
+    },
+
+    // One price tick: reprice, fill triggered orders, check the rules, snapshot and publish
+    tick: async (player, game, { prices, marketClosed }) => {
+      const orderResult = fillTriggeredOrders(repricePortfolio(game.portfolio, prices), game.orders, prices, game.rules, marketClosed);
+      const events = await read(playerKey('kt-compliance', player), []);
+      const complianceResult = monitorCompliance(events, orderResult.portfolio, game.rules, marketClosed);
+      const portfolio = complianceResult.portfolio;
+
+      let { orders, transactions } = game;
+      if (orderResult.trades.length > 0 || orderResult.stillPending.length !== orders.length) {
+        transactions = await recordTransactions(player, transactions, orderResult.trades);
+        orders = orderResult.stillPending;
+        await write(playerKey('kt-orders', player), orders);
+      }
+      transactions = await recordTransactions(player, transactions, complianceResult.trades);
+      await write(playerKey('kt-compliance', player), complianceResult.events);
+
+      const snapshots = await recordSnapshot(player, game.snapshots, portfolio);
+      await write(playerKey('kt-portfolio', player), portfolio);
+      await publishScore(player, portfolio, { events: complianceResult.events, snapshots });
+
+      return {
+        game: { ...game, portfolio, orders, transactions, snapshots, violations: openViolations(complianceResult.events) },
+        messages: [...orderResult.messages, ...complianceResult.messages]
+      };
+    },
+
+    // Apply splits and dividends in held stocks since the lots were bought. Works from
+    // the saved portfolio; `fresh` is what was applied this time, newest first.
+    syncCorporateActions: async (player, game) => {
+      let current = await read(playerKey('kt-portfolio', player), null);
+      const known = await read(playerKey('kt-corporate-actions', player), []);
+      const fresh = [];
+      if (!current) return { game: { ...game, corporateActions: known }, fresh };
+
+      for (const holding of current.holdings) {
+        const since = heldSince(current, holding);
+        if (!since) continue;
+        const data = await api.get(`/api/stock/${encodeURIComponent(holding.symbol)}/actions?since=${since}`);
+        data.actions.forEach(action => {
+          const id = corporateActionId(holding.symbol, action);
+          if (known.some(ev => ev.id === id) || fresh.some(ev => ev.id === id)) return;
+          const applied = applyCorporateAction(current, holding.symbol, action);
+          if (!applied) return;
+          current = applied.portfolio;
+          fresh.unshift(applied.event);
+        });
+      }
+
+      if (fresh.length === 0) return { game: { ...game, corporateActions: known }, fresh };
+      const corporateActions = [...fresh, ...known];
+      await write(playerKey('kt-portfolio', player), current);
+      await write(playerKey('kt-corporate-actions', player), corporateActions);
+      await publishScore(player, current);
+      return { game: { ...game, portfolio: current, corporateActions }, fresh };
+    },
+
+    // A page of the player's class, school or global board in a ranking mode, with their own line
+    loadLeaderboard: async (player, { scope, mode, page = 1, pageSize }) => {
+      const entries = rankLeaderboard((await read(leaderboardKey(scope, player), [], true)).map(toEntry), mode);
+      const start = (page - 1) * pageSize;
+      return {
+        entries: entries.slice(start, start + pageSize),
+        total: entries.length,
+        page,
+        me: (player && entries.find(entry => entry.playerId === player.publicId)) || null
+      };
+    },
+
+    // The backend's competitions, counting the entrants in this device's standings
+    loadCompetitions: async () => {
+      const competitions = await loadCompetitionList();
+      return Promise.all(competitions.map(async competition => ({
+        ...competition,
+        entrants: (await read(`kt-standings-${competition.id}`, [], true)).length
+      })));
+    },
+
+    // Standings stop changing once a competition ends, so they're final from then on
+    loadStandings: async (competition) => ({
+      competition: { ...competition, frozen: new Date() >= new Date(competition.endsAt) },
+      standings: rankStandings(await read(`kt-standings-${competition.id}`, [], true))
+    })
+  };
+};
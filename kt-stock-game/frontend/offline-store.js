@@ -0,0 +1,293 @@
+import GameRules from './game-rules.js';
+import { applyBuy, applySell, newPortfolio, repricePortfolio } from './portfolio.js';
+
+// Keeps a Supabase game playable on a flaky connection. The last game loaded from
+// the server is kept in the browser (storage.js). Buys, sells, starts and resets
+// made while the server can't be reached are applied to that copy and queued, then
+// replayed in order once it can. The server's copy wins: each replayed change is
+// checked again against it, and one it turns down is dropped with a message saying
+// why. Games carry `pendingChanges`, the number still waiting to be sent.
+
+// A request that never got an answer, as opposed to one the server turned down
+const isOffline = (error) => (typeof navigator !== 'undefined' && navigator.onLine === false)
+  || /Failed to fetch|NetworkError|Load failed/i.test(error?.message || '');
+
+const describeChange = (change) => ({
+  buy: `Buy ${change.shares} ${change.symbol}`,
+  sell: `Sell ${change.shares} ${change.symbol}`,
+  start: 'Start game',
+  reset: 'Reset game'
+}[change.kind]);
+
+const marketIsClosed = (marketStatus) => !!marketStatus && !marketStatus.isOpen;
+
+export const createOfflineStore = (remote, kv) => {
+  const read = async (key, fallback) => {
+    try {
+      const data = await kv.get(key);
+      return data ? JSON.parse(data.value) : fallback;
+    } catch (error) {
+      console.warn('Could not read', key, error.message);
+      return fallback;
+    }
+  };
+  const write = (key, value) => kv.set(key, JSON.stringify(value));
+
+  const SESSION_KEY = 'kt-offline-session';
+  const gameKey = (player) => `kt-offline-game-${player.id}`;
+  const queueKey = (player) => `kt-offline-queue-${player.id}`;
+  const leaguesKey = (player) => `kt-offline-leagues-${player.id}`;
+
+  const pending = (player) => read(queueKey(player), []);
+
+  const remember = async (player, game) => {
+    await write(gameKey(player), game);
+    return game;
+  };
+
+  // The server's answer, kept for next time; or the kept one if the server can't be reached
+  const cached = async (key, load) => {
+    try {
+      const value = await load();
+      await write(key, value);
+      return value;
+    } catch (error) {
+      const kept = isOffline(error) ? await read(key, null) : null;
+      if (!kept) throw error;
+      return kept;
+    }
+  };
+
+  // Apply a change to the kept copy and queue it for the server
+  const queue = async (player, game, change) => {
+    const changes = [...(await pending(player)), { ...change, id: `${Date.now()}-${change.kind}`, at: new Date().toISOString() }];
+    await write(queueKey(player), changes);
+    return remember(player, { ...game, pendingChanges: changes.length });
+  };
+
+  // Send a change now unless the server can't be reached; once anything is queued,
+  // later changes queue behind it so they reach the server in the order they were made
+  const sendOrQueue = async (player, game, send, offline) => {
+    if ((await pending(player)).length === 0) {
+      try {
+        const result = await send();
+        const updated = result.game || result;
+        await remember(player, { ...updated, pendingChanges: 0 });
+        return result;
+      } catch (error) {
+        if (!isOffline(error)) throw error;
+      }
+    }
+    return offline();
+  };
+
+  const unsyncedTrade = ({ trade }) => ({ ...trade, id: `offline-${Date.now()}-${trade.symbol}`, time: new Date().toISOString(), unsynced: true });
+
+  // A buy or sell made offline while the market is closed waits for the open, as the backend's would
+  const queueForOpen = async (player, game, side, symbol, shares, marketStatus) => {
+    const order = { id: `offline-${Date.now()}-${symbol}`, orderType: 'market', side, symbol, shares, triggerPrice: null, createdAt: new Date().toISOString() };
+    const queued = await queue(player, { ...game, orders: [...game.orders, order] }, { kind: side, symbol, shares });
+    return { queued: true, order, nextOpen: marketStatus.nextOpen, game: queued };
+  };
+
+  // One queued change against the server's copy of the game
+  const send = async (player, game, change) => {
+    if (change.kind === 'buy') {
+      const result = await remote.buy(player, game, { symbol: change.symbol, price: change.price }, change.shares);
+      if (result.queued) return { game: result.game, message: `⏰ ${describeChange(change)} will go through when the market opens` };
+      return { game: result.game, message: `✅ Bought ${change.shares} ${change.symbol} at $${result.game.transactions[0].price.toFixed(2)}` };
+    }
+    if (change.kind === 'sell') {
+      // Sold from another device in the meantime: sell what's left, if anything
+      const holding = game.portfolio.holdings.find(h => h.symbol === change.symbol);
+      if (!holding) throw new Error(`you no longer own ${change.symbol}`);
+      const shares = Math.min(change.shares, holding.shares);
+      const result = await remote.sell(player, game, change.symbol, shares);
+      if (result.queued) return { game: result.game, message: `⏰ Sell ${shares} ${change.symbol} will go through when the market opens` };
+      return { game: result.game, message: `✅ Sold ${shares} ${change.symbol} at $${result.game.transactions[0].price.toFixed(2)}` };
+    }
+    if (change.kind === 'start') {
+      if (game.portfolio.gameStarted) return { game, message: '✅ Your game had already started' };
+      return { game: await remote.startGame(player, game), message: '✅ Game started' };
+    }
+    return { game: await remote.resetGame(player, game), message: '✅ Game reset' };
+  };
+
+  // Replay the queue against a fresh copy from the server. Resolves to null when
+  // nothing was queued or the server still can't be reached.
+  const replay = async (player) => {
+    let changes = await pending(player);
+    if (changes.length === 0) return null;
+    // A reset wipes the game, so nothing queued before it needs sending
+    const lastReset = changes.map(c => c.kind).lastIndexOf('reset');
+    if (lastReset > 0) changes = changes.slice(lastReset);
+
+    let game;
+    try {
+      game = await remote.loadGame(player);
+    } catch (error) {
+      if (isOffline(error)) return null;
+      throw error;
+    }
+
+    const lines = [];
+    while (changes.length > 0) {
+      const change = changes[0];
+      try {
+        const result = await send(player, game, change);
+        game = result.game;
+        lines.push(result.message);
+      } catch (error) {
+        if (isOffline(error)) {
+          await write(queueKey(player), changes);
+          return null;
+        }
+        lines.push(`❌ ${describeChange(change)} didn't go through: ${error.message}`);
+      }
+      changes = changes.slice(1);
+      await write(queueKey(player), changes);
+    }
+    return {
+      game: await remember(player, { ...game, pendingChanges: 0 }),
+      messages: [`📶 Back online - your offline changes were sent:\n${lines.join('\n')}`]
+    };
+  };
+
+  // One replay at a time, however many ticks and reconnects ask for it
+  let syncing = null;
+  const sync = (player) => {
+    if (!syncing) syncing = replay(player).finally(() => { syncing = null; });
+    return syncing;
+  };
+
+  return {
+    ...remote,
+    offline: true,
+
+    // Offline, play on as the player who was last signed in
+    restoreSession: async () => {
+      if (typeof navigator !== 'undefined' && navigator.onLine === false) return read(SESSION_KEY, null);
+      try {
+        const session = await remote.restoreSession();
+        if (session?.player) await write(SESSION_KEY, { player: session.player });
+        return session;
+      } catch (error) {
+        if (!isOffline(error)) throw error;
+        return read(SESSION_KEY, null);
+      }
+    },
+
+    signIn: async (credentials) => {
+      const result = await remote.signIn(credentials);
+      if (result.player) await write(SESSION_KEY, { player: result.player });
+      return result;
+    },
+
+    register: async (profile) => {
+      const player = await remote.register(profile);
+      await write(SESSION_KEY, { player });
+      return player;
+    },
+
+    // Queued changes stay, to be sent the next time this player signs in here
+    signOut: async () => {
+      await kv.delete(SESSION_KEY);
+      await remote.signOut();
+    },
+
+    deleteAccount: async (player) => {
+      await remote.deleteAccount(player);
+      await Promise.all([SESSION_KEY, gameKey(player), queueKey(player), leaguesKey(player)].map(key => kv.delete(key)));
+    },
+
+    loadLeagues: (player) => cached(leaguesKey(player), () => remote.loadLeagues(player)),
+
+    // With changes still queued the kept copy is the one that has them
+    loadGame: async (player) => {
+      if ((await pending(player)).length > 0) {
+        const kept = await read(gameKey(player), null);
+        if (kept) return kept;
+      }
+      return cached(gameKey(player), async () => ({ ...(await remote.loadGame(player)), pendingChanges: 0 }));
+    },
+
+    // Orders and corporate actions need the server, but the kept copy follows them
+    placeOrder: async (player, game, order) => remember(player, await remote.placeOrder(player, game, order)),
+
+    cancelOrder: async (player, game, order) => remember(player, await remote.cancelOrder(player, game, order)),
+
+    syncCorporateActions: async (player, game) => {
+      const result = await remote.syncCorporateActions(player, game);
+      await remember(player, result.game);
+      return result;
+    },
+
+    // Offline the quoted price stands in for the live one; the server trades at its own when it gets the buy
+    buy: (player, game, quotedStock, shares, { marketStatus } = {}) => sendOrQueue(player, game,
+      () => remote.buy(player, game, quotedStock, shares),
+      async () => {
+        if (marketIsClosed(marketStatus)) return queueForOpen(player, game, 'buy', quotedStock.symbol, shares, marketStatus);
+        const canBuy = GameRules.canBuyStock(game.rules, quotedStock, shares, game.portfolio);
+        if (!canBuy.allowed) throw new Error(canBuy.reason);
+        const applied = applyBuy(game.portfolio, quotedStock, shares);
+        const change = { kind: 'buy', symbol: quotedStock.symbol, shares, price: quotedStock.price };
+        return { game: await queue(player, { ...game, portfolio: applied.portfolio, transactions: [unsyncedTrade(applied), ...game.transactions] }, change) };
+      }),
+
+    // Offline a sale goes at the last known price
+    sell: (player, game, symbol, shares, { marketStatus } = {}) => sendOrQueue(player, game,
+      () => remote.sell(player, game, symbol, shares),
+      async () => {
+        if (marketIsClosed(marketStatus)) return queueForOpen(player, game, 'sell', symbol, shares, marketStatus);
+        const holding = game.portfolio.holdings.find(h => h.symbol === symbol);
+        if (!holding) throw new Error(`📦 You don't own any ${symbol}`);
+        if (shares > holding.shares) throw new Error(`📦 You own ${holding.shares} shares of ${symbol}`);
+        const applied = applySell(game.portfolio, holding, shares, holding.currentPrice);
+        return { game: await queue(player, { ...game, portfolio: applied.portfolio, transactions: [unsyncedTrade(applied), ...game.transactions] }, { kind: 'sell', symbol, shares }) };
+      }),
+
+    // Offline the game starts outside any competition; the server enters one when the start arrives
+    startGame: (player, game) => sendOrQueue(player, game,
+      () => remote.startGame(player, game),
+      async () => {
+        const canStart = GameRules.canStartGame(game.rules, game.portfolio);
+        if (!canStart.allowed) throw new Error(canStart.reason);
+        const startedAt = new Date().toISOString();
+        const portfolio = { ...game.portfolio, gameStarted: true, startValue: game.portfolio.totalValue, startedAt };
+        const snapshots = [...game.snapshots, { time: startedAt, value: portfolio.totalValue }];
+        return queue(player, { ...game, portfolio, snapshots }, { kind: 'start' });
+      }),
+
+    resetGame: (player, game) => sendOrQueue(player, game,
+      () => remote.resetGame(player, game),
+      async () => {
+        const competition = game.portfolio.competition;
+        if (competition && new Date() < new Date(competition.endsAt)) {
+          throw new Error(`🏁 You're in ${competition.name} until it ends - no starting over`);
+        }
+        return queue(player, { ...game, portfolio: newPortfolio(game.rules), snapshots: [], orders: [], violations: [] }, { kind: 'reset' });
+      }),
+
+    // Send anything queued first; offline the tick just reprices the kept copy
+    tick: async (player, game, tickState) => {
+      const offlineTick = async () => {
+        const repriced = { ...game, portfolio: repricePortfolio(game.portfolio, tickState.prices) };
+        if (repriced.pendingChanges > 0) await remember(player, repriced);
+        return { game: repriced, messages: [] };
+      };
+      if ((await pending(player)).length > 0) {
+        return (await sync(player)) || offlineTick();
+      }
+      try {
+        const result = await remote.tick(player, game, tickState);
+        await remember(player, { ...result.game, pendingChanges: 0 });
+        return result;
+      } catch (error) {
+        if (!isOffline(error)) throw error;
+        return offlineTick();
+      }
+    },
+
+    sync
+  };
+};
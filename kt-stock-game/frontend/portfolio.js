@@ -0,0 +1,392 @@
+import GameRules from './game-rules.js';
+
+// Pure portfolio bookkeeping for the local game: lots, trades, pending orders,
+// rule checks and corporate actions. The backend does the same for Supabase
+// players (backend/main.py), so keep the two in step.
+
+// Portfolio value is snapshotted at most this often for the performance chart
+export const SNAPSHOT_INTERVAL_MS = 5 * 60 * 1000;
+export const MAX_SNAPSHOTS = 5000;
+
+export const snapshotDue = (snapshots, force = false) => {
+  if (force || snapshots.length === 0) return true;
+  return Date.now() - new Date(snapshots[snapshots.length - 1].time).getTime() >= SNAPSHOT_INTERVAL_MS;
+};
+
+export const newPortfolio = (rules) => ({
+  cash: rules.startingCash,
+  holdings: [],
+  totalValue: rules.startingCash,
+  startValue: rules.startingCash,
+  gameStarted: false
+});
+
+// Holdings saved before lots were tracked count as one lot at their average cost
+export const getLots = (holding) => (
+  holding.lots && holding.lots.length > 0
+    ? holding.lots
+    : [{ shares: holding.shares, purchasePrice: holding.purchasePrice, purchaseDate: null }]
+);
+
+// Sell the oldest lots first; returns what was taken and what is left
+export const consumeLotsFifo = (lots, numShares) => {
+  let remaining = numShares;
+  const consumed = [];
+  const remainingLots = [];
+  lots.forEach(lot => {
+    if (remaining <= 0) {
+      remainingLots.push(lot);
+      return;
+    }
+    const take = Math.min(lot.shares, remaining);
+    remaining -= take;
+    consumed.push({ lot, shares: take });
+    if (take < lot.shares) {
+      remainingLots.push({ ...lot, shares: lot.shares - take });
+    }
+  });
+  return { consumed, remainingLots };
+};
+
+export const averageLotCost = (lots) => {
+  const totalShares = lots.reduce((sum, lot) => sum + lot.shares, 0);
+  const totalCost = lots.reduce((sum, lot) => sum + lot.shares * lot.purchasePrice, 0);
+  return totalShares > 0 ? totalCost / totalShares : 0;
+};
+
+// Holdings at the latest prices; a symbol without one keeps its last known price
+export const repricePortfolio = (portfolio, prices) => {
+  const holdings = portfolio.holdings.map(holding => {
+    const price = prices[holding.symbol] ?? holding.currentPrice;
+    return {
+      ...holding,
+      currentPrice: price,
+      value: price * holding.shares,
+      changePercent: ((price - holding.purchasePrice) / holding.purchasePrice) * 100
+    };
+  });
+  const holdingsValue = holdings.reduce((sum, h) => sum + h.value, 0);
+  return { ...portfolio, holdings, totalValue: portfolio.cash + holdingsValue };
+};
+
+// Shared by manual trades, triggered orders and rebalancing. Each returns the
+// new portfolio and the trade for the transaction log.
+export const applyBuy = (portfolio, stock, numShares) => {
+  const cost = stock.price * numShares;
+  const existingHolding = portfolio.holdings.find(h => h.symbol === stock.symbol);
+  const newLot = { shares: numShares, purchasePrice: stock.price, purchaseDate: new Date().toISOString().slice(0, 10) };
+  let updatedHoldings;
+
+  if (existingHolding) {
+    updatedHoldings = portfolio.holdings.map(h =>
+      h.symbol === stock.symbol
+        ? {
+            ...h,
+            shares: h.shares + numShares,
+            value: (h.shares + numShares) * stock.price,
+            currentPrice: stock.price,
+            purchasePrice: ((h.purchasePrice * h.shares) + (stock.price * numShares)) / (h.shares + numShares),
+            lots: [...getLots(h), newLot]
+          }
+        : h
+    );
+  } else {
+    updatedHoldings = [
+      ...portfolio.holdings,
+      {
+        symbol: stock.symbol,
+        shares: numShares,
+        purchasePrice: stock.price,
+        currentPrice: stock.price,
+        value: cost,
+        changePercent: 0,
+        lots: [newLot]
+      }
+    ];
+  }
+
+  const holdingsValue = updatedHoldings.reduce((sum, h) => sum + h.value, 0);
+  const updatedPortfolio = {
+    ...portfolio,
+    cash: portfolio.cash - cost,
+    holdings: updatedHoldings,
+    totalValue: portfolio.cash - cost + holdingsValue
+  };
+
+  const trade = {
+    side: 'buy',
+    symbol: stock.symbol,
+    shares: numShares,
+    price: stock.price,
+    total: cost,
+    cashBefore: portfolio.cash,
+    cashAfter: updatedPortfolio.cash
+  };
+
+  return { portfolio: updatedPortfolio, trade };
+};
+
+export const applySell = (portfolio, holding, numShares, price) => {
+  const saleValue = price * numShares;
+  const remainingShares = holding.shares - numShares;
+  const { consumed, remainingLots } = consumeLotsFifo(getLots(holding), numShares);
+  const costBasis = consumed.reduce((sum, c) => sum + c.shares * c.lot.purchasePrice, 0);
+  let updatedHoldings;
+
+  if (remainingShares === 0) {
+    updatedHoldings = portfolio.holdings.filter(h => h.symbol !== holding.symbol);
+  } else {
+    const purchasePrice = averageLotCost(remainingLots) || holding.purchasePrice;
+    updatedHoldings = portfolio.holdings.map(h =>
+      h.symbol === holding.symbol
+        ? {
+            ...h,
+            shares: remainingShares,
+            purchasePrice,
+            currentPrice: price,
+            value: price * remainingShares,
+            changePercent: ((price - purchasePrice) / purchasePrice) * 100,
+            lots: remainingLots
+          }
+        : h
+    );
+  }
+
+  const holdingsValue = updatedHoldings.reduce((sum, h) => sum + h.value, 0);
+  const updatedPortfolio = {
+    ...portfolio,
+    cash: portfolio.cash + saleValue,
+    holdings: updatedHoldings,
+    totalValue: portfolio.cash + saleValue + holdingsValue
+  };
+
+  const trade = {
+    side: 'sell',
+    symbol: holding.symbol,
+    shares: numShares,
+    price,
+    total: saleValue,
+    cashBefore: portfolio.cash,
+    cashAfter: updatedPortfolio.cash,
+    costBasis,
+    realizedPnl: saleValue - costBasis
+  };
+
+  return { portfolio: updatedPortfolio, trade };
+};
+
+export const ORDER_LABELS = {
+  market: '⚡ Now',
+  limit: '📝 Limit buy',
+  stop_loss: '🛑 Stop-loss',
+  take_profit: '🎯 Take-profit'
+};
+
+// Buys and sells placed while the market is closed wait as "market" orders
+export const pendingOrderLabel = (orderType) => (orderType === 'market' ? '⏰ At the open' : ORDER_LABELS[orderType]);
+
+export const orderTriggered = (order, price) => {
+  if (order.orderType === 'market') return true; // queued while the market was closed
+  return order.orderType === 'take_profit' ? price >= order.triggerPrice : price <= order.triggerPrice;
+};
+
+// Fill pending orders whose trigger was reached, applying the same rules and
+// lot bookkeeping as manual trades. Refused orders are dropped with a message.
+export const fillTriggeredOrders = (portfolio, orders, prices, rules, marketClosed) => {
+  let current = portfolio;
+  const trades = [];
+  const messages = [];
+  const stillPending = [];
+
+  if (marketClosed) {
+    return { portfolio: current, trades, stillPending: orders, messages };
+  }
+
+  orders.forEach(order => {
+    const price = prices[order.symbol];
+    if (price == null || !orderTriggered(order, price)) {
+      stillPending.push(order);
+      return;
+    }
+
+    let result;
+    if (order.side === 'buy') {
+      const stock = { symbol: order.symbol, price };
+      const canBuy = GameRules.canBuyStock(rules, stock, order.shares, current);
+      if (!canBuy.allowed) {
+        messages.push(`❌ ${pendingOrderLabel(order.orderType)} for ${order.symbol} was rejected: ${canBuy.reason}`);
+        return;
+      }
+      result = applyBuy(current, stock, order.shares);
+    } else {
+      const holding = current.holdings.find(h => h.symbol === order.symbol);
+      if (!holding || holding.shares < order.shares) {
+        messages.push(`❌ ${pendingOrderLabel(order.orderType)} for ${order.symbol} was rejected: you no longer own ${order.shares} shares`);
+        return;
+      }
+      result = applySell(current, holding, order.shares, price);
+    }
+
+    current = result.portfolio;
+    trades.push(result.trade);
+    messages.push(`✅ ${pendingOrderLabel(order.orderType)} filled: ${order.shares} ${order.symbol} at $${price.toFixed(2)}`);
+  });
+
+  return { portfolio: current, trades, stillPending, messages };
+};
+
+// What the rule set does once a limit has been broken for its whole grace period
+export const complianceConsequence = (rules) => {
+  if (rules.complianceAction === 'rebalance') return 'or your portfolio will be rebalanced for you';
+  if (rules.complianceAction === 'penalty') return `or lose ${rules.compliancePenaltyPct} points of leaderboard return`;
+  return 'to stay within the rules';
+};
+
+export const graceEndsText = (violation) => new Date(violation.graceEndsAt).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+
+export const complianceKey = (violation) => `${violation.rule}:${violation.symbol || ''}`;
+
+// Watch the invested and position limits on every tick. A new violation gets a
+// warning and a grace period; after that the rule set's penalty or rebalance
+// applies. A penalty closes the violation, so one that carries on is penalized
+// again after another grace period. Nothing is acted on while the market is closed.
+export const monitorCompliance = (events, portfolio, rules, marketClosed) => {
+  const now = new Date();
+  const issues = GameRules.complianceIssues(rules, portfolio);
+  const issueByKey = Object.fromEntries(issues.map(issue => [complianceKey(issue), issue]));
+  const messages = [];
+  const trades = [];
+  let current = portfolio;
+
+  // Fixed in time: close quietly. Still broken: keep the latest numbers.
+  let updated = events.map(ev => {
+    if (ev.resolvedAt) return ev;
+    const issue = issueByKey[complianceKey(ev)];
+    return issue ? { ...ev, message: issue.message } : { ...ev, resolvedAt: now.toISOString() };
+  });
+  const openKeys = new Set(updated.filter(ev => !ev.resolvedAt).map(complianceKey));
+  const fresh = issues
+    .filter(issue => !openKeys.has(complianceKey(issue)))
+    .map(issue => ({
+      ...issue,
+      id: `${now.getTime()}-${complianceKey(issue)}`,
+      detectedAt: now.toISOString(),
+      graceEndsAt: new Date(now.getTime() + rules.complianceGraceMinutes * 60000).toISOString(),
+      resolvedAt: null,
+      action: null,
+      penaltyPct: 0
+    }));
+  if (fresh.length > 0) {
+    messages.push(`${fresh.map(v => v.message).join('\n')}\n\n⏳ Fix it by ${graceEndsText(fresh[0])} ${complianceConsequence(rules)}.`);
+    updated = [...updated, ...fresh];
+  }
+
+  const expired = updated.filter(ev => !ev.resolvedAt && new Date(ev.graceEndsAt) <= now);
+  if (expired.length > 0 && rules.complianceAction !== 'warn' && !marketClosed) {
+    let action = rules.complianceAction;
+    if (action === 'rebalance') {
+      GameRules.rebalanceTrades(rules, current).forEach(t => {
+        const holding = current.holdings.find(h => h.symbol === t.symbol);
+        const result = t.side === 'sell'
+          ? applySell(current, holding, t.shares, holding.currentPrice)
+          : applyBuy(current, { symbol: t.symbol, price: holding.currentPrice }, t.shares);
+        current = result.portfolio;
+        trades.push(result.trade);
+      });
+      if (trades.length === 0) action = 'penalty'; // nothing could be traded, so fall back to the penalty
+    }
+    const penaltyPct = action === 'penalty' ? rules.compliancePenaltyPct : 0;
+    const expiredIds = new Set(expired.map(ev => ev.id));
+    updated = updated.map(ev => (expiredIds.has(ev.id) ? { ...ev, resolvedAt: now.toISOString(), action, penaltyPct } : ev));
+
+    const lines = expired.map(ev => ev.message + (action === 'penalty' ? ` - 🚩 penalty: -${penaltyPct} points of return` : ''));
+    if (trades.length > 0) {
+      lines.push(`⚖️ Rebalanced for you: ${trades.map(t => `${t.side === 'buy' ? 'bought' : 'sold'} ${t.shares} ${t.symbol}`).join(', ')}`);
+    }
+    messages.push(lines.join('\n'));
+  }
+
+  return { portfolio: current, trades, events: updated, messages };
+};
+
+// Explain a split or dividend in plain words
+export const describeCorporateAction = (ev) => {
+  const day = new Date(`${ev.exDate}T00:00:00`).toLocaleDateString();
+  if (ev.actionType === 'split') {
+    const ratio = ev.value >= 1 ? `${ev.value}-for-1` : `1-for-${Math.round(1 / ev.value)}`;
+    const text = `${ev.symbol} did a ${ratio} stock split on ${day}: your ${ev.sharesBefore} shares became ${ev.sharesAfter} and the cost of each share changed to match. Your investment is worth the same.`;
+    return ev.cashCredited > 0 ? `${text} $${ev.cashCredited.toFixed(2)} was paid to you for a leftover part of a share.` : text;
+  }
+  return `${ev.symbol} paid a dividend of $${ev.value.toFixed(2)} per share on ${day}: $${ev.cashCredited.toFixed(2)} for your ${ev.sharesBefore} shares was added to your cash.`;
+};
+
+// Lots from before lot tracking have no date; count them from the start of the run
+const lotDate = (lot, portfolio) => lot.purchaseDate || (portfolio.startedAt || '').slice(0, 10) || null;
+
+// The earliest a split or dividend could affect this holding, or null if it can't be dated
+export const heldSince = (portfolio, holding) => getLots(holding).map(lot => lotDate(lot, portfolio)).filter(Boolean).sort()[0] || null;
+
+// Each split or dividend is recorded once, keyed by symbol, type and ex-date
+export const corporateActionId = (symbol, action) => `${symbol}:${action.type}:${action.date}`;
+
+// Apply one split or dividend to the lots bought before its ex-date. Returns the
+// new portfolio and the event to record, or null if none of the shares qualify.
+export const applyCorporateAction = (portfolio, symbol, action) => {
+  const target = portfolio.holdings.find(h => h.symbol === symbol);
+  if (!target) return null;
+
+  const lots = getLots(target);
+  const eligible = (lot) => lotDate(lot, portfolio) && lotDate(lot, portfolio) < action.date;
+  const sharesBefore = lots.filter(eligible).reduce((sum, lot) => sum + lot.shares, 0);
+  if (sharesBefore === 0) return null;
+
+  let sharesAfter = sharesBefore;
+  let cashCredited;
+  let updatedHoldings = portfolio.holdings;
+  if (action.type === 'split') {
+    let leftover = 0;
+    const splitLots = lots.map(lot => {
+      if (!eligible(lot)) return lot;
+      const shares = Math.floor(lot.shares * action.value);
+      leftover += lot.shares * action.value - shares;
+      return { ...lot, shares, purchasePrice: lot.purchasePrice / action.value };
+    }).filter(lot => lot.shares > 0);
+    sharesAfter = splitLots.filter(eligible).reduce((sum, lot) => sum + lot.shares, 0);
+    cashCredited = Math.round(leftover * target.currentPrice * 100) / 100;
+    const shares = splitLots.reduce((sum, lot) => sum + lot.shares, 0);
+    const purchasePrice = averageLotCost(splitLots) || target.purchasePrice / action.value;
+    updatedHoldings = shares === 0
+      ? portfolio.holdings.filter(h => h.symbol !== symbol)
+      : portfolio.holdings.map(h => (
+        h.symbol === symbol
+          ? {
+              ...h,
+              shares,
+              purchasePrice,
+              value: h.currentPrice * shares,
+              changePercent: ((h.currentPrice - purchasePrice) / purchasePrice) * 100,
+              lots: splitLots
+            }
+          : h
+      ));
+  } else {
+    cashCredited = Math.round(sharesBefore * action.value * 100) / 100;
+  }
+
+  const cash = portfolio.cash + cashCredited;
+  const holdingsValue = updatedHoldings.reduce((sum, h) => sum + h.value, 0);
+  return {
+    portfolio: { ...portfolio, cash, holdings: updatedHoldings, totalValue: cash + holdingsValue },
+    event: {
+      id: corporateActionId(symbol, action),
+      symbol,
+      actionType: action.type,
+      exDate: action.date,
+      value: action.value,
+      sharesBefore,
+      sharesAfter,
+      cashCredited,
+      appliedAt: new Date().toISOString()
+    }
+  };
+};
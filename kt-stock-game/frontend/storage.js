@@ -0,0 +1,60 @@
+// Key-value stores for the local game (local-store.js) and the offline copy of a
+// Supabase game (offline-store.js), all with the host's window.storage interface:
+// get(key, shared) resolves to { value } or null, set(key, value, shared) and
+// delete(key, shared). Shared keys are the ones every player sees, like the
+// leaderboards; in a single browser they just live under their own prefix.
+
+export const hostStorage = () => window.storage;
+
+export const browserStorage = (storage = window.localStorage) => {
+  const fullKey = (key, shared) => (shared ? `shared:${key}` : key);
+  return {
+    get: async (key, shared = false) => {
+      const value = storage.getItem(fullKey(key, shared));
+      return value == null ? null : { value };
+    },
+    set: async (key, value, shared = false) => storage.setItem(fullKey(key, shared), value),
+    delete: async (key, shared = false) => storage.removeItem(fullKey(key, shared))
+  };
+};
+
+// For test mode and demos: gone when the page closes
+export const memoryStorage = () => {
+  const values = new Map();
+  return browserStorage({
+    getItem: (key) => (values.has(key) ? values.get(key) : null),
+    setItem: (key, value) => { values.set(key, String(value)); },
+    removeItem: (key) => { values.delete(key); }
+  });
+};
+
+// Roomier than localStorage and kept when the browser clears space. Falls back to
+// localStorage where IndexedDB isn't available.
+export const indexedDbStorage = (name = 'kt-stock-game') => {
+  if (typeof indexedDB === 'undefined') return browserStorage();
+  const STORE = 'kv';
+  let opening = null;
+  const open = () => opening || (opening = new Promise((resolve, reject) => {
+    const request = indexedDB.open(name, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(STORE);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  }));
+  const run = async (mode, action) => {
+    const db = await open();
+    return new Promise((resolve, reject) => {
+      const request = action(db.transaction(STORE, mode).objectStore(STORE));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  };
+  const fullKey = (key, shared) => (shared ? `shared:${key}` : key);
+  return {
+    get: async (key, shared = false) => {
+      const value = await run('readonly', store => store.get(fullKey(key, shared)));
+      return value === undefined ? null : { value };
+    },
+    set: async (key, value, shared = false) => { await run('readwrite', store => store.put(value, fullKey(key, shared))); },
+    delete: async (key, shared = false) => { await run('readwrite', store => store.delete(fullKey(key, shared))); }
+  };
+};
@@ -0,0 +1,19 @@
+import { createApi } from './api.js';
+import { createLocalStore } from './local-store.js';
+import { createOfflineStore } from './offline-store.js';
+import { browserStorage, hostStorage, indexedDbStorage, memoryStorage } from './storage.js';
+import { createSupabaseStore } from './supabase-store.js';
+
+// Everything the game keeps about players goes through a store, so the same
+// screens run on Supabase or on a key-value store in the browser. Both stores
+// have the same async methods; the game's state travels as a `game` object
+// ({ portfolio, snapshots, transactions, orders, corporateActions, violations,
+// rules }) and each change returns the updated one. Errors are thrown with a
+// message fit for an alert. A Supabase game is also kept in IndexedDB so trades
+// made offline are saved and sent on reconnect (offline-store.js).
+export const createStore = (config) => {
+  const api = createApi(config.apiBaseUrl);
+  if (config.storage === 'supabase') return createOfflineStore(createSupabaseStore(config, api), indexedDbStorage());
+  const kv = { host: hostStorage, local: browserStorage, memory: memoryStorage }[config.storage]();
+  return createLocalStore(kv, api);
+};
@@ -0,0 +1,438 @@
+import GameRules from './game-rules.js';
+import { fetchPrices } from './api.js';
+import { complianceConsequence, graceEndsText, pendingOrderLabel, repricePortfolio } from './portfolio.js';
+
+// Real accounts. Players sign in with Supabase Auth and every trade, order, rule
+// check and corporate action runs on the backend, which holds the service key.
+// The browser only has the publishable key: row-level security lets it read its
+// own player, holdings and history, the rule sets and its leagues, and create
+// its player once (supabase/migrations).
+
+const toPlayer = (row) => ({
+  id: row.id,
+  publicId: row.id,
+  username: row.leaderboard_name,
+  firstName: row.first_name,
+  lastName: row.last_name,
+  riskTolerance: row.risk_tolerance,
+  preferredSector: row.preferred_sector,
+  returnGoal: row.return_goal,
+  ageGroup: row.age_group,
+  classId: row.class_id,
+  schoolId: row.school_id,
+  role: row.role || 'player',
+  tradingFrozen: !!row.trading_frozen,
+  // Trading waits until a parent follows the link the backend emailed them
+  awaitingConsent: row.age_group === 'under_13' && !row.parental_consent_at
+});
+
+const toTradeRow = (row) => ({
+  id: row.id,
+  side: row.side,
+  symbol: row.symbol,
+  shares: row.shares,
+  price: Number(row.price),
+  total: Number(row.total),
+  cashBefore: Number(row.cash_before),
+  cashAfter: Number(row.cash_after),
+  costBasis: row.cost_basis != null ? Number(row.cost_basis) : null,
+  realizedPnl: row.realized_pnl != null ? Number(row.realized_pnl) : null,
+  time: row.executed_at || new Date().toISOString()
+});
+
+const toOrder = (row) => ({
+  id: row.id,
+  orderType: row.order_type,
+  side: row.side,
+  symbol: row.symbol,
+  shares: row.shares,
+  triggerPrice: row.trigger_price != null ? Number(row.trigger_price) : null,
+  createdAt: row.created_at
+});
+
+const toCorporateAction = (row) => ({
+  id: row.id,
+  symbol: row.symbol,
+  actionType: row.action_type,
+  exDate: row.ex_date,
+  value: Number(row.value),
+  sharesBefore: row.shares_before,
+  sharesAfter: row.shares_after,
+  cashCredited: Number(row.cash_credited),
+  appliedAt: row.applied_at
+});
+
+// The backend's player-keyed boards, keyed like the local game's
+const toStanding = ({ userId, ...entry }) => ({ ...entry, playerId: userId });
+
+const orderOutcome = (row) => (row.status === 'filled'
+  ? `✅ ${pendingOrderLabel(row.order_type)} filled: ${row.shares} ${row.symbol} at $${Number(row.fill_price).toFixed(2)}`
+  : `❌ ${pendingOrderLabel(row.order_type)} for ${row.symbol} was ${row.status}${row.note ? `: ${row.note}` : ''}`);
+
+const describeComplianceActions = (actions) => {
+  const lines = actions.map(a => a.message + (a.action === 'penalty' ? ` - 🚩 penalty: -${a.penaltyPct} points of return` : ''));
+  // One rebalance fixes every violation at once, so each action carries the same trades
+  const { trades } = actions[0];
+  if (trades.length > 0) {
+    lines.push(`⚖️ Rebalanced for you: ${trades.map(t => `${t.side === 'buy' ? 'bought' : 'sold'} ${t.shares} ${t.symbol}`).join(', ')}`);
+  }
+  return lines.join('\n');
+};
+
+export const createSupabaseStore = (config, api) => {
+  let client = null;
+  let session = null;
+
+  const useSession = (current) => {
+    session = current;
+    api.setToken(current ? current.access_token : null);
+  };
+
+  // The client loads on first use, so the local game never downloads it
+  const connect = async () => {
+    if (!client) {
+      const { createClient } = await import('@supabase/supabase-js');
+      client = createClient(config.supabaseUrl, config.supabaseKey);
+      // Keep the backend token fresh as Supabase refreshes the session
+      client.auth.onAuthStateChange((event, current) => useSession(current));
+    }
+    return client;
+  };
+
+  // Supabase answers { data, error }; an error is thrown like the API's
+  const rows = async (query) => {
+    const res = await query;
+    if (res.error) throw res.error;
+    return res.data;
+  };
+
+  // History the game can do without: an error is logged and shows as nothing
+  const history = async (query, label) => {
+    const res = await query;
+    if (res.error) console.warn(`Could not load ${label}:`, res.error.message);
+    return res.data || [];
+  };
+
+  const loadCompetitionList = async () => {
+    try {
+      return (await api.get('/api/competitions')).competitions;
+    } catch (error) {
+      console.warn('Could not load competitions:', error.message);
+      return [];
+    }
+  };
+
+  const fetchRules = async (db, rulesId, competition) => {
+    const res = await db.from('game_rules').select('*').eq('id', rulesId || GameRules.DEFAULT_RULES.id).maybeSingle();
+    if (res.error) console.warn('Could not load game rules, using the defaults:', res.error.message);
+    return GameRules.forCompetition(GameRules.fromRow(res.data), competition);
+  };
+
+  // The account's player, or needsProfile if it hasn't made one yet
+  const sessionPlayer = async (current) => {
+    const db = await connect();
+    const row = await rows(db.from('users').select('*').eq('auth_id', current.user.id).maybeSingle());
+    return row ? { player: toPlayer(row) } : { needsProfile: true };
+  };
+
+  // The player's lots as one holding per symbol at its average cost, at the latest prices
+  const loadHoldings = async (db, player) => {
+    const lots = await rows(db.from('portfolios').select('symbol, shares, purchase_price').eq('user_id', player.id));
+    const bySymbol = {};
+    lots.forEach(lot => {
+      const held = bySymbol[lot.symbol] || (bySymbol[lot.symbol] = { shares: 0, cost: 0 });
+      held.shares += lot.shares;
+      held.cost += lot.shares * Number(lot.purchase_price);
+    });
+    let prices = {};
+    try {
+      prices = await fetchPrices(api, Object.keys(bySymbol));
+    } catch (error) {
+      console.warn('Could not price holdings:', error.message);
+    }
+    return Object.entries(bySymbol).map(([symbol, { shares, cost }]) => {
+      const purchasePrice = cost / shares;
+      const currentPrice = prices[symbol] ?? purchasePrice;
+      return {
+        symbol,
+        shares,
+        purchasePrice,
+        currentPrice,
+        value: currentPrice * shares,
+        changePercent: ((currentPrice - purchasePrice) / purchasePrice) * 100
+      };
+    });
+  };
+
+  const withHoldings = (portfolio, cash, holdings) => ({
+    ...portfolio,
+    cash,
+    holdings,
+    totalValue: cash + holdings.reduce((sum, h) => sum + h.value, 0)
+  });
+
+  const loadGame = async (player) => {
+    const db = await connect();
+    const row = await rows(db.from('users').select('*').eq('id', player.id).single());
+    const competition = (await loadCompetitionList()).find(c => c.id === row.competition_id) || null;
+    const rules = await fetchRules(db, competition ? competition.rulesId : row.rules_id, competition);
+    const portfolio = withHoldings({
+      startValue: row.start_value ?? rules.startingCash,
+      gameStarted: row.game_started || false,
+      startedAt: row.started_at || null,
+      competition
+    }, row.cash ?? rules.startingCash, await loadHoldings(db, player));
+
+    const [snapshots, transactions, orders, corporateActions] = await Promise.all([
+      history(db.from('portfolio_snapshots').select('total_value, taken_at').eq('user_id', player.id).order('taken_at', { ascending: true }), 'snapshots'),
+      history(db.from('transactions').select('*').eq('user_id', player.id).order('executed_at', { ascending: false }), 'transactions'),
+      history(db.from('orders').select('*').eq('user_id', player.id).eq('status', 'pending').order('created_at', { ascending: true }), 'orders'),
+      history(db.from('corporate_action_events').select('*').eq('user_id', player.id).order('applied_at', { ascending: false }), 'corporate actions')
+    ]);
+    return {
+      portfolio,
+      snapshots: snapshots.map(s => ({ time: s.taken_at, value: Number(s.total_value) })),
+      transactions: transactions.map(toTradeRow),
+      orders: orders.map(toOrder),
+      corporateActions: corporateActions.map(toCorporateAction),
+      // The backend reports open violations on the first price tick
+      violations: [],
+      rules
+    };
+  };
+
+  // Reload everything after the backend changed holdings behind the game's back
+  const reloadGame = async (player, game) => ({ ...(await loadGame(player)), violations: game.violations });
+
+  // The backend queues trades placed while the market is closed instead of filling them
+  const trade = async (player, game, side, symbol, shares) => {
+    const res = await api.post(`/api/trades/${side}`, { user_id: player.id, symbol: String(symbol).trim(), shares });
+    if (res.queued) {
+      const order = toOrder(res.order);
+      return { queued: true, order, nextOpen: res.nextOpen, game: { ...game, orders: [...game.orders, order] } };
+    }
+    const db = await connect();
+    return {
+      game: {
+        ...game,
+        portfolio: withHoldings(game.portfolio, res.cash, await loadHoldings(db, player)),
+        transactions: [toTradeRow(res.transaction), ...game.transactions]
+      }
+    };
+  };
+
+  // Orders are filled by the backend job; pick up what changed since the last look
+  const syncOrders = async (db, player, orders) => {
+    const knownIds = orders.map(o => o.id);
+    const synced = await rows(db.from('orders').select('*').eq('user_id', player.id)
+      .or(`status.eq.pending,id.in.(${knownIds.join(',')})`)
+      .order('created_at', { ascending: true }));
+    const resolved = synced.filter(o => o.status !== 'pending' && knownIds.includes(o.id));
+    return {
+      orders: synced.filter(o => o.status === 'pending').map(toOrder),
+      messages: resolved.length > 0 ? [resolved.map(orderOutcome).join('\n')] : [],
+      filled: resolved.some(o => o.status === 'filled')
+    };
+  };
+
+  // The backend takes the value snapshots, at its own prices; this just adds the one it took
+  const withSnapshot = (snapshots, snapshot) => (snapshot ? [...snapshots, snapshot] : snapshots);
+
+  const adminParams = (admin, classId) => `admin_id=${encodeURIComponent(admin.id)}${classId ? `&class_id=${encodeURIComponent(classId)}` : ''}`;
+
+  return {
+    kind: 'supabase',
+    signInWith: 'email',
+    // A parent agrees through a link the backend emails them, not on this device
+    consentByEmail: true,
+    api,
+
+    restoreSession: async () => {
+      const db = await connect();
+      const { data } = await db.auth.getSession();
+      useSession(data.session);
+      return data.session ? sessionPlayer(data.session) : null;
+    },
+
+    // Sign in (or sign up). A new account may need its email confirmed before it gets a session.
+    signIn: async ({ email, password, isNew }) => {
+      const db = await connect();
+      const res = isNew ? await db.auth.signUp({ email, password }) : await db.auth.signInWithPassword({ email, password });
+      if (res.error) throw res.error;
+      if (!res.data.session) return { confirmEmail: true };
+      useSession(res.data.session);
+      return sessionPlayer(res.data.session);
+    },
+
+    // The signed-in account's player. Only the leaderboard name is shown to other players.
+    register: async (profile) => {
+      if (!session) throw new Error('Please log in again');
+      const db = await connect();
+      const leaderboardName = profile.username.trim();
+      const under13 = profile.ageGroup === 'under_13';
+      const res = await db.from('users').insert({
+        auth_id: session.user.id,
+        leaderboard_name: leaderboardName,
+        first_name: profile.firstName.trim() || null,
+        last_name: profile.lastName.trim() || null,
+        risk_tolerance: profile.riskTolerance,
+        preferred_sector: profile.preferredSector,
+        return_goal: profile.returnGoal,
+        age_group: profile.ageGroup,
+        parent_email: under13 ? profile.parentEmail.trim() : null
+      }).select('*').single();
+      if (res.error) {
+        throw res.error.code === '23505' ? new Error(`${leaderboardName} is already taken - pick another Leaderboard Name`) : res.error;
+      }
+      if (under13) {
+        // The player can ask again from the game if this one doesn't go
+        try {
+          await api.post('/api/consent/request', { user_id: res.data.id });
+        } catch (error) {
+          console.warn('Could not email the parent:', error.message);
+        }
+      }
+      return toPlayer(res.data);
+    },
+
+    // Email the parent a new consent link
+    requestConsent: (player) => api.post('/api/consent/request', { user_id: player.id }),
+
+    signOut: async () => {
+      const db = await connect();
+      const res = await db.auth.signOut();
+      useSession(null);
+      if (res.error) throw res.error;
+    },
+
+    // Purges the player, their holdings and all their history, then the sign-in account
+    deleteAccount: (player) => api.post('/api/account/delete', { user_id: player.id }),
+
+    // Names of the class and school the player belongs to, for the leaderboard tabs
+    loadLeagues: async (player) => {
+      const ids = [player.classId, player.schoolId].filter(Boolean);
+      if (ids.length === 0) return { class: null, school: null };
+      const db = await connect();
+      const leagues = await rows(db.from('leagues').select('id, name, kind').in('id', ids));
+      const byId = Object.fromEntries(leagues.map(league => [league.id, league]));
+      return { class: byId[player.classId] || null, school: byId[player.schoolId] || null };
+    },
+
+    joinLeague: async (player, code) => {
+      const res = await api.post('/api/leagues/join', { user_id: player.id, code });
+      return { ...player, classId: res.class ? res.class.id : null, schoolId: res.school ? res.school.id : null };
+    },
+
+    loadGame,
+
+    buy: (player, game, stock, shares) => trade(player, game, 'buy', stock.symbol, shares),
+
+    sell: (player, game, symbol, shares) => trade(player, game, 'sell', symbol, shares),
+
+    placeOrder: async (player, game, { orderType, symbol, shares, triggerPrice }) => {
+      const res = await api.post('/api/orders', { user_id: player.id, symbol, order_type: orderType, shares, trigger_price: triggerPrice });
+      return { ...game, orders: [...game.orders, toOrder(res.order)] };
+    },
+
+    cancelOrder: async (player, game, order) => {
+      await api.post(`/api/orders/${order.id}/cancel?user_id=${encodeURIComponent(player.id)}`);
+      return { ...game, orders: game.orders.filter(o => o.id !== order.id) };
+    },
+
+    // The backend enters a running competition itself and says which, and with how much cash
+    startGame: async (player, game) => {
+      const res = await api.post('/api/game/start', { user_id: player.id });
+      const db = await connect();
+      const rules = res.competition ? await fetchRules(db, res.competition.rulesId, res.competition) : game.rules;
+      const portfolio = withHoldings({
+        ...game.portfolio,
+        gameStarted: true,
+        startValue: res.startValue,
+        startedAt: res.startedAt,
+        competition: res.competition || null
+      }, res.cash, game.portfolio.holdings);
+      return { ...game, portfolio, snapshots: withSnapshot(game.snapshots, res.snapshot), rules };
+    },
+
+    resetGame: async (player, game) => {
+      const res = await api.post('/api/game/reset', { user_id: player.id });
+      const rules = GameRules.fromApi(res.rules);
+      const portfolio = { cash: res.cash, holdings: [], totalValue: res.cash, startValue: res.cash, gameStarted: false, startedAt: null, competition: null };
+      return { ...game, portfolio, snapshots: [], orders: [], violations: [], rules };
+    },
+
+    // One price tick: reprice, pick up filled orders, and have the backend check the
+    // invested and position limits. Once a violation outlasts its grace period the
+    // backend applies the rule set's penalty or rebalance.
+    tick: async (player, game, { prices }) => {
+      const db = await connect();
+      const messages = [];
+      let reload = false;
+      let { orders } = game;
+      if (orders.length > 0) {
+        const synced = await syncOrders(db, player, orders);
+        orders = synced.orders;
+        messages.push(...synced.messages);
+        reload = synced.filled;
+      }
+
+      const compliance = await api.post('/api/compliance/check', { user_id: player.id });
+      const fresh = compliance.violations.filter(v => v.isNew);
+      if (fresh.length > 0) {
+        messages.push(`${fresh.map(v => v.message).join('\n')}\n\n⏳ Fix it by ${graceEndsText(fresh[0])} ${complianceConsequence(game.rules)}.`);
+      }
+      if (compliance.actions.length > 0) {
+        messages.push(describeComplianceActions(compliance.actions));
+        reload = reload || compliance.actions[0].trades.length > 0;
+      }
+
+      if (reload) {
+        return { game: { ...(await loadGame(player)), violations: compliance.violations }, messages };
+      }
+      const portfolio = repricePortfolio(game.portfolio, prices);
+      const snapshots = withSnapshot(game.snapshots, compliance.snapshot);
+      return { game: { ...game, portfolio, orders, snapshots, violations: compliance.violations }, messages };
+    },
+
+    // Splits and dividends are applied by the backend; reload the account when one lands
+    syncCorporateActions: async (player, game) => {
+      const db = await connect();
+      let query = db.from('corporate_action_events').select('*').eq('user_id', player.id).order('applied_at', { ascending: false });
+      if (game.corporateActions.length > 0) query = query.gt('applied_at', game.corporateActions[0].appliedAt);
+      const fresh = (await rows(query)).map(toCorporateAction);
+      if (fresh.length === 0) return { game, fresh };
+      return { game: await reloadGame(player, game), fresh };
+    },
+
+    // A page of the backend leaderboard for a scope and ranking mode, with the player's own rank
+    loadLeaderboard: async (player, { scope, mode, page = 1, pageSize }) => {
+      const params = new URLSearchParams({ mode, page, page_size: pageSize });
+      const leagueId = scope === 'class' ? player?.classId : scope === 'school' ? player?.schoolId : null;
+      if (leagueId) params.set('scope', scope);
+      if (player) params.set('user_id', player.id);
+      const data = await api.get(`/api/leaderboard?${params}`);
+      return { entries: data.entries.map(toStanding), total: data.total, page: data.page, me: data.me ? toStanding(data.me) : null };
+    },
+
+    loadCompetitions: loadCompetitionList,
+
+    // A competition with its standings, final once the backend has frozen them
+    loadStandings: async (competition) => {
+      const data = await api.get(`/api/competitions/${competition.id}`);
+      return { competition: data.competition, standings: data.standings.map(toStanding) };
+    },
+
+    // The teacher dashboard; the backend checks the admin's role on every call and
+    // keeps it to the classes and schools they created
+    admin: {
+      loadClasses: async (admin) => (await api.get(`/api/admin/classes?${adminParams(admin)}`)).classes,
+      loadPlayers: async (admin, classId) => (await api.get(`/api/admin/players?${adminParams(admin, classId)}`)).players,
+      loadTrades: async (admin, playerId) => (await api.get(`/api/admin/players/${playerId}/trades?${adminParams(admin)}`)).trades.map(toTradeRow),
+      act: (admin, playerId, action, payload = {}) => api.post(`/api/admin/players/${playerId}/${action}`, { admin_id: admin.id, ...payload }),
+      exportCsv: (admin, classId) => api.text(`/api/admin/export.csv?${adminParams(admin, classId)}`),
+      createLeague: async (admin, { name, kind, schoolCode }) => (
+        (await api.post('/api/leagues', { admin_id: admin.id, name, kind, school_code: schoolCode || null })).league
+      )
+    }
+  };
+};
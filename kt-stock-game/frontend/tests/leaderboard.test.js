@@ -0,0 +1,52 @@
+// Unit tests for the local game's leaderboard; they mirror backend/tests/test_leaderboard.py.
+// Run with: node --test frontend/tests
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { rankLeaderboard, runMetrics } from '../leaderboard.js';
+
+const snapshots = [
+  { time: '2026-10-13T15:00:00.000Z', value: 1010 },
+  { time: '2026-10-14T15:00:00.000Z', value: 990 },
+  { time: '2026-10-15T15:00:00.000Z', value: 980 },
+  { time: '2026-10-15T19:00:00.000Z', value: 1030 }
+];
+
+test('runMetrics closes today with the value now', () => {
+  assert.deepEqual(runMetrics(1000, snapshots, 1000, new Date('2026-10-16T15:00:00Z')), { twrPct: 0, maxDrawdownPct: 2.97, sharpe: 0.19 });
+});
+
+test('runMetrics counts today once', () => {
+  assert.deepEqual(runMetrics(1000, snapshots, 1000, new Date('2026-10-15T20:00:00Z')), { twrPct: 0, maxDrawdownPct: 2.97, sharpe: 0.09 });
+});
+
+test('runMetrics leaves a short run unscored for Sharpe', () => {
+  assert.deepEqual(runMetrics(1000, snapshots.slice(0, 1), 1020, new Date('2026-10-14T15:00:00Z')), { twrPct: 2, maxDrawdownPct: 0, sharpe: null });
+});
+
+test('runMetrics leaves a flat run unscored for Sharpe', () => {
+  const flat = snapshots.map(s => ({ ...s, value: 1000 }));
+  assert.equal(runMetrics(1000, flat, 1000, new Date('2026-10-16T15:00:00Z')).sharpe, null);
+});
+
+test('runMetrics takes split and dividend cash off the next value for the time-weighted return', () => {
+  const now = new Date('2026-10-16T15:00:00Z');
+  const dividend = { cashCredited: 20, appliedAt: '2026-10-14T16:00:00.000Z' };
+  assert.equal(runMetrics(1000, snapshots, 1000, now, [dividend]).twrPct, -2.04);
+  const late = { cashCredited: 10, appliedAt: '2026-10-16T14:00:00.000Z' };
+  assert.equal(runMetrics(1000, snapshots, 1000, now, [late]).twrPct, -1);
+});
+
+test('rankLeaderboard ranks the smallest drawdown first and unscored entries last', () => {
+  const ranked = rankLeaderboard([
+    { name: 'cal', maxDrawdownPct: null },
+    { name: 'ann', maxDrawdownPct: 5 },
+    { name: 'bo', maxDrawdownPct: 1.5 }
+  ], 'drawdown');
+  assert.deepEqual(ranked.map(e => [e.name, e.rank]), [['bo', 1], ['ann', 2], ['cal', 3]]);
+});
+
+test('rankLeaderboard ranks the highest return first', () => {
+  const ranked = rankLeaderboard([{ name: 'ann', returnPct: -2 }, { name: 'bo', returnPct: 4 }], 'return');
+  assert.deepEqual(ranked.map(e => e.name), ['bo', 'ann']);
+  assert.deepEqual(rankLeaderboard([{ name: 'ann', twrPct: -2 }, { name: 'bo', twrPct: 4 }], 'twr').map(e => e.name), ['bo', 'ann']);
+});
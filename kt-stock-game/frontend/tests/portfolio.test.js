@@ -0,0 +1,122 @@
+// Unit tests for the local game's bookkeeping. Run with: node --test frontend/tests
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { applyCorporateAction, applySell, averageLotCost, consumeLotsFifo, getLots } from '../portfolio.js';
+
+const holding = (lots, currentPrice) => {
+  const shares = lots.reduce((sum, lot) => sum + lot.shares, 0);
+  return { symbol: 'AAA', shares, purchasePrice: averageLotCost(lots), currentPrice, value: currentPrice * shares, changePercent: 0, lots };
+};
+
+const portfolioOf = (cash, holdings) => ({
+  cash,
+  holdings,
+  totalValue: cash + holdings.reduce((sum, h) => sum + h.value, 0),
+  startValue: 1000,
+  gameStarted: true
+});
+
+describe('consumeLotsFifo', () => {
+  it('takes part of the oldest lot and leaves the rest', () => {
+    const lots = [{ shares: 10, purchasePrice: 10, purchaseDate: '2026-01-05' }, { shares: 5, purchasePrice: 20, purchaseDate: '2026-02-01' }];
+    const { consumed, remainingLots } = consumeLotsFifo(lots, 4);
+    assert.deepEqual(consumed, [{ lot: lots[0], shares: 4 }]);
+    assert.deepEqual(remainingLots, [{ ...lots[0], shares: 6 }, lots[1]]);
+  });
+
+  it('runs through whole lots before starting on the next', () => {
+    const lots = [{ shares: 10, purchasePrice: 10, purchaseDate: '2026-01-05' }, { shares: 5, purchasePrice: 20, purchaseDate: '2026-02-01' }];
+    const { consumed, remainingLots } = consumeLotsFifo(lots, 12);
+    assert.deepEqual(consumed.map(c => c.shares), [10, 2]);
+    assert.deepEqual(remainingLots, [{ ...lots[1], shares: 3 }]);
+  });
+});
+
+describe('averageLotCost', () => {
+  it('keeps the cost of the shares left after a partial sell', () => {
+    const lots = [{ shares: 10, purchasePrice: 10, purchaseDate: '2026-01-05' }, { shares: 5, purchasePrice: 20, purchaseDate: '2026-02-01' }];
+    assert.equal(averageLotCost(lots), 40 / 3);
+    assert.equal(averageLotCost(consumeLotsFifo(lots, 12).remainingLots), 20);
+    assert.equal(averageLotCost([]), 0);
+  });
+
+  it('counts a holding from before lot tracking as one lot at its average cost', () => {
+    const legacy = { symbol: 'AAA', shares: 4, purchasePrice: 25, currentPrice: 30, value: 120, changePercent: 20 };
+    assert.deepEqual(getLots(legacy), [{ shares: 4, purchasePrice: 25, purchaseDate: null }]);
+    assert.equal(averageLotCost(getLots(legacy)), 25);
+  });
+});
+
+describe('applySell', () => {
+  const lots = [{ shares: 10, purchasePrice: 10, purchaseDate: '2026-01-05' }, { shares: 5, purchasePrice: 20, purchaseDate: '2026-02-01' }];
+
+  it('sells part of a holding at the cost of its oldest shares', () => {
+    const aaa = holding(lots, 30);
+    const { portfolio, trade } = applySell(portfolioOf(0, [aaa]), aaa, 12, 30);
+    assert.equal(trade.total, 360);
+    assert.equal(trade.costBasis, 140);
+    assert.equal(trade.realizedPnl, 220);
+    assert.equal(portfolio.cash, 360);
+    const [left] = portfolio.holdings;
+    assert.equal(left.shares, 3);
+    assert.equal(left.purchasePrice, 20);
+    assert.deepEqual(left.lots, [{ ...lots[1], shares: 3 }]);
+    assert.equal(portfolio.totalValue, 450);
+  });
+
+  it('drops the holding once every share is sold', () => {
+    const aaa = holding(lots, 30);
+    const { portfolio, trade } = applySell(portfolioOf(0, [aaa]), aaa, 15, 30);
+    assert.deepEqual(portfolio.holdings, []);
+    assert.equal(trade.costBasis, 200);
+    assert.equal(portfolio.totalValue, 450);
+  });
+
+  it('counts a holding from before lot tracking as one lot at its average cost', () => {
+    const legacy = { symbol: 'AAA', shares: 4, purchasePrice: 25, currentPrice: 30, value: 120, changePercent: 20 };
+    assert.deepEqual(getLots(legacy), [{ shares: 4, purchasePrice: 25, purchaseDate: null }]);
+    const { trade } = applySell(portfolioOf(0, [legacy]), legacy, 1, 30);
+    assert.equal(trade.costBasis, 25);
+  });
+});
+
+describe('applyCorporateAction', () => {
+  const before = { shares: 3, purchasePrice: 90, purchaseDate: '2026-01-05' };
+  const after = { shares: 1, purchasePrice: 100, purchaseDate: '2026-03-10' };
+
+  it('splits only the lots bought before the ex-date, keeping their total cost', () => {
+    const aaa = holding([before, after], 50);
+    const { portfolio, event } = applyCorporateAction(portfolioOf(0, [aaa]), 'AAA', { type: 'split', value: 2, date: '2026-03-01' });
+    const [split] = portfolio.holdings;
+    assert.deepEqual(split.lots, [{ ...before, shares: 6, purchasePrice: 45 }, after]);
+    assert.equal(split.shares, 7);
+    assert.equal(split.value, 350);
+    assert.equal(event.sharesBefore, 3);
+    assert.equal(event.sharesAfter, 6);
+    assert.equal(event.cashCredited, 0);
+  });
+
+  it('pays a reverse split\'s leftover part of a share in cash', () => {
+    const aaa = holding([{ shares: 10, purchasePrice: 5, purchaseDate: '2026-01-05' }], 20);
+    const { portfolio, event } = applyCorporateAction(portfolioOf(0, [aaa]), 'AAA', { type: 'split', value: 0.25, date: '2026-03-01' });
+    assert.equal(portfolio.holdings[0].shares, 2);
+    assert.equal(portfolio.holdings[0].purchasePrice, 20);
+    assert.equal(event.cashCredited, 10);
+    assert.equal(portfolio.cash, 10);
+  });
+
+  it('credits a dividend for the shares held before the ex-date', () => {
+    const aaa = holding([before, after], 50);
+    const { portfolio, event } = applyCorporateAction(portfolioOf(100, [aaa]), 'AAA', { type: 'dividend', value: 0.5, date: '2026-03-01' });
+    assert.equal(event.cashCredited, 1.5);
+    assert.equal(portfolio.cash, 101.5);
+    assert.equal(portfolio.holdings[0], aaa);
+    assert.equal(portfolio.totalValue, 301.5);
+  });
+
+  it('skips a holding bought on or after the ex-date', () => {
+    const aaa = holding([after], 50);
+    assert.equal(applyCorporateAction(portfolioOf(0, [aaa]), 'AAA', { type: 'dividend', value: 0.5, date: '2026-03-10' }), null);
+    assert.equal(applyCorporateAction(portfolioOf(0, [aaa]), 'BBB', { type: 'dividend', value: 0.5, date: '2026-01-01' }), null);
+  });
+});
@@ -0,0 +1,62 @@
+-- Trades are executed by the backend (POST /api/trades/buy and /api/trades/sell)
+-- at a price it fetches itself. The trade RPCs are therefore only callable with
+-- the service key; browser clients can no longer pick their own price.
+
+-- Sell p_shares of p_symbol, consuming the oldest portfolios lots first, and
+-- credit the proceeds to users.cash. Returns the sale value.
+create or replace function public.sell_stock(
+  p_user_id uuid,
+  p_symbol text,
+  p_shares integer,
+  p_sale_price numeric
+) returns numeric
+language plpgsql
+as $$
+declare
+  lot record;
+  owned integer;
+  remaining integer := p_shares;
+  take integer;
+begin
+  select coalesce(sum(shares), 0) into owned
+  from portfolios
+  where user_id = p_user_id and symbol = p_symbol;
+
+  if p_shares <= 0 or owned < p_shares then
+    raise exception 'Cannot sell % shares of %: only % owned', p_shares, p_symbol, owned;
+  end if;
+
+  for lot in
+    select id, shares from portfolios
+    where user_id = p_user_id and symbol = p_symbol
+    order by purchase_date, id
+    for update
+  loop
+    exit when remaining <= 0;
+    take := least(lot.shares, remaining);
+    if take = lot.shares then
+      delete from portfolios where id = lot.id;
+    else
+      update portfolios set shares = shares - take where id = lot.id;
+    end if;
+    remaining := remaining - take;
+  end loop;
+
+  update users set cash = cash + p_shares * p_sale_price where id = p_user_id;
+  return p_shares * p_sale_price;
+end;
+$$;
+
+do $$
+declare
+  fn regprocedure;
+begin
+  for fn in
+    select oid::regprocedure from pg_proc
+    where proname in ('buy_stock', 'sell_stock')
+      and pronamespace = 'public'::regnamespace
+  loop
+    execute format('revoke execute on function %s from public, anon, authenticated', fn);
+  end loop;
+end;
+$$;
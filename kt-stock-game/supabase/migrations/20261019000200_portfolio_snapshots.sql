@@ -0,0 +1,12 @@
+-- Periodic snapshots of each player's portfolio value, drawn as the
+-- performance chart on the game and game-over screens.
+create table if not exists public.portfolio_snapshots (
+  id bigint generated always as identity primary key,
+  user_id uuid not null references public.users (id) on delete cascade,
+  total_value numeric not null,
+  cash numeric not null,
+  taken_at timestamptz not null default now()
+);
+
+create index if not exists portfolio_snapshots_user_taken_at_idx
+  on public.portfolio_snapshots (user_id, taken_at);
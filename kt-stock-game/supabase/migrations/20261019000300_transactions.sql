@@ -0,0 +1,19 @@
+-- Append-only trade ledger. Rows are written by the backend when a trade
+-- executes; browser clients may read them but never change or remove them.
+create table if not exists public.transactions (
+  id bigint generated always as identity primary key,
+  user_id uuid not null references public.users (id) on delete cascade,
+  side text not null check (side in ('buy', 'sell')),
+  symbol text not null,
+  shares integer not null check (shares > 0),
+  price numeric not null,
+  total numeric not null,
+  cash_before numeric not null,
+  cash_after numeric not null,
+  executed_at timestamptz not null default now()
+);
+
+create index if not exists transactions_user_executed_at_idx
+  on public.transactions (user_id, executed_at);
+
+revoke insert, update, delete on public.transactions from anon, authenticated;
@@ -0,0 +1,9 @@
+-- Realized P&L per sell, computed by the backend from the FIFO lots it consumed,
+-- and the moment the current run started so the summary card can tell which
+-- sells belong to it.
+alter table public.transactions
+  add column if not exists cost_basis numeric,
+  add column if not exists realized_pnl numeric;
+
+alter table public.users
+  add column if not exists started_at timestamptz;
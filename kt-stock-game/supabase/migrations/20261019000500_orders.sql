@@ -0,0 +1,22 @@
+-- Limit buys and stop-loss / take-profit sells. Orders are placed and
+-- cancelled through the backend (POST /api/orders) and filled by its order job.
+create table if not exists public.orders (
+  id bigint generated always as identity primary key,
+  user_id uuid not null references public.users (id) on delete cascade,
+  side text not null check (side in ('buy', 'sell')),
+  order_type text not null check (order_type in ('limit', 'stop_loss', 'take_profit')),
+  symbol text not null,
+  shares integer not null check (shares > 0),
+  trigger_price numeric not null check (trigger_price > 0),
+  status text not null default 'pending'
+    check (status in ('pending', 'filled', 'cancelled', 'rejected')),
+  fill_price numeric,
+  note text,
+  created_at timestamptz not null default now(),
+  filled_at timestamptz
+);
+
+create index if not exists orders_pending_idx
+  on public.orders (status, created_at) where status = 'pending';
+
+revoke insert, update, delete on public.orders from anon, authenticated;
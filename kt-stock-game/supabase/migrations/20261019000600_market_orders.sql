@@ -0,0 +1,13 @@
+-- Buys and sells placed while the market is closed can be queued as "market"
+-- orders, filled by the backend's order job at the next open. They have no
+-- trigger price.
+alter table public.orders drop constraint if exists orders_order_type_check;
+alter table public.orders
+  add constraint orders_order_type_check
+  check (order_type in ('market', 'limit', 'stop_loss', 'take_profit'));
+
+alter table public.orders alter column trigger_price drop not null;
+alter table public.orders drop constraint if exists orders_trigger_price_check;
+alter table public.orders
+  add constraint orders_trigger_price_check
+  check ((order_type = 'market') = (trigger_price is null) and (trigger_price is null or trigger_price > 0));
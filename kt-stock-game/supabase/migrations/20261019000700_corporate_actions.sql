@@ -0,0 +1,125 @@
+-- Stock splits and dividends applied to players' holdings by the backend's
+-- corporate-actions job. Each row is one event for one player, kept so the
+-- game can explain why shares or cash changed. The unique key makes applying
+-- the same event twice a no-op.
+create table if not exists public.corporate_action_events (
+  id bigint generated always as identity primary key,
+  user_id uuid not null references public.users (id) on delete cascade,
+  symbol text not null,
+  action_type text not null check (action_type in ('split', 'dividend')),
+  ex_date date not null,
+  value numeric not null check (value > 0), -- split ratio, or dividend per share
+  shares_before integer not null default 0,
+  shares_after integer not null default 0,
+  cash_credited numeric not null default 0,
+  applied_at timestamptz not null default now(),
+  unique (user_id, symbol, action_type, ex_date)
+);
+
+create index if not exists corporate_action_events_user_idx
+  on public.corporate_action_events (user_id, applied_at desc);
+
+revoke insert, update, delete on public.corporate_action_events from anon, authenticated;
+
+-- Split every lot of p_symbol bought before p_ex_date by p_ratio. Lot costs are
+-- divided by the ratio so each lot's total cost is unchanged; fractional shares
+-- left over (reverse splits) are paid out in cash at p_price. Returns the event,
+-- or null if it was already applied or the player held no affected lots.
+create or replace function public.apply_split(
+  p_user_id uuid,
+  p_symbol text,
+  p_ex_date date,
+  p_ratio numeric,
+  p_price numeric
+) returns public.corporate_action_events
+language plpgsql
+as $$
+declare
+  ev public.corporate_action_events;
+  lot record;
+  new_shares integer;
+  before_total integer := 0;
+  after_total integer := 0;
+  leftover numeric := 0;
+begin
+  insert into corporate_action_events (user_id, symbol, action_type, ex_date, value)
+  values (p_user_id, p_symbol, 'split', p_ex_date, p_ratio)
+  on conflict do nothing
+  returning * into ev;
+  if ev.id is null then
+    return null;
+  end if;
+
+  for lot in
+    select id, shares, purchase_price from portfolios
+    where user_id = p_user_id and symbol = p_symbol and purchase_date < p_ex_date
+    for update
+  loop
+    new_shares := floor(lot.shares * p_ratio);
+    leftover := leftover + (lot.shares * p_ratio - new_shares);
+    before_total := before_total + lot.shares;
+    after_total := after_total + new_shares;
+    if new_shares = 0 then
+      delete from portfolios where id = lot.id;
+    else
+      update portfolios set shares = new_shares, purchase_price = lot.purchase_price / p_ratio where id = lot.id;
+    end if;
+  end loop;
+
+  if before_total = 0 then
+    delete from corporate_action_events where id = ev.id;
+    return null;
+  end if;
+
+  update users set cash = cash + round(leftover * p_price, 2) where id = p_user_id;
+  update corporate_action_events
+  set shares_before = before_total, shares_after = after_total, cash_credited = round(leftover * p_price, 2)
+  where id = ev.id
+  returning * into ev;
+  return ev;
+end;
+$$;
+
+-- Credit p_amount per share of p_symbol held from before p_ex_date to the
+-- player's cash. Returns the event, or null if it was already applied or the
+-- player held no eligible shares.
+create or replace function public.credit_dividend(
+  p_user_id uuid,
+  p_symbol text,
+  p_ex_date date,
+  p_amount numeric
+) returns public.corporate_action_events
+language plpgsql
+as $$
+declare
+  ev public.corporate_action_events;
+  held integer;
+begin
+  insert into corporate_action_events (user_id, symbol, action_type, ex_date, value)
+  values (p_user_id, p_symbol, 'dividend', p_ex_date, p_amount)
+  on conflict do nothing
+  returning * into ev;
+  if ev.id is null then
+    return null;
+  end if;
+
+  select coalesce(sum(shares), 0) into held
+  from portfolios
+  where user_id = p_user_id and symbol = p_symbol and purchase_date < p_ex_date;
+
+  if held = 0 then
+    delete from corporate_action_events where id = ev.id;
+    return null;
+  end if;
+
+  update users set cash = cash + round(held * p_amount, 2) where id = p_user_id;
+  update corporate_action_events
+  set shares_before = held, shares_after = held, cash_credited = round(held * p_amount, 2)
+  where id = ev.id
+  returning * into ev;
+  return ev;
+end;
+$$;
+
+revoke execute on function public.apply_split(uuid, text, date, numeric, numeric) from public, anon, authenticated;
+revoke execute on function public.credit_dividend(uuid, text, date, numeric) from public, anon, authenticated;
@@ -0,0 +1,13 @@
+-- The registration profile the JSX build always collected, now kept on the
+-- player's row so the backend can personalize KT rankings. Existing players
+-- keep null preferences and see the shared ranking until they set them.
+alter table public.users
+  add column if not exists risk_tolerance text
+    check (risk_tolerance in ('low', 'medium', 'high')),
+  add column if not exists preferred_sector text
+    check (preferred_sector in (
+      'Technology', 'Healthcare', 'Financial', 'Consumer', 'Energy',
+      'Industrial', 'Materials', 'Utilities', 'Real Estate', 'Communications'
+    )),
+  add column if not exists return_goal text
+    check (return_goal in ('short', 'long'));
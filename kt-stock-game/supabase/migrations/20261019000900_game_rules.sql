@@ -0,0 +1,28 @@
+-- Rule sets a host can edit: starting cash, portfolio limits and how a game
+-- ends. Each player follows the set named by users.rules_id; the backend
+-- enforces it on every trade and the frontends read it to show the limits.
+create table if not exists public.game_rules (
+  id text primary key,
+  name text not null,
+  starting_cash numeric not null default 10000 check (starting_cash > 0),
+  min_holdings integer not null default 4 check (min_holdings >= 1),
+  max_holdings integer not null default 10,
+  min_invested_pct numeric not null default 97 check (min_invested_pct between 0 and 100),
+  max_position_pct numeric not null default 25 check (max_position_pct > 0 and max_position_pct <= 100),
+  -- End conditions: bust at or below this value, win at this return, or stop at a deadline
+  game_over_value numeric not null default 20 check (game_over_value >= 0),
+  target_return_pct numeric check (target_return_pct > 0),
+  ends_at timestamptz,
+  updated_at timestamptz not null default now(),
+  check (max_holdings >= min_holdings)
+);
+
+insert into public.game_rules (id, name) values ('default', 'Classic')
+on conflict (id) do nothing;
+
+alter table public.users
+  add column if not exists rules_id text not null default 'default'
+    references public.game_rules (id);
+
+-- Players read their rules; only the host (with the service key) edits them
+revoke insert, update, delete on public.game_rules from anon, authenticated;
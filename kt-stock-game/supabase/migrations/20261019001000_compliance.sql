@@ -0,0 +1,36 @@
+-- Invested and position limits are watched for the whole game, not just at
+-- buy time. Each rule set says how long a player has to fix a violation and
+-- what happens after: 'warn' only, a 'penalty' of compliance_penalty_pct
+-- points off the leaderboard return, or a 'rebalance' trading them back in.
+alter table public.game_rules
+  add column if not exists compliance_grace_minutes integer not null default 60
+    check (compliance_grace_minutes >= 0),
+  add column if not exists compliance_action text not null default 'penalty'
+    check (compliance_action in ('warn', 'penalty', 'rebalance')),
+  add column if not exists compliance_penalty_pct numeric not null default 1
+    check (compliance_penalty_pct >= 0);
+
+-- One row per violation, written by the backend's compliance check. A row is
+-- open until the player fixes it (resolved_at, no action) or its grace period
+-- runs out and the rule set's action is applied. Shown on the leaderboard.
+create table if not exists public.compliance_events (
+  id bigint generated always as identity primary key,
+  user_id uuid not null references public.users (id) on delete cascade,
+  rule text not null check (rule in ('min_invested', 'max_position')),
+  symbol text, -- the oversized position, for max_position
+  pct numeric not null, -- invested or position share when detected
+  detected_at timestamptz not null default now(),
+  grace_ends_at timestamptz not null,
+  resolved_at timestamptz,
+  action text check (action in ('penalty', 'rebalance')),
+  penalty_pct numeric not null default 0
+);
+
+create index if not exists compliance_events_user_detected_at_idx
+  on public.compliance_events (user_id, detected_at);
+
+create unique index if not exists compliance_events_open_idx
+  on public.compliance_events (user_id, rule, coalesce(symbol, ''))
+  where resolved_at is null;
+
+revoke insert, update, delete on public.compliance_events from anon, authenticated;
@@ -0,0 +1,37 @@
+-- Timed competitions (seasons). A host adds a row with a name, start and end
+-- and the rule set to play by; a player who starts a game while one is
+-- running joins it and plays until it ends. The backend freezes the final
+-- standings into competition_entries shortly after the end (frozen_at).
+create table if not exists public.competitions (
+  id bigint generated always as identity primary key,
+  name text not null,
+  starts_at timestamptz not null,
+  ends_at timestamptz not null,
+  rules_id text not null default 'default' references public.game_rules (id),
+  frozen_at timestamptz,
+  created_at timestamptz not null default now(),
+  check (ends_at > starts_at)
+);
+
+create index if not exists competitions_starts_at_idx
+  on public.competitions (starts_at desc);
+
+-- The entry list: one row per player who joined, with their final result
+-- once the competition has been frozen.
+create table if not exists public.competition_entries (
+  competition_id bigint not null references public.competitions (id) on delete cascade,
+  user_id uuid not null references public.users (id) on delete cascade,
+  joined_at timestamptz not null default now(),
+  start_value numeric not null check (start_value > 0),
+  final_value numeric,
+  final_return_pct numeric, -- after compliance penalties
+  penalty_pct numeric,
+  rank integer,
+  primary key (competition_id, user_id)
+);
+
+alter table public.users
+  add column if not exists competition_id bigint references public.competitions (id) on delete set null;
+
+revoke insert, update, delete on public.competitions from anon, authenticated;
+revoke insert, update, delete on public.competition_entries from anon, authenticated;
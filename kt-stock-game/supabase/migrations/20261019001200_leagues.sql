@@ -0,0 +1,25 @@
+-- Leagues: classes and schools with their own leaderboards. A teacher creates
+-- one through the backend (POST /api/leagues) and gets a join code; students
+-- enter it when they log in or register. A class may belong to a school, so
+-- joining the class puts the student on both leaderboards.
+create table if not exists public.leagues (
+  id bigint generated always as identity primary key,
+  name text not null check (length(btrim(name)) > 0),
+  kind text not null check (kind in ('class', 'school')),
+  school_id bigint references public.leagues (id) on delete set null,
+  join_code text not null unique,
+  created_at timestamptz not null default now(),
+  check (kind = 'class' or school_id is null)
+);
+
+alter table public.users
+  add column if not exists class_id bigint references public.leagues (id) on delete set null,
+  add column if not exists school_id bigint references public.leagues (id) on delete set null;
+
+create index if not exists users_class_id_idx on public.users (class_id);
+create index if not exists users_school_id_idx on public.users (school_id);
+
+-- Names are public; join codes only go to the teacher who created the league
+revoke insert, update, delete on public.leagues from anon, authenticated;
+revoke select on public.leagues from anon, authenticated;
+grant select (id, name, kind, school_id, created_at) on public.leagues to anon, authenticated;
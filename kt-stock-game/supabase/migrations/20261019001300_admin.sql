@@ -0,0 +1,14 @@
+-- Teacher/admin dashboard. A player whose role is 'admin' gets the admin
+-- screen; every admin action goes through the backend (/api/admin/...), which
+-- checks the role first. Set a teacher's role by hand:
+--   update public.users set role = 'admin' where leaderboard_name = '...';
+alter table public.users
+  add column if not exists role text not null default 'player'
+    check (role in ('player', 'admin')),
+  add column if not exists trading_frozen boolean not null default false;
+
+-- Browsers may only create a player with their profile; the role, the freeze
+-- and the money columns are the backend's to change.
+revoke insert, update on public.users from anon, authenticated;
+grant insert (leaderboard_name, first_name, last_name, risk_tolerance, preferred_sector, return_goal)
+  on public.users to anon, authenticated;
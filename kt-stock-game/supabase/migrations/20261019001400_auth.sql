@@ -0,0 +1,25 @@
+-- Real accounts. Every player belongs to a Supabase Auth user (auth_id): the
+-- browser signs in with email and password and can only see its own player and
+-- holdings. The backend uses the service key, which row-level security doesn't
+-- apply to, and checks the caller's session token itself before acting for a
+-- player. Players from before accounts have no auth_id; a teacher links one to
+-- the account the student signs up with:
+--   update public.users set auth_id = (select id from auth.users where email = '...')
+--   where leaderboard_name = '...';
+alter table public.users
+  add column if not exists auth_id uuid unique references auth.users (id) on delete cascade;
+
+-- Only a signed-in browser creates a player, and only for its own account
+revoke insert on public.users from anon;
+grant insert (auth_id) on public.users to authenticated;
+
+alter table public.users enable row level security;
+create policy "Players read their own row" on public.users
+  for select to authenticated using (auth_id = auth.uid());
+create policy "Players create their own row" on public.users
+  for insert to authenticated with check (auth_id = auth.uid());
+
+alter table public.portfolios enable row level security;
+create policy "Players read their own holdings" on public.portfolios
+  for select to authenticated
+  using (user_id in (select id from public.users where auth_id = auth.uid()));
@@ -0,0 +1,16 @@
+-- A kids' game keeps as little about players as it can. Real names are
+-- optional and only the leaderboard name is ever shown to other players.
+-- Registration asks for a birth year but keeps only the age group; a player
+-- who may be under 13 needs a parent's consent, recorded with the parent's
+-- email, before the row can exist. Players delete their account and all its
+-- history through the backend (POST /api/account/delete).
+alter table public.users
+  alter column first_name drop not null,
+  alter column last_name drop not null,
+  add column if not exists age_group text check (age_group in ('under_13', '13_plus')),
+  add column if not exists parent_email text,
+  add column if not exists parental_consent_at timestamptz,
+  add constraint users_parental_consent_check
+    check (age_group is distinct from 'under_13' or (parent_email is not null and parental_consent_at is not null));
+
+grant insert (age_group, parent_email, parental_consent_at) on public.users to authenticated;
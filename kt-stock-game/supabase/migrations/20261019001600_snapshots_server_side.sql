@@ -0,0 +1,10 @@
+-- Value snapshots feed the drawdown and Sharpe leaderboards, so a player must
+-- not be able to write their own. The backend takes them at its prices on the
+-- compliance check each price tick (POST /api/compliance/check) and when a
+-- game starts; browsers only read their own.
+revoke insert, update, delete on public.portfolio_snapshots from anon, authenticated;
+
+alter table public.portfolio_snapshots enable row level security;
+create policy "Players read their own snapshots" on public.portfolio_snapshots
+  for select to authenticated
+  using (user_id in (select id from public.users where auth_id = auth.uid()));
@@ -0,0 +1,47 @@
+-- Row-level security on the rest of the tables a browser can reach. Grants
+-- alone let any signed-in player read every other player's trades, orders and
+-- history; with these policies each player reads only their own rows. Rule sets
+-- and competitions aren't anyone's, so everyone may read them. A player sees
+-- the leagues they belong to, and a teacher (role 'admin') every league, for
+-- the dashboard's class picker. The backend's service key bypasses all of this.
+alter table public.transactions enable row level security;
+create policy "Players read their own trades" on public.transactions
+  for select to authenticated
+  using (user_id in (select id from public.users where auth_id = auth.uid()));
+
+alter table public.orders enable row level security;
+create policy "Players read their own orders" on public.orders
+  for select to authenticated
+  using (user_id in (select id from public.users where auth_id = auth.uid()));
+
+alter table public.compliance_events enable row level security;
+create policy "Players read their own violations" on public.compliance_events
+  for select to authenticated
+  using (user_id in (select id from public.users where auth_id = auth.uid()));
+
+alter table public.corporate_action_events enable row level security;
+create policy "Players read their own corporate actions" on public.corporate_action_events
+  for select to authenticated
+  using (user_id in (select id from public.users where auth_id = auth.uid()));
+
+alter table public.competition_entries enable row level security;
+create policy "Players read their own competition entries" on public.competition_entries
+  for select to authenticated
+  using (user_id in (select id from public.users where auth_id = auth.uid()));
+
+alter table public.competitions enable row level security;
+create policy "Everyone reads competitions" on public.competitions
+  for select to anon, authenticated using (true);
+
+alter table public.game_rules enable row level security;
+create policy "Everyone reads rule sets" on public.game_rules
+  for select to anon, authenticated using (true);
+
+alter table public.leagues enable row level security;
+create policy "Players read their own leagues" on public.leagues
+  for select to authenticated
+  using (
+    id in (select class_id from public.users where auth_id = auth.uid())
+    or id in (select school_id from public.users where auth_id = auth.uid())
+    or exists (select 1 from public.users where auth_id = auth.uid() and role = 'admin')
+  );
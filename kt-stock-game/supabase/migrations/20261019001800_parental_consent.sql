@@ -0,0 +1,22 @@
+-- A parent's consent is recorded by the backend once the parent follows the
+-- link it emails them (POST /api/consent/request, then /api/consent/confirm),
+-- never by the browser registering the child. A player who may be under 13
+-- signs up with a parent's email and can look around; trading waits for the
+-- consent.
+revoke insert (parental_consent_at) on public.users from authenticated;
+
+alter table public.users
+  drop constraint if exists users_parental_consent_check,
+  add constraint users_parent_email_check
+    check (age_group is distinct from 'under_13' or parent_email is not null);
+
+-- The open consent link for each player, one at a time. Only a hash of the
+-- link's token is kept, and only the backend reads it.
+create table if not exists public.parental_consent_requests (
+  user_id uuid primary key references public.users (id) on delete cascade,
+  token_hash text not null unique,
+  sent_at timestamptz not null default now()
+);
+
+revoke all on public.parental_consent_requests from anon, authenticated;
+alter table public.parental_consent_requests enable row level security;
@@ -0,0 +1,21 @@
+-- A teacher's dashboard covers only their own classes and schools. Each league
+-- records the teacher who created it, and the backend scopes every admin route
+-- (/api/admin/...) to the players in the classes they own and in the schools
+-- they own, classes inside them included. Leagues created before this have no
+-- owner; give each one to its teacher by hand:
+--   update public.leagues set owner_id = (select id from public.users where leaderboard_name = '...')
+--     where join_code = '...';
+alter table public.leagues
+  add column if not exists owner_id uuid references public.users (id) on delete set null;
+
+create index if not exists leagues_owner_id_idx on public.leagues (owner_id);
+
+-- The class picker now comes from the backend (/api/admin/classes), so a
+-- teacher no longer reads every league straight from the table
+drop policy if exists "Players read their own leagues" on public.leagues;
+create policy "Players read their own leagues" on public.leagues
+  for select to authenticated
+  using (
+    id in (select class_id from public.users where auth_id = auth.uid())
+    or id in (select school_id from public.users where auth_id = auth.uid())
+  );
@@ -0,0 +1,3 @@
+-- Registration no longer asks for a state or country: the game never used it,
+-- and a kids' game keeps as little about players as it can
+alter table public.users drop column if exists location;